@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title AttendanceBadge
+ * @dev Soulbound proof-of-attendance NFT minted when a ticket is checked in.
+ * Badges are independent of the ticket NFT, so they stay valid after the
+ * ticket is transferred or burned.
+ */
+contract AttendanceBadge is ERC721, AccessControl {
+    // Define roles
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    
+    // Simple token ID counter
+    uint256 private _nextTokenId;
+    
+    // Mapping from token ID to the event it proves attendance of
+    mapping(uint256 => uint256) public badgeEvent;
+    
+    // Mapping from event ID to badge metadata URI
+    mapping(uint256 => string) public eventBadgeURIs;
+    
+    // Mapping from event ID to attendee to badge token ID + 1 (0 = no badge)
+    mapping(uint256 => mapping(address => uint256)) private _badgeOf;
+    
+    // Mapping from attendee to the token IDs of their badges
+    mapping(address => uint256[]) private _userBadges;
+    
+    // ERC-5192 event signalling a token is non-transferable
+    event Locked(uint256 tokenId);
+    
+    event BadgeMinted(uint256 indexed tokenId, uint256 indexed eventId, address indexed attendee);
+    event EventBadgeURIUpdated(uint256 indexed eventId, string uri);
+    
+    /**
+     * @dev Constructor for the badge contract
+     */
+    constructor() ERC721("WorldTickets Attendance", "WPOAP") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Mint an attendance badge, once per attendee and event
+     * @param to Address of the attendee
+     * @param eventId ID of the attended event
+     * @return tokenId The ID of the attendee's badge for the event
+     */
+    function mintBadge(address to, uint256 eventId) external onlyRole(MINTER_ROLE) returns (uint256) {
+        // Attendees checking in several tickets keep a single badge
+        uint256 existing = _badgeOf[eventId][to];
+        if (existing != 0) {
+            return existing - 1;
+        }
+        
+        uint256 tokenId = _nextTokenId;
+        _nextTokenId++;
+        
+        _mint(to, tokenId);
+        
+        badgeEvent[tokenId] = eventId;
+        _badgeOf[eventId][to] = tokenId + 1;
+        _userBadges[to].push(tokenId);
+        
+        emit Locked(tokenId);
+        emit BadgeMinted(tokenId, eventId, to);
+        
+        return tokenId;
+    }
+    
+    /**
+     * @dev Set the metadata URI shared by all badges of an event
+     * @param eventId ID of the event
+     * @param uri The metadata URI
+     */
+    function setEventBadgeURI(uint256 eventId, string memory uri) external onlyRole(MINTER_ROLE) {
+        eventBadgeURIs[eventId] = uri;
+        emit EventBadgeURIUpdated(eventId, uri);
+    }
+    
+    /**
+     * @dev Get the metadata URI of a badge, shared by all badges of its event
+     * @param tokenId The badge ID
+     * @return The metadata URI
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return eventBadgeURIs[badgeEvent[tokenId]];
+    }
+    
+    /**
+     * @dev Check whether an address holds the badge of an event
+     * @param eventId ID of the event
+     * @param attendee Address to check
+     * @return Whether the attendee has the badge
+     */
+    function hasBadge(uint256 eventId, address attendee) external view returns (bool) {
+        return _badgeOf[eventId][attendee] != 0;
+    }
+    
+    /**
+     * @dev Get all badges held by an address
+     * @param attendee Address to query
+     * @return The badge token IDs, in the order they were earned
+     */
+    function getBadges(address attendee) external view returns (uint256[] memory) {
+        return _userBadges[attendee];
+    }
+    
+    /**
+     * @dev ERC-5192: badges are always locked to their attendee
+     * @param tokenId The badge ID
+     * @return Always true
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return true;
+    }
+    
+    /**
+     * @dev Blocks transfers and burns so badges stay with their attendee
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = super._update(to, tokenId, auth);
+        require(from == address(0), "Badges are soulbound");
+        return from;
+    }
+    
+    /**
+     * @dev Override required by Solidity.
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, AccessControl)
+        returns (bool)
+    {
+        // ERC-5192 minimal soulbound interface
+        return interfaceId == 0xb45a3c0e || super.supportsInterface(interfaceId);
+    }
+}
@@ -3,10 +3,18 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
 
 /**
  * @title CrossChainBridge
- * @dev Contract to handle cross-chain payments for the EventTicketing platform
+ * @dev Contract to handle cross-chain payments for the EventTicketing platform.
+ * A payment is only recorded with signatures from a threshold of the source chain's
+ * trusted relayers, so no single relayer key can fabricate payments.
+ * Payments are collected on their source chains; the owner funds this contract with
+ * the equivalent native liquidity, out of which each processed ticket is paid.
  */
 contract CrossChainBridge is Ownable, ReentrancyGuard {
     // Structure to store payment verification info
@@ -14,27 +22,70 @@ contract CrossChainBridge is Ownable, ReentrancyGuard {
         uint256 sourceChainId;     // Source chain where payment was made
         bytes32 paymentTxHash;     // Transaction hash on source chain
         address payer;             // Address that made the payment
+        address token;             // Token paid with (address(0) for native token)
         uint256 amount;            // Amount paid
         uint256 eventId;           // Event ID for which payment was made
+        uint256 tierId;            // Ticket tier the payment was quoted for
         bool isProcessed;          // Whether this payment has been processed
         uint256 timestamp;         // When the payment was recorded
+        uint256 paidAt;            // When the payment was made on the source chain
     }
     
+    // Structure to store the price feed of a source chain token
+    struct PriceFeed {
+        address feed;              // Feed pricing the token in the target chain's native token
+        uint8 tokenDecimals;       // Decimals of the token on the source chain
+        uint256 heartbeat;         // Maximum age of a feed answer in seconds
+        uint256 maxDeviation;      // Maximum change from the previous round in basis points (0 = unchecked)
+    }
+    
+    // Decimals of the target chain's native token
+    uint8 public constant TARGET_DECIMALS = 18;
+    
+    // Domain of the relayer signatures rejecting a payment, kept apart from payment attestations
+    bytes32 public constant REJECT_ACTION = keccak256("REJECT");
+    
     // Maps payment ID to payment info
     mapping(bytes32 => PaymentInfo) public payments;
     
-    // Maps source chain ID to trusted relayer address
-    mapping(uint256 => address) public trustedRelayers;
+    // Maps source chain ID to its trusted relayers
+    mapping(uint256 => address[]) private _relayers;
+    
+    // Maps source chain ID and address to whether it is a trusted relayer
+    mapping(uint256 => mapping(address => bool)) public isTrustedRelayer;
+    
+    // Maps source chain ID to the number of relayer signatures a payment needs
+    mapping(uint256 => uint256) public relayerThresholds;
     
-    // Maps source chain ID to price feed contract (for price conversion)
-    mapping(uint256 => address) public priceFeedContracts;
+    // Maps source chain ID and token address to its price feed (for price conversion)
+    mapping(uint256 => mapping(address => PriceFeed)) public priceFeeds;
     
     // Token addresses accepted on different chains
     mapping(uint256 => mapping(address => bool)) public acceptedTokens;
     
-    // Exchange rates between different chains (in basis points, 10000 = 1x)
+    // Exchange rates between different chains (in basis points, 10000 = 1x),
+    // used when a token has no price feed or its feed fails
     mapping(uint256 => uint256) public exchangeRates;
     
+    // Maps payment ID to the reason the target chain rejected it (empty if not rejected)
+    mapping(bytes32 => string) public rejectionReasons;
+    
+    // Time after recording within which a payment must be turned into a ticket.
+    // Keeps tickets from being minted after the payer reclaimed the payment on the source chain.
+    uint256 public processingWindow = 1 days;
+    
+    // Maximum age of a source chain payment when it is recorded. Together with the
+    // processing window it must stay below the refund timeout of every source chain,
+    // after which payers can reclaim unsettled payments there.
+    uint256 public maxPaymentAge = 5 days;
+    
+    // Contracts allowed to mark payments as processed (the EventTicketing contract)
+    mapping(address => bool) public paymentProcessors;
+    
+    // Maps payment ID to the part of the payment the ticket did not need, in source token
+    // units. It is refunded to the payer on the source chain when the payment is settled.
+    mapping(bytes32 => uint256) public overpayments;
+    
     // Event emitted when a cross-chain payment is recorded
     event CrossChainPaymentRecorded(
         bytes32 indexed paymentId,
@@ -44,25 +95,127 @@ contract CrossChainBridge is Ownable, ReentrancyGuard {
         uint256 eventId
     );
     
+    // Event emitted for each relayer whose signature recorded a payment
+    event PaymentAttested(
+        bytes32 indexed paymentId,
+        address indexed relayer
+    );
+    
+    // Event emitted for each relayer whose signature rejected a payment
+    event RejectionAttested(
+        bytes32 indexed paymentId,
+        address indexed relayer
+    );
+    
     // Event emitted when a payment is processed
     event PaymentProcessed(
         bytes32 indexed paymentId,
         uint256 indexed eventId
     );
     
+    // Event emitted when a processed payment exceeded the ticket price
+    event OverpaymentRecorded(
+        bytes32 indexed paymentId,
+        address indexed payer,
+        uint256 amount
+    );
+    
+    // Event emitted when a payment cannot be turned into a ticket and must be refunded
+    event PaymentRejected(
+        bytes32 indexed paymentId,
+        uint256 indexed sourceChainId,
+        address indexed payer,
+        bytes32 paymentTxHash,
+        string reason
+    );
+    
+    // Event emitted when the processing window changes
+    event ProcessingWindowUpdated(uint256 processingWindow);
+    
+    // Event emitted when the maximum payment age changes
+    event MaxPaymentAgeUpdated(uint256 maxPaymentAge);
+    
+    // Event emitted when a contract is allowed or disallowed to process payments
+    event PaymentProcessorUpdated(address indexed processor, bool allowed);
+    
+    // Event emitted when the price feed of a token changes (address(0) when removed)
+    event PriceFeedUpdated(uint256 indexed chainId, address indexed token, address priceFeed);
+    
+    // Event emitted when bridge liquidity is added
+    event LiquidityAdded(address indexed from, uint256 amount);
+    
+    // Event emitted when the owner withdraws bridge liquidity
+    event LiquidityWithdrawn(address indexed to, uint256 amount);
+    
+    // Events emitted when the relayer set of a source chain changes
+    event RelayerAdded(uint256 indexed chainId, address indexed relayer);
+    event RelayerRemoved(uint256 indexed chainId, address indexed relayer);
+    event RelayerThresholdUpdated(uint256 indexed chainId, uint256 threshold);
+    
     /**
      * @dev Constructor
      */
     constructor() Ownable(msg.sender) {}
     
     /**
-     * @dev Adds a trusted relayer for a specific chain
+     * @dev Adds a trusted relayer for a specific chain. The first relayer of a chain
+     * sets its threshold to 1; raise it with setRelayerThreshold once more are added.
      * @param chainId ID of the source chain
      * @param relayer Address of the trusted relayer
      */
     function addTrustedRelayer(uint256 chainId, address relayer) external onlyOwner {
-        require(relayer != address(0), "Invalid relayer address");
-        trustedRelayers[chainId] = relayer;
+        _addRelayer(chainId, relayer);
+        
+        if (relayerThresholds[chainId] == 0) {
+            _setThreshold(chainId, 1);
+        }
+    }
+    
+    /**
+     * @dev Removes a trusted relayer for a specific chain. Removing the last relayer
+     * stops the bridge from accepting payments from that chain.
+     * @param chainId ID of the source chain
+     * @param relayer Address of the relayer to remove
+     */
+    function removeTrustedRelayer(uint256 chainId, address relayer) external onlyOwner {
+        _removeRelayer(chainId, relayer);
+        
+        uint256 remaining = _relayers[chainId].length;
+        if (remaining == 0) {
+            _setThreshold(chainId, 0);
+        } else {
+            require(remaining >= relayerThresholds[chainId], "Threshold exceeds relayer count");
+        }
+    }
+    
+    /**
+     * @dev Replaces a trusted relayer, keeping the chain's threshold
+     * @param chainId ID of the source chain
+     * @param oldRelayer Address of the relayer to remove
+     * @param newRelayer Address of the relayer to add
+     */
+    function rotateRelayer(uint256 chainId, address oldRelayer, address newRelayer) external onlyOwner {
+        _removeRelayer(chainId, oldRelayer);
+        _addRelayer(chainId, newRelayer);
+    }
+    
+    /**
+     * @dev Sets how many relayer signatures a payment from a chain needs
+     * @param chainId ID of the source chain
+     * @param threshold Number of signatures required
+     */
+    function setRelayerThreshold(uint256 chainId, uint256 threshold) external onlyOwner {
+        require(threshold > 0 && threshold <= _relayers[chainId].length, "Invalid threshold");
+        _setThreshold(chainId, threshold);
+    }
+    
+    /**
+     * @dev Gets the trusted relayers of a chain
+     * @param chainId ID of the source chain
+     * @return Addresses of the trusted relayers
+     */
+    function getRelayers(uint256 chainId) external view returns (address[] memory) {
+        return _relayers[chainId];
     }
     
     /**
@@ -86,23 +239,90 @@ contract CrossChainBridge is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Sets a price feed contract for a specific chain
+     * @dev Sets the price feed for a token of a specific chain
+     * @param chainId ID of the source chain
+     * @param token Address of the token (address(0) for native token)
+     * @param priceFeed Address of an AggregatorV3Interface feed pricing the token in the target chain's native token
+     * @param tokenDecimals Decimals of the token on the source chain
+     * @param heartbeat Maximum age of a feed answer in seconds
+     * @param maxDeviation Maximum change from the previous round in basis points (0 disables the check)
+     */
+    function setPriceFeed(
+        uint256 chainId,
+        address token,
+        address priceFeed,
+        uint8 tokenDecimals,
+        uint256 heartbeat,
+        uint256 maxDeviation
+    ) external onlyOwner {
+        require(priceFeed.code.length > 0, "Invalid price feed address");
+        require(heartbeat > 0, "Heartbeat must be positive");
+        
+        priceFeeds[chainId][token] = PriceFeed({
+            feed: priceFeed,
+            tokenDecimals: tokenDecimals,
+            heartbeat: heartbeat,
+            maxDeviation: maxDeviation
+        });
+        
+        emit PriceFeedUpdated(chainId, token, priceFeed);
+    }
+    
+    /**
+     * @dev Removes the price feed of a token, so conversions use the manual exchange rate
      * @param chainId ID of the source chain
-     * @param priceFeed Address of the price feed contract
+     * @param token Address of the token (address(0) for native token)
      */
-    function setPriceFeed(uint256 chainId, address priceFeed) external onlyOwner {
-        require(priceFeed != address(0), "Invalid price feed address");
-        priceFeedContracts[chainId] = priceFeed;
+    function removePriceFeed(uint256 chainId, address token) external onlyOwner {
+        delete priceFeeds[chainId][token];
+        emit PriceFeedUpdated(chainId, token, address(0));
     }
     
     /**
-     * @dev Records a payment from another chain (called by trusted relayer)
+     * @dev Sets the time after recording within which payments must be processed
+     * @param _processingWindow New processing window in seconds
+     */
+    function setProcessingWindow(uint256 _processingWindow) external onlyOwner {
+        require(_processingWindow > 0, "Processing window must be positive");
+        processingWindow = _processingWindow;
+        emit ProcessingWindowUpdated(_processingWindow);
+    }
+    
+    /**
+     * @dev Sets the maximum age of a source chain payment when it is recorded
+     * @param _maxPaymentAge New maximum payment age in seconds
+     */
+    function setMaxPaymentAge(uint256 _maxPaymentAge) external onlyOwner {
+        require(_maxPaymentAge > 0, "Max payment age must be positive");
+        maxPaymentAge = _maxPaymentAge;
+        emit MaxPaymentAgeUpdated(_maxPaymentAge);
+    }
+    
+    /**
+     * @dev Allows or disallows a contract to mark payments as processed
+     * @param processor Address of the contract (the EventTicketing contract)
+     * @param allowed Whether it may process payments
+     */
+    function setPaymentProcessor(address processor, bool allowed) external onlyOwner {
+        require(processor != address(0), "Invalid processor address");
+        paymentProcessors[processor] = allowed;
+        emit PaymentProcessorUpdated(processor, allowed);
+    }
+    
+    /**
+     * @dev Records a payment from another chain. Anyone can submit it, but it needs
+     * signatures over attestationHash(paymentId, paidAt) from at least the chain's
+     * threshold of trusted relayers, ordered by ascending signer address. Payments
+     * older than maxPaymentAge are not recorded, as their payers may soon reclaim them.
      * @param sourceChainId ID of the source chain
      * @param paymentTxHash Transaction hash on source chain
      * @param payer Address that made the payment
      * @param token Address of the token used for payment
-     * @param amount Amount paid in source chain's native token
+     * @param amount Amount paid in the source token's units
      * @param eventId Event ID for which payment was made
+     * @param tierId Ticket tier the payment was quoted for
+     * @param paidAt Timestamp of the payment on the source chain
+     * @param signatures Relayer signatures attesting to the payment
      * @return paymentId Unique ID for this payment
      */
     function recordCrossChainPayment(
@@ -111,39 +331,45 @@ contract CrossChainBridge is Ownable, ReentrancyGuard {
         address payer,
         address token,
         uint256 amount,
-        uint256 eventId
+        uint256 eventId,
+        uint256 tierId,
+        uint256 paidAt,
+        bytes[] calldata signatures
     ) external nonReentrant returns (bytes32) {
-        // Verify sender is a trusted relayer for this chain
-        require(msg.sender == trustedRelayers[sourceChainId], "Not a trusted relayer");
-        
         // Verify token is accepted
         require(acceptedTokens[sourceChainId][token], "Token not accepted");
         
-        // Verify exchange rate is set
-        require(exchangeRates[sourceChainId] > 0, "Exchange rate not set");
+        // Leave time to process the payment before the payer can reclaim it on the source chain
+        require(block.timestamp <= paidAt + maxPaymentAge, "Payment too old");
         
-        // Create unique payment ID
-        bytes32 paymentId = keccak256(abi.encodePacked(
-            sourceChainId,
-            paymentTxHash,
-            payer,
-            amount,
-            eventId,
-            block.timestamp
-        ));
+        // Verify the payment can be priced
+        require(
+            exchangeRates[sourceChainId] > 0 || priceFeeds[sourceChainId][token].feed != address(0),
+            "Exchange rate not set"
+        );
+        
+        bytes32 paymentId = getPaymentId(sourceChainId, paymentTxHash, payer, token, amount, eventId, tierId);
         
-        // Ensure payment hasn't been processed before
-        require(payments[paymentId].timestamp == 0, "Payment already processed");
+        // The ID only depends on the payment, so each source payment is recorded once
+        require(payments[paymentId].timestamp == 0, "Payment already recorded");
+        
+        address[] memory signers = _verifyAttestations(sourceChainId, attestationHash(paymentId, paidAt), signatures);
+        for (uint256 i = 0; i < signers.length; i++) {
+            emit PaymentAttested(paymentId, signers[i]);
+        }
         
         // Store payment info
         payments[paymentId] = PaymentInfo({
             sourceChainId: sourceChainId,
             paymentTxHash: paymentTxHash,
             payer: payer,
+            token: token,
             amount: amount,
             eventId: eventId,
+            tierId: tierId,
             isProcessed: false,
-            timestamp: block.timestamp
+            timestamp: block.timestamp,
+            paidAt: paidAt
         });
         
         emit CrossChainPaymentRecorded(
@@ -158,18 +384,113 @@ contract CrossChainBridge is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Converts an amount from source chain to target chain using the exchange rate
+     * @dev Gets the ID a payment is recorded under
      * @param sourceChainId ID of the source chain
-     * @param amount Amount in source chain's native token
+     * @param paymentTxHash Transaction hash on source chain
+     * @param payer Address that made the payment
+     * @param token Address of the token used for payment
+     * @param amount Amount paid in the source token's units
+     * @param eventId Event ID for which payment was made
+     * @param tierId Ticket tier the payment was quoted for
+     * @return The payment ID
+     */
+    function getPaymentId(
+        uint256 sourceChainId,
+        bytes32 paymentTxHash,
+        address payer,
+        address token,
+        uint256 amount,
+        uint256 eventId,
+        uint256 tierId
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(sourceChainId, paymentTxHash, payer, token, amount, eventId, tierId));
+    }
+    
+    /**
+     * @dev Gets the hash relayers sign (as an EIP-191 message) to attest to a payment
+     * @param paymentId ID of the payment, from getPaymentId
+     * @param paidAt Timestamp of the payment on the source chain
+     * @return The hash to sign
+     */
+    function attestationHash(bytes32 paymentId, uint256 paidAt) public view returns (bytes32) {
+        return keccak256(abi.encode(block.chainid, address(this), paymentId, paidAt));
+    }
+    
+    /**
+     * @dev Rejects a recorded payment that cannot be turned into a ticket, so a refund can be
+     * authorized on its source chain. Anyone can submit it, but it needs signatures over
+     * rejectionHash(paymentId, reason) from at least the source chain's threshold of trusted
+     * relayers, ordered by ascending signer address.
+     * @param paymentId ID of the payment
+     * @param reason Why the payment could not be processed
+     * @param signatures Relayer signatures agreeing to the rejection
+     */
+    function rejectCrossChainPayment(
+        bytes32 paymentId,
+        string calldata reason,
+        bytes[] calldata signatures
+    ) external nonReentrant {
+        PaymentInfo storage payment = payments[paymentId];
+        require(payment.timestamp > 0, "Payment does not exist");
+        require(!payment.isProcessed, "Payment already processed");
+        require(bytes(reason).length > 0, "Reason required");
+        
+        address[] memory signers = _verifyAttestations(payment.sourceChainId, rejectionHash(paymentId, reason), signatures);
+        for (uint256 i = 0; i < signers.length; i++) {
+            emit RejectionAttested(paymentId, signers[i]);
+        }
+        
+        // Rejected payments can never be processed
+        payment.isProcessed = true;
+        rejectionReasons[paymentId] = reason;
+        
+        emit PaymentRejected(paymentId, payment.sourceChainId, payment.payer, payment.paymentTxHash, reason);
+    }
+    
+    /**
+     * @dev Gets the hash relayers sign (as an EIP-191 message) to reject a payment
+     * @param paymentId ID of the payment
+     * @param reason Why the payment could not be processed
+     * @return The hash to sign
+     */
+    function rejectionHash(bytes32 paymentId, string calldata reason) public view returns (bytes32) {
+        return keccak256(abi.encode(REJECT_ACTION, block.chainid, address(this), paymentId, keccak256(bytes(reason))));
+    }
+    
+    /**
+     * @dev Checks whether a payment was rejected
+     * @param paymentId ID of the payment
+     * @return Whether the payment was rejected
+     */
+    function isRejected(bytes32 paymentId) public view returns (bool) {
+        return bytes(rejectionReasons[paymentId]).length > 0;
+    }
+    
+    /**
+     * @dev Converts an amount from source chain to target chain. Uses the token's price feed,
+     * falling back to the manual exchange rate if the token has no feed or the feed's answer
+     * is unavailable, stale, or moved more than the allowed deviation since the previous round.
+     * @param sourceChainId ID of the source chain
+     * @param token Address of the token paid with (address(0) for native token)
+     * @param amount Amount in the source token's units
      * @return Equivalent amount in target chain's native token
      */
-    function convertAmount(uint256 sourceChainId, uint256 amount) public view returns (uint256) {
+    function convertAmount(uint256 sourceChainId, address token, uint256 amount) public view returns (uint256) {
+        PriceFeed memory priceFeed = priceFeeds[sourceChainId][token];
+        // Without a feed there are no configured decimals, so amounts are taken as 18-decimal
+        uint8 tokenDecimals = priceFeed.feed == address(0) ? TARGET_DECIMALS : priceFeed.tokenDecimals;
+        
+        (bool valid, uint256 price, uint8 feedDecimals) = _readPriceFeed(priceFeed);
+        if (valid) {
+            return _toTargetDecimals(Math.mulDiv(amount, price, 10 ** feedDecimals), tokenDecimals);
+        }
+        
         // Get exchange rate (in basis points)
         uint256 rate = exchangeRates[sourceChainId];
         require(rate > 0, "Exchange rate not set");
         
         // Apply exchange rate
-        return (amount * rate) / 10000;
+        return _toTargetDecimals((amount * rate) / 10000, tokenDecimals);
     }
     
     /**
@@ -182,21 +503,195 @@ contract CrossChainBridge is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Marks a payment as processed
+     * @dev Withdraws bridge liquidity not yet paid out for processed payments
+     * @param to Address to send the liquidity to
+     * @param amount Amount to withdraw
+     */
+    function withdrawLiquidity(address payable to, uint256 amount) external onlyOwner nonReentrant {
+        require(to != address(0), "Invalid recipient");
+        require(amount <= address(this).balance, "Insufficient bridge liquidity");
+        
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Withdrawal failed");
+        
+        emit LiquidityWithdrawn(to, amount);
+    }
+    
+    /**
+     * @dev Marks a payment as processed (called by a payment processor), pays the
+     * ticket price to the processor out of the bridge liquidity and records the part
+     * of the payment exceeding it for refund on the source chain
      * @param paymentId ID of the payment
+     * @param price Price of the ticket bought with it, in target chain's native token
      */
-    function markPaymentAsProcessed(bytes32 paymentId) external {
-        // In a real implementation, this would be called by the EventTicketing contract
-        require(payments[paymentId].timestamp > 0, "Payment does not exist");
-        require(!payments[paymentId].isProcessed, "Payment already processed");
+    function markPaymentAsProcessed(bytes32 paymentId, uint256 price) external nonReentrant {
+        require(paymentProcessors[msg.sender], "Not a payment processor");
         
-        payments[paymentId].isProcessed = true;
+        PaymentInfo storage payment = payments[paymentId];
+        require(payment.timestamp > 0, "Payment does not exist");
+        require(!payment.isProcessed, "Payment already processed");
+        require(block.timestamp <= payment.timestamp + processingWindow, "Processing window expired");
         
-        emit PaymentProcessed(paymentId, payments[paymentId].eventId);
+        uint256 convertedAmount = convertAmount(payment.sourceChainId, payment.token, payment.amount);
+        require(convertedAmount >= price, "Insufficient payment amount");
+        require(address(this).balance >= price, "Insufficient bridge liquidity");
+        
+        payment.isProcessed = true;
+        
+        // Share of the payment the ticket used, rounded up so the refund never exceeds the surplus
+        uint256 used = convertedAmount == 0
+            ? 0
+            : Math.mulDiv(payment.amount, price, convertedAmount, Math.Rounding.Ceil);
+        uint256 overpayment = payment.amount - used;
+        
+        emit PaymentProcessed(paymentId, payment.eventId);
+        
+        if (overpayment > 0) {
+            overpayments[paymentId] = overpayment;
+            emit OverpaymentRecorded(paymentId, payment.payer, overpayment);
+        }
+        
+        // Deliver the ticket price to the processor
+        (bool success, ) = msg.sender.call{value: price}("");
+        require(success, "Payment delivery failed");
+    }
+    
+    /**
+     * @dev Checks that enough distinct trusted relayers of a source chain signed a hash
+     * @return signers The relayers that signed it
+     */
+    function _verifyAttestations(
+        uint256 sourceChainId,
+        bytes32 hash,
+        bytes[] calldata signatures
+    ) internal view returns (address[] memory signers) {
+        uint256 threshold = relayerThresholds[sourceChainId];
+        require(threshold > 0, "No relayers for source chain");
+        require(signatures.length >= threshold, "Not enough relayer signatures");
+        
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(hash);
+        signers = new address[](signatures.length);
+        address lastSigner = address(0);
+        
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            // Ascending order rules out counting the same relayer twice
+            require(signer > lastSigner, "Signers must be unique and sorted");
+            require(isTrustedRelayer[sourceChainId][signer], "Not a trusted relayer");
+            lastSigner = signer;
+            signers[i] = signer;
+        }
     }
     
     /**
-     * @dev Allows contract to receive native currency
+     * @dev Reads a token's price feed and checks its latest answer is usable
+     * @return valid Whether the answer can be used
+     * @return price The answer, in the feed's decimals
+     * @return feedDecimals Decimals of the feed
      */
-    receive() external payable {}
+    function _readPriceFeed(PriceFeed memory priceFeed)
+        internal
+        view
+        returns (bool valid, uint256 price, uint8 feedDecimals)
+    {
+        if (priceFeed.feed == address(0)) {
+            return (false, 0, 0);
+        }
+        AggregatorV3Interface aggregator = AggregatorV3Interface(priceFeed.feed);
+        
+        try aggregator.decimals() returns (uint8 decimals) {
+            feedDecimals = decimals;
+        } catch {
+            return (false, 0, 0);
+        }
+        
+        uint80 roundId;
+        int256 answer;
+        uint256 updatedAt;
+        try aggregator.latestRoundData() returns (uint80 latestRoundId, int256 latestAnswer, uint256, uint256 latestUpdatedAt, uint80) {
+            (roundId, answer, updatedAt) = (latestRoundId, latestAnswer, latestUpdatedAt);
+        } catch {
+            return (false, 0, 0);
+        }
+        
+        // Reject missing, non-positive and stale answers
+        if (answer <= 0 || updatedAt == 0 || updatedAt > block.timestamp || block.timestamp - updatedAt > priceFeed.heartbeat) {
+            return (false, 0, 0);
+        }
+        price = uint256(answer);
+        
+        // Reject answers that jumped too far from the previous round
+        if (priceFeed.maxDeviation > 0 && roundId > 0) {
+            try aggregator.getRoundData(roundId - 1) returns (uint80, int256 previousAnswer, uint256, uint256, uint80) {
+                if (previousAnswer > 0) {
+                    uint256 previous = uint256(previousAnswer);
+                    uint256 change = price > previous ? price - previous : previous - price;
+                    if (change * 10000 > previous * priceFeed.maxDeviation) {
+                        return (false, 0, 0);
+                    }
+                }
+            } catch {
+                // No previous round to compare with (e.g. the first round of a new feed)
+            }
+        }
+        
+        return (true, price, feedDecimals);
+    }
+    
+    /**
+     * @dev Scales an amount from a source token's decimals to the target chain's native token decimals
+     */
+    function _toTargetDecimals(uint256 amount, uint8 tokenDecimals) internal pure returns (uint256) {
+        if (tokenDecimals <= TARGET_DECIMALS) {
+            return amount * 10 ** (TARGET_DECIMALS - tokenDecimals);
+        }
+        return amount / 10 ** (tokenDecimals - TARGET_DECIMALS);
+    }
+    
+    /**
+     * @dev Adds an address to a chain's relayer set
+     */
+    function _addRelayer(uint256 chainId, address relayer) internal {
+        require(relayer != address(0), "Invalid relayer address");
+        require(!isTrustedRelayer[chainId][relayer], "Relayer already trusted");
+        
+        isTrustedRelayer[chainId][relayer] = true;
+        _relayers[chainId].push(relayer);
+        
+        emit RelayerAdded(chainId, relayer);
+    }
+    
+    /**
+     * @dev Removes an address from a chain's relayer set
+     */
+    function _removeRelayer(uint256 chainId, address relayer) internal {
+        require(isTrustedRelayer[chainId][relayer], "Not a trusted relayer");
+        
+        address[] storage relayers = _relayers[chainId];
+        for (uint256 i = 0; i < relayers.length; i++) {
+            if (relayers[i] == relayer) {
+                relayers[i] = relayers[relayers.length - 1];
+                relayers.pop();
+                break;
+            }
+        }
+        isTrustedRelayer[chainId][relayer] = false;
+        
+        emit RelayerRemoved(chainId, relayer);
+    }
+    
+    /**
+     * @dev Updates a chain's signature threshold
+     */
+    function _setThreshold(uint256 chainId, uint256 threshold) internal {
+        relayerThresholds[chainId] = threshold;
+        emit RelayerThresholdUpdated(chainId, threshold);
+    }
+    
+    /**
+     * @dev Receives bridge liquidity
+     */
+    receive() external payable {
+        emit LiquidityAdded(msg.sender, msg.value);
+    }
 } 
\ No newline at end of file
@@ -1,14 +1,14 @@
 // SPDX-License-Identifier: UNLICENSED
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./helpers/TicketEnumerable.sol";
 
 /**
  * @title CrossChainTicketNFT
  * @dev NFT contract for event tickets with cross-chain and offline verification support
  */
-contract CrossChainTicketNFT is ERC721, AccessControl {
+contract CrossChainTicketNFT is TicketEnumerable, AccessControl {
     // Roles
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant BRIDGE_ROLE = keccak256("BRIDGE_ROLE");
@@ -142,6 +142,7 @@ contract CrossChainTicketNFT is ERC721, AccessControl {
             ticketURI: ticketURI,
             used: false
         });
+        _indexEventTicket(eventId, tokenId);
         
         emit TicketMinted(tokenId, eventId, to, price);
         
@@ -176,6 +177,7 @@ contract CrossChainTicketNFT is ERC721, AccessControl {
         require(!_tickets[tokenId].used, "Ticket already used");
         
         _tickets[tokenId].used = true;
+        _indexTicketUsed(_tickets[tokenId].eventId, tokenId);
         emit TicketUsed(tokenId, msg.sender);
     }
     
@@ -188,6 +190,7 @@ contract CrossChainTicketNFT is ERC721, AccessControl {
         require(!_tickets[tokenId].used, "Ticket already used");
         
         _tickets[tokenId].used = true;
+        _indexTicketUsed(_tickets[tokenId].eventId, tokenId);
         emit TicketUsed(tokenId, msg.sender);
     }
     
@@ -214,6 +217,7 @@ contract CrossChainTicketNFT is ERC721, AccessControl {
             
             // Mark as used and record the verification
             _tickets[tokenId].used = true;
+            _indexTicketUsed(_tickets[tokenId].eventId, tokenId);
             _offlineVerifiedTickets[verificationHash] = true;
             
             emit OfflineVerificationSynced(tokenId, verificationHash, msg.sender);
@@ -247,30 +251,8 @@ contract CrossChainTicketNFT is ERC721, AccessControl {
      * @return Array of ticket IDs for the event
      */
     function getEventTickets(uint256 eventId) external view returns (uint256[] memory) {
-        // 获取所有票的数量
-        uint256 totalTickets = _nextTokenId - 1;
-        
-        // 首先计算此事件的票数
-        uint256 eventTicketCount = 0;
-        for (uint256 i = 1; i <= totalTickets; i++) {
-            if (exists(i) && _tickets[i].eventId == eventId) {
-                eventTicketCount++;
-            }
-        }
-        
-        // 创建结果数组
-        uint256[] memory result = new uint256[](eventTicketCount);
-        uint256 resultIndex = 0;
-        
-        // 填充结果数组
-        for (uint256 i = 1; i <= totalTickets; i++) {
-            if (exists(i) && _tickets[i].eventId == eventId) {
-                result[resultIndex] = i;
-                resultIndex++;
-            }
-        }
-        
-        return result;
+        (uint256[] memory tokenIds, ) = getTicketsByEvent(eventId, 0, type(uint256).max);
+        return tokenIds;
     }
     
     /**
@@ -381,7 +363,7 @@ contract CrossChainTicketNFT is ERC721, AccessControl {
     /**
      * @dev See {IERC165-supportsInterface}
      */
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721, AccessControl) returns (bool) {
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721Enumerable, AccessControl) returns (bool) {
         return super.supportsInterface(interfaceId);
     }
 } 
\ No newline at end of file
@@ -3,12 +3,15 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./helpers/TicketEnumerable.sol";
+import "./interfaces/IWorldIDVerifier.sol";
+import "./interfaces/ITicketMetadataRenderer.sol";
 
 /**
  * @title EventTicketNFT
  * @dev NFT contract for event tickets separated from the main ticketing logic
  */
-contract EventTicketNFT is ERC721URIStorage, AccessControl {
+contract EventTicketNFT is ERC721URIStorage, TicketEnumerable, AccessControl {
     // Define roles
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant URI_SETTER_ROLE = keccak256("URI_SETTER_ROLE");
@@ -19,6 +22,7 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
     // Ticket information storage
     struct TicketInfo {
         uint256 eventId;
+        uint256 tierId;
         uint256 ticketIndex;
         uint256 purchasePrice;
         bool isUsed;
@@ -28,9 +32,38 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
     // Mapping from token ID to ticket info
     mapping(uint256 => TicketInfo) private _ticketInfo;
     
+    // How the tickets of an event can change hands
+    enum TransferPolicy {
+        Free,           // Transferable to anyone
+        ResaleOnly,     // Transferable only through the ticketing contract's resale market
+        VerifiedOnly,   // Transferable only to World ID verified addresses
+        Soulbound       // Not transferable
+    }
+    
+    // Mapping from event ID to the transfer policy of its tickets
+    mapping(uint256 => TransferPolicy) public eventTransferPolicies;
+    
+    // Verifier consulted for VerifiedOnly transfers
+    IWorldIDVerifier public worldIDVerifier;
+    
+    // Contract building on-chain metadata for tickets without a custom URI
+    ITicketMetadataRenderer public metadataRenderer;
+    
     // Event when a ticket is marked as used
     event TicketUsed(uint256 indexed tokenId, uint256 indexed eventId);
     
+    // Event when a returned ticket is burned
+    event TicketBurned(uint256 indexed tokenId, uint256 indexed eventId);
+    
+    // Event when an event's transfer policy changes
+    event TransferPolicyUpdated(uint256 indexed eventId, TransferPolicy policy);
+    
+    // Event when the World ID verifier changes
+    event WorldIDVerifierUpdated(address worldIDVerifier);
+    
+    // Event when the metadata renderer changes
+    event MetadataRendererUpdated(address metadataRenderer);
+    
     /**
      * @dev Constructor for the NFT contract
      */
@@ -47,14 +80,16 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
      * @dev Mint a new ticket NFT for a buyer
      * @param to Address receiving the ticket
      * @param eventId ID of the associated event
+     * @param tierId ID of the ticket tier within the event
      * @param ticketIndex Index of this ticket within the event
      * @param purchasePrice Price paid for the ticket
-     * @param tokenURI URI for ticket metadata
+     * @param tokenURI URI for ticket metadata (empty to use the on-chain metadata)
      * @return tokenId The ID of the newly minted ticket
      */
     function mintTicket(
         address to, 
         uint256 eventId, 
+        uint256 tierId,
         uint256 ticketIndex, 
         uint256 purchasePrice,
         string memory tokenURI
@@ -63,15 +98,19 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
         _nextTokenId++;
         
         _mint(to, tokenId);
-        _setTokenURI(tokenId, tokenURI);
+        if (bytes(tokenURI).length > 0) {
+            _setTokenURI(tokenId, tokenURI);
+        }
         
         _ticketInfo[tokenId] = TicketInfo({
             eventId: eventId,
+            tierId: tierId,
             ticketIndex: ticketIndex,
             purchasePrice: purchasePrice,
             isUsed: false,
             originalPurchaser: to
         });
+        _indexEventTicket(eventId, tokenId);
         
         return tokenId;
     }
@@ -101,10 +140,36 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
         require(!_ticketInfo[tokenId].isUsed, "Ticket already used");
         
         _ticketInfo[tokenId].isUsed = true;
+        _indexTicketUsed(_ticketInfo[tokenId].eventId, tokenId);
         
         emit TicketUsed(tokenId, _ticketInfo[tokenId].eventId);
     }
     
+    /**
+     * @dev Burn a ticket returned to the ticketing contract
+     * @param tokenId The ID of the ticket to burn
+     */
+    function burnTicket(uint256 tokenId) external onlyRole(MINTER_ROLE) {
+        require(_tokenExists(tokenId), "Ticket does not exist");
+        
+        uint256 eventId = _ticketInfo[tokenId].eventId;
+        _unindexEventTicket(eventId, tokenId, _ticketInfo[tokenId].isUsed);
+        _burn(tokenId);
+        delete _ticketInfo[tokenId];
+        
+        emit TicketBurned(tokenId, eventId);
+    }
+    
+    /**
+     * @dev Update the recorded purchase price (after a resale)
+     * @param tokenId The ID of the ticket
+     * @param purchasePrice The price paid by the current holder
+     */
+    function updatePurchasePrice(uint256 tokenId, uint256 purchasePrice) external onlyRole(MINTER_ROLE) {
+        require(_tokenExists(tokenId), "Ticket does not exist");
+        _ticketInfo[tokenId].purchasePrice = purchasePrice;
+    }
+    
     /**
      * @dev Update the token URI (for dynamic NFT metadata)
      * @param tokenId The ID of the token
@@ -117,6 +182,50 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
         _setTokenURI(tokenId, tokenURI);
     }
     
+    /**
+     * @dev Set the transfer policy of an event's tickets (by the ticketing contract)
+     * @param eventId ID of the event
+     * @param policy The transfer policy
+     */
+    function setEventTransferPolicy(uint256 eventId, TransferPolicy policy) external onlyRole(MINTER_ROLE) {
+        eventTransferPolicies[eventId] = policy;
+        emit TransferPolicyUpdated(eventId, policy);
+    }
+    
+    /**
+     * @dev Set the verifier consulted for VerifiedOnly transfers
+     * @param _worldIDVerifier Address of the WorldIDVerifier contract
+     */
+    function setWorldIDVerifier(address _worldIDVerifier) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        worldIDVerifier = IWorldIDVerifier(_worldIDVerifier);
+        emit WorldIDVerifierUpdated(_worldIDVerifier);
+    }
+    
+    /**
+     * @dev Set the contract building on-chain ticket metadata
+     * @param _metadataRenderer Address of the TicketMetadataRenderer contract
+     */
+    function setMetadataRenderer(address _metadataRenderer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        metadataRenderer = ITicketMetadataRenderer(_metadataRenderer);
+        // ERC-4906: metadata of all tickets changes
+        emit BatchMetadataUpdate(0, type(uint256).max);
+        emit MetadataRendererUpdated(_metadataRenderer);
+    }
+    
+    /**
+     * @dev Get the metadata URI of a ticket. Tickets without a custom URI get
+     * on-chain metadata built from the current event state.
+     * @param tokenId The ticket ID
+     * @return The metadata URI
+     */
+    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
+        string memory customURI = super.tokenURI(tokenId);
+        if (bytes(customURI).length > 0 || address(metadataRenderer) == address(0)) {
+            return customURI;
+        }
+        return metadataRenderer.tokenURI(tokenId);
+    }
+    
     /**
      * @dev Get information about a ticket
      * @param tokenId The ticket ID
@@ -147,13 +256,45 @@ contract EventTicketNFT is ERC721URIStorage, AccessControl {
         return _ticketInfo[tokenId].originalPurchaser;
     }
     
+    /**
+     * @dev Enforces the event's transfer policy on every transfer (mints and burns are exempt)
+     */
+    function _update(address to, uint256 tokenId, address auth)
+        internal
+        override(ERC721, ERC721Enumerable)
+        returns (address)
+    {
+        address from = _ownerOf(tokenId);
+        
+        if (from != address(0) && to != address(0)) {
+            TransferPolicy policy = eventTransferPolicies[_ticketInfo[tokenId].eventId];
+            
+            require(policy != TransferPolicy.Soulbound, "Ticket is soulbound");
+            if (policy == TransferPolicy.ResaleOnly) {
+                require(hasRole(MINTER_ROLE, _msgSender()), "Ticket only transferable through resale");
+            } else if (policy == TransferPolicy.VerifiedOnly) {
+                require(address(worldIDVerifier) != address(0), "World ID verifier not set");
+                require(worldIDVerifier.isVerified(to), "Recipient not World ID verified");
+            }
+        }
+        
+        return super._update(to, tokenId, auth);
+    }
+    
+    /**
+     * @dev Override required by Solidity.
+     */
+    function _increaseBalance(address account, uint128 value) internal override(ERC721, ERC721Enumerable) {
+        super._increaseBalance(account, value);
+    }
+    
     /**
      * @dev Override required by Solidity.
      */
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721URIStorage, AccessControl)
+        override(ERC721URIStorage, ERC721Enumerable, AccessControl)
         returns (bool)
     {
         return super.supportsInterface(interfaceId);
@@ -1,109 +1,22 @@
 // SPDX-License-Identifier: UNLICENSED
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "./EventTicketNFT.sol";
-import "./WorldIDVerifier.sol";
-import "./CrossChainBridge.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "./EventTicketingBase.sol";
+import "./interfaces/ITicketingModule.sol";
 
 /**
  * @title EventTicketing
  * @dev Main contract for the event ticketing platform with separated NFT logic
- * and World ID verification integration
+ * and World ID verification integration. Feature areas such as resale, waitlists,
+ * refunds and gifts live in modules (see contracts/modules) that run against this
+ * contract's storage via delegatecall, keeping it under the EIP-170 size limit.
  */
-contract EventTicketing is Ownable, ReentrancyGuard {
-    // Reference to the NFT contract
-    EventTicketNFT public ticketNFT;
+contract EventTicketing is EventTicketingBase, Proxy {
+    // Module implementing each delegated function selector
+    mapping(bytes4 => address) public modules;
     
-    // Reference to the World ID verifier contract
-    WorldIDVerifier public worldIDVerifier;
-    
-    // Reference to the cross-chain bridge contract
-    CrossChainBridge public crossChainBridge;
-    
-    // Simple counter for event IDs
-    uint256 public nextEventId;
-    
-    // Platform fee percentage (in basis points, 100 = 1%)
-    uint256 public platformFeePercentage = 200; // 2% default
-    
-    // Struct to represent an event
-    struct Event {
-        string name;
-        string description;
-        uint256 eventDate;
-        uint256 totalTickets;
-        uint256 ticketsSold;
-        uint256 ticketPrice;
-        address organizer;
-        bool isActive; // Whether the event is active or cancelled
-        mapping(address => bool) verifiedAttendees; // Track attendance
-        bool worldIdRequired; // Whether World ID verification is required
-    }
-    
-    // Mapping from event ID to Event details
-    mapping(uint256 => Event) public events;
-    
-    // Mapping from organizer address to verified status
-    mapping(address => bool) public verifiedOrganizers;
-    
-    // Mapping from user address to loyalty points
-    mapping(address => uint256) public loyaltyPoints;
-    
-    // Platform admin address for fee collection
-    address payable public platformAdmin;
-    
-    // Action ID for World ID verification
-    string public constant WORLD_ID_ACTION = "purchase-ticket";
-    
-    // Struct to hold event creation parameters
-    struct EventCreationParams {
-        string name;
-        string description;
-        uint256 eventDate;
-        uint256 totalTickets;
-        uint256 ticketPrice;
-        bool worldIdRequired;
-    }
-    
-    // Events for tracking actions
-    event EventCreated(
-        uint256 indexed eventId,
-        string name,
-        string description,
-        uint256 eventDate,
-        uint256 totalTickets,
-        uint256 ticketPrice,
-        address indexed organizer,
-        bool worldIdRequired
-    );
-    
-    event OrganizerVerified(address indexed organizer);
-    
-    event TicketMinted(
-        uint256 indexed tokenId,
-        uint256 indexed eventId,
-        address indexed buyer,
-        uint256 price
-    );
-    
-    event EventCancelled(uint256 indexed eventId);
-    
-    event RefundIssued(
-        uint256 indexed tokenId,
-        address indexed ticketOwner,
-        uint256 amount
-    );
-    
-    event LoyaltyPointsEarned(address indexed user, uint256 points);
-    
-    event CrossChainPaymentProcessed(
-        bytes32 indexed paymentId,
-        uint256 indexed eventId,
-        address indexed buyer,
-        uint256 tokenId
-    );
+    event ModuleSet(address indexed module, bytes4[] selectors);
     
     /**
      * @dev Constructor for the main ticketing contract
@@ -115,7 +28,7 @@ contract EventTicketing is Ownable, ReentrancyGuard {
         address _ticketNFT,
         address _worldIDVerifier,
         address payable _crossChainBridge
-    ) Ownable(msg.sender) {
+    ) {
         ticketNFT = EventTicketNFT(_ticketNFT);
         worldIDVerifier = WorldIDVerifier(_worldIDVerifier);
         crossChainBridge = CrossChainBridge(_crossChainBridge);
@@ -126,24 +39,25 @@ contract EventTicketing is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Modifier to check if the sender is the organizer of an event.
+     * @dev Routes every function a module exposes to that module
+     * @param module Address of the deployed module
      */
-    modifier onlyEventOrganizer(uint256 eventId) {
-        require(events[eventId].organizer == msg.sender, "Not the event organizer");
-        _;
+    function setModule(address module) external onlyOwner {
+        bytes4[] memory selectors = ITicketingModule(module).moduleSelectors();
+        for (uint256 i = 0; i < selectors.length; i++) {
+            modules[selectors[i]] = module;
+        }
+        
+        emit ModuleSet(module, selectors);
     }
     
     /**
-     * @dev Modifier to check if World ID verification is required and fulfilled
+     * @dev Returns the module implementing the called function
      */
-    modifier worldIdVerifiedIfRequired(uint256 eventId) {
-        if (events[eventId].worldIdRequired) {
-            require(
-                worldIDVerifier.isVerified(msg.sender),
-                "World ID verification required"
-            );
-        }
-        _;
+    function _implementation() internal view override returns (address) {
+        address module = modules[msg.sig];
+        require(module != address(0), "Function does not exist");
+        return module;
     }
     
     /**
@@ -164,6 +78,26 @@ contract EventTicketing is Ownable, ReentrancyGuard {
         platformFeePercentage = newFeePercentage;
     }
     
+    /**
+     * @dev Sets the default maximum resale markup applied to new events (in basis points).
+     * @param newMaxIncrease The new maximum increase (e.g., 2000 for 20%).
+     */
+    function setMaxResalePriceIncrease(uint256 newMaxIncrease) external onlyOwner {
+        require(newMaxIncrease <= 10000, "Increase too high"); // Max 100%
+        maxResalePriceIncrease = newMaxIncrease;
+    }
+    
+    /**
+     * @dev Adds or removes an ERC-20 token from the payment token allowlist.
+     * @param token The address of the token.
+     * @param allowed Whether events may be priced in this token.
+     */
+    function setPaymentTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "Invalid token address");
+        allowedPaymentTokens[token] = allowed;
+        emit PaymentTokenAllowed(token, allowed);
+    }
+    
     /**
      * @dev Updates the platform admin address.
      * @param newAdmin The new admin address.
@@ -183,14 +117,59 @@ contract EventTicketing is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Allows verified organizers to create events.
+     * @dev Wires the World ID organizer verifier whose proofs are accepted in
+     * addition to manual verification. Set to address(0) to disable it.
+     * @param _organizerVerifier Address of the organizer verifier contract
+     */
+    function updateOrganizerVerifier(address _organizerVerifier) external onlyOwner {
+        organizerVerifier = IOrganizerVerifier(_organizerVerifier);
+        emit OrganizerVerifierUpdated(_organizerVerifier);
+    }
+    
+    /**
+     * @dev Wires the loyalty program that points are awarded to and redeemed from.
+     * Set to address(0) to stop awarding points.
+     * @param _loyaltyProgram Address of the loyalty program contract
+     */
+    function updateLoyaltyProgram(address _loyaltyProgram) external onlyOwner {
+        loyaltyProgram = LoyaltyProgram(_loyaltyProgram);
+        emit LoyaltyProgramUpdated(_loyaltyProgram);
+    }
+    
+    /**
+     * @dev Wires the attendance badge contract minted to on check-in. Set to
+     * address(0) to stop minting badges.
+     * @param _attendanceBadge Address of the attendance badge contract
+     */
+    function updateAttendanceBadge(address _attendanceBadge) external onlyOwner {
+        attendanceBadge = AttendanceBadge(_attendanceBadge);
+        emit AttendanceBadgeUpdated(_attendanceBadge);
+    }
+    
+    /**
+     * @dev Checks if an address may create events, either because the platform
+     * admin verified it or because it proved itself with World ID.
+     * @param organizer The address of the organizer.
+     * @return Whether the organizer is verified.
+     */
+    function isVerifiedOrganizer(address organizer) public view returns (bool) {
+        if (verifiedOrganizers[organizer]) {
+            return true;
+        }
+        return address(organizerVerifier) != address(0) &&
+            organizerVerifier.isVerifiedOrganizer(organizer);
+    }
+    
+    /**
+     * @dev Allows verified organizers to create events. A default
+     * "General Admission" tier is created from the ticket price and supply.
+     * The caller becomes the event organizer.
      * @param name The name of the event.
      * @param description A description of the event.
      * @param eventDate Timestamp of when the event will occur.
      * @param totalTickets The total number of tickets available.
-     * @param ticketPrice The price per ticket in wei.
+     * @param ticketPrice The price per ticket in wei (0 for a free event).
      * @param worldIdRequired Whether World ID verification is required for purchase.
-     * @param organizer The address of the event organizer.
      * @return The ID of the created event.
      */
     function createEvent(
@@ -199,13 +178,11 @@ contract EventTicketing is Ownable, ReentrancyGuard {
         uint256 eventDate,
         uint256 totalTickets,
         uint256 ticketPrice,
-        bool worldIdRequired,
-        address organizer
+        bool worldIdRequired
     ) public returns (uint256) {
+        require(isVerifiedOrganizer(msg.sender), "Organizer not verified");
         require(totalTickets > 0, "Total tickets must be greater than zero");
-        require(ticketPrice > 0, "Ticket price must be greater than zero");
         require(eventDate > block.timestamp, "Event date must be in the future");
-        require(organizer != address(0), "Organizer address cannot be zero");
         
         uint256 eventId = nextEventId;
         nextEventId++;
@@ -214,13 +191,27 @@ contract EventTicketing is Ownable, ReentrancyGuard {
         newEvent.name = name;
         newEvent.description = description;
         newEvent.eventDate = eventDate;
-        newEvent.totalTickets = totalTickets;
         newEvent.ticketsSold = 0;
         newEvent.ticketPrice = ticketPrice;
-        newEvent.organizer = organizer;
+        newEvent.organizer = msg.sender;
         newEvent.isActive = true;
         newEvent.worldIdRequired = worldIdRequired;
         
+        _addTicketTier(eventId, "General Admission", ticketPrice, totalTickets, block.timestamp, eventDate, worldIdRequired);
+        
+        // Tickets of World ID gated events can only be passed on to other verified humans
+        if (worldIdRequired) {
+            ticketNFT.setEventTransferPolicy(eventId, EventTicketNFT.TransferPolicy.VerifiedOnly);
+        }
+        
+        // Resale is open until the event starts by default
+        resaleTerms[eventId] = ResaleTerms({
+            allowResale: true,
+            resaleDeadline: eventDate,
+            maxPriceIncrease: maxResalePriceIncrease,
+            royaltyPercentage: 0
+        });
+        
         emit EventCreated(
             eventId,
             name,
@@ -228,7 +219,7 @@ contract EventTicketing is Ownable, ReentrancyGuard {
             eventDate,
             totalTickets,
             ticketPrice,
-            organizer,
+            msg.sender,
             worldIdRequired
         );
         
@@ -236,129 +227,134 @@ contract EventTicketing is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Allows users to buy a ticket for an event by paying the ticket price.
-     * @param eventId The ID of the event to buy a ticket for.
-     * @return The token ID of the minted ticket.
+     * @dev Creates an event whose default tier follows a dynamic pricing strategy.
+     * The ticket price is the tier's base price.
+     * @param params The event creation parameters, as for createEvent.
+     * @param pricing The pricing strategy of the default tier.
+     * @return The ID of the created event.
      */
-    function buyTicket(uint256 eventId) 
-        public 
-        payable 
-        nonReentrant 
-        worldIdVerifiedIfRequired(eventId)
-        returns (uint256) 
-    {
-        Event storage evt = events[eventId];
-        
-        require(evt.isActive, "Event is not active");
-        require(evt.ticketsSold < evt.totalTickets, "No more tickets available");
-        require(msg.value == evt.ticketPrice, "Incorrect payment");
-        require(block.timestamp < evt.eventDate, "Event has already occurred");
-        
-        uint256 ticketIndex = evt.ticketsSold;
-        evt.ticketsSold++;
-        
-        // Calculate platform fee
-        uint256 platformFee = (msg.value * platformFeePercentage) / 10000;
-        uint256 organizerAmount = msg.value - platformFee;
-        
-        // Transfer platform fee to admin
-        (bool feeSuccess, ) = platformAdmin.call{value: platformFee}("");
-        require(feeSuccess, "Platform fee transfer failed");
-        
-        // Transfer remaining amount to organizer
-        (bool paySuccess, ) = payable(evt.organizer).call{value: organizerAmount}("");
-        require(paySuccess, "Organizer payment failed");
-        
-        // Generate simple ticket URI
-        string memory ticketURI = string(abi.encodePacked(
-            "ticket://", 
-            _toString(eventId),
-            "/",
-            _toString(ticketIndex)
-        ));
-        
-        // Mint the NFT ticket
-        uint256 tokenId = ticketNFT.mintTicket(
-            msg.sender, 
-            eventId, 
-            ticketIndex, 
-            msg.value,
-            ticketURI
+    function createEventWithPricing(
+        EventCreationParams calldata params,
+        PricingStrategy calldata pricing
+    ) external returns (uint256) {
+        uint256 eventId = createEvent(
+            params.name,
+            params.description,
+            params.eventDate,
+            params.totalTickets,
+            params.ticketPrice,
+            params.worldIdRequired
         );
+        _setTierPricing(eventId, 0, pricing);
         
-        // Award loyalty points (1 point per purchase)
-        loyaltyPoints[msg.sender]++;
-        emit LoyaltyPointsEarned(msg.sender, 1);
-        
-        emit TicketMinted(tokenId, eventId, msg.sender, msg.value);
-        
-        return tokenId;
+        return eventId;
     }
     
     /**
-     * @dev Allows organizers to mark tickets as used when attendees check in.
-     * @param tokenId The ID of the ticket to mark as used.
+     * @dev Allows users to buy a ticket in a given tier at its current price, as long
+     * as the price has not risen above `maxPrice`. Native token buyers may send up to
+     * `maxPrice` and get the difference back; ERC-20 priced events must approve this
+     * contract for `maxPrice` beforehand.
+     * @param eventId The ID of the event to buy a ticket for.
+     * @param tierId The ID of the ticket tier.
+     * @param maxPrice The highest price the buyer accepts (slippage tolerance).
+     * @return The token ID of the minted ticket.
      */
-    function useTicket(uint256 tokenId) public {
-        // Get ticket info from the NFT contract
-        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
-        uint256 eventId = ticket.eventId;
-        
-        require(events[eventId].organizer == msg.sender, "Not the event organizer");
-        require(!ticketNFT.isTicketUsed(tokenId), "Ticket already used");
-        require(events[eventId].isActive, "Event is not active");
-        
-        // Mark the ticket as used through the NFT contract
-        ticketNFT.useTicket(tokenId);
-        
-        // Record attendance
-        address attendee = ticketNFT.ownerOf(tokenId);
-        events[eventId].verifiedAttendees[attendee] = true;
-        
-        // Award additional loyalty points for attendance (2 points)
-        loyaltyPoints[attendee] += 2;
-        emit LoyaltyPointsEarned(attendee, 2);
+    function buyTicket(uint256 eventId, uint256 tierId, uint256 maxPrice)
+        public
+        payable
+        nonReentrant
+        worldIdVerifiedIfRequired(eventId)
+        returns (uint256)
+    {
+        return _buyTicket(eventId, tierId, msg.sender, 0, maxPrice);
     }
     
     /**
-     * @dev Allows organizers to cancel an event and enable refunds.
+     * @dev Allows organizers to cancel an event before it starts and enable refunds.
+     * The platform owner can also cancel an event during its dispute window,
+     * as long as its revenue is still in escrow. Refunds can be claimed for
+     * refundClaimPeriod, after which the rest of the escrow is released.
      * @param eventId The ID of the event to cancel.
      */
-    function cancelEvent(uint256 eventId) public onlyEventOrganizer(eventId) {
+    function cancelEvent(uint256 eventId) public {
         Event storage evt = events[eventId];
         require(evt.isActive, "Event already cancelled");
-        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        if (msg.sender == owner()) {
+            require(block.timestamp < evt.eventDate + disputeWindow, "Dispute window over");
+            require(eventEscrows[eventId].organizerWithdrawn == 0, "Funds already withdrawn");
+        } else {
+            require(evt.organizer == msg.sender, "Not the event organizer");
+            require(block.timestamp < evt.eventDate, "Event has already occurred");
+        }
         
         evt.isActive = false;
+        refundDeadlines[eventId] = block.timestamp + refundClaimPeriod;
         
         emit EventCancelled(eventId);
     }
     
     /**
-     * @dev Allows ticket holders to claim refunds for cancelled events.
-     * @param tokenId The ID of the ticket to refund.
+     * @dev Sets how long after an event its revenue stays in escrow (in seconds).
+     * @param newDisputeWindow The new dispute window.
+     */
+    function setDisputeWindow(uint256 newDisputeWindow) external onlyOwner {
+        require(newDisputeWindow <= 30 days, "Dispute window too long");
+        disputeWindow = newDisputeWindow;
+    }
+    
+    /**
+     * @dev Releases an event's escrowed revenue once the event has taken place
+     * and the dispute window has passed, or once the refund window of a cancelled
+     * event has closed. The organizer share is paid to the organizer and the
+     * accrued platform fees to the platform admin.
+     * @param eventId The ID of the event.
      */
-    function claimRefund(uint256 tokenId) public nonReentrant {
-        // Check ownership
-        address owner = ticketNFT.ownerOf(tokenId);
-        require(owner == msg.sender, "Not ticket owner");
-        
-        // Get ticket info from the NFT contract
-        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
-        uint256 eventId = ticket.eventId;
+    function withdrawEventFunds(uint256 eventId) external nonReentrant onlyEventOrganizer(eventId) {
         Event storage evt = events[eventId];
+        EventEscrow storage escrow = eventEscrows[eventId];
+        
+        require(
+            block.timestamp >= _escrowReleaseTime(eventId),
+            evt.isActive ? "Dispute window not over" : "Refund window not over"
+        );
         
-        require(!evt.isActive, "Event not cancelled");
-        require(!ticketNFT.isTicketUsed(tokenId), "Ticket already used");
+        // Refunds come out of both shares
+        uint256 organizerAmount = _organizerBalance(escrow);
+        uint256 platformFee = escrow.platformFees - escrow.feesWithdrawn - escrow.feesRefunded;
+        require(organizerAmount + platformFee > 0, "Nothing to withdraw");
         
-        // Mark ticket as used to prevent double refunds
-        ticketNFT.useTicket(tokenId);
+        escrow.organizerWithdrawn += organizerAmount;
+        escrow.feesWithdrawn += platformFee;
+        
+        // Transfer platform fee to admin
+        _transferFunds(eventId, platformAdmin, platformFee, "Platform fee transfer failed");
         
-        // Send refund to ticket owner
-        (bool success, ) = payable(msg.sender).call{value: ticket.purchasePrice}("");
-        require(success, "Refund failed");
+        // Transfer organizer share
+        _transferFunds(eventId, evt.organizer, organizerAmount, "Organizer payment failed");
         
-        emit RefundIssued(tokenId, msg.sender, ticket.purchasePrice);
+        emit EventFundsWithdrawn(eventId, evt.organizer, organizerAmount, platformFee);
+    }
+    
+    /**
+     * @dev Gets the escrow accounting of an event.
+     * @param eventId The ID of the event.
+     * @return escrowed Funds currently held for the event
+     * @return withdrawable Organizer share that can be withdrawn right now
+     * @return refunded Total refunded to ticket holders
+     */
+    function getEventEscrow(uint256 eventId) public view returns (
+        uint256 escrowed,
+        uint256 withdrawable,
+        uint256 refunded
+    ) {
+        EventEscrow storage escrow = eventEscrows[eventId];
+        
+        escrowed = _escrowBalance(eventId);
+        if (block.timestamp >= _escrowReleaseTime(eventId)) {
+            withdrawable = _organizerBalance(escrow);
+        }
+        refunded = escrow.refunded;
     }
     
     /**
@@ -401,110 +397,54 @@ contract EventTicketing is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Checks if a user has attended a specific event.
+     * @dev Gets all ticket tiers of an event.
      * @param eventId The ID of the event.
-     * @param user The address of the user.
-     * @return Whether the user has attended the event.
+     * @return The list of tiers, indexed by tier ID.
      */
-    function hasAttended(uint256 eventId, address user) public view returns (bool) {
-        return events[eventId].verifiedAttendees[user];
+    function getEventTiers(uint256 eventId) public view returns (TicketTier[] memory) {
+        return eventTiers[eventId];
     }
     
     /**
-     * @dev Returns the loyalty points for a user.
-     * @param user The address of the user.
-     * @return The number of loyalty points.
-     */
-    function getUserLoyaltyPoints(address user) public view returns (uint256) {
-        return loyaltyPoints[user];
-    }
-    
-    /**
-     * @dev Generates a QR code checksum for ticket verification.
-     * This is meant to be used off-chain to generate and verify QR codes.
-     * @param tokenId The ID of the ticket.
-     * @param timestamp Current timestamp to prevent replay attacks.
-     * @return A checksum that can be used to verify ticket authenticity.
-     */
-    function generateTicketChecksum(uint256 tokenId, uint256 timestamp) public view returns (bytes32) {
-        // Get the owner of the token
-        address owner = ticketNFT.ownerOf(tokenId);
-        
-        // Create a checksum combining token ID, owner, and timestamp
-        return keccak256(abi.encodePacked(tokenId, owner, address(this), timestamp));
-    }
-    
-    /**
-     * @dev Utility function to convert a uint256 to a string.
-     * @param value The uint256 to convert.
-     * @return The string representation of the uint256.
+     * @dev Returns the current price of a tier and when it next changes.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @return price The price of the next ticket sold.
+     * @return nextPrice The price after the next change (0 if the price no longer changes).
+     * @return nextPriceAt When a time-based price change happens (0 if none).
+     * @return ticketsUntilNextPrice Tickets left to sell before a demand-based change (0 if none).
      */
-    function _toString(uint256 value) internal pure returns (string memory) {
-        // This function handles the conversion of a uint to a string
-        if (value == 0) {
-            return "0";
-        }
-        
-        uint256 temp = value;
-        uint256 digits;
-        
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
-        }
-        
-        bytes memory buffer = new bytes(digits);
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
-            value /= 10;
-        }
-        
-        return string(buffer);
-    }
-
-    function generateQRCodeData(uint256 tokenId) public view returns (bytes memory) {
-        address owner = ticketNFT.ownerOf(tokenId);
-        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
-        uint256 eventId = ticket.eventId;
-        uint256 timestamp = block.timestamp;
-        
-        bytes32 checksum = keccak256(abi.encodePacked(tokenId, owner, eventId, address(this), timestamp));
-        
-        return abi.encode(tokenId, eventId, timestamp, checksum);
-    }
-
-    function verifyQRCode(bytes memory qrData, uint256 maxAgeSeconds) public view returns (
-        bool isValid,
-        uint256 tokenId,
-        uint256 eventId,
-        address owner
+    function getTicketPrice(uint256 eventId, uint256 tierId) external view returns (
+        uint256 price,
+        uint256 nextPrice,
+        uint256 nextPriceAt,
+        uint256 ticketsUntilNextPrice
     ) {
-        uint256 timestamp;
-        bytes32 receivedChecksum;
-        (tokenId, eventId, timestamp, receivedChecksum) = abi.decode(qrData, (uint256, uint256, uint256, bytes32));
-
-        if (block.timestamp > timestamp + maxAgeSeconds) {
-            return (false, tokenId, eventId, address(0));
-        }
-
-        try ticketNFT.ownerOf(tokenId) returns (address ticketOwner) {
-            owner = ticketOwner;
-        } catch {
-            return (false, tokenId, eventId, address(0));
-        }
-
-        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
-        if (ticket.eventId != eventId || ticketNFT.isTicketUsed(tokenId)) {
-            return (false, tokenId, eventId, owner);
+        price = _currentPrice(eventId, tierId);
+        
+        TicketTier storage tier = eventTiers[eventId][tierId];
+        PricingStrategy storage pricing = tierPricing[eventId][tierId];
+        
+        if (pricing.mode == PricingMode.EarlyBird && block.timestamp < pricing.earlyBirdEnd) {
+            nextPrice = tier.price;
+            nextPriceAt = pricing.earlyBirdEnd;
+        } else if (pricing.mode == PricingMode.LinearRamp) {
+            (uint256 step, uint256 steps) = _rampStep(tier, pricing);
+            if (step < steps) {
+                nextPrice = tier.price + ((pricing.endPrice - tier.price) * (step + 1)) / steps;
+                nextPriceAt = tier.saleStart + (step + 1) * pricing.stepInterval;
+            }
+        } else if (pricing.mode == PricingMode.DemandSteps) {
+            // First sale count that reaches the next step
+            uint256 step = (tier.sold * 10000) / tier.supply / pricing.stepSize;
+            uint256 threshold = ((step + 1) * pricing.stepSize * tier.supply + 9999) / 10000;
+            if (threshold < tier.supply) {
+                nextPrice = price + pricing.stepIncrease;
+                ticketsUntilNextPrice = threshold - tier.sold;
+            }
         }
-
-        bytes32 calculatedChecksum = keccak256(abi.encodePacked(tokenId, owner, eventId, address(this), timestamp));
-        isValid = (calculatedChecksum == receivedChecksum);
-
-        return (isValid, tokenId, eventId, owner);
     }
-
+    
     // Helper function to convert bytes32 to string
     function _bytes32ToString(bytes32 data) internal pure returns (string memory) {
         return string(abi.encodePacked("0x", _toHexString(uint256(data), 32)));
@@ -620,9 +560,11 @@ contract EventTicketing is Ownable, ReentrancyGuard {
     receive() external payable {
         // Allow contract to receive ETH for potential refunds
     }
-
+    
     /**
-     * @dev Processes a cross-chain payment and mints a ticket
+     * @dev Processes a cross-chain payment and mints a ticket in the tier it was quoted for.
+     * Any amount above the ticket price is recorded in the bridge and refunded to the payer
+     * on the source chain.
      * @param paymentId ID of the cross-chain payment
      * @return The token ID of the minted ticket
      */
@@ -643,14 +585,18 @@ contract EventTicketing is Ownable, ReentrancyGuard {
         
         // Verify event is active and tickets are available
         require(evt.isActive, "Event is not active");
-        require(evt.ticketsSold < evt.totalTickets, "No more tickets available");
+        require(eventPaymentToken[eventId] == address(0), "Event is priced in ERC-20");
         require(block.timestamp < evt.eventDate, "Event has already occurred");
         
+        // Sell from the tier the payment was quoted for
+        uint256 tierId = payment.tierId;
+        uint256 ticketPrice = _priceAt(eventId, tierId, _sellFromTier(eventId, tierId, payment.payer, 1).sold - 1);
+        
         // Convert amount from source chain to target chain
-        uint256 convertedAmount = crossChainBridge.convertAmount(payment.sourceChainId, payment.amount);
+        uint256 convertedAmount = crossChainBridge.convertAmount(payment.sourceChainId, payment.token, payment.amount);
         
         // Check converted amount matches ticket price
-        require(convertedAmount >= evt.ticketPrice, "Insufficient payment amount");
+        require(convertedAmount >= ticketPrice, "Insufficient payment amount");
         
         // Check World ID verification if required
         if (evt.worldIdRequired) {
@@ -660,50 +606,22 @@ contract EventTicketing is Ownable, ReentrancyGuard {
             );
         }
         
-        // Mark payment as processed in the bridge
-        crossChainBridge.markPaymentAsProcessed(paymentId);
-        
-        // Mint the ticket
-        uint256 ticketIndex = evt.ticketsSold;
-        evt.ticketsSold++;
-        
-        // Calculate platform fee
-        uint256 platformFee = (evt.ticketPrice * platformFeePercentage) / 10000;
-        uint256 organizerAmount = evt.ticketPrice - platformFee;
-        
-        // Transfer platform fee to admin (from this contract's balance)
-        (bool feeSuccess, ) = platformAdmin.call{value: platformFee}("");
-        require(feeSuccess, "Platform fee transfer failed");
-        
-        // Transfer remaining amount to organizer
-        (bool paySuccess, ) = payable(evt.organizer).call{value: organizerAmount}("");
-        require(paySuccess, "Organizer payment failed");
-        
-        // Generate simple ticket URI
-        string memory ticketURI = string(abi.encodePacked(
-            "ticket://", 
-            _toString(eventId),
-            "/",
-            _toString(ticketIndex)
-        ));
-        
-        // Mint the NFT ticket
-        uint256 tokenId = ticketNFT.mintTicket(
-            payment.payer, 
-            eventId, 
-            ticketIndex, 
-            evt.ticketPrice,
-            ticketURI
-        );
+        // Mark payment as processed in the bridge, which delivers the ticket price
+        // and records any overpayment for refund
+        uint256 balanceBefore = address(this).balance;
+        crossChainBridge.markPaymentAsProcessed(paymentId, ticketPrice);
+        require(address(this).balance - balanceBefore >= ticketPrice, "Bridged funds not received");
         
-        // Award loyalty points
-        loyaltyPoints[payment.payer]++;
-        emit LoyaltyPointsEarned(payment.payer, 1);
+        // Escrow the ticket price from the bridged funds
+        _settlePayment(eventId, ticketPrice);
         
-        emit TicketMinted(tokenId, eventId, payment.payer, evt.ticketPrice);
+        uint256 tokenId = _mintTicket(eventId, tierId, payment.payer, payment.payer, ticketPrice);
+        
+        // Award loyalty points
+        _awardLoyaltyPoints(payment.payer, 1);
         
         emit CrossChainPaymentProcessed(paymentId, eventId, payment.payer, tokenId);
         
         return tokenId;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,968 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./EventTicketNFT.sol";
+import "./WorldIDVerifier.sol";
+import "./CrossChainBridge.sol";
+import "./LoyaltyProgram.sol";
+import "./AttendanceBadge.sol";
+import "./interfaces/IOrganizerVerifier.sol";
+
+/**
+ * @title EventTicketingBase
+ * @dev Shared storage layout, events and internal helpers of the ticketing platform.
+ * EventTicketing and every ticketing module inherit this contract so that modules can
+ * run against EventTicketing's storage through delegatecall. Once deployed, modules
+ * share the layout they were compiled with, so upgrades may only append new state.
+ */
+abstract contract EventTicketingBase is Ownable, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+    
+    // Reference to the NFT contract
+    EventTicketNFT public ticketNFT;
+    
+    // Reference to the World ID verifier contract
+    WorldIDVerifier public worldIDVerifier;
+    
+    // Reference to the cross-chain bridge contract
+    CrossChainBridge public crossChainBridge;
+    
+    // Optional World ID organizer verifier (address(0) when not wired)
+    IOrganizerVerifier public organizerVerifier;
+    
+    // Loyalty program that tracks points (address(0) when not wired)
+    LoyaltyProgram public loyaltyProgram;
+    
+    // Soulbound attendance badges minted on check-in (address(0) when not wired)
+    AttendanceBadge public attendanceBadge;
+    
+    // Simple counter for event IDs
+    uint256 public nextEventId;
+    
+    // Platform fee percentage (in basis points, 100 = 1%)
+    uint256 public platformFeePercentage = 200; // 2% default
+    
+    // Default maximum resale markup over the original ticket price (in basis points)
+    uint256 public maxResalePriceIncrease = 5000; // 50% default
+    
+    // Struct to represent an event
+    struct Event {
+        string name;
+        string description;
+        uint256 eventDate;
+        uint256 totalTickets;
+        uint256 ticketsSold;
+        uint256 ticketPrice;
+        address organizer;
+        bool isActive; // Whether the event is active or cancelled
+        mapping(address => bool) verifiedAttendees; // Track attendance
+        bool worldIdRequired; // Whether World ID verification is required
+    }
+    
+    // Struct to represent a ticket tier within an event (e.g. GA, VIP, early-bird)
+    struct TicketTier {
+        string name;
+        uint256 price;
+        uint256 supply;
+        uint256 sold;
+        uint256 saleStart;
+        uint256 saleEnd;
+        bool worldIdRequired;
+    }
+    
+    // Mapping from event ID to Event details
+    mapping(uint256 => Event) public events;
+    
+    // Mapping from event ID to its ticket tiers (tier 0 is created with the event)
+    mapping(uint256 => TicketTier[]) public eventTiers;
+    
+    // How a tier's price moves over its sale (the tier price is the base price)
+    enum PricingMode { Fixed, EarlyBird, LinearRamp, DemandSteps }
+    
+    // Struct to represent the dynamic pricing strategy of a ticket tier
+    struct PricingStrategy {
+        PricingMode mode;
+        uint256 earlyBirdPrice;  // EarlyBird: price until earlyBirdEnd
+        uint256 earlyBirdEnd;    // EarlyBird: when the early-bird window closes
+        uint256 endPrice;        // LinearRamp: price reached when the tier's sale ends
+        uint256 stepInterval;    // LinearRamp: seconds between price increases
+        uint256 stepSize;        // DemandSteps: share of supply sold per step (basis points)
+        uint256 stepIncrease;    // DemandSteps: price increase per step
+    }
+    
+    // Mapping from event ID to tier ID to its pricing strategy
+    mapping(uint256 => mapping(uint256 => PricingStrategy)) public tierPricing;
+    
+    // Mapping from event ID to the maximum tickets a single wallet can buy (0 = unlimited)
+    mapping(uint256 => uint256) public maxTicketsPerWallet;
+    
+    // Mapping from event ID to tickets bought per wallet
+    mapping(uint256 => mapping(address => uint256)) public walletPurchases;
+    
+    // Mapping from event ID to the maximum tickets a single World ID verified human can buy (0 = unlimited)
+    mapping(uint256 => uint256) public maxTicketsPerHuman;
+    
+    // Mapping from event ID to tickets bought per World ID nullifier hash
+    mapping(uint256 => mapping(uint256 => uint256)) public humanPurchases;
+    
+    // Maximum number of tickets minted in a single batch purchase
+    uint256 public constant MAX_BATCH_SIZE = 20;
+    
+    // Time a waitlisted user has to claim an offered seat before it passes to the next person
+    uint256 public constant WAITLIST_CLAIM_WINDOW = 1 days;
+    
+    // Struct to represent a user waiting for a seat in a sold-out tier
+    struct WaitlistEntry {
+        address user;         // address(0) once the entry has left, expired or claimed
+        uint256 deposit;      // Optional deposit, credited towards the ticket price
+        uint256 offerExpiry;  // Non-zero once a seat has been offered
+        bool priority;        // Whether the entry was moved to the priority queue
+    }
+    
+    // Struct to represent the FIFO waitlist of a ticket tier
+    struct Waitlist {
+        WaitlistEntry[] entries;
+        uint256 next;          // Index of the next entry to offer a seat to
+        uint256 reservedSeats; // Seats held for outstanding offers
+        uint256[] priorityQueue; // Indexes of entries offered seats ahead of the line
+        uint256 priorityNext;  // Index of the next priority entry to offer a seat to
+    }
+    
+    // Mapping from event ID to tier ID to its waitlist
+    mapping(uint256 => mapping(uint256 => Waitlist)) public waitlists;
+    
+    // Mapping from event ID to tier ID to user to their waitlist entry index (plus one)
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) public waitlistIndex;
+
+    // Time after an event during which its revenue stays in escrow
+    uint256 public disputeWindow = 7 days;
+    
+    // Time after a cancellation during which holders can claim their refund
+    uint256 public refundClaimPeriod = 30 days;
+    
+    // Mapping from event ID to the timestamp its cancellation refunds can be claimed until
+    mapping(uint256 => uint256) public refundDeadlines;
+    
+    // Time after a postponement during which existing holders can opt into a refund
+    uint256 public postponementRefundWindow = 7 days;
+    
+    // Struct to track the refund window opened by the latest postponement of an event
+    struct Postponement {
+        uint256 refundDeadline;   // Refunds can be claimed until this timestamp
+        uint256 eligibleTickets;  // Tickets with a lower index were sold before the postponement
+    }
+    
+    // Mapping from event ID to its latest postponement
+    mapping(uint256 => Postponement) public postponements;
+    
+    // Why a ticket was refunded
+    enum RefundReason { Cancellation, Postponement, Return }
+    
+    // Struct to represent one step of an event's refund policy
+    struct RefundRule {
+        uint256 cutoff;       // Applies until this many seconds before the event
+        uint256 percentage;   // Share of the ticket price refunded (in basis points)
+    }
+    
+    // Maximum number of steps in a refund policy
+    uint256 public constant MAX_REFUND_RULES = 5;
+    
+    // Mapping from event ID to its refund policy, ordered by descending cutoff
+    mapping(uint256 => RefundRule[]) internal refundPolicies;
+    
+    // Whether the platform fee is refunded on voluntary returns (otherwise returns are net of it)
+    bool public refundPlatformFeeOnReturn = true;
+    
+    // Mapping from ticket ID to the price it was first sold for
+    mapping(uint256 => uint256) public ticketSalePrices;
+    
+    // Mapping from ticket ID to the account that bought it, charged for its purchase limits and loyalty point
+    mapping(uint256 => address) public ticketBuyers;
+    
+    // Time a gifted ticket can be claimed before its buyer may take it back
+    uint256 public giftClaimPeriod = 30 days;
+    
+    // Struct to represent a gifted ticket held by this contract until claimed
+    struct Gift {
+        uint256 tokenId;
+        address buyer;
+        uint256 expiry;     // The buyer can reclaim the ticket after this timestamp
+    }
+    
+    // Mapping from the hash of a gift's claim secret to the gift
+    mapping(bytes32 => Gift) public gifts;
+
+    // Struct to track the funds held in escrow for an event
+    struct EventEscrow {
+        uint256 organizerRevenue;   // Organizer share of ticket sales
+        uint256 platformFees;       // Platform fees accrued on ticket sales
+        uint256 resaleHoldbacks;    // Resale markups held back from sellers
+        uint256 organizerWithdrawn; // Organizer share already paid out
+        uint256 feesWithdrawn;      // Platform fees already paid out
+        uint256 resaleReleased;     // Resale holdbacks already paid out
+        uint256 refunded;           // Refunds paid to ticket holders
+        uint256 feesRefunded;       // Part of the refunds taken out of the platform fees
+        uint256 holdbacksRefunded;  // Part of the refunds taken out of the resale holdbacks
+    }
+    
+    // Mapping from event ID to its escrow accounting
+    mapping(uint256 => EventEscrow) public eventEscrows;
+    
+    // Mapping from event ID to resale proceeds held back per seller
+    mapping(uint256 => mapping(address => uint256)) public resaleHoldbacks;
+    
+    // ERC-20 tokens the platform admin allows events to be priced in
+    mapping(address => bool) public allowedPaymentTokens;
+    
+    // Mapping from event ID to its payment token (address(0) for native ETH)
+    mapping(uint256 => address) public eventPaymentToken;
+    
+    // Struct to represent a discount voucher signed by the event organizer (EIP-712)
+    struct Voucher {
+        uint256 eventId;
+        bytes32 code;         // Promo code, redemptions are counted per code
+        bool isPercentage;    // Whether discount is in basis points or a fixed amount
+        uint256 discount;     // Basis points off the tier price, or amount off in the payment token
+        uint256 maxUses;      // Maximum number of redemptions of this code
+        uint256 expiry;       // Timestamp after which the voucher can't be redeemed
+        address recipient;    // Only this address can redeem it (address(0) for anyone)
+    }
+    
+    bytes32 public constant VOUCHER_TYPEHASH = keccak256(
+        "Voucher(uint256 eventId,bytes32 code,bool isPercentage,uint256 discount,uint256 maxUses,uint256 expiry,address recipient)"
+    );
+    
+    // Mapping from event ID to voucher code to the number of redemptions
+    mapping(uint256 => mapping(bytes32 => uint256)) public voucherRedemptions;
+
+    // Struct to configure claims of free (zero-price) tickets
+    struct RsvpSettings {
+        bool oneTicketPerHuman; // Claimers must be World ID verified and can claim once
+        bool requiresApproval;  // Claims are requests the organizer must approve
+    }
+    
+    enum RsvpStatus { None, Pending, Approved, Rejected }
+    
+    // Struct to represent a request for a free ticket awaiting organizer approval
+    struct RsvpRequest {
+        RsvpStatus status;
+        uint256 tierId;
+    }
+    
+    // Mapping from event ID to its RSVP settings
+    mapping(uint256 => RsvpSettings) public rsvpSettings;
+    
+    // Mapping from event ID to attendee to their RSVP request
+    mapping(uint256 => mapping(address => RsvpRequest)) public rsvpRequests;
+    
+    // Mapping from event ID to whether a human (by World ID nullifier) has claimed its free ticket
+    mapping(uint256 => mapping(uint256 => bool)) public rsvpClaimed;
+
+    // Mapping from organizer address to verified status
+    mapping(address => bool) public verifiedOrganizers;
+    
+    // Struct to represent the perks an organizer grants to a loyalty tier
+    struct LoyaltyPerks {
+        uint256 discountPercentage;  // Discount on loyalty purchases (basis points)
+        bool priorityWaitlist;       // Priority waitlist access without spending points
+    }
+    
+    // Mapping from event ID to loyalty tier to its perks
+    mapping(uint256 => mapping(LoyaltyProgram.Tier => LoyaltyPerks)) public loyaltyPerks;
+    
+    // Platform admin address for fee collection
+    address payable public platformAdmin;
+    
+    // Struct to hold the secondary-market terms of an event
+    struct ResaleTerms {
+        bool allowResale;           // Whether tickets can be resold
+        uint256 resaleDeadline;     // Timestamp after which resale is closed
+        uint256 maxPriceIncrease;   // Maximum markup over ticketPrice (basis points)
+        uint256 royaltyPercentage;  // Organizer royalty on each resale (basis points)
+    }
+    
+    // Struct to represent a ticket listed for resale
+    struct ResaleListing {
+        address seller;
+        uint256 price;
+        bool isListed;
+    }
+    
+    // Mapping from event ID to resale terms
+    mapping(uint256 => ResaleTerms) public resaleTerms;
+    
+    // Mapping from token ID to resale listing
+    mapping(uint256 => ResaleListing) public resaleTickets;
+    
+    // Action ID for World ID verification
+    string public constant WORLD_ID_ACTION = "purchase-ticket";
+    
+    // Struct to hold event creation parameters
+    struct EventCreationParams {
+        string name;
+        string description;
+        uint256 eventDate;
+        uint256 totalTickets;
+        uint256 ticketPrice;
+        bool worldIdRequired;
+    }
+    
+    // Events for tracking actions
+    event EventCreated(
+        uint256 indexed eventId,
+        string name,
+        string description,
+        uint256 eventDate,
+        uint256 totalTickets,
+        uint256 ticketPrice,
+        address indexed organizer,
+        bool worldIdRequired
+    );
+    
+    event OrganizerVerified(address indexed organizer);
+    
+    event OrganizerVerifierUpdated(address indexed verifier);
+    
+    event TicketTierAdded(
+        uint256 indexed eventId,
+        uint256 indexed tierId,
+        string name,
+        uint256 price,
+        uint256 supply,
+        uint256 saleStart,
+        uint256 saleEnd,
+        bool worldIdRequired
+    );
+    
+    event PricingStrategySet(uint256 indexed eventId, uint256 indexed tierId, PricingMode mode);
+    
+    event TicketMinted(
+        uint256 indexed tokenId,
+        uint256 indexed eventId,
+        address indexed buyer,
+        uint256 price
+    );
+    
+    event EventCancelled(uint256 indexed eventId);
+    
+    event RefundIssued(
+        uint256 indexed tokenId,
+        address indexed ticketOwner,
+        uint256 amount,
+        RefundReason reason,
+        uint256 percentage
+    );
+    
+    event RefundPolicyUpdated(uint256 indexed eventId, RefundRule[] rules);
+    
+    event RefundFeePolicyUpdated(bool refundPlatformFeeOnReturn);
+    
+    event TicketReturned(uint256 indexed tokenId, uint256 indexed eventId, uint256 indexed tierId);
+    
+    event GiftPurchased(bytes32 indexed claimHash, uint256 indexed tokenId, address indexed buyer, uint256 expiry);
+    
+    event GiftClaimed(bytes32 indexed claimHash, uint256 indexed tokenId, address indexed recipient);
+    
+    event GiftReclaimed(bytes32 indexed claimHash, uint256 indexed tokenId, address indexed buyer);
+    
+    event LoyaltyProgramUpdated(address indexed loyaltyProgram);
+    
+    event AttendanceBadgeUpdated(address indexed attendanceBadge);
+    
+    event LoyaltyPerksUpdated(
+        uint256 indexed eventId,
+        LoyaltyProgram.Tier tier,
+        uint256 discountPercentage,
+        bool priorityWaitlist
+    );
+    
+    event MaxTicketsPerWalletUpdated(uint256 indexed eventId, uint256 maxTickets);
+    event MaxTicketsPerHumanUpdated(uint256 indexed eventId, uint256 maxTickets, string actionId);
+    
+    event EventUpdated(uint256 indexed eventId, string name, string description);
+    
+    event EventPostponed(
+        uint256 indexed eventId,
+        uint256 oldDate,
+        uint256 newDate,
+        uint256 refundDeadline
+    );
+    
+    event TierSupplyIncreased(uint256 indexed eventId, uint256 indexed tierId, uint256 newSupply);
+    
+    event SalesEnded(uint256 indexed eventId);
+
+    event WaitlistJoined(
+        uint256 indexed eventId,
+        uint256 indexed tierId,
+        address indexed user,
+        uint256 deposit
+    );
+    
+    event WaitlistSeatOffered(
+        uint256 indexed eventId,
+        uint256 indexed tierId,
+        address indexed user,
+        uint256 offerExpiry
+    );
+    
+    event WaitlistSeatClaimed(
+        uint256 indexed eventId,
+        uint256 indexed tierId,
+        address indexed user,
+        uint256 tokenId
+    );
+    
+    event WaitlistLeft(uint256 indexed eventId, uint256 indexed tierId, address indexed user);
+    event WaitlistPrioritized(uint256 indexed eventId, uint256 indexed tierId, address indexed user, uint256 pointsSpent);
+
+    event VoucherRedeemed(
+        uint256 indexed eventId,
+        bytes32 indexed code,
+        address indexed buyer,
+        uint256 discount
+    );
+
+    event RsvpSettingsUpdated(uint256 indexed eventId, bool oneTicketPerHuman, bool requiresApproval);
+    
+    event RsvpRequested(uint256 indexed eventId, uint256 indexed tierId, address indexed attendee);
+    
+    event RsvpApproved(uint256 indexed eventId, address indexed attendee, uint256 tokenId);
+    
+    event RsvpRejected(uint256 indexed eventId, address indexed attendee);
+
+    event FundsEscrowed(uint256 indexed eventId, uint256 amount);
+    
+    event PaymentTokenAllowed(address indexed token, bool allowed);
+    
+    event EventPaymentTokenSet(uint256 indexed eventId, address indexed token);
+    
+    event EventFundsWithdrawn(
+        uint256 indexed eventId,
+        address indexed organizer,
+        uint256 organizerAmount,
+        uint256 platformFee
+    );
+    
+    event ResaleProceedsWithdrawn(
+        uint256 indexed eventId,
+        address indexed seller,
+        uint256 amount
+    );
+    
+    event ResaleTermsUpdated(
+        uint256 indexed eventId,
+        bool allowResale,
+        uint256 resaleDeadline,
+        uint256 maxPriceIncrease,
+        uint256 royaltyPercentage
+    );
+    
+    event TicketListedForResale(uint256 indexed tokenId, uint256 price);
+    
+    event ResaleListingCancelled(uint256 indexed tokenId);
+    
+    event TicketResold(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price
+    );
+    
+    event CrossChainPaymentProcessed(
+        bytes32 indexed paymentId,
+        uint256 indexed eventId,
+        address indexed buyer,
+        uint256 tokenId
+    );
+
+    /**
+     * @dev Sets the deployer as owner and fixes the EIP-712 domain shared by all modules
+     */
+    constructor() Ownable(msg.sender) EIP712("EventTicketing", "1") {}
+    
+    /**
+     * @dev Modifier to check if the sender is the organizer of an event.
+     */
+    modifier onlyEventOrganizer(uint256 eventId) {
+        require(events[eventId].organizer == msg.sender, "Not the event organizer");
+        _;
+    }
+    
+    /**
+     * @dev Modifier to check if World ID verification is required and fulfilled
+     */
+    modifier worldIdVerifiedIfRequired(uint256 eventId) {
+        if (events[eventId].worldIdRequired) {
+            require(
+                worldIDVerifier.isVerified(msg.sender),
+                "World ID verification required"
+            );
+        }
+        _;
+    }
+
+    /**
+     * @dev Returns the World ID action buyers verify with to be counted towards an
+     * event's per-human ticket limit or one-per-human free tickets.
+     * @param eventId The ID of the event.
+     * @return The action identifier.
+     */
+    function eventWorldIdAction(uint256 eventId) public pure returns (string memory) {
+        return string.concat(WORLD_ID_ACTION, "-", _toString(eventId));
+    }
+    
+    /**
+     * @dev Registers an event's World ID action, so buyers can verify for it.
+     * @return actionId The action identifier.
+     */
+    function _registerEventWorldIdAction(uint256 eventId) internal returns (string memory actionId) {
+        actionId = eventWorldIdAction(eventId);
+        if (!worldIDVerifier.registeredActions(actionId)) {
+            worldIDVerifier.registerAction(actionId);
+        }
+    }
+    
+    /**
+     * @dev Sells a single ticket in a tier to the caller at its current price, less any
+     * voucher or loyalty discount, and mints it to `recipient`. A `maxPrice` of 0
+     * requires exact payment.
+     */
+    function _buyTicket(
+        uint256 eventId,
+        uint256 tierId,
+        address recipient,
+        uint256 discount,
+        uint256 maxPrice
+    ) internal returns (uint256) {
+        Event storage evt = events[eventId];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        
+        TicketTier storage tier = _sellFromTier(eventId, tierId, msg.sender, 1);
+        uint256 price = _priceAt(eventId, tierId, tier.sold - 1) - discount;
+        if (maxPrice == 0) {
+            _collectPayment(eventId, price);
+        } else {
+            require(price <= maxPrice, "Price exceeds max price");
+            _collectPayment(eventId, price, maxPrice);
+        }
+        
+        _settlePayment(eventId, price);
+        
+        uint256 tokenId = _mintTicket(eventId, tierId, msg.sender, recipient, price);
+        
+        // Award loyalty points (1 point per purchase)
+        _awardLoyaltyPoints(msg.sender, 1);
+        
+        return tokenId;
+    }
+    
+    /**
+     * @dev Awards loyalty points through the loyalty program, if one is wired.
+     */
+    function _awardLoyaltyPoints(address user, uint256 points) internal {
+        if (address(loyaltyProgram) != address(0)) {
+            loyaltyProgram.awardPoints(user, points);
+        }
+    }
+    
+    /**
+     * @dev Offers freed seats of a tier to the next users on its waitlist, starting
+     * with the priority queue. Seats left over once the waitlist is exhausted go
+     * back on general sale.
+     */
+    function _offerWaitlistSeats(uint256 eventId, uint256 tierId, uint256 seats) internal {
+        Waitlist storage waitlist = waitlists[eventId][tierId];
+        
+        while (seats > 0 && waitlist.priorityNext < waitlist.priorityQueue.length) {
+            WaitlistEntry storage entry = waitlist.entries[waitlist.priorityQueue[waitlist.priorityNext]];
+            waitlist.priorityNext++;
+            
+            if (_offerWaitlistSeat(eventId, tierId, entry)) {
+                seats--;
+            }
+        }
+        
+        while (seats > 0 && waitlist.next < waitlist.entries.length) {
+            WaitlistEntry storage entry = waitlist.entries[waitlist.next];
+            waitlist.next++;
+            
+            if (_offerWaitlistSeat(eventId, tierId, entry)) {
+                seats--;
+            }
+        }
+    }
+    
+    /**
+     * @dev Offers a seat to a waitlist entry, skipping entries that left the
+     * waitlist or were already offered a seat from the priority queue.
+     */
+    function _offerWaitlistSeat(
+        uint256 eventId,
+        uint256 tierId,
+        WaitlistEntry storage entry
+    ) internal returns (bool) {
+        if (!_isWaiting(entry)) {
+            return false;
+        }
+        
+        entry.offerExpiry = block.timestamp + WAITLIST_CLAIM_WINDOW;
+        waitlists[eventId][tierId].reservedSeats++;
+        
+        emit WaitlistSeatOffered(eventId, tierId, entry.user, entry.offerExpiry);
+        return true;
+    }
+    
+    /**
+     * @dev Checks whether a waitlist entry is still waiting for a seat offer.
+     */
+    function _isWaiting(WaitlistEntry storage entry) internal view returns (bool) {
+        return entry.user != address(0) && entry.offerExpiry == 0;
+    }
+    
+    /**
+     * @dev Stores a new tier and adds its supply to the event total.
+     */
+    function _addTicketTier(
+        uint256 eventId,
+        string memory name,
+        uint256 price,
+        uint256 supply,
+        uint256 saleStart,
+        uint256 saleEnd,
+        bool worldIdRequired
+    ) internal returns (uint256) {
+        require(supply > 0, "Total tickets must be greater than zero");
+        require(saleStart < saleEnd, "Invalid sale window");
+        require(saleEnd <= events[eventId].eventDate, "Sale ends after event date");
+        
+        uint256 tierId = eventTiers[eventId].length;
+        eventTiers[eventId].push(TicketTier({
+            name: name,
+            price: price,
+            supply: supply,
+            sold: 0,
+            saleStart: saleStart,
+            saleEnd: saleEnd,
+            worldIdRequired: worldIdRequired
+        }));
+        events[eventId].totalTickets += supply;
+        
+        emit TicketTierAdded(eventId, tierId, name, price, supply, saleStart, saleEnd, worldIdRequired);
+        
+        return tierId;
+    }
+    
+    /**
+     * @dev Checks that a tier is on sale to the buyer and reserves tickets from it,
+     * enforcing the event's per-wallet and per-human caps.
+     */
+    function _sellFromTier(
+        uint256 eventId,
+        uint256 tierId,
+        address buyer,
+        uint256 quantity
+    ) internal returns (TicketTier storage) {
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        TicketTier storage tier = eventTiers[eventId][tierId];
+        
+        require(block.timestamp >= tier.saleStart, "Tier sale not started");
+        require(block.timestamp < tier.saleEnd, "Tier sale ended");
+        require(
+            tier.sold + quantity + waitlists[eventId][tierId].reservedSeats <= tier.supply,
+            "No more tickets available"
+        );
+        if (tier.worldIdRequired) {
+            require(
+                worldIDVerifier.isVerified(buyer),
+                "World ID verification required"
+            );
+        }
+        
+        if (tier.price == 0) {
+            _checkRsvp(eventId, buyer, quantity);
+        }
+        
+        uint256 walletLimit = maxTicketsPerWallet[eventId];
+        uint256 purchased = walletPurchases[eventId][buyer] + quantity;
+        require(walletLimit == 0 || purchased <= walletLimit, "Wallet ticket limit reached");
+        walletPurchases[eventId][buyer] = purchased;
+        
+        uint256 humanLimit = maxTicketsPerHuman[eventId];
+        if (humanLimit > 0) {
+            uint256 nullifierHash = worldIDVerifier.getActionNullifier(eventWorldIdAction(eventId), buyer);
+            require(nullifierHash != 0, "Event World ID verification required");
+            
+            purchased = humanPurchases[eventId][nullifierHash] + quantity;
+            require(purchased <= humanLimit, "Human ticket limit reached");
+            humanPurchases[eventId][nullifierHash] = purchased;
+        }
+        
+        tier.sold += quantity;
+        return tier;
+    }
+    
+    /**
+     * @dev Validates and stores the pricing strategy of a tier.
+     */
+    function _setTierPricing(uint256 eventId, uint256 tierId, PricingStrategy calldata pricing) internal {
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        TicketTier storage tier = eventTiers[eventId][tierId];
+        require(tier.sold == 0, "Tier already has sales");
+        
+        if (pricing.mode != PricingMode.Fixed) {
+            require(tier.price > 0, "Free tiers have fixed pricing");
+        }
+        if (pricing.mode == PricingMode.EarlyBird) {
+            require(pricing.earlyBirdPrice < tier.price, "Early-bird price must be lower");
+            require(
+                pricing.earlyBirdEnd > tier.saleStart && pricing.earlyBirdEnd < tier.saleEnd,
+                "Invalid early-bird window"
+            );
+        } else if (pricing.mode == PricingMode.LinearRamp) {
+            require(pricing.endPrice > tier.price, "End price must be higher");
+            require(
+                pricing.stepInterval > 0 && pricing.stepInterval < tier.saleEnd - tier.saleStart,
+                "Invalid step interval"
+            );
+        } else if (pricing.mode == PricingMode.DemandSteps) {
+            require(pricing.stepSize > 0 && pricing.stepSize <= 10000, "Invalid step size");
+            require(pricing.stepIncrease > 0, "Invalid step increase");
+        }
+        
+        tierPricing[eventId][tierId] = pricing;
+        emit PricingStrategySet(eventId, tierId, pricing.mode);
+    }
+    
+    /**
+     * @dev Returns the price of the next ticket sold in a tier.
+     */
+    function _currentPrice(uint256 eventId, uint256 tierId) internal view returns (uint256) {
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        return _priceAt(eventId, tierId, eventTiers[eventId][tierId].sold);
+    }
+    
+    /**
+     * @dev Returns the price of a tier's ticket once `sold` tickets have been sold.
+     */
+    function _priceAt(uint256 eventId, uint256 tierId, uint256 sold) internal view returns (uint256) {
+        TicketTier storage tier = eventTiers[eventId][tierId];
+        PricingStrategy storage pricing = tierPricing[eventId][tierId];
+        
+        if (pricing.mode == PricingMode.EarlyBird) {
+            return block.timestamp < pricing.earlyBirdEnd ? pricing.earlyBirdPrice : tier.price;
+        }
+        if (pricing.mode == PricingMode.LinearRamp) {
+            (uint256 step, uint256 steps) = _rampStep(tier, pricing);
+            if (steps == 0) {
+                return pricing.endPrice;
+            }
+            return tier.price + ((pricing.endPrice - tier.price) * step) / steps;
+        }
+        if (pricing.mode == PricingMode.DemandSteps) {
+            return tier.price + pricing.stepIncrease * ((sold * 10000) / tier.supply / pricing.stepSize);
+        }
+        return tier.price;
+    }
+    
+    /**
+     * @dev Returns how many price increases of a linear ramp have happened, out of the total.
+     */
+    function _rampStep(
+        TicketTier storage tier,
+        PricingStrategy storage pricing
+    ) internal view returns (uint256 step, uint256 steps) {
+        // Sales ended early may leave no room for any step
+        if (tier.saleEnd > tier.saleStart) {
+            steps = (tier.saleEnd - tier.saleStart) / pricing.stepInterval;
+        }
+        if (block.timestamp > tier.saleStart) {
+            step = (block.timestamp - tier.saleStart) / pricing.stepInterval;
+        }
+        if (step > steps) {
+            step = steps;
+        }
+    }
+    
+    /**
+     * @dev Applies the event's RSVP settings to a claim of free tickets. When approval
+     * is required, free tickets can only be issued by the organizer approving a request.
+     */
+    function _checkRsvp(uint256 eventId, address buyer, uint256 quantity) internal {
+        RsvpSettings storage rsvp = rsvpSettings[eventId];
+        
+        if (rsvp.requiresApproval) {
+            require(
+                msg.sender == events[eventId].organizer &&
+                    rsvpRequests[eventId][buyer].status == RsvpStatus.Pending,
+                "Approval required"
+            );
+        }
+        if (rsvp.oneTicketPerHuman) {
+            // The event's nullifier is the same for every wallet of a human
+            uint256 nullifierHash = worldIDVerifier.getActionNullifier(eventWorldIdAction(eventId), buyer);
+            require(nullifierHash != 0, "Event World ID verification required");
+            require(quantity == 1 && !rsvpClaimed[eventId][nullifierHash], "Free ticket already claimed");
+            rsvpClaimed[eventId][nullifierHash] = true;
+        }
+    }
+    
+    /**
+     * @dev Holds a payment in the event's escrow, split between the organizer
+     * share and the platform fee.
+     */
+    function _settlePayment(uint256 eventId, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        
+        // Calculate platform fee
+        uint256 platformFee = (amount * platformFeePercentage) / 10000;
+        
+        EventEscrow storage escrow = eventEscrows[eventId];
+        escrow.platformFees += platformFee;
+        escrow.organizerRevenue += amount - platformFee;
+        
+        emit FundsEscrowed(eventId, amount);
+    }
+    
+    /**
+     * @dev Takes a payment from the caller in the event's payment token.
+     */
+    function _collectPayment(uint256 eventId, uint256 amount) internal {
+        _collectPayment(eventId, amount, amount);
+    }
+    
+    /**
+     * @dev Collects a payment whose exact amount the buyer could not know in advance.
+     * Native token buyers send up to `maxAmount` and get the difference back.
+     */
+    function _collectPayment(uint256 eventId, uint256 amount, uint256 maxAmount) internal {
+        address token = eventPaymentToken[eventId];
+        if (token == address(0)) {
+            require(msg.value >= amount && msg.value <= maxAmount, "Incorrect payment");
+            _transferFunds(eventId, msg.sender, msg.value - amount, "Refund failed");
+        } else {
+            require(msg.value == 0, "Event is priced in ERC-20");
+            if (amount > 0) {
+                IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+            }
+        }
+    }
+    
+    /**
+     * @dev Sends funds in the event's payment token.
+     */
+    function _transferFunds(
+        uint256 eventId,
+        address to,
+        uint256 amount,
+        string memory errorMessage
+    ) internal {
+        if (amount == 0) {
+            return;
+        }
+        
+        address token = eventPaymentToken[eventId];
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, errorMessage);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+    
+    /**
+     * @dev Mints the next ticket of an event bought by `buyer` to a holder.
+     */
+    function _mintTicket(
+        uint256 eventId,
+        uint256 tierId,
+        address buyer,
+        address to,
+        uint256 price
+    ) internal returns (uint256) {
+        uint256 ticketIndex = events[eventId].ticketsSold;
+        events[eventId].ticketsSold++;
+        
+        // Mint the NFT ticket, whose metadata is built on-chain from the event state
+        uint256 tokenId = ticketNFT.mintTicket(
+            to,
+            eventId,
+            tierId,
+            ticketIndex,
+            price,
+            ""
+        );
+        
+        ticketSalePrices[tokenId] = price;
+        ticketBuyers[tokenId] = buyer;
+        
+        emit TicketMinted(tokenId, eventId, to, price);
+        
+        return tokenId;
+    }
+    
+    /**
+     * @dev Organizer share of an event's escrow that has not been paid out or refunded.
+     */
+    function _organizerBalance(EventEscrow storage escrow) internal view returns (uint256) {
+        uint256 revenue = escrow.organizerRevenue - escrow.organizerWithdrawn;
+        uint256 charged = escrow.refunded - escrow.feesRefunded - escrow.holdbacksRefunded;
+        return revenue > charged ? revenue - charged : 0;
+    }
+    
+    /**
+     * @dev Time from which an event's escrow can be paid out: the end of the dispute
+     * window for events that took place, the end of the refund window for cancelled ones.
+     */
+    function _escrowReleaseTime(uint256 eventId) internal view returns (uint256) {
+        Event storage evt = events[eventId];
+        return evt.isActive ? evt.eventDate + disputeWindow : refundDeadlines[eventId];
+    }
+    
+    /**
+     * @dev Funds still held in escrow for an event.
+     */
+    function _escrowBalance(uint256 eventId) internal view returns (uint256) {
+        EventEscrow storage escrow = eventEscrows[eventId];
+        return escrow.organizerRevenue + escrow.platformFees + escrow.resaleHoldbacks
+            - escrow.organizerWithdrawn - escrow.feesWithdrawn - escrow.resaleReleased - escrow.refunded;
+    }
+    
+    /**
+     * @dev Utility function to convert a uint256 to a string.
+     * @param value The uint256 to convert.
+     * @return The string representation of the uint256.
+     */
+    function _toString(uint256 value) internal pure returns (string memory) {
+        // This function handles the conversion of a uint to a string
+        if (value == 0) {
+            return "0";
+        }
+        
+        uint256 temp = value;
+        uint256 digits;
+        
+        while (temp != 0) {
+            digits++;
+            temp /= 10;
+        }
+        
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            digits -= 1;
+            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
+            value /= 10;
+        }
+        
+        return string(buffer);
+    }
+}
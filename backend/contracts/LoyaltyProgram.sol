@@ -0,0 +1,225 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title LoyaltyProgram
+ * @dev Contract to track loyalty points earned on the EventTicketing platform.
+ * Points are awarded and spent by the ticketing contract, expire after a period
+ * of inactivity, and place users in bronze, silver or gold tiers.
+ */
+contract LoyaltyProgram is Ownable {
+    // Loyalty tiers, in ascending order
+    enum Tier { None, Bronze, Silver, Gold }
+    
+    // Structure to store a user's loyalty account
+    struct Account {
+        uint256 balance;        // Points available to spend
+        uint256 earned;         // Points earned since the account last expired (sets the tier)
+        uint256 lastActivity;   // When points were last earned or spent
+    }
+    
+    // Maps user address to loyalty account
+    mapping(address => Account) internal accounts;
+    
+    // The ticketing contract allowed to award and spend points
+    address public ticketingContract;
+    
+    // Inactivity period after which all points expire
+    uint256 public decayPeriod = 365 days;
+    
+    // Discount granted per redeemed point (in basis points, 100 = 1%)
+    uint256 public pointDiscount = 100;
+    
+    // Points spent to move to the front of a waitlist
+    uint256 public priorityWaitlistCost = 10;
+    
+    // Points earned required to reach Bronze, Silver and Gold
+    uint256[3] public tierThresholds = [5, 20, 50];
+    
+    // Events
+    event PointsEarned(address indexed user, uint256 points, uint256 balance);
+    event PointsRedeemed(address indexed user, uint256 points, uint256 balance);
+    event PointsExpired(address indexed user, uint256 points);
+    event PointsRevoked(address indexed user, uint256 points, uint256 balance);
+    event TicketingContractUpdated(address ticketingContract);
+    event LoyaltySettingsUpdated(uint256 decayPeriod, uint256 pointDiscount, uint256 priorityWaitlistCost);
+    event TierThresholdsUpdated(uint256 bronze, uint256 silver, uint256 gold);
+    
+    /**
+     * @dev Modifier to restrict point changes to the ticketing contract
+     */
+    modifier onlyTicketing() {
+        require(msg.sender == ticketingContract, "Not the ticketing contract");
+        _;
+    }
+    
+    /**
+     * @dev Constructor
+     */
+    constructor() Ownable(msg.sender) {}
+    
+    /**
+     * @dev Sets the ticketing contract allowed to award and spend points
+     * @param _ticketingContract Address of the EventTicketing contract
+     */
+    function setTicketingContract(address _ticketingContract) external onlyOwner {
+        require(_ticketingContract != address(0), "Invalid ticketing contract");
+        ticketingContract = _ticketingContract;
+        emit TicketingContractUpdated(_ticketingContract);
+    }
+    
+    /**
+     * @dev Updates the point decay period and redemption rates
+     * @param _decayPeriod Inactivity period after which points expire
+     * @param _pointDiscount Discount per redeemed point (in basis points)
+     * @param _priorityWaitlistCost Points spent for priority waitlist access
+     */
+    function setLoyaltySettings(
+        uint256 _decayPeriod,
+        uint256 _pointDiscount,
+        uint256 _priorityWaitlistCost
+    ) external onlyOwner {
+        require(_decayPeriod > 0, "Decay period must be positive");
+        require(_pointDiscount <= 10000, "Point discount too high");
+        
+        decayPeriod = _decayPeriod;
+        pointDiscount = _pointDiscount;
+        priorityWaitlistCost = _priorityWaitlistCost;
+        
+        emit LoyaltySettingsUpdated(_decayPeriod, _pointDiscount, _priorityWaitlistCost);
+    }
+    
+    /**
+     * @dev Updates the points earned required for each tier
+     * @param bronze Points required for Bronze
+     * @param silver Points required for Silver
+     * @param gold Points required for Gold
+     */
+    function setTierThresholds(uint256 bronze, uint256 silver, uint256 gold) external onlyOwner {
+        require(bronze > 0 && bronze < silver && silver < gold, "Thresholds must be ascending");
+        tierThresholds = [bronze, silver, gold];
+        emit TierThresholdsUpdated(bronze, silver, gold);
+    }
+    
+    /**
+     * @dev Awards points to a user, expiring any points left from before a period of inactivity
+     * @param user Address of the user
+     * @param points Number of points to award
+     */
+    function awardPoints(address user, uint256 points) external onlyTicketing {
+        Account storage account = _activeAccount(user);
+        
+        account.balance += points;
+        account.earned += points;
+        account.lastActivity = block.timestamp;
+        
+        emit PointsEarned(user, points, account.balance);
+    }
+    
+    /**
+     * @dev Spends points on behalf of a user
+     * @param user Address of the user
+     * @param points Number of points to spend
+     */
+    function spendPoints(address user, uint256 points) external onlyTicketing {
+        Account storage account = _activeAccount(user);
+        require(account.balance >= points, "Insufficient loyalty points");
+        
+        account.balance -= points;
+        account.lastActivity = block.timestamp;
+        
+        emit PointsRedeemed(user, points, account.balance);
+    }
+    
+    /**
+     * @dev Takes back points awarded for a purchase that was undone, as far as the
+     * user still holds them. Revoking is not activity, so it leaves expiry unchanged.
+     * @param user Address of the user
+     * @param points Number of points to revoke
+     */
+    function revokePoints(address user, uint256 points) external onlyTicketing {
+        Account storage account = _activeAccount(user);
+        
+        uint256 revoked = points < account.balance ? points : account.balance;
+        account.balance -= revoked;
+        account.earned -= revoked < account.earned ? revoked : account.earned;
+        
+        emit PointsRevoked(user, revoked, account.balance);
+    }
+    
+    /**
+     * @dev Gets the points a user can spend
+     * @param user Address of the user
+     * @return The point balance (0 once expired)
+     */
+    function balanceOf(address user) public view returns (uint256) {
+        return _isExpired(user) ? 0 : accounts[user].balance;
+    }
+    
+    /**
+     * @dev Gets a user's loyalty tier
+     * @param user Address of the user
+     * @return The tier reached by the points earned since the account last expired
+     */
+    function tierOf(address user) public view returns (Tier) {
+        if (_isExpired(user)) {
+            return Tier.None;
+        }
+        
+        uint256 earned = accounts[user].earned;
+        if (earned >= tierThresholds[2]) return Tier.Gold;
+        if (earned >= tierThresholds[1]) return Tier.Silver;
+        if (earned >= tierThresholds[0]) return Tier.Bronze;
+        return Tier.None;
+    }
+    
+    /**
+     * @dev Gets a user's loyalty account
+     * @param user Address of the user
+     * @return balance Points available to spend
+     * @return earned Points earned since the account last expired
+     * @return tier The user's loyalty tier
+     * @return expiresAt When the points expire without further activity (0 if none)
+     */
+    function getAccount(address user) external view returns (
+        uint256 balance,
+        uint256 earned,
+        Tier tier,
+        uint256 expiresAt
+    ) {
+        if (_isExpired(user)) {
+            return (0, 0, Tier.None, 0);
+        }
+        
+        Account storage account = accounts[user];
+        if (account.lastActivity == 0) {
+            return (0, 0, Tier.None, 0);
+        }
+        return (account.balance, account.earned, tierOf(user), account.lastActivity + decayPeriod);
+    }
+    
+    /**
+     * @dev Returns a user's account, first clearing it if its points have expired
+     */
+    function _activeAccount(address user) internal returns (Account storage account) {
+        account = accounts[user];
+        
+        if (_isExpired(user)) {
+            if (account.balance > 0) {
+                emit PointsExpired(user, account.balance);
+            }
+            account.balance = 0;
+            account.earned = 0;
+        }
+    }
+    
+    /**
+     * @dev Checks whether a user has been inactive for longer than the decay period
+     */
+    function _isExpired(address user) internal view returns (bool) {
+        uint256 lastActivity = accounts[user].lastActivity;
+        return lastActivity > 0 && block.timestamp >= lastActivity + decayPeriod;
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20
+ * @dev A mintable ERC-20 with EIP-2612 permit support for testing token-priced events
+ */
+contract MockERC20 is ERC20, ERC20Permit {
+    uint8 private immutable _decimals;
+    
+    /**
+     * @dev Constructor
+     * @param name Token name
+     * @param symbol Token symbol
+     * @param decimals_ Number of decimals (e.g. 6 for USDC)
+     */
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_
+    ) ERC20(name, symbol) ERC20Permit(name) {
+        _decimals = decimals_;
+    }
+    
+    /**
+     * @dev Mints tokens to any address (testing only)
+     * @param to Address receiving the tokens
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+    
+    /**
+     * @dev Returns the number of decimals used by the token
+     */
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
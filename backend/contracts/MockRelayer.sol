@@ -73,6 +73,9 @@ contract MockRelayer is Ownable, ReentrancyGuard {
      * @param token Address of the token used for payment
      * @param amount Amount paid
      * @param eventId Event ID the payment is for
+     * @param tierId Ticket tier the payment is for
+     * @param paidAt Timestamp of the payment on the source chain
+     * @param signatures Signatures of the bridge's trusted relayers attesting to the payment
      */
     function relayPayment(
         uint256 sourceChainId,
@@ -80,7 +83,10 @@ contract MockRelayer is Ownable, ReentrancyGuard {
         address payer,
         address token,
         uint256 amount,
-        uint256 eventId
+        uint256 eventId,
+        uint256 tierId,
+        uint256 paidAt,
+        bytes[] calldata signatures
     ) external nonReentrant {
         // In a real implementation, this would verify the payment happened
         // on the source chain via merkle proofs or trusted oracles
@@ -111,7 +117,10 @@ contract MockRelayer is Ownable, ReentrancyGuard {
             payer,
             token,
             amount,
-            eventId
+            eventId,
+            tierId,
+            paidAt,
+            signatures
         );
         
         emit PaymentRelayed(
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockSmartWallet
+ * @dev A minimal ERC-1271 contract wallet for testing contract organizers.
+ * Signatures are valid when signed by the wallet's owner.
+ */
+contract MockSmartWallet is Ownable, IERC1271 {
+    /**
+     * @dev Constructor
+     * @param owner_ Key that acts and signs for the wallet
+     */
+    constructor(address owner_) Ownable(owner_) {}
+    
+    /**
+     * @dev Calls another contract from the wallet
+     * @param target Contract to call
+     * @param data Calldata of the call
+     * @return The data returned by the call
+     */
+    function execute(address target, bytes calldata data) external onlyOwner returns (bytes memory) {
+        return Address.functionCall(target, data);
+    }
+    
+    /**
+     * @dev Checks whether the wallet's owner signed a hash
+     */
+    function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && signer == owner()) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
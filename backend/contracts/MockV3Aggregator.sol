@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockV3Aggregator
+ * @dev A Chainlink-style price feed with settable rounds for testing price conversion
+ */
+contract MockV3Aggregator is AggregatorV3Interface {
+    // Structure to store a round's answer
+    struct Round {
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+    }
+    
+    uint8 public immutable override decimals;
+    
+    string public constant override description = "MockV3Aggregator";
+    
+    uint256 public constant override version = 4;
+    
+    // ID of the latest round
+    uint80 public latestRound;
+    
+    // Maps round ID to its answer
+    mapping(uint80 => Round) private _rounds;
+    
+    /**
+     * @dev Constructor
+     * @param _decimals Number of decimals of the answers
+     * @param initialAnswer Answer of the first round
+     */
+    constructor(uint8 _decimals, int256 initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(initialAnswer);
+    }
+    
+    /**
+     * @dev Starts a new round with the given answer at the current time
+     * @param answer New answer
+     */
+    function updateAnswer(int256 answer) public {
+        updateRoundData(latestRound + 1, answer, block.timestamp, block.timestamp);
+    }
+    
+    /**
+     * @dev Sets a round's data and makes it the latest round (e.g. to simulate stale answers)
+     * @param roundId ID of the round
+     * @param answer Answer of the round
+     * @param updatedAt When the answer was updated
+     * @param startedAt When the round started
+     */
+    function updateRoundData(uint80 roundId, int256 answer, uint256 updatedAt, uint256 startedAt) public {
+        latestRound = roundId;
+        _rounds[roundId] = Round({answer: answer, startedAt: startedAt, updatedAt: updatedAt});
+    }
+    
+    /**
+     * @dev Gets the data of a round
+     */
+    function getRoundData(uint80 roundId)
+        public
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        Round memory round = _rounds[roundId];
+        require(round.updatedAt > 0, "No data present");
+        return (roundId, round.answer, round.startedAt, round.updatedAt, roundId);
+    }
+    
+    /**
+     * @dev Gets the data of the latest round
+     */
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRound);
+    }
+}
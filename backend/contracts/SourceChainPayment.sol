@@ -4,17 +4,35 @@ pragma solidity ^0.8.28;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 
 /**
  * @title SourceChainPayment
- * @dev Contract to handle payments on source chains for cross-chain ticket purchases
+ * @dev Contract to handle payments on source chains for cross-chain ticket purchases.
+ * Buyers pay the exact amount of a relayer-signed quote for an event tier; the target
+ * chain records any surplus, which is refunded to the payer when the payment is settled.
+ * Quotes, settlements and refunds need signatures from a threshold of trusted relayers,
+ * so no single relayer key can price tickets or release payments.
  */
 contract SourceChainPayment is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
     // Chain ID of this contract
     uint256 public chainId;
     
-    // Relayer contract address
-    address public relayer;
+    // Address receiving the bridge fees
+    address public feeRecipient;
+    
+    // Trusted relayers, which sign quotes and payment authorizations
+    address[] private _relayers;
+    
+    // Maps address to whether it is a trusted relayer
+    mapping(address => bool) public isTrustedRelayer;
+    
+    // Number of relayer signatures a quote or authorization needs
+    uint256 public relayerThreshold;
     
     // Mapping of token address to whether it's accepted
     mapping(address => bool) public acceptedTokens;
@@ -22,40 +40,138 @@ contract SourceChainPayment is Ownable, ReentrancyGuard {
     // Fee percentage for cross-chain operations (basis points, 100 = 1%)
     uint256 public bridgeFeePercentage = 100; // 1% default
     
+    // Lifecycle of a payment held by this contract
+    enum PaymentStatus { None, Pending, Settled, Refunded }
+    
+    // Structure to store a payment until the target chain settles or rejects it
+    struct Payment {
+        address payer;
+        address token;
+        uint256 amount;         // Amount forwarded to the target chain (after the bridge fee)
+        uint256 createdAt;
+        PaymentStatus status;
+    }
+    
+    // Structure of a relayer-signed price quote for a ticket
+    struct Quote {
+        uint256 targetEventId;  // Event ID on the target chain
+        uint256 tierId;         // Ticket tier on the target chain
+        address token;          // Token to pay with (address(0) for native token)
+        uint256 amount;         // Exact amount to pay, including the bridge fee
+        uint256 expiry;         // Timestamp until which the quote can be paid
+    }
+    
+    // Maps payment ID to payment
+    mapping(bytes32 => Payment) public payments;
+    
+    // Pending payment amounts per token, which the owner cannot withdraw
+    mapping(address => uint256) public lockedFunds;
+    
+    // Time after which the relayers can return payments the target chain never recorded
+    uint256 public refundTimeout = 7 days;
+    
+    // Actions the relayers can authorize for a payment
+    bytes32 public constant SETTLE_ACTION = keccak256("SETTLE");
+    bytes32 public constant REFUND_ACTION = keccak256("REFUND");
+    bytes32 public constant EXPIRE_ACTION = keccak256("EXPIRE");
+    
+    // Domain of the relayers' quote signatures
+    bytes32 public constant QUOTE_ACTION = keccak256("QUOTE");
+    
     // Events
     event PaymentReceived(
         address indexed payer,
         address indexed token,
         uint256 amount,
         uint256 targetEventId,
+        uint256 targetTierId,
         bytes32 paymentId
     );
     
     event TokenAccepted(address indexed token);
     
-    event RelayerUpdated(address indexed newRelayer);
+    event FeeRecipientUpdated(address indexed feeRecipient);
+    
+    // Events emitted when the relayer set changes
+    event RelayerAdded(address indexed relayer);
+    event RelayerRemoved(address indexed relayer);
+    event RelayerThresholdUpdated(uint256 threshold);
+    
+    event PaymentSettled(bytes32 indexed paymentId, uint256 overpaymentRefunded);
+    
+    event PaymentRefunded(bytes32 indexed paymentId, address indexed payer, uint256 amount, bool claimed);
+    
+    event RefundTimeoutUpdated(uint256 refundTimeout);
     
     /**
      * @dev Constructor
      * @param _chainId Chain ID of this contract
-     * @param _relayer Address of the relayer
+     * @param _relayer Address of the first trusted relayer, which also receives the bridge fees
      */
     constructor(uint256 _chainId, address _relayer) Ownable(msg.sender) {
         chainId = _chainId;
-        relayer = _relayer;
+        feeRecipient = _relayer;
+        _addRelayer(_relayer);
+        _setThreshold(1);
         
         // Add native token (address(0)) as accepted
         acceptedTokens[address(0)] = true;
     }
     
     /**
-     * @dev Updates the relayer address
-     * @param _relayer New relayer address
+     * @dev Updates the address receiving the bridge fees
+     * @param _feeRecipient New fee recipient
+     */
+    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+    
+    /**
+     * @dev Adds a trusted relayer. Raise the threshold with setRelayerThreshold
+     * once enough relayers are added.
+     * @param relayer Address of the trusted relayer
+     */
+    function addTrustedRelayer(address relayer) external onlyOwner {
+        _addRelayer(relayer);
+    }
+    
+    /**
+     * @dev Removes a trusted relayer. The relayers left must still meet the threshold,
+     * so pending payments can always be settled or refunded.
+     * @param relayer Address of the relayer to remove
+     */
+    function removeTrustedRelayer(address relayer) external onlyOwner {
+        _removeRelayer(relayer);
+        require(_relayers.length >= relayerThreshold, "Threshold exceeds relayer count");
+    }
+    
+    /**
+     * @dev Replaces a trusted relayer, keeping the threshold
+     * @param oldRelayer Address of the relayer to remove
+     * @param newRelayer Address of the relayer to add
+     */
+    function rotateRelayer(address oldRelayer, address newRelayer) external onlyOwner {
+        _removeRelayer(oldRelayer);
+        _addRelayer(newRelayer);
+    }
+    
+    /**
+     * @dev Sets how many relayer signatures a quote or authorization needs
+     * @param threshold Number of signatures required
+     */
+    function setRelayerThreshold(uint256 threshold) external onlyOwner {
+        require(threshold > 0 && threshold <= _relayers.length, "Invalid threshold");
+        _setThreshold(threshold);
+    }
+    
+    /**
+     * @dev Gets the trusted relayers
+     * @return Addresses of the trusted relayers
      */
-    function updateRelayer(address _relayer) external onlyOwner {
-        require(_relayer != address(0), "Invalid relayer address");
-        relayer = _relayer;
-        emit RelayerUpdated(_relayer);
+    function getRelayers() external view returns (address[] memory) {
+        return _relayers;
     }
     
     /**
@@ -85,7 +201,18 @@ contract SourceChainPayment is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Pays for a ticket with native token
+     * @dev Sets the time after which payers can reclaim unsettled payments
+     * @param _refundTimeout New refund timeout in seconds
+     */
+    function setRefundTimeout(uint256 _refundTimeout) external onlyOwner {
+        require(_refundTimeout >= 1 days, "Refund timeout too short");
+        refundTimeout = _refundTimeout;
+        emit RefundTimeoutUpdated(_refundTimeout);
+    }
+    
+    /**
+     * @dev Pays for a ticket with native token. The amount is not tied to a price;
+     * prefer payWithQuote, which charges exactly the quoted amount.
      * @param targetEventId Event ID on the target chain
      * @param targetChainId Chain ID of the target chain (usually World Chain)
      * @return paymentId Unique ID for this payment
@@ -96,39 +223,12 @@ contract SourceChainPayment is Ownable, ReentrancyGuard {
         nonReentrant 
         returns (bytes32) 
     {
-        require(msg.value > 0, "Payment amount must be greater than zero");
-        
-        // Calculate bridge fee
-        uint256 bridgeFee = (msg.value * bridgeFeePercentage) / 10000;
-        uint256 paymentAmount = msg.value - bridgeFee;
-        
-        // Generate payment ID
-        bytes32 paymentId = keccak256(abi.encodePacked(
-            chainId,
-            block.timestamp,
-            msg.sender,
-            paymentAmount,
-            targetEventId
-        ));
-        
-        // Send bridge fee to the relayer
-        (bool success, ) = payable(relayer).call{value: bridgeFee}("");
-        require(success, "Bridge fee transfer failed");
-        
-        // Emit event for the relayer to pick up
-        emit PaymentReceived(
-            msg.sender,
-            address(0), // Native token
-            paymentAmount,
-            targetEventId,
-            paymentId
-        );
-        
-        return paymentId;
+        return _acceptPayment(address(0), msg.value, targetEventId, 0);
     }
     
     /**
-     * @dev Pays for a ticket with an ERC20 token
+     * @dev Pays for a ticket with an ERC20 token. The amount is not tied to a price;
+     * prefer payWithQuote, which charges exactly the quoted amount.
      * @param token Address of the token
      * @param amount Amount to pay
      * @param targetEventId Event ID on the target chain
@@ -146,6 +246,110 @@ contract SourceChainPayment is Ownable, ReentrancyGuard {
         returns (bytes32) 
     {
         require(acceptedTokens[token], "Token not accepted");
+        return _acceptPayment(token, amount, targetEventId, 0);
+    }
+    
+    /**
+     * @dev Pays exactly the amount of a relayer-signed quote for a ticket tier.
+     * Quotes come from the relayers' quote service and include the bridge fee.
+     * @param quote The quote to pay
+     * @param signatures Signatures over quoteHash(quote) from at least the threshold
+     * of trusted relayers, ordered by ascending signer address
+     * @return paymentId Unique ID for this payment
+     */
+    function payWithQuote(Quote calldata quote, bytes[] calldata signatures)
+        external
+        payable
+        nonReentrant
+        returns (bytes32)
+    {
+        require(block.timestamp <= quote.expiry, "Quote expired");
+        require(acceptedTokens[quote.token], "Token not accepted");
+        _verifySignatures(quoteHash(quote), signatures);
+        
+        if (quote.token == address(0)) {
+            require(msg.value == quote.amount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Quote is priced in ERC20");
+        }
+        
+        return _acceptPayment(quote.token, quote.amount, quote.targetEventId, quote.tierId);
+    }
+    
+    /**
+     * @dev Settles a payment the target chain turned into a ticket, releasing it to the owner
+     * and refunding the part of it the ticket did not need to the payer
+     * @param paymentId ID of the payment
+     * @param overpayment Amount to refund to the payer, as recorded by the target chain
+     * @param signatures Relayer signatures over the settlement authorization
+     */
+    function settlePayment(bytes32 paymentId, uint256 overpayment, bytes[] calldata signatures) external nonReentrant {
+        Payment storage payment = _authorizedPendingPayment(SETTLE_ACTION, paymentId, overpayment, signatures);
+        require(overpayment <= payment.amount, "Overpayment exceeds payment");
+        
+        payment.status = PaymentStatus.Settled;
+        lockedFunds[payment.token] -= payment.amount;
+        
+        _sendToPayer(payment, overpayment);
+        
+        emit PaymentSettled(paymentId, overpayment);
+    }
+    
+    /**
+     * @dev Refunds a payment the target chain rejected. Anyone holding the relayers'
+     * refund authorization can submit it; the funds always go to the payer.
+     * @param paymentId ID of the payment
+     * @param signatures Relayer signatures over the refund authorization
+     */
+    function refundPayment(bytes32 paymentId, bytes[] calldata signatures) external nonReentrant {
+        _authorizedPendingPayment(REFUND_ACTION, paymentId, payments[paymentId].amount, signatures);
+        _refund(paymentId, false);
+    }
+    
+    /**
+     * @dev Returns a payment the target chain never recorded once the refund timeout has
+     * passed. The relayers attest that the bridge has no record of it and is past the age
+     * at which it could still take one, so a payment that did mint a ticket cannot also
+     * be reclaimed. Anyone can submit; the funds always go to the payer.
+     * @param paymentId ID of the payment
+     * @param signatures Relayer signatures over the expiry authorization
+     */
+    function claimRefund(bytes32 paymentId, bytes[] calldata signatures) external nonReentrant {
+        Payment storage payment = _authorizedPendingPayment(EXPIRE_ACTION, paymentId, payments[paymentId].amount, signatures);
+        require(block.timestamp >= payment.createdAt + refundTimeout, "Refund timeout not reached");
+        
+        _refund(paymentId, true);
+    }
+    
+    /**
+     * @dev Gets the hash relayers sign (as an EIP-191 message) to authorize an action on a payment
+     * @param action SETTLE_ACTION, REFUND_ACTION or EXPIRE_ACTION
+     * @param paymentId ID of the payment
+     * @param refundAmount Amount returned to the payer (the overpayment when settling,
+     * the full payment amount when refunding or expiring)
+     * @return The authorization hash (before the EIP-191 prefix)
+     */
+    function authorizationHash(bytes32 action, bytes32 paymentId, uint256 refundAmount) public view returns (bytes32) {
+        return keccak256(abi.encode(action, block.chainid, address(this), paymentId, refundAmount));
+    }
+    
+    /**
+     * @dev Gets the hash relayers sign (as an EIP-191 message) to issue a quote
+     * @param quote The quote
+     * @return The quote hash
+     */
+    function quoteHash(Quote calldata quote) public view returns (bytes32) {
+        return keccak256(abi.encode(QUOTE_ACTION, block.chainid, address(this), quote));
+    }
+    
+    /**
+     * @dev Takes a payment, sends the bridge fee to the fee recipient and emits the event
+     * the relayers pick up
+     */
+    function _acceptPayment(address token, uint256 amount, uint256 targetEventId, uint256 tierId)
+        internal
+        returns (bytes32 paymentId)
+    {
         require(amount > 0, "Payment amount must be greater than zero");
         
         // Calculate bridge fee
@@ -153,48 +357,179 @@ contract SourceChainPayment is Ownable, ReentrancyGuard {
         uint256 paymentAmount = amount - bridgeFee;
         
         // Generate payment ID
-        bytes32 paymentId = keccak256(abi.encodePacked(
+        paymentId = keccak256(abi.encodePacked(
             chainId,
             block.timestamp,
             msg.sender,
             paymentAmount,
             targetEventId,
+            tierId,
             token
         ));
         
-        // Transfer tokens from sender to this contract
-        IERC20(token).transferFrom(msg.sender, address(this), amount);
+        _recordPayment(paymentId, token, paymentAmount);
         
-        // Transfer bridge fee to the relayer
-        IERC20(token).transfer(relayer, bridgeFee);
+        if (token == address(0)) {
+            // Send bridge fee to the fee recipient
+            (bool success, ) = payable(feeRecipient).call{value: bridgeFee}("");
+            require(success, "Bridge fee transfer failed");
+        } else {
+            // Transfer tokens from sender to this contract
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+            
+            // Transfer bridge fee to the fee recipient
+            IERC20(token).safeTransfer(feeRecipient, bridgeFee);
+        }
         
-        // Emit event for the relayer to pick up
+        // Emit event for the relayers to pick up
         emit PaymentReceived(
             msg.sender,
             token,
             paymentAmount,
             targetEventId,
+            tierId,
             paymentId
         );
+    }
+    
+    /**
+     * @dev Stores a new payment and locks its amount
+     */
+    function _recordPayment(bytes32 paymentId, address token, uint256 amount) internal {
+        require(payments[paymentId].status == PaymentStatus.None, "Duplicate payment");
         
-        return paymentId;
+        payments[paymentId] = Payment({
+            payer: msg.sender,
+            token: token,
+            amount: amount,
+            createdAt: block.timestamp,
+            status: PaymentStatus.Pending
+        });
+        lockedFunds[token] += amount;
+    }
+    
+    /**
+     * @dev Returns a pending payment after checking the relayers authorized the action on it
+     */
+    function _authorizedPendingPayment(
+        bytes32 action,
+        bytes32 paymentId,
+        uint256 refundAmount,
+        bytes[] calldata signatures
+    )
+        internal
+        view
+        returns (Payment storage payment)
+    {
+        payment = payments[paymentId];
+        require(payment.status == PaymentStatus.Pending, "Payment not pending");
+        
+        _verifySignatures(authorizationHash(action, paymentId, refundAmount), signatures);
+    }
+    
+    /**
+     * @dev Checks that enough distinct trusted relayers signed a hash
+     */
+    function _verifySignatures(bytes32 hash, bytes[] calldata signatures) internal view {
+        require(signatures.length >= relayerThreshold, "Not enough relayer signatures");
+        
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(hash);
+        address lastSigner = address(0);
+        
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            // Ascending order rules out counting the same relayer twice
+            require(signer > lastSigner, "Signers must be unique and sorted");
+            require(isTrustedRelayer[signer], "Not a trusted relayer");
+            lastSigner = signer;
+        }
+    }
+    
+    /**
+     * @dev Returns a pending payment's amount (bridge fee excluded) to its payer
+     */
+    function _refund(bytes32 paymentId, bool claimed) internal {
+        Payment storage payment = payments[paymentId];
+        
+        payment.status = PaymentStatus.Refunded;
+        lockedFunds[payment.token] -= payment.amount;
+        
+        _sendToPayer(payment, payment.amount);
+        
+        emit PaymentRefunded(paymentId, payment.payer, payment.amount, claimed);
+    }
+    
+    /**
+     * @dev Sends part of a payment back to its payer
+     */
+    function _sendToPayer(Payment storage payment, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        
+        if (payment.token == address(0)) {
+            (bool success, ) = payable(payment.payer).call{value: amount}("");
+            require(success, "Refund transfer failed");
+        } else {
+            IERC20(payment.token).safeTransfer(payment.payer, amount);
+        }
+    }
+    
+    /**
+     * @dev Adds an address to the relayer set
+     */
+    function _addRelayer(address relayer) internal {
+        require(relayer != address(0), "Invalid relayer address");
+        require(!isTrustedRelayer[relayer], "Relayer already trusted");
+        
+        isTrustedRelayer[relayer] = true;
+        _relayers.push(relayer);
+        
+        emit RelayerAdded(relayer);
+    }
+    
+    /**
+     * @dev Removes an address from the relayer set
+     */
+    function _removeRelayer(address relayer) internal {
+        require(isTrustedRelayer[relayer], "Not a trusted relayer");
+        
+        for (uint256 i = 0; i < _relayers.length; i++) {
+            if (_relayers[i] == relayer) {
+                _relayers[i] = _relayers[_relayers.length - 1];
+                _relayers.pop();
+                break;
+            }
+        }
+        isTrustedRelayer[relayer] = false;
+        
+        emit RelayerRemoved(relayer);
+    }
+    
+    /**
+     * @dev Updates the signature threshold
+     */
+    function _setThreshold(uint256 threshold) internal {
+        relayerThreshold = threshold;
+        emit RelayerThresholdUpdated(threshold);
     }
     
     /**
-     * @dev Allows withdrawal of collected tokens by the owner
+     * @dev Allows withdrawal of collected tokens by the owner. Pending payments
+     * stay locked until they are settled or refunded.
      * @param token Address of the token to withdraw (address(0) for native token)
      * @param amount Amount to withdraw
      */
     function withdrawFunds(address token, uint256 amount) external onlyOwner {
         if (token == address(0)) {
             // Withdraw native token
-            require(address(this).balance >= amount, "Insufficient balance");
+            require(address(this).balance >= lockedFunds[address(0)] + amount, "Insufficient balance");
             (bool success, ) = payable(msg.sender).call{value: amount}("");
             require(success, "Transfer failed");
         } else {
             // Withdraw ERC20 token
-            require(IERC20(token).balanceOf(address(this)) >= amount, "Insufficient token balance");
-            IERC20(token).transfer(msg.sender, amount);
+            require(IERC20(token).balanceOf(address(this)) >= lockedFunds[token] + amount, "Insufficient token balance");
+            IERC20(token).safeTransfer(msg.sender, amount);
         }
     }
     
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./EventTicketing.sol";
+import "./EventTicketNFT.sol";
+import "./interfaces/ITicketMetadataRenderer.sol";
+
+/**
+ * @title TicketMetadataRenderer
+ * @dev Builds ticket metadata on-chain as a base64 JSON document with an SVG ticket
+ * image, derived from the current EventTicketing state. Wallets and marketplaces can
+ * render tickets without a metadata server, and the metadata follows postponements,
+ * check-ins and cancellations.
+ */
+contract TicketMetadataRenderer is ITicketMetadataRenderer {
+    using Strings for uint256;
+    
+    // The ticketing contract holding event and tier details
+    EventTicketing public immutable ticketing;
+    
+    // The ticket NFT contract holding per-ticket details
+    EventTicketNFT public immutable ticketNFT;
+    
+    // Structure to gather the fields shown on a ticket
+    struct TicketView {
+        string eventName;
+        string description;
+        uint256 eventDate;
+        string tierName;
+        uint256 ticketIndex;
+        string status;
+    }
+    
+    /**
+     * @dev Constructor
+     * @param _ticketing Address of the EventTicketing contract
+     * @param _ticketNFT Address of the EventTicketNFT contract
+     */
+    constructor(address _ticketing, address _ticketNFT) {
+        ticketing = EventTicketing(payable(_ticketing));
+        ticketNFT = EventTicketNFT(_ticketNFT);
+    }
+    
+    /**
+     * @dev Get the metadata URI of a ticket
+     * @param tokenId The ticket ID
+     * @return A data:application/json;base64 URI
+     */
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        TicketView memory ticket = _ticketView(tokenId);
+        
+        string memory json = string.concat(
+            '{"name":"', _escape(ticket.eventName, false), " #", ticket.ticketIndex.toString(),
+            '","description":"', _escape(ticket.description, false),
+            '","image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(tokenId, ticket))),
+            '","attributes":', _attributes(ticket), "}"
+        );
+        
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+    
+    /**
+     * @dev Lists the ticket's traits in the JSON metadata
+     */
+    function _attributes(TicketView memory ticket) internal pure returns (string memory) {
+        return string.concat(
+            '[{"trait_type":"Event","value":"', _escape(ticket.eventName, false),
+            '"},{"trait_type":"Tier","value":"', _escape(ticket.tierName, false),
+            '"},{"trait_type":"Ticket Number","display_type":"number","value":', ticket.ticketIndex.toString(),
+            '},{"trait_type":"Event Date","display_type":"date","value":', ticket.eventDate.toString(),
+            '},{"trait_type":"Status","value":"', ticket.status, '"}]'
+        );
+    }
+    
+    /**
+     * @dev Reads the fields shown on a ticket from the NFT and ticketing contracts
+     */
+    function _ticketView(uint256 tokenId) internal view returns (TicketView memory ticket) {
+        EventTicketNFT.TicketInfo memory info = ticketNFT.getTicketInfo(tokenId);
+        
+        bool isActive;
+        (ticket.eventName, ticket.description, ticket.eventDate, , , , , isActive, ) =
+            ticketing.getEventDetails(info.eventId);
+        (ticket.tierName, , , , , , ) = ticketing.eventTiers(info.eventId, info.tierId);
+        ticket.ticketIndex = info.ticketIndex;
+        
+        if (!isActive) {
+            ticket.status = "Cancelled";
+        } else if (info.isUsed) {
+            ticket.status = "Used";
+        } else {
+            ticket.status = "Valid";
+        }
+    }
+    
+    /**
+     * @dev Draws the ticket image, coloured per event
+     */
+    function _svg(uint256 tokenId, TicketView memory ticket) internal pure returns (string memory) {
+        string memory hue = (uint256(keccak256(abi.encodePacked(ticket.eventName))) % 360).toString();
+        
+        string memory header = string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="500" viewBox="0 0 350 500" font-family="sans-serif">',
+            '<rect width="350" height="500" rx="24" fill="hsl(', hue, ',70%,40%)"/>',
+            '<rect x="20" y="20" width="310" height="460" rx="16" fill="none" stroke="white" stroke-opacity="0.5"/>',
+            '<text x="40" y="80" fill="white" font-size="24" font-weight="bold">', _escape(ticket.eventName, true), '</text>',
+            '<text x="40" y="120" fill="white" font-size="18">', _escape(ticket.tierName, true), '</text>',
+            '<text x="40" y="170" fill="white" font-size="16">', _formatDate(ticket.eventDate), '</text>'
+        );
+        
+        return string.concat(
+            header,
+            '<line x1="40" y1="360" x2="310" y2="360" stroke="white" stroke-dasharray="6 6"/>',
+            '<text x="40" y="410" fill="white" font-size="32" font-weight="bold">#', ticket.ticketIndex.toString(), '</text>',
+            '<text x="40" y="450" fill="white" font-size="14">Token ', tokenId.toString(), ' - ', ticket.status, '</text>',
+            '</svg>'
+        );
+    }
+    
+    /**
+     * @dev Formats a timestamp as "YYYY-MM-DD HH:MM UTC"
+     */
+    function _formatDate(uint256 timestamp) internal pure returns (string memory) {
+        // Civil date from days since the epoch (Howard Hinnant's algorithm)
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+        
+        uint256 secondsOfDay = timestamp % 1 days;
+        
+        return string.concat(
+            year.toString(), "-", _twoDigits(month), "-", _twoDigits(day), " ",
+            _twoDigits(secondsOfDay / 1 hours), ":", _twoDigits((secondsOfDay % 1 hours) / 1 minutes), " UTC"
+        );
+    }
+    
+    /**
+     * @dev Formats a number below 100 with a leading zero
+     */
+    function _twoDigits(uint256 value) internal pure returns (string memory) {
+        return value < 10 ? string.concat("0", value.toString()) : value.toString();
+    }
+    
+    /**
+     * @dev Escapes organizer-provided text for a JSON string or for SVG text.
+     * Control characters are dropped.
+     */
+    function _escape(string memory text, bool xml) internal pure returns (string memory) {
+        bytes memory input = bytes(text);
+        bytes memory output = "";
+        
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (uint8(char) < 0x20) {
+                continue;
+            }
+            
+            if (xml) {
+                if (char == "<") {
+                    output = abi.encodePacked(output, "&lt;");
+                } else if (char == ">") {
+                    output = abi.encodePacked(output, "&gt;");
+                } else if (char == "&") {
+                    output = abi.encodePacked(output, "&amp;");
+                } else if (char == '"') {
+                    output = abi.encodePacked(output, "&quot;");
+                } else {
+                    output = abi.encodePacked(output, char);
+                }
+            } else if (char == '"' || char == "\\") {
+                output = abi.encodePacked(output, "\\", char);
+            } else {
+                output = abi.encodePacked(output, char);
+            }
+        }
+        
+        return string(output);
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IOrganizerVerifier.sol";
 
 // Define the IWorldID interface directly in the contract
 interface IWorldID {
@@ -22,7 +23,7 @@ interface IWorldID {
     ) external view;
 }
 
-contract WorldIDOrganizerVerifier is Ownable {
+contract WorldIDOrganizerVerifier is Ownable, IOrganizerVerifier {
     // The World ID instance that will be used for verifying proofs
     IWorldID internal worldId;
     
@@ -26,6 +26,9 @@ contract WorldIDVerifier {
     // Mapping from user address to verified status
     mapping(address => bool) public verified;
     
+    // Mapping from action ID to the nullifier hash each user verified with
+    mapping(string => mapping(address => uint256)) public actionNullifiers;
+    
     // Events
     event VerificationSuccess(address indexed user, string actionId);
     event ActionRegistered(string actionId);
@@ -85,6 +88,9 @@ contract WorldIDVerifier {
         // Mark the user as verified
         verified[signal] = true;
         
+        // Remember which human the user proved to be for this action
+        actionNullifiers[actionId][signal] = nullifierHash;
+        
         emit VerificationSuccess(signal, actionId);
     }
     
@@ -96,4 +102,15 @@ contract WorldIDVerifier {
     function isVerified(address user) external view returns (bool) {
         return verified[user];
     }
+    
+    /**
+     * @dev Get the nullifier hash a user verified with for an action. Nullifiers are
+     * unique per human and action, so each human can bind only one address per action.
+     * @param actionId The action identifier
+     * @param user The address to check
+     * @return The nullifier hash, or 0 if the user has not verified for the action
+     */
+    function getActionNullifier(string memory actionId, address user) external view returns (uint256) {
+        return actionNullifiers[actionId][user];
+    }
 }
\ No newline at end of file
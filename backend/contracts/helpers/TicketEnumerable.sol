@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+
+/**
+ * @title TicketEnumerable
+ * @dev ERC721Enumerable extension that also indexes tickets by event and tracks
+ * which of an event's tickets are unused, so wallets, apps and door staff can
+ * page through tickets without scanning logs or the whole supply.
+ * List order is not preserved when a ticket is removed (swap and pop).
+ */
+abstract contract TicketEnumerable is ERC721Enumerable {
+    // Mapping from event ID to the IDs of its tickets
+    mapping(uint256 => uint256[]) private _eventTickets;
+    
+    // Mapping from event ID to the IDs of its tickets not used yet
+    mapping(uint256 => uint256[]) private _unusedEventTickets;
+    
+    // Mapping from token ID to its position in _eventTickets
+    mapping(uint256 => uint256) private _eventTicketIndex;
+    
+    // Mapping from token ID to its position in _unusedEventTickets
+    mapping(uint256 => uint256) private _unusedEventTicketIndex;
+    
+    /**
+     * @dev Get a page of the tickets held by an address
+     * @param owner Address to query
+     * @param offset Position of the first ticket to return
+     * @param limit Maximum number of tickets to return
+     * @return tokenIds The ticket IDs on the page
+     * @return total The number of tickets held by the address
+     */
+    function getTicketsByOwner(address owner, uint256 offset, uint256 limit)
+        public
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        total = balanceOf(owner);
+        tokenIds = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(owner, offset + i);
+        }
+    }
+    
+    /**
+     * @dev Get a page of the tickets of an event
+     * @param eventId ID of the event
+     * @param offset Position of the first ticket to return
+     * @param limit Maximum number of tickets to return
+     * @return tokenIds The ticket IDs on the page
+     * @return total The number of tickets of the event
+     */
+    function getTicketsByEvent(uint256 eventId, uint256 offset, uint256 limit)
+        public
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        return _page(_eventTickets[eventId], offset, limit);
+    }
+    
+    /**
+     * @dev Get a page of the tickets of an event that have not been used
+     * @param eventId ID of the event
+     * @param offset Position of the first ticket to return
+     * @param limit Maximum number of tickets to return
+     * @return tokenIds The ticket IDs on the page
+     * @return total The number of unused tickets of the event
+     */
+    function getUnusedTicketsByEvent(uint256 eventId, uint256 offset, uint256 limit)
+        public
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        return _page(_unusedEventTickets[eventId], offset, limit);
+    }
+    
+    /**
+     * @dev Adds a newly minted ticket to its event's lists
+     */
+    function _indexEventTicket(uint256 eventId, uint256 tokenId) internal {
+        _eventTicketIndex[tokenId] = _eventTickets[eventId].length;
+        _eventTickets[eventId].push(tokenId);
+        
+        _unusedEventTicketIndex[tokenId] = _unusedEventTickets[eventId].length;
+        _unusedEventTickets[eventId].push(tokenId);
+    }
+    
+    /**
+     * @dev Removes a ticket that was just used from its event's unused tickets
+     */
+    function _indexTicketUsed(uint256 eventId, uint256 tokenId) internal {
+        _removeFromList(_unusedEventTickets[eventId], _unusedEventTicketIndex, tokenId);
+    }
+    
+    /**
+     * @dev Removes a burned ticket from its event's lists
+     */
+    function _unindexEventTicket(uint256 eventId, uint256 tokenId, bool used) internal {
+        _removeFromList(_eventTickets[eventId], _eventTicketIndex, tokenId);
+        if (!used) {
+            _removeFromList(_unusedEventTickets[eventId], _unusedEventTicketIndex, tokenId);
+        }
+    }
+    
+    /**
+     * @dev Removes a token from a list by moving the last token into its position
+     */
+    function _removeFromList(
+        uint256[] storage list,
+        mapping(uint256 => uint256) storage positions,
+        uint256 tokenId
+    ) private {
+        uint256 position = positions[tokenId];
+        uint256 lastTokenId = list[list.length - 1];
+        
+        list[position] = lastTokenId;
+        positions[lastTokenId] = position;
+        
+        list.pop();
+        delete positions[tokenId];
+    }
+    
+    /**
+     * @dev Copies a page of a list to memory
+     */
+    function _page(uint256[] storage list, uint256 offset, uint256 limit)
+        private
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        total = list.length;
+        tokenIds = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = list[offset + i];
+        }
+    }
+    
+    /**
+     * @dev Number of items on a page, clamped to the end of the list
+     */
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        uint256 remaining = total - offset;
+        return limit < remaining ? limit : remaining;
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IOrganizerVerifier
+ * @dev Interface for contracts that verify event organizers (e.g. with World ID)
+ */
+interface IOrganizerVerifier {
+    /**
+     * @dev Check if an organizer is verified
+     * @param organizer The organizer's address
+     * @return Whether the organizer is verified
+     */
+    function isVerifiedOrganizer(address organizer) external view returns (bool);
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title ITicketMetadataRenderer
+ * @dev Interface for contracts that build ticket metadata on-chain
+ */
+interface ITicketMetadataRenderer {
+    /**
+     * @dev Get the metadata URI of a ticket
+     * @param tokenId The ticket ID
+     * @return The metadata URI
+     */
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+}
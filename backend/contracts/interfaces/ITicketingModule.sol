@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title ITicketingModule
+ * @dev Interface for feature modules that EventTicketing delegates calls to
+ */
+interface ITicketingModule {
+    /**
+     * @dev List the external functions the module implements
+     * @return The function selectors EventTicketing should route to the module
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory);
+}
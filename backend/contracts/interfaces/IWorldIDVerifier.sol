@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IWorldIDVerifier
+ * @dev Interface for contracts that record which addresses are verified humans
+ */
+interface IWorldIDVerifier {
+    /**
+     * @dev Check if a user is verified
+     * @param user The user's address
+     * @return Whether the user is verified
+     */
+    function isVerified(address user) external view returns (bool);
+}
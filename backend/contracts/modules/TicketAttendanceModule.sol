@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketAttendanceModule
+ * @dev Check-in and QR code verification of tickets.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketAttendanceModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](5);
+        selectors[0] = this.useTicket.selector;
+        selectors[1] = this.hasAttended.selector;
+        selectors[2] = this.generateTicketChecksum.selector;
+        selectors[3] = this.generateQRCodeData.selector;
+        selectors[4] = this.verifyQRCode.selector;
+    }
+    
+    /**
+     * @dev Allows organizers to mark tickets as used when attendees check in.
+     * @param tokenId The ID of the ticket to mark as used.
+     */
+    function useTicket(uint256 tokenId) public {
+        // Get ticket info from the NFT contract
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        uint256 eventId = ticket.eventId;
+        
+        require(events[eventId].organizer == msg.sender, "Not the event organizer");
+        require(!ticketNFT.isTicketUsed(tokenId), "Ticket already used");
+        require(events[eventId].isActive, "Event is not active");
+        
+        // Mark the ticket as used through the NFT contract
+        ticketNFT.useTicket(tokenId);
+        
+        // Record attendance
+        address attendee = ticketNFT.ownerOf(tokenId);
+        events[eventId].verifiedAttendees[attendee] = true;
+        
+        // Award additional loyalty points for attendance (2 points)
+        _awardLoyaltyPoints(attendee, 2);
+        
+        // Mint a soulbound badge that outlives the ticket
+        if (address(attendanceBadge) != address(0)) {
+            attendanceBadge.mintBadge(attendee, eventId);
+        }
+    }
+    
+    /**
+     * @dev Checks if a user has attended a specific event.
+     * @param eventId The ID of the event.
+     * @param user The address of the user.
+     * @return Whether the user has attended the event.
+     */
+    function hasAttended(uint256 eventId, address user) public view returns (bool) {
+        return events[eventId].verifiedAttendees[user];
+    }
+    
+    /**
+     * @dev Generates a QR code checksum for ticket verification.
+     * This is meant to be used off-chain to generate and verify QR codes.
+     * @param tokenId The ID of the ticket.
+     * @param timestamp Current timestamp to prevent replay attacks.
+     * @return A checksum that can be used to verify ticket authenticity.
+     */
+    function generateTicketChecksum(uint256 tokenId, uint256 timestamp) public view returns (bytes32) {
+        // Get the owner of the token
+        address owner = ticketNFT.ownerOf(tokenId);
+        
+        // Create a checksum combining token ID, owner, and timestamp
+        return keccak256(abi.encodePacked(tokenId, owner, address(this), timestamp));
+    }
+    
+    function generateQRCodeData(uint256 tokenId) public view returns (bytes memory) {
+        address owner = ticketNFT.ownerOf(tokenId);
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        uint256 eventId = ticket.eventId;
+        uint256 timestamp = block.timestamp;
+        
+        bytes32 checksum = keccak256(abi.encodePacked(tokenId, owner, eventId, address(this), timestamp));
+        
+        return abi.encode(tokenId, eventId, timestamp, checksum);
+    }
+    
+    function verifyQRCode(bytes memory qrData, uint256 maxAgeSeconds) public view returns (
+        bool isValid,
+        uint256 tokenId,
+        uint256 eventId,
+        address owner
+    ) {
+        uint256 timestamp;
+        bytes32 receivedChecksum;
+        (tokenId, eventId, timestamp, receivedChecksum) = abi.decode(qrData, (uint256, uint256, uint256, bytes32));
+
+        if (block.timestamp > timestamp + maxAgeSeconds) {
+            return (false, tokenId, eventId, address(0));
+        }
+
+        try ticketNFT.ownerOf(tokenId) returns (address ticketOwner) {
+            owner = ticketOwner;
+        } catch {
+            return (false, tokenId, eventId, address(0));
+        }
+
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        if (ticket.eventId != eventId || ticketNFT.isTicketUsed(tokenId)) {
+            return (false, tokenId, eventId, owner);
+        }
+
+        bytes32 calculatedChecksum = keccak256(abi.encodePacked(tokenId, owner, eventId, address(this), timestamp));
+        isValid = (calculatedChecksum == receivedChecksum);
+
+        return (isValid, tokenId, eventId, owner);
+    }
+}
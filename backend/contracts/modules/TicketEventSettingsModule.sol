@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketEventSettingsModule
+ * @dev Per-event settings organizers can change after creation, postponement and ending sales.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketEventSettingsModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](9);
+        selectors[0] = this.setTransferPolicy.selector;
+        selectors[1] = this.setEventPaymentToken.selector;
+        selectors[2] = this.setMaxTicketsPerWallet.selector;
+        selectors[3] = this.setMaxTicketsPerHuman.selector;
+        selectors[4] = this.setLoyaltyPerks.selector;
+        selectors[5] = this.setBadgeURI.selector;
+        selectors[6] = this.updateEventDetails.selector;
+        selectors[7] = this.postponeEvent.selector;
+        selectors[8] = this.endSales.selector;
+    }
+    
+    /**
+     * @dev Allows organizers to restrict how the tickets of their event change hands.
+     * @param eventId The ID of the event.
+     * @param policy The transfer policy enforced by the ticket NFT.
+     */
+    function setTransferPolicy(uint256 eventId, EventTicketNFT.TransferPolicy policy)
+        external
+        onlyEventOrganizer(eventId)
+    {
+        ticketNFT.setEventTransferPolicy(eventId, policy);
+    }
+    
+    /**
+     * @dev Allows organizers to price their event in an allowlisted ERC-20 token
+     * instead of native ETH. Tier prices are then denominated in that token.
+     * Can only be changed before any ticket is sold.
+     * @param eventId The ID of the event.
+     * @param token The address of the token (address(0) for native ETH).
+     */
+    function setEventPaymentToken(uint256 eventId, address token) external onlyEventOrganizer(eventId) {
+        require(token == address(0) || allowedPaymentTokens[token], "Token not allowed");
+        require(events[eventId].ticketsSold == 0, "Tickets already sold");
+        
+        eventPaymentToken[eventId] = token;
+        
+        emit EventPaymentTokenSet(eventId, token);
+    }
+    
+    /**
+     * @dev Allows organizers to cap how many tickets a single wallet can buy for their event.
+     * @param eventId The ID of the event.
+     * @param maxTickets The maximum number of tickets per wallet (0 for no limit).
+     */
+    function setMaxTicketsPerWallet(uint256 eventId, uint256 maxTickets) external onlyEventOrganizer(eventId) {
+        maxTicketsPerWallet[eventId] = maxTickets;
+        emit MaxTicketsPerWalletUpdated(eventId, maxTickets);
+    }
+    
+    /**
+     * @dev Allows organizers to cap how many tickets a single human can buy for their event.
+     * Buyers must verify with World ID for the event's own action, whose nullifier is the
+     * same for every wallet of a human, so the cap cannot be bypassed with extra wallets.
+     * @param eventId The ID of the event.
+     * @param maxTickets The maximum number of tickets per human (0 for no limit).
+     */
+    function setMaxTicketsPerHuman(uint256 eventId, uint256 maxTickets) external onlyEventOrganizer(eventId) {
+        string memory actionId = _registerEventWorldIdAction(eventId);
+        
+        maxTicketsPerHuman[eventId] = maxTickets;
+        emit MaxTicketsPerHumanUpdated(eventId, maxTickets, actionId);
+    }
+    
+    /**
+     * @dev Allows organizers to set the perks holders of a loyalty tier get at their event.
+     * @param eventId The ID of the event.
+     * @param tier The loyalty tier.
+     * @param discountPercentage Discount on purchases made with buyTicketWithPoints (basis points).
+     * @param priorityWaitlist Whether the tier can prioritize waitlist entries without spending points.
+     */
+    function setLoyaltyPerks(
+        uint256 eventId,
+        LoyaltyProgram.Tier tier,
+        uint256 discountPercentage,
+        bool priorityWaitlist
+    ) external onlyEventOrganizer(eventId) {
+        require(tier != LoyaltyProgram.Tier.None, "Invalid loyalty tier");
+        require(discountPercentage <= 10000, "Invalid discount");
+        
+        loyaltyPerks[eventId][tier] = LoyaltyPerks({
+            discountPercentage: discountPercentage,
+            priorityWaitlist: priorityWaitlist
+        });
+        
+        emit LoyaltyPerksUpdated(eventId, tier, discountPercentage, priorityWaitlist);
+    }
+    
+    /**
+     * @dev Allows organizers to set the metadata of their event's attendance badges.
+     * @param eventId The ID of the event.
+     * @param uri The badge metadata URI.
+     */
+    function setBadgeURI(uint256 eventId, string memory uri) external onlyEventOrganizer(eventId) {
+        require(address(attendanceBadge) != address(0), "Attendance badge not set");
+        attendanceBadge.setEventBadgeURI(eventId, uri);
+    }
+    
+    /**
+     * @dev Allows organizers to correct the name and description of their event.
+     * @param eventId The ID of the event.
+     * @param name The new event name.
+     * @param description The new event description.
+     */
+    function updateEventDetails(
+        uint256 eventId,
+        string memory name,
+        string memory description
+    ) external onlyEventOrganizer(eventId) {
+        require(events[eventId].isActive, "Event is not active");
+        
+        events[eventId].name = name;
+        events[eventId].description = description;
+        
+        emit EventUpdated(eventId, name, description);
+    }
+    
+    /**
+     * @dev Allows organizers to move their event to a later date. Sale windows and
+     * the resale deadline that ended at the old date move with it, and holders of
+     * tickets sold so far can claim a refund until the refund window closes.
+     * @param eventId The ID of the event.
+     * @param newDate The new event date.
+     */
+    function postponeEvent(uint256 eventId, uint256 newDate) external onlyEventOrganizer(eventId) {
+        Event storage evt = events[eventId];
+        uint256 oldDate = evt.eventDate;
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < oldDate, "Event has already occurred");
+        require(newDate > oldDate, "New date must be later");
+        
+        evt.eventDate = newDate;
+        
+        TicketTier[] storage tiers = eventTiers[eventId];
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (tiers[i].saleEnd == oldDate) {
+                tiers[i].saleEnd = newDate;
+            }
+        }
+        if (resaleTerms[eventId].resaleDeadline == oldDate) {
+            resaleTerms[eventId].resaleDeadline = newDate;
+        }
+        
+        uint256 refundDeadline = block.timestamp + postponementRefundWindow;
+        if (refundDeadline > newDate) {
+            refundDeadline = newDate;
+        }
+        postponements[eventId] = Postponement({
+            refundDeadline: refundDeadline,
+            eligibleTickets: evt.ticketsSold
+        });
+        
+        emit EventPostponed(eventId, oldDate, newDate, refundDeadline);
+    }
+    
+    /**
+     * @dev Allows organizers to close primary sales of every tier immediately.
+     * @param eventId The ID of the event.
+     */
+    function endSales(uint256 eventId) external onlyEventOrganizer(eventId) {
+        require(events[eventId].isActive, "Event is not active");
+        
+        TicketTier[] storage tiers = eventTiers[eventId];
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (tiers[i].saleEnd > block.timestamp) {
+                tiers[i].saleEnd = block.timestamp;
+            }
+        }
+        
+        emit SalesEnded(eventId);
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketGiftModule
+ * @dev Gift tickets and organizer-signed discount vouchers.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketGiftModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](5);
+        selectors[0] = this.buyTicketWithVoucher.selector;
+        selectors[1] = this.buyGiftTicket.selector;
+        selectors[2] = this.claimGift.selector;
+        selectors[3] = this.reclaimGift.selector;
+        selectors[4] = this.setGiftClaimPeriod.selector;
+    }
+    
+    /**
+     * @dev Buys a ticket at a discount using a voucher signed by the event organizer.
+     * @param eventId The ID of the event to buy a ticket for.
+     * @param tierId The ID of the ticket tier.
+     * @param voucher The voucher terms.
+     * @param signature The organizer's EIP-712 signature over the voucher (ERC-1271 for contract wallets).
+     * @return The token ID of the minted ticket.
+     */
+    function buyTicketWithVoucher(
+        uint256 eventId,
+        uint256 tierId,
+        Voucher calldata voucher,
+        bytes calldata signature
+    ) external payable nonReentrant worldIdVerifiedIfRequired(eventId) returns (uint256) {
+        uint256 discount = _redeemVoucher(eventId, tierId, voucher, signature);
+        return _buyTicket(eventId, tierId, msg.sender, discount, 0);
+    }
+    
+    /**
+     * @dev Buys a ticket as a gift for someone who may not have a wallet yet. The ticket
+     * is held by this contract until claimed with the secret whose hash is given, and the
+     * buyer can take it back once the claim period is over.
+     * @param eventId The ID of the event to buy a ticket for.
+     * @param tierId The ID of the ticket tier.
+     * @param claimHash The keccak256 hash of the claim secret shared with the recipient.
+     * @param maxPrice The highest price the buyer accepts (0 to pay the exact price).
+     * @return The token ID of the gifted ticket.
+     */
+    function buyGiftTicket(uint256 eventId, uint256 tierId, bytes32 claimHash, uint256 maxPrice)
+        external
+        payable
+        nonReentrant
+        worldIdVerifiedIfRequired(eventId)
+        returns (uint256)
+    {
+        require(claimHash != bytes32(0), "Invalid claim hash");
+        require(gifts[claimHash].buyer == address(0), "Gift already exists");
+        require(
+            ticketNFT.eventTransferPolicies(eventId) != EventTicketNFT.TransferPolicy.Soulbound,
+            "Ticket is soulbound"
+        );
+        
+        uint256 tokenId = _buyTicket(eventId, tierId, address(this), 0, maxPrice);
+        uint256 expiry = block.timestamp + giftClaimPeriod;
+        
+        gifts[claimHash] = Gift({
+            tokenId: tokenId,
+            buyer: msg.sender,
+            expiry: expiry
+        });
+        
+        emit GiftPurchased(claimHash, tokenId, msg.sender, expiry);
+        
+        return tokenId;
+    }
+    
+    /**
+     * @dev Claims a gifted ticket into the caller's wallet. The transfer is subject
+     * to the same restrictions as any other ticket transfer.
+     * @param secret The claim secret shared by the buyer.
+     * @return The token ID of the claimed ticket.
+     */
+    function claimGift(bytes32 secret) external nonReentrant returns (uint256) {
+        bytes32 claimHash = keccak256(abi.encodePacked(secret));
+        Gift memory gift = gifts[claimHash];
+        require(gift.buyer != address(0), "Gift not found");
+        
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(gift.tokenId);
+        require(events[ticket.eventId].isActive, "Event is not active");
+        if (events[ticket.eventId].worldIdRequired) {
+            require(
+                worldIDVerifier.isVerified(msg.sender),
+                "World ID verification required"
+            );
+        }
+        
+        delete gifts[claimHash];
+        ticketNFT.transferFrom(address(this), msg.sender, gift.tokenId);
+        
+        emit GiftClaimed(claimHash, gift.tokenId, msg.sender);
+        
+        return gift.tokenId;
+    }
+    
+    /**
+     * @dev Allows the buyer to take back a gift that was not claimed in time, or
+     * whose event was cancelled so that it can be refunded.
+     * @param claimHash The hash of the gift's claim secret.
+     */
+    function reclaimGift(bytes32 claimHash) external nonReentrant {
+        Gift memory gift = gifts[claimHash];
+        require(gift.buyer == msg.sender, "Not the gift buyer");
+        
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(gift.tokenId);
+        require(
+            block.timestamp >= gift.expiry || !events[ticket.eventId].isActive,
+            "Gift can still be claimed"
+        );
+        
+        delete gifts[claimHash];
+        ticketNFT.transferFrom(address(this), msg.sender, gift.tokenId);
+        
+        emit GiftReclaimed(claimHash, gift.tokenId, msg.sender);
+    }
+    
+    /**
+     * @dev Sets how long gifted tickets can be claimed before buyers may reclaim them (in seconds).
+     * @param newClaimPeriod The new claim period.
+     */
+    function setGiftClaimPeriod(uint256 newClaimPeriod) external onlyOwner {
+        require(newClaimPeriod >= 1 days && newClaimPeriod <= 365 days, "Invalid claim period");
+        giftClaimPeriod = newClaimPeriod;
+    }
+    
+    /**
+     * @dev Checks a voucher against the organizer's signature, records the
+     * redemption and returns the discount on the tier price.
+     */
+    function _redeemVoucher(
+        uint256 eventId,
+        uint256 tierId,
+        Voucher calldata voucher,
+        bytes calldata signature
+    ) internal returns (uint256 discount) {
+        require(voucher.eventId == eventId, "Voucher not for this event");
+        require(block.timestamp < voucher.expiry, "Voucher expired");
+        require(
+            voucher.recipient == address(0) || voucher.recipient == msg.sender,
+            "Voucher not for this buyer"
+        );
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            VOUCHER_TYPEHASH,
+            voucher.eventId,
+            voucher.code,
+            voucher.isPercentage,
+            voucher.discount,
+            voucher.maxUses,
+            voucher.expiry,
+            voucher.recipient
+        )));
+        require(
+            SignatureChecker.isValidSignatureNow(events[eventId].organizer, digest, signature),
+            "Invalid voucher signature"
+        );
+        
+        uint256 redemptions = voucherRedemptions[eventId][voucher.code];
+        require(redemptions < voucher.maxUses, "Voucher fully redeemed");
+        voucherRedemptions[eventId][voucher.code] = redemptions + 1;
+        
+        uint256 price = _currentPrice(eventId, tierId);
+        if (voucher.isPercentage) {
+            require(voucher.discount <= 10000, "Invalid discount");
+            discount = (price * voucher.discount) / 10000;
+        } else {
+            discount = voucher.discount < price ? voucher.discount : price;
+        }
+        
+        emit VoucherRedeemed(eventId, voucher.code, msg.sender, discount);
+    }
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketPricingModule
+ * @dev Ticket tiers and their pricing strategies.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketPricingModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](3);
+        selectors[0] = this.addTicketTier.selector;
+        selectors[1] = this.setTierPricing.selector;
+        selectors[2] = this.increaseTierSupply.selector;
+    }
+    
+    /**
+     * @dev Allows organizers to add a ticket tier to their event.
+     * @param eventId The ID of the event.
+     * @param name The name of the tier (e.g. "VIP").
+     * @param price The price per ticket in wei (0 for a free tier).
+     * @param supply The number of tickets available in this tier.
+     * @param saleStart Timestamp when sales for this tier open.
+     * @param saleEnd Timestamp when sales for this tier close.
+     * @param worldIdRequired Whether World ID verification is required for this tier.
+     * @return The ID of the created tier.
+     */
+    function addTicketTier(
+        uint256 eventId,
+        string memory name,
+        uint256 price,
+        uint256 supply,
+        uint256 saleStart,
+        uint256 saleEnd,
+        bool worldIdRequired
+    ) external onlyEventOrganizer(eventId) returns (uint256) {
+        require(events[eventId].isActive, "Event is not active");
+        
+        return _addTicketTier(eventId, name, price, supply, saleStart, saleEnd, worldIdRequired);
+    }
+    
+    /**
+     * @dev Allows organizers to set the pricing strategy of a tier before it sells any tickets.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @param pricing The pricing strategy.
+     */
+    function setTierPricing(
+        uint256 eventId,
+        uint256 tierId,
+        PricingStrategy calldata pricing
+    ) external onlyEventOrganizer(eventId) {
+        _setTierPricing(eventId, tierId, pricing);
+    }
+    
+    /**
+     * @dev Allows organizers to add supply to an existing ticket tier.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @param additionalSupply The number of tickets to add.
+     */
+    function increaseTierSupply(
+        uint256 eventId,
+        uint256 tierId,
+        uint256 additionalSupply
+    ) external onlyEventOrganizer(eventId) {
+        Event storage evt = events[eventId];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        require(additionalSupply > 0, "Supply must be greater than zero");
+        
+        TicketTier storage tier = eventTiers[eventId][tierId];
+        tier.supply += additionalSupply;
+        evt.totalTickets += additionalSupply;
+        
+        emit TierSupplyIncreased(eventId, tierId, tier.supply);
+        
+        // Added seats go to the waitlist first
+        _offerWaitlistSeats(eventId, tierId, additionalSupply);
+    }
+}
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketPurchaseModule
+ * @dev Purchase paths besides buyTicket: ERC-2612 permits, loyalty points and batches.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketPurchaseModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](4);
+        selectors[0] = this.buyTicketWithPermit.selector;
+        selectors[1] = this.buyTicketWithPoints.selector;
+        selectors[2] = this.getUserLoyaltyPoints.selector;
+        selectors[3] = this.buyTickets.selector;
+    }
+    
+    /**
+     * @dev Buys a ticket for an ERC-20 priced event using an EIP-2612 permit,
+     * so approval and purchase happen in a single transaction.
+     * @param eventId The ID of the event to buy a ticket for.
+     * @param tierId The ID of the ticket tier.
+     * @param deadline Expiry of the permit signature.
+     * @param v Signature recovery byte.
+     * @param r Signature r value.
+     * @param s Signature s value.
+     * @return The token ID of the minted ticket.
+     */
+    function buyTicketWithPermit(
+        uint256 eventId,
+        uint256 tierId,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant worldIdVerifiedIfRequired(eventId) returns (uint256) {
+        address token = eventPaymentToken[eventId];
+        require(token != address(0), "Event is priced in native token");
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        
+        // A permit may already have been used by a front-runner; the transfer
+        // below still fails if the allowance is missing.
+        try IERC20Permit(token).permit(
+            msg.sender,
+            address(this),
+            _currentPrice(eventId, tierId),
+            deadline,
+            v,
+            r,
+            s
+        ) {} catch {}
+        
+        return _buyTicket(eventId, tierId, msg.sender, 0, 0);
+    }
+    
+    /**
+     * @dev Buys a ticket at the discount of the buyer's loyalty tier perks, optionally
+     * redeeming loyalty points for a further discount.
+     * @param eventId The ID of the event to buy a ticket for.
+     * @param tierId The ID of the ticket tier.
+     * @param points The number of loyalty points to redeem (0 for none).
+     * @return The token ID of the minted ticket.
+     */
+    function buyTicketWithPoints(uint256 eventId, uint256 tierId, uint256 points)
+        external
+        payable
+        nonReentrant
+        worldIdVerifiedIfRequired(eventId)
+        returns (uint256)
+    {
+        uint256 discount = _redeemLoyalty(eventId, tierId, points);
+        return _buyTicket(eventId, tierId, msg.sender, discount, 0);
+    }
+    
+    /**
+     * @dev Spends loyalty points and returns the discount on the tier price, including
+     * the discount the buyer's loyalty tier gets at the event.
+     */
+    function _redeemLoyalty(uint256 eventId, uint256 tierId, uint256 points) internal returns (uint256) {
+        require(address(loyaltyProgram) != address(0), "Loyalty program not set");
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        
+        uint256 discountPercentage = loyaltyPerks[eventId][loyaltyProgram.tierOf(msg.sender)].discountPercentage;
+        if (points > 0) {
+            loyaltyProgram.spendPoints(msg.sender, points);
+            discountPercentage += points * loyaltyProgram.pointDiscount();
+        }
+        require(discountPercentage <= 10000, "Too many points redeemed");
+        
+        return (_currentPrice(eventId, tierId) * discountPercentage) / 10000;
+    }
+    
+    /**
+     * @dev Returns the loyalty points for a user.
+     * @param user The address of the user.
+     * @return The number of unexpired loyalty points.
+     */
+    function getUserLoyaltyPoints(address user) public view returns (uint256) {
+        if (address(loyaltyProgram) == address(0)) {
+            return 0;
+        }
+        return loyaltyProgram.balanceOf(user);
+    }
+    
+    /**
+     * @dev Allows users to buy several tickets in one tier for a group. Each ticket is
+     * minted to the matching recipient, and the organizer and platform fee are paid
+     * in a single settlement. ERC-20 priced events must be approved beforehand.
+     * @param eventId The ID of the event to buy tickets for.
+     * @param tierId The ID of the ticket tier.
+     * @param recipients The address receiving each ticket (one entry per ticket).
+     * @param maxTotalPrice The most the buyer accepts for the whole batch (0 to pay the exact total).
+     * @return tokenIds The token IDs of the minted tickets.
+     */
+    function buyTickets(
+        uint256 eventId,
+        uint256 tierId,
+        address[] calldata recipients,
+        uint256 maxTotalPrice
+    )
+        external
+        payable
+        nonReentrant
+        worldIdVerifiedIfRequired(eventId)
+        returns (uint256[] memory tokenIds)
+    {
+        Event storage evt = events[eventId];
+        uint256 quantity = recipients.length;
+        
+        require(quantity > 0, "Quantity must be greater than zero");
+        require(quantity <= MAX_BATCH_SIZE, "Batch too large");
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        
+        // Each ticket is priced in turn, so a batch can cross demand-based price steps
+        uint256 firstSold = _sellFromTier(eventId, tierId, msg.sender, quantity).sold - quantity;
+        uint256[] memory prices = new uint256[](quantity);
+        uint256 total;
+        for (uint256 i = 0; i < quantity; i++) {
+            prices[i] = _priceAt(eventId, tierId, firstSold + i);
+            total += prices[i];
+        }
+        if (maxTotalPrice == 0) {
+            _collectPayment(eventId, total);
+        } else {
+            require(total <= maxTotalPrice, "Price exceeds max price");
+            _collectPayment(eventId, total, maxTotalPrice);
+        }
+        
+        _settlePayment(eventId, total);
+        
+        tokenIds = new uint256[](quantity);
+        for (uint256 i = 0; i < quantity; i++) {
+            require(recipients[i] != address(0), "Invalid recipient");
+            tokenIds[i] = _mintTicket(eventId, tierId, msg.sender, recipients[i], prices[i]);
+        }
+        
+        // Award loyalty points to the buyer (1 point per ticket)
+        _awardLoyaltyPoints(msg.sender, quantity);
+        
+        return tokenIds;
+    }
+}
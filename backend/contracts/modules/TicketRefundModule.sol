@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketRefundModule
+ * @dev Refunds for cancelled or postponed events and ticket returns.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketRefundModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](9);
+        selectors[0] = this.claimRefund.selector;
+        selectors[1] = this.claimPostponementRefund.selector;
+        selectors[2] = this.returnTicket.selector;
+        selectors[3] = this.setRefundPolicy.selector;
+        selectors[4] = this.setRefundPlatformFeeOnReturn.selector;
+        selectors[5] = this.getRefundPolicy.selector;
+        selectors[6] = this.getRefundPercentage.selector;
+        selectors[7] = this.setPostponementRefundWindow.selector;
+        selectors[8] = this.setRefundClaimPeriod.selector;
+    }
+    
+    /**
+     * @dev Allows ticket holders to claim refunds for cancelled events from the event's
+     * escrow until the event's refund deadline.
+     * @param tokenId The ID of the ticket to refund.
+     */
+    function claimRefund(uint256 tokenId) public nonReentrant {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        
+        require(!events[ticket.eventId].isActive, "Event not cancelled");
+        require(block.timestamp < refundDeadlines[ticket.eventId], "Refund window closed");
+        
+        _refundTicket(tokenId, ticket, RefundReason.Cancellation, 10000);
+    }
+    
+    /**
+     * @dev Allows holders of tickets sold before a postponement to opt into a
+     * refund while the postponement refund window is open.
+     * @param tokenId The ID of the ticket to refund.
+     */
+    function claimPostponementRefund(uint256 tokenId) external nonReentrant {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        Postponement storage postponement = postponements[ticket.eventId];
+        
+        require(events[ticket.eventId].isActive, "Event is not active");
+        require(block.timestamp < postponement.refundDeadline, "Refund window closed");
+        require(ticket.ticketIndex < postponement.eligibleTickets, "Ticket sold after postponement");
+        
+        _refundTicket(tokenId, ticket, RefundReason.Postponement, 10000);
+        
+        // Release the refunded seat, offering it to the waitlist first
+        eventTiers[ticket.eventId][ticket.tierId].sold--;
+        _offerWaitlistSeats(ticket.eventId, ticket.tierId, 1);
+        _releasePurchase(tokenId, ticket.eventId, ticket.tierId);
+    }
+    
+    /**
+     * @dev Allows holders to return a ticket before the event for the share of its
+     * price granted by the event's refund policy. The ticket is burned and its seat
+     * goes back on sale, offered to the waitlist first.
+     * @param tokenId The ID of the ticket to return.
+     */
+    function returnTicket(uint256 tokenId) external nonReentrant {
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        Event storage evt = events[ticket.eventId];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        
+        uint256 percentage = getRefundPercentage(ticket.eventId);
+        require(percentage > 0, "Ticket not refundable");
+        
+        delete resaleTickets[tokenId];
+        _refundTicket(tokenId, ticket, RefundReason.Return, percentage);
+        
+        eventTiers[ticket.eventId][ticket.tierId].sold--;
+        _offerWaitlistSeats(ticket.eventId, ticket.tierId, 1);
+        _releasePurchase(tokenId, ticket.eventId, ticket.tierId);
+        
+        emit TicketReturned(tokenId, ticket.eventId, ticket.tierId);
+    }
+    
+    /**
+     * @dev Undoes what a refunded ticket's purchase counted for: the buyer's purchase
+     * limits, the free ticket claim of an RSVP and, as far as the buyer still holds it,
+     * the loyalty point it earned.
+     */
+    function _releasePurchase(uint256 tokenId, uint256 eventId, uint256 tierId) internal {
+        address buyer = ticketBuyers[tokenId];
+        
+        if (walletPurchases[eventId][buyer] > 0) {
+            walletPurchases[eventId][buyer]--;
+        }
+        
+        uint256 nullifierHash = worldIDVerifier.getActionNullifier(eventWorldIdAction(eventId), buyer);
+        if (nullifierHash != 0 && humanPurchases[eventId][nullifierHash] > 0) {
+            humanPurchases[eventId][nullifierHash]--;
+        }
+        
+        // Let the buyer claim a free ticket again
+        if (eventTiers[eventId][tierId].price == 0) {
+            delete rsvpClaimed[eventId][nullifierHash];
+            if (rsvpRequests[eventId][buyer].status == RsvpStatus.Approved) {
+                delete rsvpRequests[eventId][buyer];
+            }
+        }
+        
+        if (address(loyaltyProgram) != address(0)) {
+            loyaltyProgram.revokePoints(buyer, 1);
+        }
+    }
+    
+    /**
+     * @dev Refunds a share of a ticket's price to its owner from the event's escrow.
+     * Refunds of a live event come out of its sales revenue, so tickets bought on
+     * resale are refunded at most their original price. Cancellations refund the
+     * full resale price, taking the markup out of the proceeds held back from sellers.
+     * Returned tickets are burned, other refunded tickets are marked as used.
+     */
+    function _refundTicket(
+        uint256 tokenId,
+        EventTicketNFT.TicketInfo memory ticket,
+        RefundReason reason,
+        uint256 percentage
+    ) internal {
+        // Check ownership
+        require(ticketNFT.ownerOf(tokenId) == msg.sender, "Not ticket owner");
+        require(!ticket.isUsed, "Ticket already used");
+        
+        uint256 eventId = ticket.eventId;
+        EventEscrow storage escrow = eventEscrows[eventId];
+        
+        uint256 amount = ticket.purchasePrice;
+        uint256 salePrice = ticketSalePrices[tokenId] < amount ? ticketSalePrices[tokenId] : amount;
+        
+        uint256 fee = (salePrice * platformFeePercentage) / 10000;
+        if (fee > escrow.platformFees - escrow.feesRefunded) {
+            fee = escrow.platformFees - escrow.feesRefunded;
+        }
+        if (reason == RefundReason.Cancellation) {
+            escrow.holdbacksRefunded += amount - salePrice;
+        } else {
+            amount = salePrice;
+            if (reason == RefundReason.Return && !refundPlatformFeeOnReturn) {
+                amount -= fee;
+                fee = 0;
+            }
+        }
+        escrow.feesRefunded += (fee * percentage) / 10000;
+        amount = (amount * percentage) / 10000;
+        require(_escrowBalance(eventId) >= amount, "Insufficient escrow");
+        
+        // Retire the ticket to prevent double refunds
+        if (reason == RefundReason.Return) {
+            ticketNFT.burnTicket(tokenId);
+        } else {
+            ticketNFT.useTicket(tokenId);
+        }
+        escrow.refunded += amount;
+        
+        // Send refund to ticket owner
+        _transferFunds(eventId, msg.sender, amount, "Refund failed");
+        
+        emit RefundIssued(tokenId, msg.sender, amount, reason, percentage);
+    }
+    
+    /**
+     * @dev Allows organizers to set the refund policy of their event. Each rule
+     * refunds a share of the ticket price until its cutoff before the event,
+     * e.g. 100% until 14 days before and 50% until 2 days before.
+     * @param eventId The ID of the event.
+     * @param rules The refund rules, ordered by descending cutoff (empty for no refunds).
+     */
+    function setRefundPolicy(uint256 eventId, RefundRule[] calldata rules) external onlyEventOrganizer(eventId) {
+        require(events[eventId].isActive, "Event is not active");
+        require(rules.length <= MAX_REFUND_RULES, "Too many refund rules");
+        
+        delete refundPolicies[eventId];
+        for (uint256 i = 0; i < rules.length; i++) {
+            require(rules[i].percentage > 0 && rules[i].percentage <= 10000, "Invalid refund percentage");
+            require(i == 0 || rules[i].cutoff < rules[i - 1].cutoff, "Cutoffs must be descending");
+            refundPolicies[eventId].push(rules[i]);
+        }
+        
+        emit RefundPolicyUpdated(eventId, rules);
+    }
+    
+    /**
+     * @dev Sets whether voluntary returns refund the platform fee.
+     * @param refundFee True to refund the fee, false to keep it and refund the rest.
+     */
+    function setRefundPlatformFeeOnReturn(bool refundFee) external onlyOwner {
+        refundPlatformFeeOnReturn = refundFee;
+        emit RefundFeePolicyUpdated(refundFee);
+    }
+    
+    /**
+     * @dev Gets the refund policy of an event.
+     * @param eventId The ID of the event.
+     * @return The refund rules, ordered by descending cutoff.
+     */
+    function getRefundPolicy(uint256 eventId) external view returns (RefundRule[] memory) {
+        return refundPolicies[eventId];
+    }
+    
+    /**
+     * @dev Gets the share of the ticket price a return is refunded right now.
+     * @param eventId The ID of the event.
+     * @return The refund percentage (in basis points, 0 if tickets cannot be returned).
+     */
+    function getRefundPercentage(uint256 eventId) public view returns (uint256) {
+        uint256 eventDate = events[eventId].eventDate;
+        RefundRule[] storage rules = refundPolicies[eventId];
+        
+        for (uint256 i = 0; i < rules.length; i++) {
+            if (block.timestamp + rules[i].cutoff < eventDate) {
+                return rules[i].percentage;
+            }
+        }
+        return 0;
+    }
+    
+    /**
+     * @dev Sets how long holders can opt into a refund after a postponement (in seconds).
+     * @param newRefundWindow The new refund window.
+     */
+    function setPostponementRefundWindow(uint256 newRefundWindow) external onlyOwner {
+        require(newRefundWindow <= 30 days, "Refund window too long");
+        postponementRefundWindow = newRefundWindow;
+    }
+    
+    /**
+     * @dev Sets how long holders can claim refunds after a cancellation (in seconds).
+     * Applies to events cancelled from now on.
+     * @param newClaimPeriod The new claim period.
+     */
+    function setRefundClaimPeriod(uint256 newClaimPeriod) external onlyOwner {
+        require(newClaimPeriod >= 7 days, "Claim period too short");
+        refundClaimPeriod = newClaimPeriod;
+    }
+}
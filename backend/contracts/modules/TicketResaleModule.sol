@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketResaleModule
+ * @dev Secondary market with capped markups and escrowed markup holdbacks.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketResaleModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](5);
+        selectors[0] = this.setResaleTerms.selector;
+        selectors[1] = this.listTicketForResale.selector;
+        selectors[2] = this.cancelResaleListing.selector;
+        selectors[3] = this.buyResaleTicket.selector;
+        selectors[4] = this.withdrawResaleProceeds.selector;
+    }
+    
+    /**
+     * @dev Allows organizers to configure the secondary market for their event.
+     * @param eventId The ID of the event.
+     * @param allowResale Whether tickets can be resold.
+     * @param resaleDeadline Timestamp after which resale is closed.
+     * @param maxPriceIncrease Maximum markup over the ticket price (basis points).
+     * @param royaltyPercentage Organizer royalty on each resale (basis points).
+     */
+    function setResaleTerms(
+        uint256 eventId,
+        bool allowResale,
+        uint256 resaleDeadline,
+        uint256 maxPriceIncrease,
+        uint256 royaltyPercentage
+    ) external onlyEventOrganizer(eventId) {
+        require(resaleDeadline <= events[eventId].eventDate, "Deadline after event date");
+        require(maxPriceIncrease <= maxResalePriceIncrease, "Increase too high");
+        require(royaltyPercentage + platformFeePercentage <= 10000, "Royalty too high");
+        
+        resaleTerms[eventId] = ResaleTerms({
+            allowResale: allowResale,
+            resaleDeadline: resaleDeadline,
+            maxPriceIncrease: maxPriceIncrease,
+            royaltyPercentage: royaltyPercentage
+        });
+        
+        emit ResaleTermsUpdated(eventId, allowResale, resaleDeadline, maxPriceIncrease, royaltyPercentage);
+    }
+    
+    /**
+     * @dev Lists a ticket for resale. The seller must approve this contract
+     * to transfer the ticket before listing.
+     * @param tokenId The ID of the ticket to list.
+     * @param price The asking price in wei.
+     */
+    function listTicketForResale(uint256 tokenId, uint256 price) external {
+        require(ticketNFT.ownerOf(tokenId) == msg.sender, "Not ticket owner");
+        require(
+            ticketNFT.getApproved(tokenId) == address(this) ||
+                ticketNFT.isApprovedForAll(msg.sender, address(this)),
+            "Contract not approved"
+        );
+        
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        Event storage evt = events[ticket.eventId];
+        ResaleTerms storage terms = resaleTerms[ticket.eventId];
+        
+        require(!ticket.isUsed, "Ticket already used");
+        require(evt.isActive, "Event is not active");
+        require(terms.allowResale, "Resale not allowed");
+        require(
+            ticketNFT.eventTransferPolicies(ticket.eventId) != EventTicketNFT.TransferPolicy.Soulbound,
+            "Ticket is soulbound"
+        );
+        require(block.timestamp < terms.resaleDeadline, "Resale deadline passed");
+        require(price > 0, "Price must be greater than zero");
+        require(
+            price <= (eventTiers[ticket.eventId][ticket.tierId].price * (10000 + terms.maxPriceIncrease)) / 10000,
+            "Resale price too high"
+        );
+        
+        resaleTickets[tokenId] = ResaleListing({
+            seller: msg.sender,
+            price: price,
+            isListed: true
+        });
+        
+        emit TicketListedForResale(tokenId, price);
+    }
+    
+    /**
+     * @dev Cancels an active resale listing.
+     * @param tokenId The ID of the listed ticket.
+     */
+    function cancelResaleListing(uint256 tokenId) external {
+        ResaleListing storage listing = resaleTickets[tokenId];
+        require(listing.isListed, "Ticket not listed");
+        require(
+            listing.seller == msg.sender || ticketNFT.ownerOf(tokenId) == msg.sender,
+            "Not the seller"
+        );
+        
+        delete resaleTickets[tokenId];
+        
+        emit ResaleListingCancelled(tokenId);
+    }
+    
+    /**
+     * @dev Buys a ticket listed for resale, paid in the event's payment token.
+     * Proceeds are split between the platform fee, the organizer royalty and the seller.
+     * @param tokenId The ID of the listed ticket.
+     */
+    function buyResaleTicket(uint256 tokenId) external payable nonReentrant {
+        ResaleListing memory listing = resaleTickets[tokenId];
+        require(listing.isListed, "Ticket not listed");
+        require(msg.sender != listing.seller, "Cannot buy your own ticket");
+        require(ticketNFT.ownerOf(tokenId) == listing.seller, "Listing no longer valid");
+        
+        EventTicketNFT.TicketInfo memory ticket = ticketNFT.getTicketInfo(tokenId);
+        Event storage evt = events[ticket.eventId];
+        ResaleTerms storage terms = resaleTerms[ticket.eventId];
+        
+        require(!ticket.isUsed, "Ticket already used");
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < terms.resaleDeadline, "Resale deadline passed");
+        if (evt.worldIdRequired) {
+            require(
+                worldIDVerifier.isVerified(msg.sender),
+                "World ID verification required"
+            );
+        }
+        
+        delete resaleTickets[tokenId];
+        _collectPayment(ticket.eventId, listing.price);
+        
+        // Calculate platform fee and organizer royalty
+        uint256 platformFee = (listing.price * platformFeePercentage) / 10000;
+        uint256 royalty = (listing.price * terms.royaltyPercentage) / 10000;
+        uint256 sellerAmount = listing.price - platformFee - royalty;
+        
+        // Hold back any markup over the recorded price so the escrow can still
+        // refund the new price if the event is cancelled
+        if (listing.price > ticket.purchasePrice) {
+            uint256 markup = listing.price - ticket.purchasePrice;
+            require(sellerAmount >= markup, "Resale markup exceeds proceeds");
+            sellerAmount -= markup;
+            resaleHoldbacks[ticket.eventId][listing.seller] += markup;
+            eventEscrows[ticket.eventId].resaleHoldbacks += markup;
+        }
+        
+        // Move the ticket to the buyer and record the new purchase price for refunds
+        ticketNFT.transferFrom(listing.seller, msg.sender, tokenId);
+        ticketNFT.updatePurchasePrice(tokenId, listing.price);
+        
+        // Transfer platform fee to admin
+        _transferFunds(ticket.eventId, platformAdmin, platformFee, "Platform fee transfer failed");
+        
+        // Transfer royalty to organizer
+        _transferFunds(ticket.eventId, evt.organizer, royalty, "Royalty payment failed");
+        
+        // Transfer remaining amount to seller
+        _transferFunds(ticket.eventId, listing.seller, sellerAmount, "Seller payment failed");
+        
+        emit TicketResold(tokenId, listing.seller, msg.sender, listing.price);
+    }
+    
+    /**
+     * @dev Releases resale proceeds held back from a seller once the event has
+     * taken place and the dispute window has passed, or once the refund window
+     * of a cancelled event has closed. Markups refunded on cancellation are
+     * shared by all sellers in proportion to their holdbacks.
+     * @param eventId The ID of the event.
+     */
+    function withdrawResaleProceeds(uint256 eventId) external nonReentrant {
+        EventEscrow storage escrow = eventEscrows[eventId];
+        
+        require(
+            block.timestamp >= _escrowReleaseTime(eventId),
+            events[eventId].isActive ? "Dispute window not over" : "Refund window not over"
+        );
+        
+        uint256 heldBack = resaleHoldbacks[eventId][msg.sender];
+        require(heldBack > 0, "Nothing to withdraw");
+        
+        uint256 amount = (heldBack * (escrow.resaleHoldbacks - escrow.holdbacksRefunded)) / escrow.resaleHoldbacks;
+        resaleHoldbacks[eventId][msg.sender] = 0;
+        escrow.resaleReleased += amount;
+        
+        _transferFunds(eventId, msg.sender, amount, "Seller payment failed");
+        
+        emit ResaleProceedsWithdrawn(eventId, msg.sender, amount);
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketRsvpModule
+ * @dev RSVP flow for free events that need organizer approval.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketRsvpModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](4);
+        selectors[0] = this.setRsvpSettings.selector;
+        selectors[1] = this.requestRsvp.selector;
+        selectors[2] = this.approveRsvp.selector;
+        selectors[3] = this.rejectRsvp.selector;
+    }
+    
+    /**
+     * @dev Allows organizers to configure how free tickets of their event are claimed.
+     * Claimers of one-per-human tickets verify with World ID for the event's own action,
+     * so a human cannot claim again from another wallet.
+     * @param eventId The ID of the event.
+     * @param oneTicketPerHuman Whether each World ID verified human can claim only one free ticket.
+     * @param requiresApproval Whether free tickets must be requested and approved by the organizer.
+     */
+    function setRsvpSettings(
+        uint256 eventId,
+        bool oneTicketPerHuman,
+        bool requiresApproval
+    ) external onlyEventOrganizer(eventId) {
+        if (oneTicketPerHuman) {
+            _registerEventWorldIdAction(eventId);
+        }
+        
+        rsvpSettings[eventId] = RsvpSettings({
+            oneTicketPerHuman: oneTicketPerHuman,
+            requiresApproval: requiresApproval
+        });
+        
+        emit RsvpSettingsUpdated(eventId, oneTicketPerHuman, requiresApproval);
+    }
+    
+    /**
+     * @dev Requests a free ticket for an event that requires organizer approval.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the free ticket tier.
+     */
+    function requestRsvp(uint256 eventId, uint256 tierId) external {
+        Event storage evt = events[eventId];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        require(rsvpSettings[eventId].requiresApproval, "Approval not required");
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        require(eventTiers[eventId][tierId].price == 0, "Tier is not free");
+        require(rsvpRequests[eventId][msg.sender].status == RsvpStatus.None, "Already requested");
+        
+        rsvpRequests[eventId][msg.sender] = RsvpRequest({
+            status: RsvpStatus.Pending,
+            tierId: tierId
+        });
+        
+        emit RsvpRequested(eventId, tierId, msg.sender);
+    }
+    
+    /**
+     * @dev Allows organizers to approve a pending request, issuing the free ticket.
+     * @param eventId The ID of the event.
+     * @param attendee The address that requested the ticket.
+     * @return The token ID of the minted ticket.
+     */
+    function approveRsvp(uint256 eventId, address attendee) external onlyEventOrganizer(eventId) returns (uint256) {
+        Event storage evt = events[eventId];
+        RsvpRequest storage request = rsvpRequests[eventId][attendee];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        require(request.status == RsvpStatus.Pending, "No pending request");
+        
+        _sellFromTier(eventId, request.tierId, attendee, 1);
+        request.status = RsvpStatus.Approved;
+        
+        uint256 tokenId = _mintTicket(eventId, request.tierId, attendee, attendee, 0);
+        
+        emit RsvpApproved(eventId, attendee, tokenId);
+        
+        return tokenId;
+    }
+    
+    /**
+     * @dev Allows organizers to reject a pending request.
+     * @param eventId The ID of the event.
+     * @param attendee The address that requested the ticket.
+     */
+    function rejectRsvp(uint256 eventId, address attendee) external onlyEventOrganizer(eventId) {
+        RsvpRequest storage request = rsvpRequests[eventId][attendee];
+        require(request.status == RsvpStatus.Pending, "No pending request");
+        
+        request.status = RsvpStatus.Rejected;
+        
+        emit RsvpRejected(eventId, attendee);
+    }
+}
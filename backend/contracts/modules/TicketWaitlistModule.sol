@@ -0,0 +1,234 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "../EventTicketingBase.sol";
+import "../interfaces/ITicketingModule.sol";
+
+/**
+ * @title TicketWaitlistModule
+ * @dev Waitlists for sold-out ticket tiers.
+ * Only ever executed through EventTicketing's fallback via delegatecall.
+ */
+contract TicketWaitlistModule is EventTicketingBase, ITicketingModule {
+    /**
+     * @inheritdoc ITicketingModule
+     */
+    function moduleSelectors() external pure returns (bytes4[] memory selectors) {
+        selectors = new bytes4[](6);
+        selectors[0] = this.joinWaitlist.selector;
+        selectors[1] = this.leaveWaitlist.selector;
+        selectors[2] = this.expireWaitlistOffer.selector;
+        selectors[3] = this.claimWaitlistSeat.selector;
+        selectors[4] = this.prioritizeWaitlistEntry.selector;
+        selectors[5] = this.getWaitlistPosition.selector;
+    }
+    
+    /**
+     * @dev Joins the waitlist of a sold-out tier. An optional deposit (in the event's
+     * payment token) is credited towards the ticket price when the seat is claimed,
+     * and returned if the user leaves or lets an offer expire.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @param deposit The deposit amount (0 for none).
+     */
+    function joinWaitlist(uint256 eventId, uint256 tierId, uint256 deposit) external payable nonReentrant {
+        Event storage evt = events[eventId];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        require(tierId < eventTiers[eventId].length, "Tier does not exist");
+        
+        TicketTier storage tier = eventTiers[eventId][tierId];
+        Waitlist storage waitlist = waitlists[eventId][tierId];
+        
+        require(tier.sold + waitlist.reservedSeats >= tier.supply, "Tickets still available");
+        require(deposit <= tier.price, "Deposit exceeds ticket price");
+        require(waitlistIndex[eventId][tierId][msg.sender] == 0, "Already on waitlist");
+        
+        _collectPayment(eventId, deposit);
+        
+        waitlist.entries.push(WaitlistEntry({
+            user: msg.sender,
+            deposit: deposit,
+            offerExpiry: 0,
+            priority: false
+        }));
+        waitlistIndex[eventId][tierId][msg.sender] = waitlist.entries.length;
+        
+        emit WaitlistJoined(eventId, tierId, msg.sender, deposit);
+    }
+    
+    /**
+     * @dev Leaves a waitlist and returns the deposit. If a seat was offered,
+     * it passes to the next person in line.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     */
+    function leaveWaitlist(uint256 eventId, uint256 tierId) external nonReentrant {
+        _removeFromWaitlist(eventId, tierId, msg.sender);
+    }
+    
+    /**
+     * @dev Removes a user whose seat offer has expired and passes the seat on.
+     * Anyone can call this; the user's deposit is returned to them.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @param user The waitlisted user whose offer expired.
+     */
+    function expireWaitlistOffer(uint256 eventId, uint256 tierId, address user) external nonReentrant {
+        uint256 index = waitlistIndex[eventId][tierId][user];
+        require(index > 0, "Not on waitlist");
+        
+        uint256 offerExpiry = waitlists[eventId][tierId].entries[index - 1].offerExpiry;
+        require(offerExpiry != 0 && block.timestamp >= offerExpiry, "Offer not expired");
+        
+        _removeFromWaitlist(eventId, tierId, user);
+    }
+    
+    /**
+     * @dev Claims a seat offered from the waitlist, paying the ticket price minus the deposit.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @return The token ID of the minted ticket.
+     */
+    function claimWaitlistSeat(uint256 eventId, uint256 tierId)
+        external
+        payable
+        nonReentrant
+        worldIdVerifiedIfRequired(eventId)
+        returns (uint256)
+    {
+        Event storage evt = events[eventId];
+        
+        require(evt.isActive, "Event is not active");
+        require(block.timestamp < evt.eventDate, "Event has already occurred");
+        
+        uint256 index = waitlistIndex[eventId][tierId][msg.sender];
+        require(index > 0, "Not on waitlist");
+        
+        Waitlist storage waitlist = waitlists[eventId][tierId];
+        WaitlistEntry memory entry = waitlist.entries[index - 1];
+        require(entry.offerExpiry != 0, "No seat offered");
+        require(block.timestamp < entry.offerExpiry, "Offer expired");
+        
+        delete waitlist.entries[index - 1];
+        waitlistIndex[eventId][tierId][msg.sender] = 0;
+        waitlist.reservedSeats--;
+        
+        uint256 price = _priceAt(eventId, tierId, _sellFromTier(eventId, tierId, msg.sender, 1).sold - 1);
+        _collectPayment(eventId, price > entry.deposit ? price - entry.deposit : 0);
+        
+        _settlePayment(eventId, price);
+        
+        // Return any part of the deposit above a price that has since dropped
+        if (entry.deposit > price) {
+            _transferFunds(eventId, msg.sender, entry.deposit - price, "Deposit refund failed");
+        }
+        
+        uint256 tokenId = _mintTicket(eventId, tierId, msg.sender, msg.sender, price);
+        
+        // Award loyalty points (1 point per purchase)
+        _awardLoyaltyPoints(msg.sender, 1);
+        
+        emit WaitlistSeatClaimed(eventId, tierId, msg.sender, tokenId);
+        
+        return tokenId;
+    }
+    
+    /**
+     * @dev Moves the caller's waitlist entry to the priority queue, which is offered
+     * seats before the rest of the line. Free for loyalty tiers the organizer grants
+     * priority access to, otherwise paid for with loyalty points.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     */
+    function prioritizeWaitlistEntry(uint256 eventId, uint256 tierId) external nonReentrant {
+        require(address(loyaltyProgram) != address(0), "Loyalty program not set");
+        
+        uint256 index = waitlistIndex[eventId][tierId][msg.sender];
+        require(index > 0, "Not on waitlist");
+        
+        Waitlist storage waitlist = waitlists[eventId][tierId];
+        WaitlistEntry storage entry = waitlist.entries[index - 1];
+        require(entry.offerExpiry == 0, "Seat already offered");
+        require(!entry.priority, "Already prioritized");
+        
+        uint256 pointsSpent;
+        if (!loyaltyPerks[eventId][loyaltyProgram.tierOf(msg.sender)].priorityWaitlist) {
+            pointsSpent = loyaltyProgram.priorityWaitlistCost();
+            loyaltyProgram.spendPoints(msg.sender, pointsSpent);
+        }
+        
+        entry.priority = true;
+        waitlist.priorityQueue.push(index - 1);
+        
+        emit WaitlistPrioritized(eventId, tierId, msg.sender, pointsSpent);
+    }
+    
+    /**
+     * @dev Gets a user's place on a waitlist.
+     * @param eventId The ID of the event.
+     * @param tierId The ID of the ticket tier.
+     * @param user The address of the user.
+     * @return position 1-based place in line (0 if not waiting or already offered a seat)
+     * @return offerExpiry When the offered seat must be claimed by (0 if none offered)
+     * @return deposit The user's deposit, credited towards the ticket price when claiming
+     */
+    function getWaitlistPosition(uint256 eventId, uint256 tierId, address user) public view returns (
+        uint256 position,
+        uint256 offerExpiry,
+        uint256 deposit
+    ) {
+        uint256 index = waitlistIndex[eventId][tierId][user];
+        if (index == 0) {
+            return (0, 0, 0);
+        }
+        
+        Waitlist storage waitlist = waitlists[eventId][tierId];
+        deposit = waitlist.entries[index - 1].deposit;
+        offerExpiry = waitlist.entries[index - 1].offerExpiry;
+        if (offerExpiry != 0) {
+            return (0, offerExpiry, deposit);
+        }
+        
+        // Everyone waiting in the priority queue is ahead of the rest of the line
+        position = 1;
+        for (uint256 i = waitlist.priorityNext; i < waitlist.priorityQueue.length; i++) {
+            uint256 other = waitlist.priorityQueue[i];
+            if (other == index - 1) {
+                return (position, 0, deposit);
+            }
+            if (_isWaiting(waitlist.entries[other])) {
+                position++;
+            }
+        }
+        for (uint256 i = waitlist.next; i < index - 1; i++) {
+            if (_isWaiting(waitlist.entries[i]) && !waitlist.entries[i].priority) {
+                position++;
+            }
+        }
+    }
+    
+    /**
+     * @dev Removes a user from a waitlist, passing on any offered seat and returning the deposit.
+     */
+    function _removeFromWaitlist(uint256 eventId, uint256 tierId, address user) internal {
+        uint256 index = waitlistIndex[eventId][tierId][user];
+        require(index > 0, "Not on waitlist");
+        
+        Waitlist storage waitlist = waitlists[eventId][tierId];
+        WaitlistEntry memory entry = waitlist.entries[index - 1];
+        
+        delete waitlist.entries[index - 1];
+        waitlistIndex[eventId][tierId][user] = 0;
+        
+        if (entry.offerExpiry != 0) {
+            waitlist.reservedSeats--;
+            _offerWaitlistSeats(eventId, tierId, 1);
+        }
+        
+        _transferFunds(eventId, user, entry.deposit, "Deposit refund failed");
+        
+        emit WaitlistLeft(eventId, tierId, user);
+    }
+}
@@ -15,9 +15,7 @@ module.exports = {
     }
   },
   networks: {
-    hardhat: {
-      allowUnlimitedContractSize: true,
-    },
+    hardhat: {},
     worldchain: {
       url: process.env.WORLDCHAIN_RPC_URL || "https://worldchain-mainnet.g.alchemy.com/public",
       accounts: process.env.WORLD_CHAIN_PRIVATE_KEY ? [process.env.WORLD_CHAIN_PRIVATE_KEY] : [],
@@ -26,7 +24,6 @@ module.exports = {
       gas: 15000000,     // 极大提高gas限制
       timeout: 600000, // 增加超时时间到10分钟
       blockGasLimit: 30000000,
-      allowUnlimitedContractSize: true,
       throwOnTransactionFailures: true,
       throwOnCallFailures: true
     },
@@ -3,6 +3,7 @@
  * 票据购买脚本
  * 此脚本用于购买活动票据
  * 使用方法: npx hardhat run scripts/buy-ticket.js --network worldchain
+ * 动态定价票档可通过 MAX_PRICE_SLIPPAGE 设置允许的最大涨价百分比 (默认 5)
  */
 
 const { ethers } = require("hardhat");
@@ -82,6 +83,34 @@ async function main() {
 
       console.log("事件详情:", eventInfo);
 
+      // 获取票档详情
+      const tierId = parseInt(process.env.WORLD_CHAIN_TIER_ID || "0");
+      const tiers = await eventTicketing.getEventTiers(eventId);
+      if (tierId >= tiers.length) {
+        console.error(`错误: 票档 ${tierId} 不存在，此事件共有 ${tiers.length} 个票档`);
+        return;
+      }
+      const tier = tiers[tierId];
+      // 票档可能使用动态定价，以合约返回的当前价格为准
+      const pricing = await eventTicketing.getTicketPrice(eventId, tierId);
+      const tierInfo = {
+        name: tier.name,
+        price: ethers.formatEther(pricing.price),
+        priceWei: pricing.price.toString(),
+        remaining: (tier.supply - tier.sold).toString(),
+        saleStart: new Date(Number(tier.saleStart) * 1000).toLocaleString(),
+        saleEnd: new Date(Number(tier.saleEnd) * 1000).toLocaleString(),
+        worldIdRequired: tier.worldIdRequired
+      };
+
+      console.log(`票档 ${tierId} 详情:`, tierInfo);
+
+      if (pricing.nextPriceAt > 0n) {
+        console.log(`票价将于 ${new Date(Number(pricing.nextPriceAt) * 1000).toLocaleString()} 调整为 ${ethers.formatEther(pricing.nextPrice)} ETH`);
+      } else if (pricing.ticketsUntilNextPrice > 0n) {
+        console.log(`再售出 ${pricing.ticketsUntilNextPrice} 张后票价将调整为 ${ethers.formatEther(pricing.nextPrice)} ETH`);
+      }
+
       // 检查事件是否激活
       if (!eventInfo.isActive) {
         console.error("错误: 此事件已被取消或不再活跃");
@@ -89,11 +118,29 @@ async function main() {
       }
 
       // 检查是否还有票
-      if (eventInfo.ticketsSold >= eventInfo.totalTickets) {
-        console.error("错误: 此事件已售罄");
+      if (tier.sold >= tier.supply) {
+        console.error("错误: 此票档已售罄");
         return;
       }
 
+      // 检查每个钱包的购票上限
+      const walletLimit = await eventTicketing.maxTicketsPerWallet(eventId);
+      if (walletLimit > 0n && await eventTicketing.walletPurchases(eventId, buyer.address) >= walletLimit) {
+        console.error(`错误: 此钱包已达到购票上限 (${walletLimit} 张)`);
+        return;
+      }
+
+      // 检查每个真人的购票上限，需要先使用活动专属的 World ID action 完成验证
+      if (await eventTicketing.maxTicketsPerHuman(eventId) > 0n) {
+        const worldIdAction = await eventTicketing.eventWorldIdAction(eventId);
+        const verifierAddress = await eventTicketing.worldIDVerifier();
+        const verifier = await ethers.getContractAt("WorldIDVerifier", verifierAddress);
+        if (await verifier.getActionNullifier(worldIdAction, buyer.address) === 0n) {
+          console.error(`错误: 此活动限制每人购票数量，请先使用 World ID action "${worldIdAction}" 完成验证`);
+          return;
+        }
+      }
+
       // 检查事件日期是否在未来
       const eventDate = new Date(Number(eventDetails[2]) * 1000);
       if (eventDate <= new Date()) {
@@ -101,8 +148,12 @@ async function main() {
         return;
       }
 
+      // 允许的最大滑点 (百分比)，防止交易确认前票价上涨导致失败，多付部分由合约退还
+      const slippage = BigInt(process.env.MAX_PRICE_SLIPPAGE || "5");
+      const maxPrice = pricing.price * (100n + slippage) / 100n;
+
       // 购买票据
-      console.log(`准备购买票据，票价: ${eventInfo.ticketPrice} ETH`);
+      console.log(`准备购买票据，票档: ${tierInfo.name}，票价: ${tierInfo.price} ETH (最高 ${ethers.formatEther(maxPrice)} ETH)`);
       
       // 请求用户确认
       console.log("\n⚠️ 即将发送交易购买票据。请确认以上信息无误。");
@@ -116,8 +167,8 @@ async function main() {
       // 发送交易购买票据
       console.log("\n📝 提交购票交易...");
       
-      const tx = await eventTicketing.buyTicket(eventId, {
-        value: eventInfo.ticketPriceWei,
+      const tx = await eventTicketing.buyTicket(eventId, tierId, maxPrice, {
+        value: maxPrice,
         gasLimit: 1000000
       });
 
@@ -144,7 +195,8 @@ async function main() {
         console.log(`\n✅ 票据购买成功!`);
         console.log(`票据ID: ${tokenId}`);
         console.log(`事件ID: ${eventId}`);
-        console.log(`票价: ${eventInfo.ticketPrice} ETH`);
+        console.log(`票档: ${tierInfo.name}`);
+        console.log(`票价: ${tierInfo.price} ETH`);
 
         // 将票据ID保存到.env文件
         console.log(`\n如需在其他脚本中使用此票据ID，请将以下行添加到.env文件:`);
@@ -166,7 +218,7 @@ async function main() {
         console.error("\n交易执行失败。可能的原因:");
         console.error("1. 事件不存在");
         console.error("2. 事件已过期或已取消");
-        console.error("3. 票据已售罄");
+        console.error("3. 票据已售罄或票档不在销售期内");
         console.error("4. 支付金额与票价不符");
       }
     }
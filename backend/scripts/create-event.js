@@ -11,6 +11,7 @@
 
 require('dotenv').config();
 const { ethers } = require('hardhat');
+const { getTicketingContract } = require('./ticketing-modules');
 const fs = require('fs');
 const path = require('path');
 
@@ -21,7 +22,15 @@ const DEFAULT_EVENT_PARAMS = {
   totalTickets: 100,
   ticketPrice: "0.001", // ETH
   daysInFuture: 7,
-  worldIdRequired: false
+  worldIdRequired: false,
+  // 门票转让限制: Free (自由转让)、ResaleOnly (仅通过官方二级市场)、VerifiedOnly (仅转让给 World ID 验证用户)、Soulbound (不可转让)
+  // 需要 World ID 验证的活动默认为 VerifiedOnly
+  transferPolicy: null,
+  // 退票政策: 活动开始前 daysBefore 天之前退票可退回 percentage% 的票价，留空则不支持退票
+  refundPolicy: [
+    { daysBefore: 14, percentage: 100 },
+    { daysBefore: 2, percentage: 50 }
+  ]
 };
 
 // 延迟函数
@@ -79,11 +88,17 @@ async function main() {
       process.exit(1);
     }
 
-    // 创建合约实例 - 使用合约工厂获取 ABI
-    const EventTicketing = await ethers.getContractFactory("EventTicketing");
-    const contract = EventTicketing.attach(contractAddress);
+    // 创建合约实例 - 合并各功能模块的 ABI
+    const contract = await getTicketingContract(contractAddress, wallet);
     console.log(`使用合约地址: ${contractAddress}`);
 
+    // 活动组织者即为发送交易的地址，必须已通过验证
+    const isVerified = await contract.isVerifiedOrganizer(wallet.address);
+    if (!isVerified) {
+      console.error("错误: 当前地址不是已验证的组织者，请先通过 World ID 验证或联系平台管理员");
+      process.exit(1);
+    }
+
     // 请求用户确认
     console.log("\n⚠️ 即将提交交易创建此活动。请确认以上信息无误。");
     console.log("按下回车键继续...");
@@ -110,7 +125,6 @@ async function main() {
           totalTickets,
           ticketPrice,
           worldIdRequired,
-          deployer.address, // 使用部署者地址作为组织者
           {
             gasLimit: 1000000 // 设置足够高的 gas limit 以确保交易成功
           }
@@ -179,6 +193,32 @@ async function main() {
     console.log(`总票数: ${totalTickets}`);
     console.log(`活动日期: ${new Date(eventDate * 1000).toLocaleString()}`);
 
+    // 设置门票转让限制 (与 EventTicketNFT.TransferPolicy 顺序一致)
+    const transferPolicy = DEFAULT_EVENT_PARAMS.transferPolicy;
+    if (transferPolicy && eventId !== "无法确定") {
+      const policies = ["Free", "ResaleOnly", "VerifiedOnly", "Soulbound"];
+      console.log(`\n📝 设置门票转让限制: ${transferPolicy}...`);
+      const transferPolicyTx = await contract.setTransferPolicy(eventId, policies.indexOf(transferPolicy));
+      await transferPolicyTx.wait();
+    }
+
+    // 设置退票政策
+    const refundPolicy = DEFAULT_EVENT_PARAMS.refundPolicy;
+    if (refundPolicy.length > 0 && eventId !== "无法确定") {
+      console.log("\n📝 设置退票政策...");
+      const policyTx = await contract.setRefundPolicy(
+        eventId,
+        refundPolicy.map(rule => ({
+          cutoff: rule.daysBefore * 24 * 60 * 60,
+          percentage: rule.percentage * 100 // 转换为基点
+        }))
+      );
+      await policyTx.wait();
+      refundPolicy.forEach(rule => {
+        console.log(`活动开始 ${rule.daysBefore} 天前退票: 退回 ${rule.percentage}%`);
+      });
+    }
+
     // 保存活动信息到文件
     const eventInfo = {
       id: eventId,
@@ -188,6 +228,7 @@ async function main() {
       ticketPrice: DEFAULT_EVENT_PARAMS.ticketPrice,
       eventDate,
       worldIdRequired,
+      refundPolicy,
       transactionHash: tx.hash,
       createdAt: new Date().toISOString()
     };
@@ -1,5 +1,6 @@
 // Script to deploy the cross-chain payment system
 const hre = require("hardhat");
+const { deployTicketingModules } = require("./ticketing-modules");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -52,29 +53,46 @@ async function main() {
   await eventTicketing.waitForDeployment();
   console.log("EventTicketing deployed to:", await eventTicketing.getAddress());
 
+  // Deploy the feature modules (resale, waitlists, refunds, ...) and route them through EventTicketing
+  await deployTicketingModules(eventTicketing);
+
   // Set up permissions
   // Grant MINTER_ROLE to the EventTicketing contract
   const minterRole = await ticketNFT.MINTER_ROLE();
   await ticketNFT.grantRole(minterRole, await eventTicketing.getAddress());
   console.log("Granted MINTER_ROLE to EventTicketing contract");
 
+  // Allow EventTicketing to mark cross-chain payments as processed
+  await crossChainBridge.setPaymentProcessor(await eventTicketing.getAddress(), true);
+  console.log("Set EventTicketing as payment processor in CrossChainBridge");
+
   // Set trusted relayer in the CrossChainBridge
   // For this example, we're setting up for Polygon (chainId 137)
-  await crossChainBridge.addTrustedRelayer(137, await mockRelayer.getAddress());
-  console.log("Added MockRelayer as trusted relayer for Polygon");
+  // Payments are recorded with relayer signatures, so the relayer must be a key rather than a contract
+  await crossChainBridge.addTrustedRelayer(137, deployer.address);
+  console.log("Added deployer as trusted relayer for Polygon");
 
   // Set exchange rate for Polygon (example: 1 MATIC = 0.0004 ETH, so rate = 4)
   await crossChainBridge.setExchangeRate(137, 4);
   console.log("Set exchange rate for Polygon");
 
+  // Fund the bridge: processed payments are paid out of its liquidity, which the
+  // operator replenishes with the funds collected on the source chains
+  const bridgeLiquidity = hre.ethers.parseEther(process.env.BRIDGE_LIQUIDITY || "0.1");
+  await deployer.sendTransaction({ to: crossChainBridgeAddress, value: bridgeLiquidity });
+  console.log("Funded CrossChainBridge with", hre.ethers.formatEther(bridgeLiquidity), "ETH");
+
   // Source chain deployment (would be on a different network in production)
   console.log("\nDeploying to source chain (Polygon)...");
   
   // Deploy the SourceChainPayment contract
   const SourceChainPayment = await hre.ethers.getContractFactory("SourceChainPayment");
+  // Quotes, settlements and refunds need relayer signatures, so the first relayer is a key
+  // as well; it also receives the bridge fees. Add more with addTrustedRelayer and raise
+  // the threshold with setRelayerThreshold.
   const sourceChainPayment = await SourceChainPayment.deploy(
     137, // Polygon chain ID
-    await mockRelayer.getAddress() // In real deployment, this would be the source chain relayer
+    deployer.address
   );
   await sourceChainPayment.waitForDeployment();
   console.log("SourceChainPayment deployed to:", await sourceChainPayment.getAddress());
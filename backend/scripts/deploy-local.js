@@ -2,6 +2,7 @@
 // This script deploys all contracts and performs basic functionality tests
 // Includes enhanced error handling and debugging features to ensure proper operation in various scenarios
 const { ethers } = require("hardhat");
+const { deployTicketingModules, getTicketingContract } = require("./ticketing-modules");
 const fs = require('fs');
 const path = require('path');
 
@@ -67,16 +68,31 @@ async function main() {
       worldIDVerifierAddress,  // WorldID verifier address
       crossChainBridgeAddress  // Cross-chain bridge contract address (zero address)
     );
-    const eventTicketing = await eventTicketingDeployTx.waitForDeployment();
-    eventTicketingAddress = await eventTicketing.getAddress();
+    const eventTicketingCore = await eventTicketingDeployTx.waitForDeployment();
+    eventTicketingAddress = await eventTicketingCore.getAddress();
     console.log("EventTicketing deployment complete, address:", eventTicketingAddress);
 
+    // Deploy the feature modules (resale, waitlists, refunds, ...) and route them through EventTicketing
+    await deployTicketingModules(eventTicketingCore);
+    const eventTicketing = await getTicketingContract(eventTicketingAddress, deployer);
+
     // 5. Set permissions and associations
     console.log("\nStep 5: Setting contract permissions and associations...");
     const minterRole = await eventTicketNFT.MINTER_ROLE();
     const grantRoleTx = await eventTicketNFT.grantRole(minterRole, eventTicketingAddress);
     await grantRoleTx.wait();
     console.log(`Granted minting permission to EventTicketing contract (${eventTicketingAddress}) on EventTicketNFT`);
+    const setVerifierTx = await eventTicketNFT.setWorldIDVerifier(worldIDVerifierAddress);
+    await setVerifierTx.wait();
+    console.log(`Set World ID verifier (${worldIDVerifierAddress}) on EventTicketNFT for transfer policies`);
+
+    // Ticket metadata is rendered on-chain from the event state
+    const TicketMetadataRenderer = await ethers.getContractFactory("TicketMetadataRenderer");
+    const metadataRenderer = await TicketMetadataRenderer.deploy(eventTicketingAddress, eventTicketNFTAddress);
+    await metadataRenderer.waitForDeployment();
+    const setRendererTx = await eventTicketNFT.setMetadataRenderer(await metadataRenderer.getAddress());
+    await setRendererTx.wait();
+    console.log(`Set on-chain metadata renderer (${await metadataRenderer.getAddress()}) on EventTicketNFT`);
 
     console.log("\nContract deployment complete, starting test flow...");
 
@@ -245,6 +261,8 @@ async function main() {
     
     const buyTicketTx = await eventTicketing.connect(attendee1).buyTicket(
       eventId,
+      0, // Default tier
+      0, // Pay the exact current price
       { value: eventPrice } // Use ticket price from getter
     );
     const buyTicketReceipt = await buyTicketTx.wait();
@@ -331,6 +349,8 @@ async function main() {
     
     const buyTicket2Tx = await eventTicketing.connect(attendee2).buyTicket(
       eventId,
+      0, // Default tier
+      0, // Pay the exact current price
       { value: eventPrice } // Use ticket price from getter
     );
     const buyTicket2Receipt = await buyTicket2Tx.wait();
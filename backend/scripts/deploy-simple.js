@@ -1,5 +1,6 @@
 // 简化版部署脚本 - 只部署EventTicketing和EventTicketNFT
 const { ethers } = require("hardhat");
+const { deployTicketingModules, getTicketingContract } = require("./ticketing-modules");
 require('dotenv').config();
 
 async function main() {
@@ -82,12 +83,17 @@ async function main() {
   );
   
   console.log("等待交易确认...");
-  const eventTicketing = await eventTicketingDeployTx.waitForDeployment();
+  const eventTicketingCore = await eventTicketingDeployTx.waitForDeployment();
   
   // 获取部署后的合约地址
-  eventTicketingAddress = await eventTicketing.getAddress();
+  eventTicketingAddress = await eventTicketingCore.getAddress();
   console.log("EventTicketing部署完成，地址:", eventTicketingAddress);
 
+  // 部署并注册功能模块（转售、候补、退款等）
+  console.log("\n部署EventTicketing功能模块...");
+  await deployTicketingModules(eventTicketingCore);
+  const eventTicketing = await getTicketingContract(eventTicketingAddress, deployer);
+
   // 设置权限和关联
   console.log("\n设置合约权限和关联...");
 
@@ -97,6 +103,11 @@ async function main() {
   await grantRoleTx.wait();
   console.log(`已授予EventTicketing合约(${eventTicketingAddress})在EventTicketNFT上的铸造权限`);
 
+  // 设置EventTicketNFT的World ID验证器，用于执行门票转让限制
+  const setVerifierTx = await eventTicketNFT.setWorldIDVerifier(worldIDVerifierAddress);
+  await setVerifierTx.wait();
+  console.log(`已为EventTicketNFT设置World ID验证器(${worldIDVerifierAddress})`);
+
   console.log("\n合约部署和设置完成！");
   console.log("------------------------------------");
   console.log("EventTicketing地址:", eventTicketingAddress);
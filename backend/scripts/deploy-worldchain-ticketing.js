@@ -7,6 +7,7 @@
 const { ethers, network } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployTicketingModules } = require("./ticketing-modules");
 
 // 添加延迟函数
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -239,7 +240,7 @@ async function main() {
       // 使用更高的gas限制
       const deployOptions = {
         ...txOptions,
-        gasLimit: 3000000
+        gasLimit: 6000000
       };
       
       // 使用重试逻辑部署EventTicketing合约
@@ -265,6 +266,10 @@ async function main() {
       // 更新.env文件
       updateEnvFile("WORLD_CHAIN_EVENT_TICKETING_ADDRESS", eventTicketingAddress);
       
+      // 部署并注册功能模块（转售、候补、退款等），EventTicketing本身只保留核心功能以满足EIP-170大小限制
+      console.log("Deploying EventTicketing modules...");
+      await deployTicketingModules(eventTicketing, { ...txOptions, gasLimit: 4000000 });
+      
       // 设置NFT合约的铸造权限
       console.log("Setting minting permission for EventTicketNFT...");
       const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
@@ -291,6 +296,18 @@ async function main() {
         } else {
           console.log("Minting permission already set");
         }
+        
+        // 设置NFT合约的World ID验证器，用于限制仅可转让给已验证用户的门票
+        const verifierTx = await contractCallWithRetry(async () => {
+          return await eventTicketNFT.setWorldIDVerifier(worldIDVerifierAddress, txOptions);
+        });
+        
+        await contractCallWithRetry(async () => {
+          await verifierTx.wait();
+          return true;
+        });
+        
+        console.log("World ID verifier set on EventTicketNFT");
       } catch (error) {
         console.error(`Failed to set minting permission: ${error.message}`);
       }
@@ -310,6 +327,184 @@ async function main() {
     console.log(`Using existing EventTicketing at: ${eventTicketingAddress}`);
   }
 
+  // 接入World ID组织者验证合约（可选），已通过证明的组织者可直接创建活动
+  const organizerVerifierAddress = process.env.WORLD_CHAIN_ORGANIZER_VERIFIER_ADDRESS;
+  if (organizerVerifierAddress) {
+    const EventTicketing = await ethers.getContractFactory("EventTicketing");
+    const eventTicketing = EventTicketing.attach(eventTicketingAddress);
+    const currentVerifier = await contractCallWithRetry(async () => {
+      return await eventTicketing.organizerVerifier();
+    });
+
+    if (currentVerifier.toLowerCase() !== organizerVerifierAddress.toLowerCase()) {
+      console.log(`Setting organizer verifier to: ${organizerVerifierAddress}`);
+      const setTx = await contractCallWithRetry(async () => {
+        return await eventTicketing.updateOrganizerVerifier(organizerVerifierAddress, txOptions);
+      });
+      await contractCallWithRetry(async () => {
+        await setTx.wait();
+        return true;
+      });
+      console.log("Organizer verifier set successfully");
+    } else {
+      console.log("Organizer verifier already set");
+    }
+  } else {
+    console.log("WORLD_CHAIN_ORGANIZER_VERIFIER_ADDRESS not set, organizers must be verified manually");
+  }
+
+  // 部署或使用已部署的LoyaltyProgram，并接入EventTicketing以记录积分
+  let loyaltyProgramAddress = process.env.WORLD_CHAIN_LOYALTY_PROGRAM_ADDRESS;
+  if (!loyaltyProgramAddress) {
+    console.log("Deploying LoyaltyProgram contract...");
+    try {
+      const LoyaltyProgram = await ethers.getContractFactory("LoyaltyProgram");
+      const loyaltyProgram = await contractCallWithRetry(async () => {
+        return await LoyaltyProgram.deploy(txOptions);
+      });
+      await contractCallWithRetry(async () => {
+        await loyaltyProgram.waitForDeployment();
+        return true;
+      });
+      loyaltyProgramAddress = await loyaltyProgram.getAddress();
+      console.log(`LoyaltyProgram contract deployed to: ${loyaltyProgramAddress}`);
+
+      // 更新.env文件
+      updateEnvFile("WORLD_CHAIN_LOYALTY_PROGRAM_ADDRESS", loyaltyProgramAddress);
+
+      const setTx = await contractCallWithRetry(async () => {
+        return await loyaltyProgram.setTicketingContract(eventTicketingAddress, txOptions);
+      });
+      await contractCallWithRetry(async () => {
+        await setTx.wait();
+        return true;
+      });
+    } catch (error) {
+      console.error(`Failed to deploy LoyaltyProgram: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    console.log(`Using existing LoyaltyProgram at: ${loyaltyProgramAddress}`);
+  }
+
+  const ticketing = (await ethers.getContractFactory("EventTicketing")).attach(eventTicketingAddress);
+  const currentLoyaltyProgram = await contractCallWithRetry(async () => {
+    return await ticketing.loyaltyProgram();
+  });
+
+  if (currentLoyaltyProgram.toLowerCase() !== loyaltyProgramAddress.toLowerCase()) {
+    console.log(`Setting loyalty program to: ${loyaltyProgramAddress}`);
+    const setTx = await contractCallWithRetry(async () => {
+      return await ticketing.updateLoyaltyProgram(loyaltyProgramAddress, txOptions);
+    });
+    await contractCallWithRetry(async () => {
+      await setTx.wait();
+      return true;
+    });
+    console.log("Loyalty program set successfully");
+  } else {
+    console.log("Loyalty program already set");
+  }
+
+  // 部署或使用已部署的AttendanceBadge，签到时为参会者铸造灵魂绑定徽章
+  let attendanceBadgeAddress = process.env.WORLD_CHAIN_ATTENDANCE_BADGE_ADDRESS;
+  if (!attendanceBadgeAddress) {
+    console.log("Deploying AttendanceBadge contract...");
+    try {
+      const AttendanceBadge = await ethers.getContractFactory("AttendanceBadge");
+      const attendanceBadge = await contractCallWithRetry(async () => {
+        return await AttendanceBadge.deploy(txOptions);
+      });
+      await contractCallWithRetry(async () => {
+        await attendanceBadge.waitForDeployment();
+        return true;
+      });
+      attendanceBadgeAddress = await attendanceBadge.getAddress();
+      console.log(`AttendanceBadge contract deployed to: ${attendanceBadgeAddress}`);
+
+      // 更新.env文件
+      updateEnvFile("WORLD_CHAIN_ATTENDANCE_BADGE_ADDRESS", attendanceBadgeAddress);
+
+      // 设置徽章合约的铸造权限
+      const MINTER_ROLE = await attendanceBadge.MINTER_ROLE();
+      const grantTx = await contractCallWithRetry(async () => {
+        return await attendanceBadge.grantRole(MINTER_ROLE, eventTicketingAddress, txOptions);
+      });
+      await contractCallWithRetry(async () => {
+        await grantTx.wait();
+        return true;
+      });
+    } catch (error) {
+      console.error(`Failed to deploy AttendanceBadge: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    console.log(`Using existing AttendanceBadge at: ${attendanceBadgeAddress}`);
+  }
+
+  const currentAttendanceBadge = await contractCallWithRetry(async () => {
+    return await ticketing.attendanceBadge();
+  });
+
+  if (currentAttendanceBadge.toLowerCase() !== attendanceBadgeAddress.toLowerCase()) {
+    console.log(`Setting attendance badge to: ${attendanceBadgeAddress}`);
+    const setTx = await contractCallWithRetry(async () => {
+      return await ticketing.updateAttendanceBadge(attendanceBadgeAddress, txOptions);
+    });
+    await contractCallWithRetry(async () => {
+      await setTx.wait();
+      return true;
+    });
+    console.log("Attendance badge set successfully");
+  } else {
+    console.log("Attendance badge already set");
+  }
+
+  // 部署或使用已部署的TicketMetadataRenderer，门票元数据和SVG图片直接在链上生成
+  let metadataRendererAddress = process.env.WORLD_CHAIN_TICKET_METADATA_RENDERER_ADDRESS;
+  if (!metadataRendererAddress) {
+    console.log("Deploying TicketMetadataRenderer contract...");
+    try {
+      const TicketMetadataRenderer = await ethers.getContractFactory("TicketMetadataRenderer");
+      const metadataRenderer = await contractCallWithRetry(async () => {
+        return await TicketMetadataRenderer.deploy(eventTicketingAddress, eventTicketNFTAddress, txOptions);
+      });
+      await contractCallWithRetry(async () => {
+        await metadataRenderer.waitForDeployment();
+        return true;
+      });
+      metadataRendererAddress = await metadataRenderer.getAddress();
+      console.log(`TicketMetadataRenderer contract deployed to: ${metadataRendererAddress}`);
+
+      // 更新.env文件
+      updateEnvFile("WORLD_CHAIN_TICKET_METADATA_RENDERER_ADDRESS", metadataRendererAddress);
+    } catch (error) {
+      console.error(`Failed to deploy TicketMetadataRenderer: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    console.log(`Using existing TicketMetadataRenderer at: ${metadataRendererAddress}`);
+  }
+
+  const ticketNFT = await ethers.getContractAt("EventTicketNFT", eventTicketNFTAddress);
+  const currentMetadataRenderer = await contractCallWithRetry(async () => {
+    return await ticketNFT.metadataRenderer();
+  });
+
+  if (currentMetadataRenderer.toLowerCase() !== metadataRendererAddress.toLowerCase()) {
+    console.log(`Setting metadata renderer to: ${metadataRendererAddress}`);
+    const setTx = await contractCallWithRetry(async () => {
+      return await ticketNFT.setMetadataRenderer(metadataRendererAddress, txOptions);
+    });
+    await contractCallWithRetry(async () => {
+      await setTx.wait();
+      return true;
+    });
+    console.log("Metadata renderer set successfully");
+  } else {
+    console.log("Metadata renderer already set");
+  }
+
   // Save deployment information
   const deploymentInfo = {
     network: network.name,
@@ -318,8 +513,12 @@ async function main() {
     contracts: {
       MockWorldID: mockWorldIDAddress,
       WorldIDVerifier: worldIDVerifierAddress,
+      WorldIDOrganizerVerifier: organizerVerifierAddress || null,
       EventTicketNFT: eventTicketNFTAddress,
-      EventTicketing: eventTicketingAddress
+      EventTicketing: eventTicketingAddress,
+      LoyaltyProgram: loyaltyProgramAddress,
+      AttendanceBadge: attendanceBadgeAddress,
+      TicketMetadataRenderer: metadataRendererAddress
     },
     timestamp: new Date().toISOString()
   };
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { getTicketingContract } = require("./ticketing-modules");
 require('dotenv').config();
 const QRCode = require('qrcode');
 const fs = require('fs');
@@ -33,8 +34,7 @@ async function main() {
     console.log(`账户余额: ${ethers.formatEther(balance)} ETH`);
 
     // 获取合约实例
-    const EventTicketing = await ethers.getContractFactory("EventTicketing");
-    const eventTicketing = EventTicketing.attach(eventTicketingAddress);
+    const eventTicketing = await getTicketingContract(eventTicketingAddress, deployer);
 
     const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
     const eventTicketNFT = EventTicketNFT.attach(eventTicketNFTAddress);
@@ -13,6 +13,7 @@ const path = require('path');
 // Configuration
 const OUTPUT_DIR = path.join(__dirname, '../offline-codes');
 const VERIFICATION_SECRET = process.env.VERIFICATION_SECRET || '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
+const PAGE_SIZE = 100;
 
 async function main() {
   console.log("Pre-generating offline verification codes for tickets...");
@@ -46,44 +47,37 @@ async function main() {
   
   console.log(`Querying event ${eventId} tickets...`);
   
-  // In a real scenario, we'd need to query all tickets for the event
-  // This would typically involve additional event-related queries
-  // For this demo, we'll simulate retrieving tickets for the event
-  
-  // Query total supply
-  const totalSupply = await ticketNFT.totalSupply();
-  console.log(`Total NFT supply: ${totalSupply}`);
-  
   // Track tickets for this event
   const eventTickets = [];
   const verificationCodes = {};
   
-  // Loop through all tickets and find those for this event
-  console.log("Finding tickets for this event...");
-  for (let i = 0; i < totalSupply; i++) {
-    try {
-      const tokenId = await ticketNFT.tokenByIndex(i);
-      const ticketInfo = await ticketNFT.getTicketInfo(tokenId);
-      
-      // Check if this ticket belongs to our event
-      if (ticketInfo.eventId.toString() === eventId) {
+  // Page through the event's unused tickets, indexed on-chain by the NFT contract
+  console.log("Finding unused tickets for this event...");
+  let offset = 0;
+  let total = 0;
+  do {
+    const page = await ticketNFT.getUnusedTicketsByEvent(eventId, offset, PAGE_SIZE);
+    total = Number(page.total);
+    
+    for (const tokenId of page.tokenIds) {
+      try {
+        const ticketInfo = await ticketNFT.getTicketInfo(tokenId);
         const owner = await ticketNFT.ownerOf(tokenId);
-        const used = await ticketNFT.isTicketUsed(tokenId);
         
-        if (!used) {
-          eventTickets.push({
-            tokenId: tokenId.toString(),
-            eventId: ticketInfo.eventId.toString(),
-            ticketIndex: ticketInfo.ticketIndex.toString(),
-            owner,
-            used
-          });
-        }
+        eventTickets.push({
+          tokenId: tokenId.toString(),
+          eventId: ticketInfo.eventId.toString(),
+          ticketIndex: ticketInfo.ticketIndex.toString(),
+          owner,
+          used: false
+        });
+      } catch (error) {
+        console.error(`Error processing token ${tokenId}:`, error.message);
       }
-    } catch (error) {
-      console.error(`Error processing token at index ${i}:`, error.message);
     }
-  }
+    
+    offset += PAGE_SIZE;
+  } while (offset < total);
   
   console.log(`Found ${eventTickets.length} unused tickets for event ${eventId}`);
   
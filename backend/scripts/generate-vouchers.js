@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * 优惠券批量生成脚本
+ * 由活动组织者使用 EIP-712 签名生成折扣券，购票时通过 buyTicketWithVoucher 兑换
+ * 使用方法: VOUCHER_EVENT_ID=0 npx hardhat run scripts/generate-vouchers.js --network worldchain
+ * 未指定 VOUCHER_EVENT_ID 时使用 create-event.js 输出的 WORLD_CHAIN_EVENT_ID
+ *
+ * 如果需要修改优惠券参数，请编辑本脚本中的 DEFAULT_VOUCHER_PARAMS 对象，
+ * 或通过环境变量覆盖:
+ *   VOUCHER_EVENT_ID      活动ID (默认为 WORLD_CHAIN_EVENT_ID)
+ *   VOUCHER_PREFIX        优惠码前缀 (例如 SPEAKER、SPONSOR)
+ *   VOUCHER_COUNT         生成数量 (未指定接收地址时使用)
+ *   VOUCHER_RECIPIENTS    逗号分隔的接收地址，每个地址生成一张绑定的优惠券
+ */
+
+require('dotenv').config();
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+
+// 默认优惠券参数 - 可以根据需要修改这些值
+const DEFAULT_VOUCHER_PARAMS = {
+  prefix: "PROMO",
+  count: 10,
+  isPercentage: true,
+  discount: 2000,     // 百分比折扣以基点表示 (2000 = 20%)，固定折扣以 ETH 表示 (例如 "0.0005")
+  maxUses: 1,         // 每个优惠码的最大使用次数
+  daysValid: 7        // 有效天数
+};
+
+// 输出目录
+const OUTPUT_DIR = path.join(__dirname, '../vouchers');
+
+// 与 EventTicketing.VOUCHER_TYPEHASH 保持一致
+const VOUCHER_TYPES = {
+  Voucher: [
+    { name: "eventId", type: "uint256" },
+    { name: "code", type: "bytes32" },
+    { name: "isPercentage", type: "bool" },
+    { name: "discount", type: "uint256" },
+    { name: "maxUses", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "recipient", type: "address" }
+  ]
+};
+
+async function main() {
+  try {
+    console.log("🎟️ 开始生成优惠券...");
+
+    const eventId = process.env.VOUCHER_EVENT_ID || process.env.WORLD_CHAIN_EVENT_ID;
+    if (eventId === undefined) {
+      console.error("错误: 请通过 VOUCHER_EVENT_ID 或 WORLD_CHAIN_EVENT_ID 指定活动ID");
+      process.exit(1);
+    }
+
+    const prefix = process.env.VOUCHER_PREFIX || DEFAULT_VOUCHER_PARAMS.prefix;
+    const recipients = process.env.VOUCHER_RECIPIENTS
+      ? process.env.VOUCHER_RECIPIENTS.split(',').map(address => address.trim())
+      : [];
+    const count = recipients.length || parseInt(process.env.VOUCHER_COUNT || DEFAULT_VOUCHER_PARAMS.count);
+
+    for (const recipient of recipients) {
+      if (!ethers.isAddress(recipient)) {
+        console.error(`错误: 无效的接收地址 ${recipient}`);
+        process.exit(1);
+      }
+    }
+
+    // 获取合约地址
+    const contractAddress = process.env.WORLD_CHAIN_EVENT_TICKETING_ADDRESS;
+    if (!contractAddress) {
+      console.error("错误: 在 .env 文件中未找到 WORLD_CHAIN_EVENT_TICKETING_ADDRESS");
+      process.exit(1);
+    }
+
+    const [organizer] = await ethers.getSigners();
+    console.log(`使用地址: ${organizer.address}`);
+
+    const EventTicketing = await ethers.getContractFactory("EventTicketing");
+    const contract = EventTicketing.attach(contractAddress);
+    console.log(`使用合约地址: ${contractAddress}`);
+
+    // 只有活动组织者的签名才会被合约接受
+    const eventDetails = await contract.getEventDetails(eventId);
+    if (eventDetails.organizer.toLowerCase() !== organizer.address.toLowerCase()) {
+      console.error(`错误: 当前地址不是活动 ${eventId} 的组织者 (${eventDetails.organizer})`);
+      process.exit(1);
+    }
+
+    // 获取支付代币的小数位数，用于换算固定折扣
+    const paymentToken = await contract.eventPaymentToken(eventId);
+    let decimals = 18;
+    if (paymentToken !== ethers.ZeroAddress) {
+      const token = new ethers.Contract(paymentToken, ["function decimals() view returns (uint8)"], organizer);
+      decimals = Number(await token.decimals());
+    }
+
+    const discount = DEFAULT_VOUCHER_PARAMS.isPercentage
+      ? BigInt(DEFAULT_VOUCHER_PARAMS.discount)
+      : ethers.parseUnits(String(DEFAULT_VOUCHER_PARAMS.discount), decimals);
+    const expiry = Math.floor(Date.now() / 1000) + (DEFAULT_VOUCHER_PARAMS.daysValid * 24 * 60 * 60);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "EventTicketing",
+      version: "1",
+      chainId,
+      verifyingContract: contractAddress
+    };
+
+    // 显示参数概述
+    console.log("\n📋 优惠券详情:");
+    console.log(`活动: ${eventDetails.name} (ID: ${eventId})`);
+    console.log(`数量: ${count}`);
+    console.log(`折扣: ${DEFAULT_VOUCHER_PARAMS.isPercentage ? `${DEFAULT_VOUCHER_PARAMS.discount / 100}%` : DEFAULT_VOUCHER_PARAMS.discount}`);
+    console.log(`每个优惠码最多使用: ${DEFAULT_VOUCHER_PARAMS.maxUses} 次`);
+    console.log(`过期时间: ${new Date(expiry * 1000).toLocaleString()}`);
+    console.log(`绑定地址: ${recipients.length ? recipients.join(', ') : '无'}\n`);
+
+    const vouchers = [];
+    for (let i = 0; i < count; i++) {
+      const code = `${prefix}-${ethers.hexlify(ethers.randomBytes(4)).slice(2).toUpperCase()}`;
+      const voucher = {
+        eventId: BigInt(eventId),
+        code: ethers.encodeBytes32String(code),
+        isPercentage: DEFAULT_VOUCHER_PARAMS.isPercentage,
+        discount,
+        maxUses: BigInt(DEFAULT_VOUCHER_PARAMS.maxUses),
+        expiry: BigInt(expiry),
+        recipient: recipients[i] || ethers.ZeroAddress
+      };
+
+      const signature = await organizer.signTypedData(domain, VOUCHER_TYPES, voucher);
+
+      vouchers.push({
+        code,
+        voucher: {
+          ...voucher,
+          eventId: voucher.eventId.toString(),
+          discount: voucher.discount.toString(),
+          maxUses: voucher.maxUses.toString(),
+          expiry: voucher.expiry.toString()
+        },
+        signature
+      });
+      console.log(`✅ ${code}${voucher.recipient !== ethers.ZeroAddress ? ` -> ${voucher.recipient}` : ''}`);
+    }
+
+    // 保存到文件
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+    const filePath = path.join(OUTPUT_DIR, `event-${eventId}-${prefix.toLowerCase()}-${Date.now()}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({
+      eventId: eventId.toString(),
+      contract: contractAddress,
+      chainId: chainId.toString(),
+      vouchers
+    }, null, 2));
+
+    console.log(`\n🎉 已生成 ${vouchers.length} 张优惠券，保存至: ${filePath}`);
+  } catch (error) {
+    console.error("❌ 生成优惠券失败:", error.message || error);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
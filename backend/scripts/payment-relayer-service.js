@@ -0,0 +1,848 @@
+// 跨链支付中继服务
+// 此服务监听各源链 SourceChainPayment 合约的 PaymentReceived 事件，等待足够的区块确认后，
+// 对支付签名，并收集其他中继者的签名。签名数达到 CrossChainBridge 为该源链设置的阈值后，
+// 在目标链（World Chain）上调用 CrossChainBridge.recordCrossChainPayment 记录支付，
+// 再调用 EventTicketing.processCrossChainPayment 为付款人铸造门票。
+// 门票铸造成功后，中继者签署结算授权，收集到源链支付合约设置的阈值数量的签名后提交到源链，
+// 释放这笔款项，超出票价的部分（由 CrossChainBridge 记录）同时退还给付款人；
+// 如果铸造因无法改变的原因失败（活动取消、活动已开始、票档停售等），或在 processingWindow 内
+// 始终无法铸造（售罄、金额不足、缺少World ID等），中继者对拒绝原因签名，
+// 收集到阈值数量的中继者签名后在目标链上拒绝这笔支付并记录原因，
+// 再同样收集退款授权签名提交到源链，由 SourceChainPayment 将扣除桥接费后的金额退还给付款人。
+// 超过 maxPaymentAge 仍未在目标链记录的支付不可能再铸造门票，中继者对其签署过期授权，
+// 在源链退款超时后提交 SourceChainPayment.claimRefund 退还付款人。
+//
+// 多个中继服务各自独立确认源链支付，通过签名服务 (GET /attestations/<桥接支付ID>) 互相交换签名，
+// 任何一个服务收集到足够的签名后都可以提交记录交易。拒绝同样需要各中继者独立模拟铸造失败后签名，
+// 通过 GET /rejections/<桥接支付ID> 交换，只有对同一原因的签名才会被计入。
+// 结算、退款和过期授权由各中继者在目标链上独立确认结果后签名，通过 GET /authorizations/<源链支付ID> 交换。
+// 中继服务还通过 GET /quote 提供报价：按目标链当前票价和换算规则计算出需支付的源链代币数量
+// （含桥接费），签名后请其他中继者通过 GET /quote-signatures 独立核对并签名，
+// 由用户调用 SourceChainPayment.payWithQuote 按报价精确付款。
+//
+// 扫描进度（每条源链的区块游标）和每笔支付的处理状态都持久化到状态文件中，
+// 服务重启后从上次的位置继续；同一笔源链支付（按 paymentId）只会被记录一次。
+//
+// 用法: node scripts/payment-relayer-service.js
+// 配置文件格式见 relayer.config.example.json
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+// 合约ABI
+const SourceChainPaymentABI = require('../artifacts/contracts/SourceChainPayment.sol/SourceChainPayment.json').abi;
+const CrossChainBridgeABI = require('../artifacts/contracts/CrossChainBridge.sol/CrossChainBridge.json').abi;
+const EventTicketingABI = require('../artifacts/contracts/EventTicketing.sol/EventTicketing.json').abi;
+
+// 服务配置
+const CONFIG_FILE = process.env.RELAYER_CONFIG || path.join(__dirname, '../relayer.config.json');
+const STATE_FILE = process.env.RELAYER_STATE_FILE || path.join(__dirname, '../relayer-state.json');
+const POLL_INTERVAL_MS = parseInt(process.env.RELAYER_POLL_INTERVAL_MS || '5000');
+const MAX_ATTEMPTS = parseInt(process.env.RELAYER_MAX_ATTEMPTS || '5');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RELAYER_RETRY_DELAY_MS || '10000');
+const DEFAULT_CONFIRMATIONS = 5;
+const DEFAULT_TARGET_CONFIRMATIONS = 1;
+const MAX_BLOCK_RANGE = 2000;
+
+// 关闭请求缓存，确认数和交易nonce都按链上最新状态计算
+const PROVIDER_OPTIONS = { cacheTimeout: -1 };
+
+// 请求其他中继者签名服务的超时时间
+const PEER_TIMEOUT_MS = 5000;
+
+// 报价有效期（秒）
+const QUOTE_TTL_SECONDS = parseInt(process.env.RELAYER_QUOTE_TTL_SECONDS || '300');
+
+// 为其他中继者的报价签名时，允许两者读取的源链最新区块时间存在的偏差（秒）
+const QUOTE_CLOCK_SKEW_SECONDS = 60;
+
+// 推算汇率时使用的源链代币数量，足够大以保留精度
+const QUOTE_PROBE_AMOUNT = 10n ** 36n;
+
+// 铸造失败后不会再成功的原因，立即拒绝；其他原因（售罄、金额不足、缺少World ID等）
+// 可能随退票、票价或用户操作而改变，在 processingWindow 内继续重试
+const PERMANENT_REJECTION_REASONS = [
+  'Event is not active',
+  'Event has already occurred',
+  'Event is priced in ERC-20',
+  'Tier sale ended',
+  'Processing window expired'
+];
+
+// 支付处理状态
+const STATUS = {
+  PENDING: 'pending',       // 已在源链确认，尚未在目标链记录
+  RECORDED: 'recorded',     // 已在 CrossChainBridge 记录，尚未铸造门票
+  PROCESSED: 'processed',   // 门票已铸造，尚未在源链结算
+  SETTLED: 'settled',       // 已在源链结算
+  REJECTED: 'rejected',     // 目标链已拒绝，尚未在源链退款
+  REFUNDED: 'refunded',     // 已在源链退款
+  EXPIRED: 'expired',       // 目标链已无法记录，等待源链退款超时后退还付款人
+  FAILED: 'failed'          // 重试次数用尽，需要人工处理
+};
+
+// 不再需要处理的最终状态
+const FINAL_STATUSES = [STATUS.SETTLED, STATUS.REFUNDED, STATUS.FAILED];
+
+// 各授权操作的名称，用于日志
+const ACTION_NAMES = { SETTLE: '结算', REFUND: '退款', EXPIRE: '过期' };
+
+// SourceChainPayment 中的支付状态 (enum PaymentStatus)
+const SOURCE_STATUS_PENDING = 1n;
+
+class PaymentRelayer {
+  /**
+   * @param {object} config 目标链、源链和签名服务配置
+   * @param {string} privateKey 中继者私钥（需是 CrossChainBridge 上各源链的可信中继者）
+   * @param {string} stateFile 状态文件路径
+   */
+  constructor(config, privateKey, stateFile = STATE_FILE) {
+    this.config = config;
+    this.privateKey = privateKey;
+    this.stateFile = stateFile;
+    this.state = this.loadState();
+    this.sources = [];
+    this.running = false;
+    this.server = null;
+  }
+
+  // 读取持久化状态
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) {
+      return { cursors: {}, payments: {} };
+    }
+    return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+  }
+
+  // 先写临时文件再重命名，避免进程中断时留下损坏的状态文件
+  saveState() {
+    const tmpFile = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+
+  // 初始化连接
+  async init() {
+    const target = this.config.target;
+    console.log(`连接目标链 ${target.name || target.rpc}...`);
+
+    this.targetProvider = new ethers.JsonRpcProvider(target.rpc, undefined, PROVIDER_OPTIONS);
+    this.wallet = new ethers.Wallet(this.privateKey, this.targetProvider);
+    this.bridge = new ethers.Contract(target.bridgeAddress, CrossChainBridgeABI, this.wallet);
+    this.ticketing = new ethers.Contract(target.ticketingAddress, EventTicketingABI, this.wallet);
+
+    console.log(`中继者地址: ${this.wallet.address}`);
+
+    // CrossChainBridge 不记录超过 maxPaymentAge 的支付，记录后的支付需在 processingWindow 内处理
+    this.maxPaymentAge = Number(await this.bridge.maxPaymentAge());
+    this.processingWindow = Number(await this.bridge.processingWindow());
+
+    for (const source of this.config.sources) {
+      const provider = new ethers.JsonRpcProvider(source.rpc, undefined, PROVIDER_OPTIONS);
+      const payment = new ethers.Contract(
+        source.paymentAddress,
+        SourceChainPaymentABI,
+        new ethers.Wallet(this.privateKey, provider)
+      );
+
+      // 使用源链合约登记的链ID，与 CrossChainBridge 的可信中继者配置保持一致
+      const chainId = (await payment.chainId()).toString();
+      if (!(await this.bridge.isTrustedRelayer(chainId, this.wallet.address))) {
+        console.warn(`警告: ${this.wallet.address} 不是链 ${chainId} 的可信中继者，签名不会被 CrossChainBridge 接受`);
+      }
+      const threshold = await this.bridge.relayerThresholds(chainId);
+
+      // 源链支付合约同样只接受其可信中继者对报价、结算和退款的签名
+      if (!(await payment.isTrustedRelayer(this.wallet.address))) {
+        console.warn(`警告: ${this.wallet.address} 不是链 ${chainId} 支付合约的可信中继者，报价、结算和退款签名不会被接受`);
+      }
+      const sourceThreshold = await payment.relayerThreshold();
+
+      if (this.state.cursors[chainId] === undefined) {
+        this.state.cursors[chainId] = (source.startBlock || 0) - 1;
+      }
+
+      this.sources.push({
+        name: source.name || `Chain ${chainId}`,
+        chainId,
+        provider,
+        payment,
+        confirmations: source.confirmations ?? DEFAULT_CONFIRMATIONS
+      });
+
+      console.log(`已连接源链 ${source.name || chainId}，记录需要 ${threshold} 个、结算和退款需要 ${sourceThreshold} 个中继者签名，从区块 ${this.state.cursors[chainId] + 1} 开始扫描`);
+    }
+
+    this.saveState();
+
+    if (this.config.attestation?.port) {
+      await this.startAttestationServer(this.config.attestation.port);
+    }
+  }
+
+  // 签名服务：其他中继者通过 GET /attestations/<桥接支付ID> 获取本服务对支付的签名，
+  // 通过 GET /rejections/<桥接支付ID> 获取本服务对拒绝原因的签名，
+  // 通过 GET /authorizations/<源链支付ID> 获取本服务对结算、退款或过期授权的签名，
+  // 通过 GET /quote-signatures?chainId=&eventId=&tierId=&token=&amount=&expiry= 请本服务为报价签名；
+  // 用户通过 GET /quote?chainId=&eventId=&tierId=&token= 获取报价
+  startAttestationServer(port) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        sendJson(res, 400, { error: error.shortMessage || error.message });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        console.log(`签名服务已在端口 ${port} 启动`);
+        resolve();
+      });
+    });
+  }
+
+  // 扫描源链上已达到确认数的 PaymentReceived 事件，加入待处理队列
+  async scanSource(source) {
+    const head = await source.provider.getBlockNumber();
+    const safeBlock = head - source.confirmations;
+
+    let fromBlock = this.state.cursors[source.chainId] + 1;
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + MAX_BLOCK_RANGE - 1, safeBlock);
+      const logs = await source.payment.queryFilter(source.payment.filters.PaymentReceived(), fromBlock, toBlock);
+
+      for (const log of logs) {
+        await this.enqueuePayment(source, log);
+      }
+
+      // 游标只在本区间的支付全部入队后才推进
+      this.state.cursors[source.chainId] = toBlock;
+      this.saveState();
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    const match = req.method === 'GET' && url.pathname.match(/^\/(attestations|rejections)\/(0x[0-9a-fA-F]{64})$/);
+    if (match) {
+      const bridgePaymentId = match[2].toLowerCase();
+      const payments = Object.values(this.state.payments)
+        .filter(p => p.bridgePaymentId && p.bridgePaymentId.toLowerCase() === bridgePaymentId);
+
+      if (match[1] === 'attestations') {
+        const payment = payments.find(p => p.attestation);
+        if (!payment) {
+          sendJson(res, 404, { error: 'Unknown payment' });
+          return;
+        }
+        sendJson(res, 200, { signer: this.wallet.address, signature: payment.attestation });
+        return;
+      }
+
+      const payment = payments.find(p => p.rejection);
+      if (!payment) {
+        sendJson(res, 404, { error: 'Payment not rejected' });
+        return;
+      }
+      sendJson(res, 200, { signer: this.wallet.address, ...payment.rejection });
+      return;
+    }
+
+    const authorizationMatch = req.method === 'GET' && url.pathname.match(/^\/authorizations\/(0x[0-9a-fA-F]{64})$/);
+    if (authorizationMatch) {
+      const paymentId = authorizationMatch[1].toLowerCase();
+      const payment = Object.entries(this.state.payments)
+        .find(([id, p]) => id.toLowerCase() === paymentId && p.authorization);
+      if (!payment) {
+        sendJson(res, 404, { error: 'Payment not authorized' });
+        return;
+      }
+      sendJson(res, 200, { signer: this.wallet.address, ...payment[1].authorization });
+      return;
+    }
+
+    if (req.method === 'GET' && (url.pathname === '/quote' || url.pathname === '/quote-signatures')) {
+      const params = url.searchParams;
+      const source = this.sources.find(s => s.chainId === params.get('chainId'));
+      if (!source) {
+        sendJson(res, 404, { error: 'Quotes are not issued for this chain' });
+        return;
+      }
+
+      const token = params.get('token') || ethers.ZeroAddress;
+      if (!ethers.isAddress(token)) {
+        throw new Error('Invalid token address');
+      }
+      const eventId = BigInt(params.get('eventId'));
+      const tierId = BigInt(params.get('tierId') || '0');
+
+      if (url.pathname === '/quote') {
+        sendJson(res, 200, await this.createQuote(source, eventId, tierId, token));
+        return;
+      }
+
+      const quote = {
+        targetEventId: eventId,
+        tierId,
+        token,
+        amount: BigInt(params.get('amount')),
+        expiry: BigInt(params.get('expiry'))
+      };
+      sendJson(res, 200, { signer: this.wallet.address, signature: await this.signQuote(source, quote) });
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  }
+
+  // 计算报价金额：目标链当前票价（平台费已含在票价中）换算为源链代币，再加上桥接费
+  async quoteAmount(source, eventId, tierId, token) {
+    const [ticketPrice] = await this.ticketing.getTicketPrice(eventId, tierId);
+    const platformFeePercentage = await this.ticketing.platformFeePercentage();
+    const bridgeFeePercentage = await source.payment.bridgeFeePercentage();
+
+    // 按 CrossChainBridge 的换算规则求出覆盖票价的最小金额
+    const convert = (amount) => this.bridge.convertAmount(source.chainId, token, amount);
+    const probe = await convert(QUOTE_PROBE_AMOUNT);
+    if (probe === 0n) {
+      throw new Error('Cannot convert payments from this chain');
+    }
+    let netAmount = (ticketPrice * QUOTE_PROBE_AMOUNT + probe - 1n) / probe;
+    for (let i = 0; await convert(netAmount) < ticketPrice; i++) {
+      if (i >= 10) {
+        throw new Error('Cannot quote this price');
+      }
+      netAmount++;
+    }
+
+    // 源链合约从付款中扣除桥接费，扣除后需不少于 netAmount
+    let amount = (netAmount * 10000n + 10000n - bridgeFeePercentage - 1n) / (10000n - bridgeFeePercentage);
+    while (amount - (amount * bridgeFeePercentage) / 10000n < netAmount) {
+      amount++;
+    }
+
+    return {
+      amount,
+      ticketPrice,
+      platformFee: (ticketPrice * platformFeePercentage) / 10000n,
+      bridgeFee: (amount * bridgeFeePercentage) / 10000n
+    };
+  }
+
+  // 签署报价并收集其他中继者的签名，签名数需达到源链支付合约的阈值
+  async createQuote(source, eventId, tierId, token) {
+    const { amount, ticketPrice, platformFee, bridgeFee } = await this.quoteAmount(source, eventId, tierId, token);
+    const latest = await source.provider.getBlock('latest');
+    const quote = {
+      targetEventId: eventId,
+      tierId,
+      token,
+      amount,
+      expiry: BigInt(latest.timestamp + QUOTE_TTL_SECONDS)
+    };
+    const fields = Object.fromEntries(Object.entries(quote).map(([key, value]) => [key, value.toString()]));
+
+    const hash = await source.payment.quoteHash(quote);
+    const query = new URLSearchParams({
+      chainId: source.chainId,
+      eventId: fields.targetEventId,
+      tierId: fields.tierId,
+      token,
+      amount: fields.amount,
+      expiry: fields.expiry
+    });
+    const signatures = await this.collectSignatures(
+      hash,
+      await this.signQuote(source, quote),
+      `quote-signatures?${query}`,
+      signer => source.payment.isTrustedRelayer(signer)
+    );
+    const threshold = Number(await source.payment.relayerThreshold());
+    if (signatures.length < threshold) {
+      throw new Error(`Only ${signatures.length}/${threshold} relayers signed the quote`);
+    }
+
+    return {
+      quote: fields,
+      signatures,
+      ticketPrice: ticketPrice.toString(),
+      platformFee: platformFee.toString(),
+      bridgeFee: bridgeFee.toString()
+    };
+  }
+
+  // 为报价签名：金额不能低于本服务按目标链当前票价算出的金额，有效期不能超过报价有效期
+  async signQuote(source, quote) {
+    const { amount } = await this.quoteAmount(source, quote.targetEventId, quote.tierId, quote.token);
+    if (quote.amount < amount) {
+      throw new Error('Quote amount below the current price');
+    }
+
+    const latest = await source.provider.getBlock('latest');
+    if (quote.expiry > BigInt(latest.timestamp + QUOTE_TTL_SECONDS + QUOTE_CLOCK_SKEW_SECONDS)) {
+      throw new Error('Quote expiry too far');
+    }
+
+    const hash = await source.payment.quoteHash(quote);
+    return this.wallet.signMessage(ethers.getBytes(hash));
+  }
+
+  // 按源链 paymentId 去重入队
+  async enqueuePayment(source, log) {
+    const { payer, token, amount, targetEventId, targetTierId, paymentId } = log.args;
+
+    if (this.state.payments[paymentId]) {
+      return;
+    }
+
+    console.log(`\n检测到 ${source.name} 上的支付 ${paymentId}`);
+    console.log(`付款人: ${payer}, 代币: ${token}, 金额: ${amount}, 活动ID: ${targetEventId}, 票档: ${targetTierId}`);
+
+    this.state.payments[paymentId] = {
+      sourceChainId: source.chainId,
+      sourceTxHash: log.transactionHash,
+      sourceBlock: log.blockNumber,
+      sourceTimestamp: (await log.getBlock()).timestamp,
+      payer,
+      token,
+      amount: amount.toString(),
+      eventId: targetEventId.toString(),
+      tierId: targetTierId.toString(),
+      status: STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: 0
+    };
+  }
+
+  // 处理队列中到期的支付，失败时按指数退避重试
+  async processPendingPayments() {
+    for (const [paymentId, payment] of Object.entries(this.state.payments)) {
+      if (FINAL_STATUSES.includes(payment.status)) {
+        continue;
+      }
+      if (payment.nextAttemptAt > Date.now()) {
+        continue;
+      }
+
+      try {
+        await this.relayPayment(paymentId, payment);
+      } catch (error) {
+        payment.attempts++;
+        payment.lastError = error.shortMessage || error.message;
+
+        if (payment.attempts >= MAX_ATTEMPTS) {
+          payment.status = STATUS.FAILED;
+          console.error(`支付 ${paymentId} 处理失败，已放弃: ${payment.lastError}`);
+        } else {
+          payment.nextAttemptAt = Date.now() + RETRY_BASE_DELAY_MS * 2 ** (payment.attempts - 1);
+          console.error(`支付 ${paymentId} 处理失败 (第 ${payment.attempts} 次): ${payment.lastError}`);
+        }
+      }
+
+      this.saveState();
+    }
+  }
+
+  // 推进一笔支付的处理流程：签名并记录 → 铸造或拒绝 → 在源链结算或退款
+  async relayPayment(paymentId, payment) {
+    const source = this.sources.find(s => s.chainId === payment.sourceChainId);
+    if (!source) {
+      throw new Error(`未配置源链 ${payment.sourceChainId}`);
+    }
+
+    if (payment.status === STATUS.PENDING && await this.isExpired(payment)) {
+      payment.status = STATUS.EXPIRED;
+      this.saveState();
+      console.warn(`支付 ${paymentId} 已无法在目标链记录，将在源链退款超时后退还付款人`);
+    }
+
+    if (payment.status === STATUS.PENDING) {
+      const bridgePaymentId = await this.recordPayment(paymentId, payment);
+      if (!bridgePaymentId) {
+        // 签名数不足，等待其他中继者确认这笔支付，不计入重试次数
+        return;
+      }
+
+      payment.bridgePaymentId = bridgePaymentId;
+      payment.status = STATUS.RECORDED;
+      this.saveState();
+      console.log(`支付 ${paymentId} 已记录，桥接支付ID: ${payment.bridgePaymentId}`);
+    }
+
+    if (payment.status === STATUS.RECORDED) {
+      await this.processPayment(paymentId, payment);
+      this.saveState();
+    }
+
+    if (payment.status === STATUS.PROCESSED) {
+      if (!await this.authorizeOnSource(source, paymentId, payment, 'SETTLE')) {
+        // 签名数不足，等待其他中继者确认门票已铸造，不计入重试次数
+        return;
+      }
+      payment.status = STATUS.SETTLED;
+      console.log(`支付 ${paymentId} 已在 ${source.name} 结算${payment.overpayment > 0 ? `，退还多付金额 ${payment.overpayment}` : ''}`);
+    } else if (payment.status === STATUS.REJECTED) {
+      if (!await this.authorizeOnSource(source, paymentId, payment, 'REFUND')) {
+        // 签名数不足，等待其他中继者确认支付已被拒绝，不计入重试次数
+        return;
+      }
+      payment.status = STATUS.REFUNDED;
+      console.log(`支付 ${paymentId} 已在 ${source.name} 退款给 ${payment.payer}`);
+    } else if (payment.status === STATUS.EXPIRED) {
+      if (!await this.authorizeOnSource(source, paymentId, payment, 'EXPIRE')) {
+        // 等待源链退款超时或其他中继者确认支付已过期，不计入重试次数
+        return;
+      }
+      payment.status = STATUS.REFUNDED;
+      console.log(`过期支付 ${paymentId} 已在 ${source.name} 退还给 ${payment.payer}`);
+    }
+
+    delete payment.lastError;
+  }
+
+  // 铸造门票；如果交易必然回滚，则在目标链拒绝这笔支付并记录原因
+  async processPayment(paymentId, payment) {
+    const confirmations = this.config.target.confirmations ?? DEFAULT_TARGET_CONFIRMATIONS;
+
+    // 用户或其他调用者可能已经自行处理了这笔支付
+    const info = await this.bridge.getPaymentInfo(payment.bridgePaymentId);
+    if (info.isProcessed) {
+      payment.rejectionReason = await this.bridge.rejectionReasons(payment.bridgePaymentId) || undefined;
+      if (payment.rejectionReason) {
+        payment.status = STATUS.REJECTED;
+      } else {
+        payment.overpayment = (await this.bridge.overpayments(payment.bridgePaymentId)).toString();
+        payment.status = STATUS.PROCESSED;
+      }
+      return;
+    }
+
+    // 先模拟调用，取得确定性的回滚原因（网络错误等会抛出并重试）
+    let reason = null;
+    try {
+      await this.ticketing.processCrossChainPayment.staticCall(payment.bridgePaymentId);
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      reason = error.reason || error.shortMessage || 'Ticket minting failed';
+    }
+
+    if (reason && !PERMANENT_REJECTION_REASONS.includes(reason)) {
+      const latest = await this.targetProvider.getBlock('latest');
+      if (latest.timestamp <= Number(info.timestamp) + this.processingWindow) {
+        // 原因可能改变，稍后重试，不计入重试次数
+        console.log(`支付 ${paymentId} 暂时无法铸造门票: ${reason}，稍后重试`);
+        payment.nextAttemptAt = Date.now() + RETRY_BASE_DELAY_MS;
+        return;
+      }
+      reason = 'Processing window expired';
+    }
+
+    if (reason) {
+      console.warn(`支付 ${paymentId} 无法铸造门票: ${reason}`);
+      if (!await this.rejectPayment(paymentId, payment, reason)) {
+        // 签名数不足，等待其他中继者确认这笔支付无法铸造门票，不计入重试次数
+        return;
+      }
+
+      payment.rejectionReason = reason;
+      payment.status = STATUS.REJECTED;
+      return;
+    }
+
+    const tx = await this.ticketing.processCrossChainPayment(payment.bridgePaymentId);
+    console.log(`铸造交易哈希: ${tx.hash}`);
+    const receipt = await tx.wait(confirmations);
+
+    const processed = this.findLog(receipt, this.ticketing, 'CrossChainPaymentProcessed');
+    if (processed) {
+      payment.ticketId = processed.args.tokenId.toString();
+    }
+    payment.overpayment = (await this.bridge.overpayments(payment.bridgePaymentId)).toString();
+    payment.status = STATUS.PROCESSED;
+    console.log(`支付 ${paymentId} 已铸造门票${payment.ticketId ? `，门票ID: ${payment.ticketId}` : ''}`);
+  }
+
+  // 判断支付是否已不可能在目标链记录：CrossChainBridge 没有它的记录，
+  // 且目标链时间已超过源链支付时间加 maxPaymentAge
+  async isExpired(payment) {
+    const bridgePaymentId = await this.bridge.getPaymentId(
+      payment.sourceChainId,
+      payment.sourceTxHash,
+      payment.payer,
+      payment.token,
+      payment.amount,
+      payment.eventId,
+      payment.tierId
+    );
+    if ((await this.bridge.getPaymentInfo(bridgePaymentId)).timestamp > 0n) {
+      return false;
+    }
+
+    const latest = await this.targetProvider.getBlock('latest');
+    return latest.timestamp > payment.sourceTimestamp + this.maxPaymentAge;
+  }
+
+  // 签署结算、退款或过期授权并收集其他中继者的签名，达到源链支付合约的阈值后提交到源链。
+  // 签名数不足或过期支付尚未到源链退款超时时返回 false
+  async authorizeOnSource(source, paymentId, payment, action) {
+    // 其他中继者或付款人可能已经提交了授权
+    const sourcePayment = await source.payment.payments(paymentId);
+    if (sourcePayment.status !== SOURCE_STATUS_PENDING) {
+      return true;
+    }
+
+    // 结算时退还超出票价的部分，退款和过期时退还全部金额
+    const refundAmount = action === 'SETTLE' ? payment.overpayment || '0' : payment.amount;
+    const hash = await source.payment.authorizationHash(ethers.id(action), paymentId, refundAmount);
+
+    // 保存自己的签名，签名服务据此响应其他中继者
+    if (!payment.authorization || payment.authorization.action !== action) {
+      payment.authorization = { action, refundAmount, signature: await this.wallet.signMessage(ethers.getBytes(hash)) };
+      this.saveState();
+    }
+
+    // 过期支付只能在源链退款超时后退还
+    if (action === 'EXPIRE') {
+      const latest = await source.provider.getBlock('latest');
+      if (BigInt(latest.timestamp) < sourcePayment.createdAt + await source.payment.refundTimeout()) {
+        return false;
+      }
+    }
+
+    // 其他中继者对不同操作或金额的签名无法通过验证，不会被计入
+    const signatures = await this.collectSignatures(
+      hash,
+      payment.authorization.signature,
+      `authorizations/${paymentId}`,
+      signer => source.payment.isTrustedRelayer(signer)
+    );
+    const threshold = Number(await source.payment.relayerThreshold());
+    if (signatures.length < threshold) {
+      console.log(`支付 ${paymentId} 的${ACTION_NAMES[action]}授权已收集 ${signatures.length}/${threshold} 个中继者签名，等待其他中继者`);
+      return false;
+    }
+
+    let tx;
+    if (action === 'SETTLE') {
+      tx = await source.payment.settlePayment(paymentId, refundAmount, signatures);
+    } else if (action === 'REFUND') {
+      tx = await source.payment.refundPayment(paymentId, signatures);
+    } else {
+      tx = await source.payment.claimRefund(paymentId, signatures);
+    }
+    console.log(`${source.name} 交易哈希: ${tx.hash}`);
+    await tx.wait();
+    return true;
+  }
+
+  // 对支付及其在源链上的时间签名并收集其他中继者的签名，达到阈值后调用 recordCrossChainPayment。
+  // 返回桥接支付ID；签名数不足时返回 null
+  async recordPayment(paymentId, payment) {
+    const paymentArgs = [
+      payment.sourceChainId,
+      payment.sourceTxHash,
+      payment.payer,
+      payment.token,
+      payment.amount,
+      payment.eventId,
+      payment.tierId
+    ];
+
+    // 桥接支付ID只由支付内容决定，其他中继者可能已经记录了这笔支付
+    const bridgePaymentId = await this.bridge.getPaymentId(...paymentArgs);
+    const info = await this.bridge.getPaymentInfo(bridgePaymentId);
+    if (info.timestamp > 0n) {
+      return bridgePaymentId;
+    }
+
+    // 保存自己的签名，签名服务据此响应其他中继者
+    const hash = await this.bridge.attestationHash(bridgePaymentId, payment.sourceTimestamp);
+    if (!payment.attestation) {
+      payment.bridgePaymentId = bridgePaymentId;
+      payment.attestation = await this.wallet.signMessage(ethers.getBytes(hash));
+      this.saveState();
+    }
+
+    const signatures = await this.collectSignatures(
+      hash,
+      payment.attestation,
+      `attestations/${bridgePaymentId}`,
+      signer => this.bridge.isTrustedRelayer(payment.sourceChainId, signer)
+    );
+    const threshold = Number(await this.bridge.relayerThresholds(payment.sourceChainId));
+    if (signatures.length < threshold) {
+      console.log(`支付 ${paymentId} 已收集 ${signatures.length}/${threshold} 个中继者签名，等待其他中继者`);
+      return null;
+    }
+
+    const tx = await this.bridge.recordCrossChainPayment(...paymentArgs, payment.sourceTimestamp, signatures);
+    console.log(`记录交易哈希: ${tx.hash}`);
+    await tx.wait();
+
+    return bridgePaymentId;
+  }
+
+  // 对拒绝原因签名并收集其他中继者的签名，达到阈值后调用 rejectCrossChainPayment。
+  // 签名数不足时返回 false
+  async rejectPayment(paymentId, payment, reason) {
+    const hash = await this.bridge.rejectionHash(payment.bridgePaymentId, reason);
+
+    // 保存自己的签名，签名服务据此响应其他中继者；原因变化时重新签名
+    if (!payment.rejection || payment.rejection.reason !== reason) {
+      payment.rejection = { reason, signature: await this.wallet.signMessage(ethers.getBytes(hash)) };
+      this.saveState();
+    }
+
+    // 其他中继者对不同原因的签名无法通过验证，不会被计入
+    const signatures = await this.collectSignatures(
+      hash,
+      payment.rejection.signature,
+      `rejections/${payment.bridgePaymentId}`,
+      signer => this.bridge.isTrustedRelayer(payment.sourceChainId, signer)
+    );
+    const threshold = Number(await this.bridge.relayerThresholds(payment.sourceChainId));
+    if (signatures.length < threshold) {
+      console.log(`支付 ${paymentId} 的拒绝已收集 ${signatures.length}/${threshold} 个中继者签名，等待其他中继者`);
+      return false;
+    }
+
+    const tx = await this.bridge.rejectCrossChainPayment(payment.bridgePaymentId, reason, signatures);
+    console.log(`拒绝交易哈希: ${tx.hash}`);
+    await tx.wait(this.config.target.confirmations ?? DEFAULT_TARGET_CONFIRMATIONS);
+    return true;
+  }
+
+  // 取得自己和其他中继者（从签名服务的 route 路径）对 hash 的签名，
+  // 只保留 isTrusted 认可的中继者的签名，按签名者地址升序排列
+  async collectSignatures(hash, ownSignature, route, isTrusted) {
+    const message = ethers.getBytes(hash);
+    const candidates = [ownSignature];
+
+    for (const peer of this.config.attestation?.peers || []) {
+      try {
+        const response = await fetch(`${peer}/${route}`, {
+          signal: AbortSignal.timeout(PEER_TIMEOUT_MS)
+        });
+        if (response.ok) {
+          candidates.push((await response.json()).signature);
+        }
+      } catch (error) {
+        console.warn(`无法从 ${peer} 获取签名: ${error.message}`);
+      }
+    }
+
+    const signatures = new Map();
+    for (const signature of candidates) {
+      let signer;
+      try {
+        signer = ethers.verifyMessage(message, signature);
+      } catch (error) {
+        continue;
+      }
+      if (!signatures.has(signer) && await isTrusted(signer)) {
+        signatures.set(signer, signature);
+      }
+    }
+
+    // CrossChainBridge 和 SourceChainPayment 都要求签名者按地址升序排列
+    return [...signatures.keys()]
+      .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+      .map(signer => signatures.get(signer));
+  }
+
+  // 从交易回执中找到指定合约的事件
+  findLog(receipt, contract, eventName) {
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) {
+          return parsed;
+        }
+      } catch (error) {
+        // 不是该合约的事件
+      }
+    }
+    return null;
+  }
+
+  // 扫描所有源链并处理待处理支付
+  async runOnce() {
+    for (const source of this.sources) {
+      try {
+        await this.scanSource(source);
+      } catch (error) {
+        console.error(`扫描 ${source.name} 时出错:`, error.shortMessage || error.message);
+      }
+    }
+
+    await this.processPendingPayments();
+  }
+
+  // 持续轮询，直到调用 stop()
+  async start() {
+    this.running = true;
+    while (this.running) {
+      await this.runOnce();
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  }
+
+  // 停止轮询并关闭签名服务
+  stop() {
+    this.running = false;
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(resolve));
+  }
+}
+
+// 启动服务
+async function startRelayerService() {
+  console.log('启动跨链支付中继服务...');
+
+  const privateKey = process.env.RELAYER_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('中继者私钥未设置 (RELAYER_PRIVATE_KEY)');
+  }
+  if (!fs.existsSync(CONFIG_FILE)) {
+    throw new Error(`找不到配置文件 ${CONFIG_FILE}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  const relayer = new PaymentRelayer(config, privateKey);
+  await relayer.init();
+
+  process.on('SIGINT', () => {
+    console.log('\n正在停止中继服务...');
+    relayer.stop();
+  });
+
+  console.log('跨链支付中继服务已启动并监听事件');
+  await relayer.start();
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { PaymentRelayer, STATUS };
+
+// 直接运行时启动服务
+if (require.main === module) {
+  startRelayerService().catch((error) => {
+    console.error('启动服务时出错:', error);
+    process.exit(1);
+  });
+}
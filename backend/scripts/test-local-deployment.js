@@ -70,6 +70,7 @@ async function main() {
   const buyTicketTx = await eventTicketing.connect(attendee1).buyTicket(
     eventId,
     1, // 购买1张票
+    0, // 按当前价格精确支付
     { value: eventDetails.ticketPrice } // 支付票价
   );
   await buyTicketTx.wait();
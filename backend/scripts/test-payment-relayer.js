@@ -0,0 +1,324 @@
+// 跨链支付中继服务端到端测试
+// 需要先启动两个本地Hardhat节点，分别作为目标链和源链：
+//   npx hardhat node --port 8545
+//   npx hardhat node --port 8546
+// 然后编译合约并运行: node scripts/test-payment-relayer.js
+// 测试运行两个中继服务，CrossChainBridge 需要两者的签名才记录支付；
+// 第一笔支付按两个中继者签名的报价付款，之后验证多付金额的退款，以及金额不足的支付
+// 在处理期限内重试、期限过后被拒绝并退款，以及未记录的支付过期后的退还；
+// 拒绝支付以及源链上的结算和退款同样需要两个中继者的签名
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PaymentRelayer, STATUS } = require('./payment-relayer-service');
+
+const TARGET_RPC = process.env.TARGET_RPC_URL || 'http://127.0.0.1:8545';
+const SOURCE_RPC = process.env.SOURCE_RPC_URL || 'http://127.0.0.1:8546';
+
+// Hardhat默认账户2和账户3的私钥，仅用于本地测试
+const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY ||
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+const SECOND_RELAYER_PRIVATE_KEY = process.env.SECOND_RELAYER_PRIVATE_KEY ||
+  '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6';
+const ATTESTATION_PORTS = [8601, 8602];
+
+// 源链在 CrossChainBridge 中登记的链ID
+const SOURCE_CHAIN_ID = 44787;
+const TARGET_CHAIN_ID = 480;
+const CONFIRMATIONS = 2;
+
+// 使用编译产物部署合约
+async function deploy(name, signer, ...args) {
+  const artifact = require(`../artifacts/contracts/${name}.sol/${name}.json`);
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  console.log(`${name} 已部署: ${await contract.getAddress()}`);
+  return contract;
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`断言失败: ${message}`);
+  }
+}
+
+async function main() {
+  console.log("开始跨链支付中继端到端测试...");
+
+  // 关闭请求缓存，余额检查需要读取最新状态
+  const targetProvider = new ethers.JsonRpcProvider(TARGET_RPC, undefined, { cacheTimeout: -1 });
+  const sourceProvider = new ethers.JsonRpcProvider(SOURCE_RPC, undefined, { cacheTimeout: -1 });
+  const relayerAddress = new ethers.Wallet(RELAYER_PRIVATE_KEY).address;
+  const secondRelayerAddress = new ethers.Wallet(SECOND_RELAYER_PRIVATE_KEY).address;
+
+  const deployer = await targetProvider.getSigner(0);
+  const organizer = await targetProvider.getSigner(1);
+  const sourceDeployer = await sourceProvider.getSigner(0);
+  const buyer = await sourceProvider.getSigner(5);
+
+  // 1. 在目标链部署票务系统
+  console.log("\n在目标链部署合约...");
+  const mockWorldID = await deploy("MockWorldID", deployer);
+  const ticketNFT = await deploy("EventTicketNFT", deployer);
+  const worldIDVerifier = await deploy("WorldIDVerifier", deployer, await mockWorldID.getAddress(), "app_test");
+  const bridge = await deploy("CrossChainBridge", deployer);
+  const ticketing = await deploy(
+    "EventTicketing",
+    deployer,
+    await ticketNFT.getAddress(),
+    await worldIDVerifier.getAddress(),
+    await bridge.getAddress()
+  );
+
+  await (await ticketNFT.grantRole(await ticketNFT.MINTER_ROLE(), await ticketing.getAddress())).wait();
+  await (await bridge.setPaymentProcessor(await ticketing.getAddress(), true)).wait();
+  await (await ticketing.verifyOrganizer(await organizer.getAddress())).wait();
+  await (await bridge.addTrustedRelayer(SOURCE_CHAIN_ID, relayerAddress)).wait();
+  await (await bridge.addTrustedRelayer(SOURCE_CHAIN_ID, secondRelayerAddress)).wait();
+  await (await bridge.setRelayerThreshold(SOURCE_CHAIN_ID, 2)).wait();
+  await (await bridge.addAcceptedToken(SOURCE_CHAIN_ID, ethers.ZeroAddress)).wait();
+  await (await bridge.setExchangeRate(SOURCE_CHAIN_ID, 10000)).wait();
+  // 桥从自身流动性中向票务合约支付票价
+  await (await deployer.sendTransaction({ to: await bridge.getAddress(), value: ethers.parseEther("1") })).wait();
+
+  // 2. 创建活动
+  const ticketPrice = ethers.parseEther("0.01");
+  const now = (await targetProvider.getBlock('latest')).timestamp;
+  const createTx = await ticketing.connect(organizer).createEvent(
+    "跨链中继测试活动",
+    "通过源链支付购买的门票",
+    now + 7 * 86400,
+    10,
+    ticketPrice,
+    false
+  );
+  await createTx.wait();
+  const eventId = 0;
+  console.log(`活动已创建，ID: ${eventId}`);
+
+  // 3. 在源链部署支付合约
+  console.log("\n在源链部署合约...");
+  const sourcePayment = await deploy("SourceChainPayment", sourceDeployer, SOURCE_CHAIN_ID, relayerAddress);
+  await (await sourcePayment.addTrustedRelayer(secondRelayerAddress)).wait();
+  await (await sourcePayment.setRelayerThreshold(2)).wait();
+
+  // 4. 配置两个中继服务（使用临时状态文件），互相获取签名
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-relayer-'));
+  const stateFile = path.join(workDir, 'relayer-state.json');
+  const secondStateFile = path.join(workDir, 'relayer-2-state.json');
+  const baseConfig = {
+    target: {
+      name: "本地目标链",
+      rpc: TARGET_RPC,
+      bridgeAddress: await bridge.getAddress(),
+      ticketingAddress: await ticketing.getAddress()
+    },
+    sources: [{
+      name: "本地源链",
+      rpc: SOURCE_RPC,
+      paymentAddress: await sourcePayment.getAddress(),
+      confirmations: CONFIRMATIONS,
+      startBlock: 0
+    }]
+  };
+  const configFor = (port, peerPort) => ({
+    ...baseConfig,
+    attestation: { port, peers: [`http://127.0.0.1:${peerPort}`] }
+  });
+  const [firstPort, secondPort] = ATTESTATION_PORTS;
+
+  const relayer = new PaymentRelayer(configFor(firstPort, secondPort), RELAYER_PRIVATE_KEY, stateFile);
+  const secondRelayer = new PaymentRelayer(configFor(secondPort, firstPort), SECOND_RELAYER_PRIVATE_KEY, secondStateFile);
+  await relayer.init();
+  await secondRelayer.init();
+
+  // 5. 获取两个中继者签名的报价并按报价付款
+  console.log("\n获取报价并付款...");
+  const underpriced = await fetch(
+    `http://127.0.0.1:${firstPort}/quote-signatures?chainId=${SOURCE_CHAIN_ID}&eventId=${eventId}&amount=1&expiry=0`
+  );
+  assert(underpriced.status === 400, "中继者不应为低于票价的报价签名");
+
+  const response = await fetch(`http://127.0.0.1:${secondPort}/quote?chainId=${SOURCE_CHAIN_ID}&eventId=${eventId}&tierId=0`);
+  assert(response.ok, `获取报价失败: ${response.status}`);
+  const { quote, signatures, bridgeFee } = await response.json();
+  assert(signatures.length === 2, `报价应有两个中继者的签名，实际为 ${signatures.length}`);
+  assert(
+    BigInt(quote.amount) - BigInt(bridgeFee) >= ticketPrice,
+    `扣除桥接费后应覆盖票价: ${quote.amount}`
+  );
+  console.log(`报价: ${ethers.formatEther(quote.amount)} ETH（桥接费 ${ethers.formatEther(bridgeFee)} ETH），有效期至 ${quote.expiry}`);
+
+  const payTx = await sourcePayment.connect(buyer).payWithQuote(quote, signatures, { value: quote.amount });
+  await payTx.wait();
+  console.log(`源链支付交易哈希: ${payTx.hash}`);
+
+  // 6. 确认数不足时不应处理
+  console.log("\n确认数不足时运行中继...");
+  await relayer.runOnce();
+  assert(Object.keys(relayer.state.payments).length === 0, "未确认的支付不应入队");
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 0n, "不应铸造门票");
+
+  // 7. 源链出块达到确认数后，只有一个中继者签名时不应记录
+  console.log("\n源链出块后运行第一个中继...");
+  for (let i = 0; i < CONFIRMATIONS; i++) {
+    await sourceProvider.send('evm_mine', []);
+  }
+  await relayer.runOnce();
+
+  const payments = Object.values(relayer.state.payments);
+  assert(payments.length === 1, "应有一笔支付");
+  assert(payments[0].status === STATUS.PENDING, `只有一个签名时应等待，实际为 ${payments[0].status}`);
+  assert(payments[0].attempts === 0, "等待签名不应计入重试次数");
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 0n, "签名不足时不应铸造门票");
+
+  // 8. 第二个中继者确认后收集到两个签名，记录并铸造；只有它签署了结算授权，尚不能结算
+  console.log("\n运行第二个中继...");
+  await secondRelayer.runOnce();
+  const secondPayment = Object.values(secondRelayer.state.payments)[0];
+  assert(secondPayment.status === STATUS.PROCESSED, `第二个中继者应铸造门票并等待结算签名，实际为 ${secondPayment.status}`);
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 1n, "付款人应获得一张门票");
+
+  const attested = await bridge.queryFilter(bridge.filters.PaymentAttested(secondPayment.bridgePaymentId));
+  const attesters = attested.map(log => log.args.relayer).sort();
+  assert(
+    attesters.length === 2 && attesters.includes(relayerAddress) && attesters.includes(secondRelayerAddress),
+    `两个中继者都应出现在签名事件中: ${attesters}`
+  );
+
+  // 第一个中继者确认门票已铸造后签署结算授权，收集到两个签名后结算
+  console.log("\n再次运行第一个中继...");
+  await relayer.runOnce();
+  assert(payments[0].status === STATUS.SETTLED, `支付状态应为已结算，实际为 ${payments[0].status}`);
+  // 报价金额只会因取整多出极少量
+  assert(BigInt(payments[0].overpayment) <= 1n, `按报价付款不应多付，实际多付 ${payments[0].overpayment}`);
+  console.log(`门票已铸造，ID: ${secondPayment.ticketId}`);
+
+  // 9. 重启后重新扫描，同一笔支付不应被重复处理
+  console.log("\n重置游标并重启中继，验证幂等性...");
+  await relayer.stop();
+  const restarted = new PaymentRelayer(configFor(firstPort, secondPort), RELAYER_PRIVATE_KEY, stateFile);
+  restarted.state.cursors[SOURCE_CHAIN_ID] = -1;
+  await restarted.init();
+  await restarted.runOnce();
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 1n, "同一笔支付不应铸造第二张门票");
+
+  // 10. 多付的金额应在结算时退还给付款人
+  console.log("\n测试多付金额的退款...");
+  const overpayTx = await sourcePayment.connect(buyer).payWithNativeToken(eventId, TARGET_CHAIN_ID, { value: ticketPrice * 2n });
+  const overpayReceipt = await overpayTx.wait();
+  const overpaidId = sourcePayment.interface.parseLog(overpayReceipt.logs[0]).args.paymentId;
+  const balanceBeforeSettle = await sourceProvider.getBalance(await buyer.getAddress());
+
+  for (let i = 0; i < CONFIRMATIONS; i++) {
+    await sourceProvider.send('evm_mine', []);
+  }
+  await restarted.runOnce();
+  await secondRelayer.runOnce();
+  await restarted.runOnce();
+
+  const overpaid = restarted.state.payments[overpaidId];
+  assert(overpaid.status === STATUS.SETTLED, `支付状态应为已结算，实际为 ${overpaid.status}`);
+  assert(BigInt(overpaid.overpayment) === BigInt(overpaid.amount) - ticketPrice, `多付金额不正确: ${overpaid.overpayment}`);
+
+  const overpaymentRefunded = (await sourceProvider.getBalance(await buyer.getAddress())) - balanceBeforeSettle;
+  assert(overpaymentRefunded === BigInt(overpaid.overpayment), `应退还多付金额，实际退还 ${overpaymentRefunded}`);
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 2n, "多付的支付应铸造门票");
+  console.log(`已退还多付金额 ${ethers.formatEther(overpaymentRefunded)} ETH`);
+
+  // 11. 金额不足的支付在处理期限内继续重试，期限过后在目标链被拒绝，并在源链退款
+  console.log("\n测试铸造失败时的退款...");
+  const underpayTx = await sourcePayment.connect(buyer).payWithNativeToken(eventId, TARGET_CHAIN_ID, { value: ticketPrice });
+  const underpayReceipt = await underpayTx.wait();
+  const underpaidId = sourcePayment.interface.parseLog(underpayReceipt.logs[0]).args.paymentId;
+  const balanceBefore = await sourceProvider.getBalance(await buyer.getAddress());
+
+  for (let i = 0; i < CONFIRMATIONS; i++) {
+    await sourceProvider.send('evm_mine', []);
+  }
+  await restarted.runOnce();
+  await secondRelayer.runOnce();
+
+  // 第二个中继者记录支付；金额不足可能随票价变化而改变，处理期限内不应拒绝，也不计入重试次数
+  const pendingRejection = secondRelayer.state.payments[underpaidId];
+  assert(pendingRejection.status === STATUS.RECORDED, `处理期限内应继续等待，实际为 ${pendingRejection.status}`);
+  assert(!pendingRejection.rejection, "处理期限内不应签署拒绝");
+  assert(pendingRejection.attempts === 0, `暂时无法铸造不应计入重试次数，实际为 ${pendingRejection.attempts}`);
+
+  // 目标链时间超过处理期限后，第二个中继者签署拒绝，但只有一个拒绝签名时不应拒绝
+  await targetProvider.send('evm_increaseTime', [Number(await bridge.processingWindow()) + 1]);
+  await targetProvider.send('evm_mine', []);
+  pendingRejection.nextAttemptAt = 0; // 跳过重试等待
+  await secondRelayer.runOnce();
+  assert(pendingRejection.status === STATUS.RECORDED, `只有一个拒绝签名时应等待，实际为 ${pendingRejection.status}`);
+  assert(pendingRejection.rejection.reason === "Processing window expired", `拒绝原因不正确: ${pendingRejection.rejection.reason}`);
+  assert(!(await bridge.isRejected(pendingRejection.bridgePaymentId)), "签名不足时不应拒绝");
+
+  // 第一个中继者签署拒绝后拒绝这笔支付，再由第二个中继者补齐退款授权签名后退款
+  await restarted.runOnce();
+  assert(
+    restarted.state.payments[underpaidId].status === STATUS.REJECTED,
+    `只有一个退款签名时应等待，实际为 ${restarted.state.payments[underpaidId].status}`
+  );
+  await secondRelayer.runOnce();
+  await restarted.runOnce();
+
+  const rejected = restarted.state.payments[underpaidId];
+  assert(rejected.status === STATUS.REFUNDED, `支付状态应为已退款，实际为 ${rejected.status}`);
+  assert(rejected.rejectionReason === "Processing window expired", `拒绝原因不正确: ${rejected.rejectionReason}`);
+  assert(await bridge.isRejected(rejected.bridgePaymentId), "目标链应记录拒绝");
+
+  const rejecters = (await bridge.queryFilter(bridge.filters.RejectionAttested(rejected.bridgePaymentId)))
+    .map(log => log.args.relayer);
+  assert(
+    rejecters.length === 2 && rejecters.includes(relayerAddress) && rejecters.includes(secondRelayerAddress),
+    `两个中继者都应出现在拒绝签名事件中: ${rejecters}`
+  );
+
+  const refunded = (await sourceProvider.getBalance(await buyer.getAddress())) - balanceBefore;
+  assert(refunded === BigInt(rejected.amount), `应退还扣除桥接费后的金额，实际退还 ${refunded}`);
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 2n, "被拒绝的支付不应铸造门票");
+  console.log(`已退款 ${ethers.formatEther(refunded)} ETH，原因: ${rejected.rejectionReason}`);
+
+  // 12. 未能在 maxPaymentAge 内记录的支付过期，两个中继者签署过期授权后在源链退款超时后退还
+  console.log("\n测试过期支付的退还...");
+  const expiringTx = await sourcePayment.connect(buyer).payWithNativeToken(eventId, TARGET_CHAIN_ID, { value: ticketPrice * 2n });
+  const expiringId = sourcePayment.interface.parseLog((await expiringTx.wait()).logs[0]).args.paymentId;
+  for (let i = 0; i < CONFIRMATIONS; i++) {
+    await sourceProvider.send('evm_mine', []);
+  }
+  await targetProvider.send('evm_increaseTime', [Number(await bridge.maxPaymentAge()) + 1]);
+  await targetProvider.send('evm_mine', []);
+
+  await restarted.runOnce();
+  await secondRelayer.runOnce();
+  const expiring = restarted.state.payments[expiringId];
+  assert(expiring.status === STATUS.EXPIRED, `源链退款超时前应等待，实际为 ${expiring.status}`);
+  assert(expiring.authorization.action === 'EXPIRE', "应签署过期授权");
+
+  await sourceProvider.send('evm_increaseTime', [Number(await sourcePayment.refundTimeout())]);
+  await sourceProvider.send('evm_mine', []);
+  const balanceBeforeExpiry = await sourceProvider.getBalance(await buyer.getAddress());
+  await restarted.runOnce();
+
+  assert(expiring.status === STATUS.REFUNDED, `过期支付应已退还，实际为 ${expiring.status}`);
+  const expiredRefund = (await sourceProvider.getBalance(await buyer.getAddress())) - balanceBeforeExpiry;
+  assert(expiredRefund === BigInt(expiring.amount), `应退还扣除桥接费后的金额，实际退还 ${expiredRefund}`);
+  assert((await ticketNFT.balanceOf(await buyer.getAddress())) === 2n, "过期的支付不应铸造门票");
+  console.log(`已退还过期支付 ${ethers.formatEther(expiredRefund)} ETH`);
+
+  await restarted.stop();
+  await secondRelayer.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+  console.log("\n跨链支付中继端到端测试通过！");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -105,6 +105,8 @@ async function main() {
   
   const buyTicketTx = await eventTicketing.connect(attendee1).buyTicket(
     eventId,
+    0, // 默认票档
+    0, // 按当前价格精确支付
     { value: eventDetails.ticketPrice } // 支付票价
   );
   const buyTicketReceipt = await buyTicketTx.wait();
@@ -133,6 +135,8 @@ async function main() {
   
   const buyTicket2Tx = await eventTicketing.connect(attendee2).buyTicket(
     eventId,
+    0, // 默认票档
+    0, // 按当前价格精确支付
     { value: eventDetails.ticketPrice } // 支付票价
   );
   const buyTicket2Receipt = await buyTicket2Tx.wait();
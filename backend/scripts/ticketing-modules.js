@@ -0,0 +1,75 @@
+/**
+ * Helpers for the modules EventTicketing delegates its feature areas to.
+ * EventTicketing only holds the core of the platform so that it stays under the
+ * EIP-170 contract size limit; resale, waitlists, refunds, gifts and the other
+ * feature areas are deployed separately and routed through its fallback.
+ */
+
+const { ethers, artifacts } = require("hardhat");
+
+// Every module EventTicketing routes calls to (see contracts/modules)
+const TICKETING_MODULES = [
+  "TicketPricingModule",
+  "TicketEventSettingsModule",
+  "TicketPurchaseModule",
+  "TicketRsvpModule",
+  "TicketGiftModule",
+  "TicketWaitlistModule",
+  "TicketAttendanceModule",
+  "TicketRefundModule",
+  "TicketResaleModule"
+];
+
+/**
+ * Deploys every ticketing module and routes its functions through EventTicketing.
+ * @param {Contract} eventTicketing - EventTicketing, connected to its owner
+ * @param {object} txOptions - Optional overrides for the deployment and setModule transactions
+ * @returns {Promise<Object>} Deployed module addresses keyed by module name
+ */
+async function deployTicketingModules(eventTicketing, txOptions = {}) {
+  const addresses = {};
+
+  for (const name of TICKETING_MODULES) {
+    const Module = await ethers.getContractFactory(name, eventTicketing.runner);
+    const module = await Module.deploy(txOptions);
+    await module.waitForDeployment();
+    addresses[name] = await module.getAddress();
+
+    const tx = await eventTicketing.setModule(addresses[name], txOptions);
+    await tx.wait();
+    console.log(`${name} deployed to ${addresses[name]} and registered`);
+  }
+
+  return addresses;
+}
+
+/**
+ * Returns EventTicketing at the given address with the ABI of every module merged
+ * in, so functions implemented by modules can be called like its own.
+ * @param {string} address - Address of EventTicketing
+ * @param {Signer|Provider} runner - Signer or provider to connect with
+ * @returns {Promise<Contract>} The contract instance
+ */
+async function getTicketingContract(address, runner) {
+  const abi = [...(await artifacts.readArtifact("EventTicketing")).abi];
+  const seen = new Set(abi.map(fragment => ethers.Fragment.from(fragment).format("full")));
+
+  for (const name of TICKETING_MODULES) {
+    for (const fragment of (await artifacts.readArtifact(name)).abi) {
+      if (fragment.type === "constructor" || fragment.name === "moduleSelectors") continue;
+      const signature = ethers.Fragment.from(fragment).format("full");
+      if (!seen.has(signature)) {
+        seen.add(signature);
+        abi.push(fragment);
+      }
+    }
+  }
+
+  return new ethers.Contract(address, abi, runner || (await ethers.getSigners())[0]);
+}
+
+module.exports = {
+  TICKETING_MODULES,
+  deployTicketingModules,
+  getTicketingContract
+};
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { getTicketingContract } = require("./ticketing-modules");
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
@@ -20,8 +21,7 @@ async function main() {
   console.log("Organizer account:", organizer.address);
 
   // Get contract instances
-  const EventTicketing = await ethers.getContractFactory("EventTicketing");
-  const eventTicketing = EventTicketing.attach(eventTicketingAddress);
+  const eventTicketing = await getTicketingContract(eventTicketingAddress, deployer);
 
   const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
   const eventTicketNFT = EventTicketNFT.attach(eventTicketNFTAddress);
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployTicketingModules, getTicketingContract } = require("../scripts/ticketing-modules");
 
 describe("Cross-Chain Payment System", function () {
   // Contract instances
@@ -27,13 +29,20 @@ describe("Cross-Chain Payment System", function () {
   const ticketPrice = ethers.parseEther("0.1"); // 0.1 ETH
   // Calculate equivalent price in MATIC (assuming 1 ETH = 2500 MATIC)
   const maticTicketPrice = ethers.parseEther("250"); // 250 MATIC
-  const eventDate = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60; // 30 days from now
-  const resaleDeadline = eventDate - 7 * 24 * 60 * 60; // 7 days before event
-  const eventURI = "ipfs://test";
+  let eventDate;
+
+  // 中继者对支付签名，CrossChainBridge 按签名记录支付
+  // 签名同时覆盖支付在源链上的时间
+  async function attest(signer, paidAt, ...paymentArgs) {
+    const paymentId = await crossChainBridge.getPaymentId(...paymentArgs);
+    const hash = await crossChainBridge.attestationHash(paymentId, paidAt);
+    return signer.signMessage(ethers.getBytes(hash));
+  }
 
   beforeEach(async function () {
     // Get signers
     [owner, organizer, buyer, relayer] = await ethers.getSigners();
+    eventDate = (await time.latest()) + 30 * 24 * 60 * 60; // 30 days from now
 
     // Deploy contracts for World Chain
     const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
@@ -88,8 +97,10 @@ describe("Cross-Chain Payment System", function () {
     await crossChainBridge.setExchangeRate(POLYGON_CHAIN_ID, 4);
     
     // 授权EventTicketing调用markPaymentAsProcessed
-    // 模拟一下，让我们将EventTicketing合约地址添加为CrossChainBridge的受信任中继器
-    await crossChainBridge.addTrustedRelayer(480, await eventTicketing.getAddress());
+    await crossChainBridge.setPaymentProcessor(await eventTicketing.getAddress(), true);
+
+    // 桥从自身流动性中向EventTicketing支付票价
+    await owner.sendTransaction({ to: crossChainBridgeAddress, value: ticketPrice * 10n });
 
     // Set up relayer
     await mockRelayer.addTrustedSourceChain(POLYGON_CHAIN_ID);
@@ -104,9 +115,6 @@ describe("Cross-Chain Payment System", function () {
       eventDate,
       totalTickets,
       ticketPrice,
-      true, // Allow resale
-      resaleDeadline,
-      eventURI,
       false // No World ID required
     );
   });
@@ -130,13 +138,20 @@ describe("Cross-Chain Payment System", function () {
     
     // 直接调用CrossChainBridge以避免潜在问题
     console.log("直接调用CrossChainBridge.recordCrossChainPayment");
-    const directTx = await crossChainBridge.recordCrossChainPayment(
+    const { timestamp: paidAt } = await ethers.provider.getBlock(receipt.blockNumber);
+    const paymentArgs = [
       POLYGON_CHAIN_ID,
       ethers.keccak256(ethers.toUtf8Bytes(sourceChainPaymentTxHash)),
       buyer.address,
       ethers.ZeroAddress, // Native token
       maticTicketPrice,
-      0 // Event ID 0
+      0, // Event ID 0
+      0 // Tier ID 0
+    ];
+    const directTx = await crossChainBridge.recordCrossChainPayment(
+      ...paymentArgs,
+      paidAt,
+      [await attest(owner, paidAt, ...paymentArgs)]
     );
     
     const directReceipt = await directTx.wait();
@@ -163,12 +178,6 @@ describe("Cross-Chain Payment System", function () {
         timestamp: directPaymentInfo.timestamp.toString()
       });
       
-      // 向EventTicketing合约发送一些ETH，用于支付平台费用
-      await owner.sendTransaction({
-        to: await eventTicketing.getAddress(),
-        value: ticketPrice
-      });
-      
       // Process payment on target chain
       const processTx = await eventTicketing.processCrossChainPayment(directPaymentId);
       const processReceipt = await processTx.wait();
@@ -192,43 +201,12 @@ describe("Cross-Chain Payment System", function () {
     
     // 仍然保留原始的测试流程，但注释掉执行部分
     console.log("\n=== 使用MockRelayer的流程（仅用作调试） ===");
-    // 再次添加mockRelayer为受信任的relayer
-    await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, await mockRelayer.getAddress());
-    
-    // Simulate relayer action
-    const relayTx = await mockRelayer.relayPayment(
-      POLYGON_CHAIN_ID,
-      ethers.keccak256(ethers.toUtf8Bytes(sourceChainPaymentTxHash)),
-      buyer.address,
-      ethers.ZeroAddress, // Native token
-      maticTicketPrice,
-      0 // Event ID 0
-    );
-    
-    const relayReceipt = await relayTx.wait();
-    
-    // 从relayer事件中获取paymentId
-    const relayEvent = relayReceipt.logs.find(
-      log => log.fragment && log.fragment.name === 'PaymentRelayed'
-    );
-    
-    if (!relayEvent) {
-      console.log("未找到PaymentRelayed事件");
-    } else {
-      const paymentId = relayEvent.args.paymentId;
-      console.log("Relay PaymentID:", paymentId);
-      
-      // 调试: 打印支付ID和调用查询函数
-      const paymentInfo = await crossChainBridge.getPaymentInfo(paymentId);
-      console.log("Relay Payment Info:", {
-        sourceChainId: paymentInfo.sourceChainId.toString(),
-        payer: paymentInfo.payer,
-        amount: paymentInfo.amount.toString(),
-        eventId: paymentInfo.eventId.toString(),
-        isProcessed: paymentInfo.isProcessed,
-        timestamp: paymentInfo.timestamp.toString()
-      });
-    }
+    // 支付ID只由支付内容决定，通过MockRelayer再次转发同一笔支付会被拒绝
+    await expect(mockRelayer.relayPayment(
+      ...paymentArgs,
+      paidAt,
+      [await attest(owner, paidAt, ...paymentArgs)]
+    )).to.be.revertedWith("Payment already recorded");
     
     /*
     // 注释掉下面的执行部分，因为我们已经在前面处理了
@@ -274,13 +252,20 @@ describe("Cross-Chain Payment System", function () {
     await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, await owner.getAddress());
     
     // 直接调用CrossChainBridge
-    const directTx = await crossChainBridge.recordCrossChainPayment(
+    const { timestamp: paidAt } = await ethers.provider.getBlock(receipt.blockNumber);
+    const paymentArgs = [
       POLYGON_CHAIN_ID,
       ethers.keccak256(ethers.toUtf8Bytes(sourceChainPaymentTxHash)),
       buyer.address,
       ethers.ZeroAddress, // Native token
       maticTicketPrice,
-      0 // Event ID 0
+      0, // Event ID 0
+      0 // Tier ID 0
+    ];
+    const directTx = await crossChainBridge.recordCrossChainPayment(
+      ...paymentArgs,
+      paidAt,
+      [await attest(owner, paidAt, ...paymentArgs)]
     );
     
     const directReceipt = await directTx.wait();
@@ -292,12 +277,6 @@ describe("Cross-Chain Payment System", function () {
     
     const directPaymentId = directEvent.args.paymentId;
     
-    // 向EventTicketing合约发送一些ETH，用于支付平台费用
-    await owner.sendTransaction({
-      to: await eventTicketing.getAddress(),
-      value: ticketPrice
-    });
-    
     // Process payment should fail due to insufficient amount
     await expect(eventTicketing.processCrossChainPayment(directPaymentId))
       .to.be.revertedWith("Insufficient payment amount");
@@ -320,13 +299,20 @@ describe("Cross-Chain Payment System", function () {
     await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, await owner.getAddress());
     
     // 直接调用CrossChainBridge
-    const directTx = await crossChainBridge.recordCrossChainPayment(
+    const { timestamp: paidAt } = await ethers.provider.getBlock(receipt.blockNumber);
+    const paymentArgs = [
       POLYGON_CHAIN_ID,
       ethers.keccak256(ethers.toUtf8Bytes(sourceChainPaymentTxHash)),
       buyer.address,
       ethers.ZeroAddress, // Native token
       maticTicketPrice,
-      0 // Event ID 0
+      0, // Event ID 0
+      0 // Tier ID 0
+    ];
+    const directTx = await crossChainBridge.recordCrossChainPayment(
+      ...paymentArgs,
+      paidAt,
+      [await attest(owner, paidAt, ...paymentArgs)]
     );
     
     const directReceipt = await directTx.wait();
@@ -338,12 +324,6 @@ describe("Cross-Chain Payment System", function () {
     
     const directPaymentId = directEvent.args.paymentId;
     
-    // 向EventTicketing合约发送一些ETH，用于支付平台费用
-    await owner.sendTransaction({
-      to: await eventTicketing.getAddress(),
-      value: ticketPrice
-    });
-    
     // Process payment first time (should succeed)
     await eventTicketing.processCrossChainPayment(directPaymentId);
     
@@ -351,4 +331,706 @@ describe("Cross-Chain Payment System", function () {
     await expect(eventTicketing.processCrossChainPayment(directPaymentId))
       .to.be.revertedWith("Payment already processed");
   });
+
+  describe("Bridge liquidity", function () {
+    let paymentId;
+
+    beforeEach(async function () {
+      await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, await owner.getAddress());
+
+      const paidAt = await time.latest();
+      const paymentArgs = [
+        POLYGON_CHAIN_ID,
+        ethers.id("source-payment"),
+        buyer.address,
+        ethers.ZeroAddress,
+        maticTicketPrice,
+        0,
+        0
+      ];
+      paymentId = await crossChainBridge.getPaymentId(...paymentArgs);
+      await crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(owner, paidAt, ...paymentArgs)]);
+    });
+
+    it("Should deliver the ticket price from the bridge into the event's escrow", async function () {
+      const tx = eventTicketing.processCrossChainPayment(paymentId);
+      await expect(tx).to.changeEtherBalances([crossChainBridge, eventTicketing], [-ticketPrice, ticketPrice]);
+
+      const [escrowed] = await eventTicketing.getEventEscrow(0);
+      expect(escrowed).to.equal(ticketPrice);
+      expect(await ethers.provider.getBalance(await eventTicketing.getAddress())).to.equal(escrowed);
+    });
+
+    it("Should not mint tickets the bridge cannot pay for", async function () {
+      const liquidity = await ethers.provider.getBalance(await crossChainBridge.getAddress());
+      await crossChainBridge.withdrawLiquidity(owner.address, liquidity);
+
+      await expect(eventTicketing.processCrossChainPayment(paymentId))
+        .to.be.revertedWith("Insufficient bridge liquidity");
+    });
+
+    it("Should only let the owner withdraw liquidity", async function () {
+      await expect(crossChainBridge.connect(buyer).withdrawLiquidity(buyer.address, 1))
+        .to.be.revertedWithCustomError(crossChainBridge, "OwnableUnauthorizedAccount");
+      await expect(crossChainBridge.withdrawLiquidity(owner.address, ticketPrice * 11n))
+        .to.be.revertedWith("Insufficient bridge liquidity");
+      await expect(crossChainBridge.withdrawLiquidity(owner.address, ticketPrice))
+        .to.emit(crossChainBridge, "LiquidityWithdrawn")
+        .withArgs(owner.address, ticketPrice);
+    });
+  });
+
+  describe("Payment age and rejections", function () {
+    const DAY = 86400;
+    let paymentArgs;
+
+    async function record(paidAt) {
+      const paymentId = await crossChainBridge.getPaymentId(...paymentArgs);
+      await crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(relayer, paidAt, ...paymentArgs)]);
+      return paymentId;
+    }
+
+    beforeEach(async function () {
+      await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, relayer.address);
+      await crossChainBridge.setPaymentProcessor(owner.address, true);
+
+      paymentArgs = [
+        POLYGON_CHAIN_ID,
+        ethers.id("source-payment"),
+        buyer.address,
+        ethers.ZeroAddress,
+        maticTicketPrice,
+        0,
+        0
+      ];
+    });
+
+    it("Should store the signed source payment time", async function () {
+      const paidAt = await time.latest();
+
+      // 签名必须覆盖同一个支付时间
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(relayer, paidAt - DAY, ...paymentArgs)]))
+        .to.be.revertedWith("Not a trusted relayer");
+
+      const paymentId = await record(paidAt);
+      expect((await crossChainBridge.getPaymentInfo(paymentId)).paidAt).to.equal(paidAt);
+    });
+
+    it("Should refuse payments their payers may soon reclaim", async function () {
+      const paidAt = await time.latest();
+      await time.increase(5 * DAY);
+
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(relayer, paidAt, ...paymentArgs)]))
+        .to.be.revertedWith("Payment too old");
+
+      await expect(crossChainBridge.connect(buyer).setMaxPaymentAge(6 * DAY))
+        .to.be.revertedWithCustomError(crossChainBridge, "OwnableUnauthorizedAccount");
+      await expect(crossChainBridge.setMaxPaymentAge(0))
+        .to.be.revertedWith("Max payment age must be positive");
+      await expect(crossChainBridge.setMaxPaymentAge(6 * DAY))
+        .to.emit(crossChainBridge, "MaxPaymentAgeUpdated")
+        .withArgs(6 * DAY);
+      await record(paidAt);
+    });
+
+    it("Should never process a rejected payment", async function () {
+      const paymentId = await record(await time.latest());
+      const hash = await crossChainBridge.rejectionHash(paymentId, "Event sold out");
+      const signatures = [await relayer.signMessage(ethers.getBytes(hash))];
+
+      await expect(crossChainBridge.rejectCrossChainPayment(paymentId, "Event sold out", signatures))
+        .to.emit(crossChainBridge, "PaymentRejected")
+        .withArgs(paymentId, POLYGON_CHAIN_ID, buyer.address, paymentArgs[1], "Event sold out");
+      expect(await crossChainBridge.isRejected(paymentId)).to.be.true;
+
+      await expect(crossChainBridge.markPaymentAsProcessed(paymentId, 0))
+        .to.be.revertedWith("Payment already processed");
+      await expect(crossChainBridge.rejectCrossChainPayment(paymentId, "Event sold out", signatures))
+        .to.be.revertedWith("Payment already processed");
+    });
+  });
+
+  describe("Source chain refunds", function () {
+    const DAY = 86400;
+    const amount = ethers.parseUnits("100", 6);
+    // 1%的桥接费归中继者，其余资金为目标链锁定
+    const held = amount - amount / 100n;
+    let token;
+    let paymentId;
+
+    async function authorize(action, refundAmount, signer = relayer) {
+      const hash = await sourceChainPayment.authorizationHash(action, paymentId, refundAmount);
+      return [await signer.signMessage(ethers.getBytes(hash))];
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+      // 退款需要中继者签名，所以这里用普通账户作为中继者
+      const SourceChainPayment = await ethers.getContractFactory("SourceChainPayment");
+      sourceChainPayment = await SourceChainPayment.deploy(POLYGON_CHAIN_ID, relayer.address);
+      await sourceChainPayment.addAcceptedToken(await token.getAddress());
+
+      await token.mint(buyer.address, amount);
+      await token.connect(buyer).approve(await sourceChainPayment.getAddress(), amount);
+
+      const receipt = await (await sourceChainPayment.connect(buyer).payWithToken(await token.getAddress(), amount, 0, 480)).wait();
+      paymentId = receipt.logs.find(log => log.fragment && log.fragment.name === "PaymentReceived").args.paymentId;
+    });
+
+    it("Should refund a rejected payment with the relayers' authorization", async function () {
+      // 支付时扣除桥接费，其余资金被锁定
+      expect(await token.balanceOf(relayer.address)).to.equal(amount - held);
+      expect(await sourceChainPayment.lockedFunds(await token.getAddress())).to.equal(held);
+
+      const refundAction = await sourceChainPayment.REFUND_ACTION();
+      await expect(sourceChainPayment.connect(organizer).refundPayment(paymentId, await authorize(refundAction, held, organizer)))
+        .to.be.revertedWith("Not a trusted relayer");
+      await expect(sourceChainPayment.connect(organizer).refundPayment(paymentId, await authorize(refundAction, held - 1n)))
+        .to.be.revertedWith("Not a trusted relayer");
+
+      const tx = sourceChainPayment.connect(organizer).refundPayment(paymentId, await authorize(refundAction, held));
+      await expect(tx).to.changeTokenBalance(token, buyer, held);
+      await expect(tx)
+        .to.emit(sourceChainPayment, "PaymentRefunded")
+        .withArgs(paymentId, buyer.address, held, false);
+      expect(await sourceChainPayment.lockedFunds(await token.getAddress())).to.equal(0);
+
+      await expect(sourceChainPayment.refundPayment(paymentId, await authorize(refundAction, held)))
+        .to.be.revertedWith("Payment not pending");
+    });
+
+    it("Should return an expired payment to the payer after the refund timeout", async function () {
+      const expireAction = await sourceChainPayment.EXPIRE_ACTION();
+
+      await expect(sourceChainPayment.connect(buyer).claimRefund(paymentId, await authorize(expireAction, held)))
+        .to.be.revertedWith("Refund timeout not reached");
+
+      await time.increase(7 * DAY);
+      await expect(sourceChainPayment.connect(buyer).claimRefund(paymentId, []))
+        .to.be.revertedWith("Not enough relayer signatures");
+      await expect(sourceChainPayment.connect(buyer).claimRefund(paymentId, await authorize(await sourceChainPayment.REFUND_ACTION(), held)))
+        .to.be.revertedWith("Not a trusted relayer");
+
+      const tx = sourceChainPayment.connect(organizer).claimRefund(paymentId, await authorize(expireAction, held));
+      await expect(tx).to.changeTokenBalance(token, buyer, held);
+      await expect(tx)
+        .to.emit(sourceChainPayment, "PaymentRefunded")
+        .withArgs(paymentId, buyer.address, held, true);
+    });
+
+    it("Should not refund a settled payment", async function () {
+      const overpayment = held / 10n;
+      const signatures = await authorize(await sourceChainPayment.SETTLE_ACTION(), overpayment);
+
+      await expect(sourceChainPayment.settlePayment(paymentId, overpayment, signatures))
+        .to.changeTokenBalance(token, buyer, overpayment);
+
+      await time.increase(7 * DAY);
+      await expect(sourceChainPayment.connect(buyer).claimRefund(paymentId, await authorize(await sourceChainPayment.EXPIRE_ACTION(), held)))
+        .to.be.revertedWith("Payment not pending");
+      await expect(sourceChainPayment.withdrawFunds(await token.getAddress(), held - overpayment))
+        .to.changeTokenBalance(token, owner, held - overpayment);
+    });
+
+    it("Should keep pending payments out of the owner's withdrawals", async function () {
+      await expect(sourceChainPayment.withdrawFunds(await token.getAddress(), 1))
+        .to.be.revertedWith("Insufficient token balance");
+
+      await token.mint(await sourceChainPayment.getAddress(), 5);
+      await expect(sourceChainPayment.withdrawFunds(await token.getAddress(), 5))
+        .to.changeTokenBalance(token, owner, 5);
+    });
+
+    it("Should never return a payment that minted a ticket", async function () {
+      // 1个源链代币 = 1 ETH，锁定金额正好支付票价
+      await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, relayer.address);
+      await crossChainBridge.setExchangeRate(POLYGON_CHAIN_ID, 10000);
+
+      const paid = ticketPrice * 100n / 99n + 1n;
+      const receipt = await (await sourceChainPayment.connect(buyer).payWithNativeToken(0, 480, { value: paid })).wait();
+      paymentId = receipt.logs.find(log => log.fragment && log.fragment.name === "PaymentReceived").args.paymentId;
+      const { amount: heldNative, createdAt } = await sourceChainPayment.payments(paymentId);
+
+      const paymentArgs = [POLYGON_CHAIN_ID, paymentId, buyer.address, ethers.ZeroAddress, heldNative, 0, 0];
+      const bridgePaymentId = await crossChainBridge.getPaymentId(...paymentArgs);
+      await crossChainBridge.recordCrossChainPayment(...paymentArgs, createdAt, [await attest(relayer, createdAt, ...paymentArgs)]);
+      await eventTicketing.processCrossChainPayment(bridgePaymentId);
+      expect(await ticketNFT.balanceOf(buyer.address)).to.equal(1);
+
+      // 结算迟到了，但中继者只为桥从未记录的支付签署过期证明
+      await time.increase(7 * DAY);
+      await expect(sourceChainPayment.connect(buyer).claimRefund(paymentId, []))
+        .to.be.revertedWith("Not enough relayer signatures");
+      const settlement = await authorize(await sourceChainPayment.SETTLE_ACTION(), 0);
+      await expect(sourceChainPayment.connect(buyer).claimRefund(paymentId, settlement))
+        .to.be.revertedWith("Not a trusted relayer");
+
+      await expect(sourceChainPayment.settlePayment(paymentId, 0, settlement))
+        .to.emit(sourceChainPayment, "PaymentSettled")
+        .withArgs(paymentId, 0);
+    });
+  });
+
+  describe("Relayer quorum", function () {
+    const reason = "Event sold out";
+    let relayers;
+    let paymentArgs;
+    let paymentId;
+    let paidAt;
+
+    // 合约要求签名者按地址升序排列
+    function sorted(signers) {
+      return [...signers].sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+    }
+
+    async function sign(signers, hash) {
+      return Promise.all(signers.map(signer => signer.signMessage(ethers.getBytes(hash))));
+    }
+
+    async function attestWith(signers) {
+      return sign(signers, await crossChainBridge.attestationHash(paymentId, paidAt));
+    }
+
+    async function rejectWith(signers, rejectionReason = reason) {
+      return sign(signers, await crossChainBridge.rejectionHash(paymentId, rejectionReason));
+    }
+
+    beforeEach(async function () {
+      relayers = sorted((await ethers.getSigners()).slice(4, 7));
+
+      // 用三个中继者中的两个签名取代MockRelayer
+      for (const signer of relayers) {
+        await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, signer.address);
+      }
+      await crossChainBridge.removeTrustedRelayer(POLYGON_CHAIN_ID, await mockRelayer.getAddress());
+      await crossChainBridge.setRelayerThreshold(POLYGON_CHAIN_ID, 2);
+
+      paymentArgs = [POLYGON_CHAIN_ID, ethers.id("source-payment"), buyer.address, ethers.ZeroAddress, 1000, 0, 0];
+      paymentId = await crossChainBridge.getPaymentId(...paymentArgs);
+      paidAt = await time.latest();
+    });
+
+    it("Should record a payment signed by the threshold of relayers", async function () {
+      const tx = crossChainBridge.connect(buyer).recordCrossChainPayment(
+        ...paymentArgs,
+        paidAt,
+        await attestWith([relayers[0], relayers[2]])
+      );
+
+      await expect(tx).to.emit(crossChainBridge, "PaymentAttested").withArgs(paymentId, relayers[0].address);
+      await expect(tx).to.emit(crossChainBridge, "PaymentAttested").withArgs(paymentId, relayers[2].address);
+      await expect(tx).to.emit(crossChainBridge, "CrossChainPaymentRecorded");
+    });
+
+    it("Should need enough distinct trusted relayers", async function () {
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith([relayers[0]])))
+        .to.be.revertedWith("Not enough relayer signatures");
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith([relayers[0], relayers[0]])))
+        .to.be.revertedWith("Signers must be unique and sorted");
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith([relayers[1], relayers[0]])))
+        .to.be.revertedWith("Signers must be unique and sorted");
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith(sorted([relayers[0], buyer]))))
+        .to.be.revertedWith("Not a trusted relayer");
+    });
+
+    it("Should stop trusting rotated relayers", async function () {
+      await expect(crossChainBridge.rotateRelayer(POLYGON_CHAIN_ID, relayers[0].address, buyer.address))
+        .to.emit(crossChainBridge, "RelayerRemoved")
+        .withArgs(POLYGON_CHAIN_ID, relayers[0].address);
+      expect(await crossChainBridge.relayerThresholds(POLYGON_CHAIN_ID)).to.equal(2);
+      expect([...(await crossChainBridge.getRelayers(POLYGON_CHAIN_ID))]).to.have.members(
+        [relayers[1].address, relayers[2].address, buyer.address]
+      );
+
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith([relayers[0], relayers[1]])))
+        .to.be.revertedWith("Not a trusted relayer");
+      await crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith(sorted([buyer, relayers[1]])));
+    });
+
+    it("Should keep the threshold within the relayer count", async function () {
+      await expect(crossChainBridge.setRelayerThreshold(POLYGON_CHAIN_ID, 4))
+        .to.be.revertedWith("Invalid threshold");
+      await expect(crossChainBridge.setRelayerThreshold(POLYGON_CHAIN_ID, 0))
+        .to.be.revertedWith("Invalid threshold");
+      await expect(crossChainBridge.connect(buyer).setRelayerThreshold(POLYGON_CHAIN_ID, 1))
+        .to.be.revertedWithCustomError(crossChainBridge, "OwnableUnauthorizedAccount");
+
+      await crossChainBridge.setRelayerThreshold(POLYGON_CHAIN_ID, 3);
+      await expect(crossChainBridge.removeTrustedRelayer(POLYGON_CHAIN_ID, relayers[0].address))
+        .to.be.revertedWith("Threshold exceeds relayer count");
+    });
+
+    it("Should reject a payment only on the threshold of agreeing relayer signatures", async function () {
+      await crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, await attestWith([relayers[0], relayers[1]]));
+
+      // 单个中继者、理由不一致或用支付证明代替拒绝签名都不行
+      await expect(crossChainBridge.connect(relayers[0]).rejectCrossChainPayment(paymentId, reason, await rejectWith([relayers[0]])))
+        .to.be.revertedWith("Not enough relayer signatures");
+      const disagreeing = [...(await rejectWith([relayers[0]], "Event cancelled")), ...(await rejectWith([relayers[1]]))];
+      await expect(crossChainBridge.rejectCrossChainPayment(paymentId, reason, disagreeing))
+        .to.be.revertedWith("Not a trusted relayer");
+      await expect(crossChainBridge.rejectCrossChainPayment(paymentId, reason, await attestWith([relayers[0], relayers[1]])))
+        .to.be.revertedWith("Not a trusted relayer");
+      expect(await crossChainBridge.isRejected(paymentId)).to.be.false;
+
+      // 任何人都可以提交足够的签名
+      const tx = crossChainBridge.connect(buyer).rejectCrossChainPayment(
+        paymentId,
+        reason,
+        await rejectWith([relayers[1], relayers[2]])
+      );
+      await expect(tx).to.emit(crossChainBridge, "RejectionAttested").withArgs(paymentId, relayers[1].address);
+      await expect(tx).to.emit(crossChainBridge, "RejectionAttested").withArgs(paymentId, relayers[2].address);
+      await expect(tx)
+        .to.emit(crossChainBridge, "PaymentRejected")
+        .withArgs(paymentId, POLYGON_CHAIN_ID, buyer.address, paymentArgs[1], reason);
+      expect(await crossChainBridge.rejectionReasons(paymentId)).to.equal(reason);
+    });
+
+    describe("On the source chain", function () {
+      const amount = ethers.parseEther("1");
+      // 1%的桥接费归费用接收者，其余资金为目标链锁定
+      const held = amount - amount / 100n;
+      let sourcePaymentId;
+
+      async function authorize(signers, action, refundAmount) {
+        return sign(signers, await sourceChainPayment.authorizationHash(action, sourcePaymentId, refundAmount));
+      }
+
+      beforeEach(async function () {
+        const SourceChainPayment = await ethers.getContractFactory("SourceChainPayment");
+        sourceChainPayment = await SourceChainPayment.deploy(POLYGON_CHAIN_ID, relayers[0].address);
+        await sourceChainPayment.addTrustedRelayer(relayers[1].address);
+        await sourceChainPayment.addTrustedRelayer(relayers[2].address);
+        await expect(sourceChainPayment.setRelayerThreshold(2))
+          .to.emit(sourceChainPayment, "RelayerThresholdUpdated")
+          .withArgs(2);
+
+        const receipt = await (await sourceChainPayment.connect(buyer).payWithNativeToken(0, 480, { value: amount })).wait();
+        sourcePaymentId = receipt.logs.find(log => log.fragment && log.fragment.name === "PaymentReceived").args.paymentId;
+      });
+
+      it("Should refund payments only on the threshold of relayer signatures", async function () {
+        const refund = await sourceChainPayment.REFUND_ACTION();
+
+        await expect(sourceChainPayment.refundPayment(sourcePaymentId, await authorize([relayers[0]], refund, held)))
+          .to.be.revertedWith("Not enough relayer signatures");
+        await expect(sourceChainPayment.refundPayment(sourcePaymentId, await authorize([relayers[0], relayers[0]], refund, held)))
+          .to.be.revertedWith("Signers must be unique and sorted");
+        await expect(sourceChainPayment.refundPayment(sourcePaymentId, await authorize([relayers[1], relayers[0]], refund, held)))
+          .to.be.revertedWith("Signers must be unique and sorted");
+        await expect(sourceChainPayment.refundPayment(sourcePaymentId, await authorize(sorted([relayers[0], buyer]), refund, held)))
+          .to.be.revertedWith("Not a trusted relayer");
+
+        await expect(sourceChainPayment.refundPayment(sourcePaymentId, await authorize([relayers[1], relayers[2]], refund, held)))
+          .to.changeEtherBalance(buyer, held);
+      });
+
+      it("Should need the threshold of relayers to sign settlements and quotes", async function () {
+        const settle = await sourceChainPayment.SETTLE_ACTION();
+        await expect(sourceChainPayment.connect(buyer).settlePayment(sourcePaymentId, 0, await authorize([relayers[0], relayers[2]], settle, 0)))
+          .to.emit(sourceChainPayment, "PaymentSettled")
+          .withArgs(sourcePaymentId, 0);
+
+        const quote = {
+          targetEventId: 0,
+          tierId: 0,
+          token: ethers.ZeroAddress,
+          amount,
+          expiry: (await time.latest()) + 300
+        };
+        const hash = await sourceChainPayment.quoteHash(quote);
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, await sign([relayers[0]], hash), { value: amount }))
+          .to.be.revertedWith("Not enough relayer signatures");
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, await sign([relayers[0], relayers[1]], hash), { value: amount }))
+          .to.emit(sourceChainPayment, "PaymentReceived");
+      });
+
+      it("Should stop trusting rotated relayers and keep the threshold within the relayer count", async function () {
+        const settle = await sourceChainPayment.SETTLE_ACTION();
+
+        await expect(sourceChainPayment.rotateRelayer(relayers[0].address, buyer.address))
+          .to.emit(sourceChainPayment, "RelayerRemoved")
+          .withArgs(relayers[0].address);
+        expect([...(await sourceChainPayment.getRelayers())]).to.have.members(
+          [buyer.address, relayers[1].address, relayers[2].address]
+        );
+        await expect(sourceChainPayment.settlePayment(sourcePaymentId, 0, await authorize([relayers[0], relayers[1]], settle, 0)))
+          .to.be.revertedWith("Not a trusted relayer");
+
+        await expect(sourceChainPayment.setRelayerThreshold(4)).to.be.revertedWith("Invalid threshold");
+        await sourceChainPayment.setRelayerThreshold(3);
+        await expect(sourceChainPayment.removeTrustedRelayer(relayers[1].address))
+          .to.be.revertedWith("Threshold exceeds relayer count");
+        await expect(sourceChainPayment.connect(buyer).addTrustedRelayer(buyer.address))
+          .to.be.revertedWithCustomError(sourceChainPayment, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should send bridge fees to the fee recipient", async function () {
+        await expect(sourceChainPayment.connect(buyer).setFeeRecipient(buyer.address))
+          .to.be.revertedWithCustomError(sourceChainPayment, "OwnableUnauthorizedAccount");
+        await expect(sourceChainPayment.setFeeRecipient(owner.address))
+          .to.emit(sourceChainPayment, "FeeRecipientUpdated")
+          .withArgs(owner.address);
+
+        await expect(sourceChainPayment.connect(buyer).payWithNativeToken(0, 480, { value: amount }))
+          .to.changeEtherBalance(owner, amount - held);
+      });
+    });
+  });
+
+  describe("Price feeds", function () {
+    // 没有手动汇率的链
+    const CELO_CHAIN_ID = 42220;
+    const HOUR = 3600;
+    // 1 MATIC = 0.0004 ETH，喂价为8位小数
+    const maticPrice = 40000n;
+    const fallbackAmount = ethers.parseEther("0.05"); // 250 MATIC at the manual rate
+    let maticFeed;
+    let usdc;
+
+    async function deployFeed(answer, decimals = 8) {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      return MockV3Aggregator.deploy(decimals, answer);
+    }
+
+    function convert(amount, token = ethers.ZeroAddress, chainId = POLYGON_CHAIN_ID) {
+      return crossChainBridge.convertAmount(chainId, token, amount);
+    }
+
+    beforeEach(async function () {
+      // 手动汇率作为备用：1 MATIC = 0.0002 ETH
+      await crossChainBridge.setExchangeRate(POLYGON_CHAIN_ID, 2);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+      maticFeed = await deployFeed(maticPrice);
+      await expect(crossChainBridge.setPriceFeed(POLYGON_CHAIN_ID, ethers.ZeroAddress, await maticFeed.getAddress(), 18, HOUR, 1000))
+        .to.emit(crossChainBridge, "PriceFeedUpdated")
+        .withArgs(POLYGON_CHAIN_ID, ethers.ZeroAddress, await maticFeed.getAddress());
+    });
+
+    it("Should convert amounts at the feed's latest answer", async function () {
+      expect(await convert(maticTicketPrice)).to.equal(ticketPrice);
+
+      // 1 USDC = 0.0005 ETH，代币和喂价的小数位数都可以不同
+      const usdcFeed = await deployFeed(50000n);
+      await crossChainBridge.setPriceFeed(POLYGON_CHAIN_ID, await usdc.getAddress(), await usdcFeed.getAddress(), 6, HOUR, 0);
+      expect(await convert(ethers.parseUnits("100", 6), await usdc.getAddress())).to.equal(ethers.parseEther("0.05"));
+
+      const preciseFeed = await deployFeed(ethers.parseEther("0.0005"), 18);
+      await crossChainBridge.setPriceFeed(POLYGON_CHAIN_ID, await usdc.getAddress(), await preciseFeed.getAddress(), 6, HOUR, 0);
+      expect(await convert(ethers.parseUnits("100", 6), await usdc.getAddress())).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should fall back to the manual rate once the answer is stale or jumps too far", async function () {
+      await time.increase(HOUR + 1);
+      expect(await convert(maticTicketPrice)).to.equal(fallbackAmount);
+
+      await maticFeed.updateAnswer(maticPrice);
+      expect(await convert(maticTicketPrice)).to.equal(ticketPrice);
+
+      // 10%以内的变动仍然使用喂价
+      await maticFeed.updateAnswer((maticPrice * 11n) / 10n);
+      expect(await convert(maticTicketPrice)).to.equal(ethers.parseEther("0.11"));
+
+      await maticFeed.updateAnswer(maticPrice * 2n);
+      expect(await convert(maticTicketPrice)).to.equal(fallbackAmount);
+    });
+
+    it("Should fall back to the manual rate for bad answers and unreadable feeds", async function () {
+      await maticFeed.updateAnswer(0);
+      expect(await convert(maticTicketPrice)).to.equal(fallbackAmount);
+
+      const now = await time.latest();
+      await maticFeed.updateRoundData(10, maticPrice, now + HOUR, now);
+      expect(await convert(maticTicketPrice)).to.equal(fallbackAmount);
+
+      // 桥合约有代码但没有喂价接口
+      await crossChainBridge.setPriceFeed(POLYGON_CHAIN_ID, ethers.ZeroAddress, await crossChainBridge.getAddress(), 18, HOUR, 0);
+      expect(await convert(maticTicketPrice)).to.equal(fallbackAmount);
+    });
+
+    it("Should fail without a manual rate to fall back to", async function () {
+      await crossChainBridge.setPriceFeed(CELO_CHAIN_ID, ethers.ZeroAddress, await maticFeed.getAddress(), 18, HOUR, 0);
+      expect(await convert(maticTicketPrice, ethers.ZeroAddress, CELO_CHAIN_ID)).to.equal(ticketPrice);
+
+      await time.increase(HOUR + 1);
+      await expect(convert(maticTicketPrice, ethers.ZeroAddress, CELO_CHAIN_ID)).to.be.revertedWith("Exchange rate not set");
+    });
+
+    it("Should record payments priced only by a feed", async function () {
+      await crossChainBridge.addTrustedRelayer(CELO_CHAIN_ID, owner.address);
+      await crossChainBridge.addAcceptedToken(CELO_CHAIN_ID, await usdc.getAddress());
+
+      const paidAt = await time.latest();
+      const paymentArgs = [CELO_CHAIN_ID, ethers.id("usdc-payment"), buyer.address, await usdc.getAddress(), 1000, 0, 0];
+
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(owner, paidAt, ...paymentArgs)]))
+        .to.be.revertedWith("Exchange rate not set");
+
+      const usdcFeed = await deployFeed(50000n);
+      await crossChainBridge.setPriceFeed(CELO_CHAIN_ID, await usdc.getAddress(), await usdcFeed.getAddress(), 6, HOUR, 0);
+      await expect(crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(owner, paidAt, ...paymentArgs)]))
+        .to.emit(crossChainBridge, "CrossChainPaymentRecorded");
+    });
+
+    it("Should only let the owner configure valid feeds", async function () {
+      const feed = await maticFeed.getAddress();
+
+      await expect(crossChainBridge.connect(buyer).setPriceFeed(POLYGON_CHAIN_ID, ethers.ZeroAddress, feed, 18, HOUR, 0))
+        .to.be.revertedWithCustomError(crossChainBridge, "OwnableUnauthorizedAccount");
+      await expect(crossChainBridge.setPriceFeed(POLYGON_CHAIN_ID, ethers.ZeroAddress, buyer.address, 18, HOUR, 0))
+        .to.be.revertedWith("Invalid price feed address");
+      await expect(crossChainBridge.setPriceFeed(POLYGON_CHAIN_ID, ethers.ZeroAddress, feed, 18, 0, 0))
+        .to.be.revertedWith("Heartbeat must be positive");
+
+      await expect(crossChainBridge.removePriceFeed(POLYGON_CHAIN_ID, ethers.ZeroAddress))
+        .to.emit(crossChainBridge, "PriceFeedUpdated")
+        .withArgs(POLYGON_CHAIN_ID, ethers.ZeroAddress, ethers.ZeroAddress);
+      expect(await convert(maticTicketPrice)).to.equal(fallbackAmount);
+    });
+  });
+
+  describe("Quotes and overpayments", function () {
+    describe("Paying a quote", function () {
+      let token;
+      let quote;
+
+      async function signQuote(q = quote, signer = relayer) {
+        const hash = await sourceChainPayment.quoteHash(q);
+        return [await signer.signMessage(ethers.getBytes(hash))];
+      }
+
+      beforeEach(async function () {
+        // 报价需要中继者签名，所以这里用普通账户作为中继者
+        const SourceChainPayment = await ethers.getContractFactory("SourceChainPayment");
+        sourceChainPayment = await SourceChainPayment.deploy(POLYGON_CHAIN_ID, relayer.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+        quote = {
+          targetEventId: 3,
+          tierId: 1,
+          token: ethers.ZeroAddress,
+          amount: maticTicketPrice,
+          expiry: (await time.latest()) + 300
+        };
+      });
+
+      it("Should take exactly the quoted amount for the quoted tier", async function () {
+        const held = quote.amount - quote.amount / 100n;
+        const tx = sourceChainPayment.connect(buyer).payWithQuote(quote, await signQuote(), { value: quote.amount });
+
+        await expect(tx)
+          .to.emit(sourceChainPayment, "PaymentReceived")
+          .withArgs(buyer.address, ethers.ZeroAddress, held, quote.targetEventId, quote.tierId, (paymentId) => ethers.isHexString(paymentId, 32));
+        await expect(tx).to.changeEtherBalances([buyer, relayer], [-quote.amount, quote.amount - held]);
+      });
+
+      it("Should reject other amounts, expired quotes and foreign signatures", async function () {
+        const signatures = await signQuote();
+
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, signatures, { value: quote.amount - 1n }))
+          .to.be.revertedWith("Incorrect payment amount");
+        await expect(sourceChainPayment.connect(buyer).payWithQuote({ ...quote, amount: quote.amount - 1n }, signatures, { value: quote.amount - 1n }))
+          .to.be.revertedWith("Not a trusted relayer");
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, await signQuote(quote, organizer), { value: quote.amount }))
+          .to.be.revertedWith("Not a trusted relayer");
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, [], { value: quote.amount }))
+          .to.be.revertedWith("Not enough relayer signatures");
+
+        await time.increaseTo(quote.expiry + 1);
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, signatures, { value: quote.amount }))
+          .to.be.revertedWith("Quote expired");
+      });
+
+      it("Should take ERC-20 quotes in tokens only", async function () {
+        quote = { ...quote, token: await token.getAddress(), amount: ethers.parseUnits("100", 6) };
+
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, await signQuote()))
+          .to.be.revertedWith("Token not accepted");
+
+        await sourceChainPayment.addAcceptedToken(await token.getAddress());
+        await token.mint(buyer.address, quote.amount);
+        await token.connect(buyer).approve(await sourceChainPayment.getAddress(), quote.amount);
+
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, await signQuote(), { value: 1 }))
+          .to.be.revertedWith("Quote is priced in ERC20");
+        await expect(sourceChainPayment.connect(buyer).payWithQuote(quote, await signQuote()))
+          .to.changeTokenBalance(token, buyer, -quote.amount);
+      });
+    });
+
+    describe("Processing overpayments", function () {
+      async function recordPayment(amount, tierId = 0) {
+        const paidAt = await time.latest();
+        const paymentArgs = [POLYGON_CHAIN_ID, ethers.id(`payment-${amount}-${tierId}`), buyer.address, ethers.ZeroAddress, amount, 0, tierId];
+        await crossChainBridge.recordCrossChainPayment(...paymentArgs, paidAt, [await attest(owner, paidAt, ...paymentArgs)]);
+        return crossChainBridge.getPaymentId(...paymentArgs);
+      }
+
+      beforeEach(async function () {
+        await crossChainBridge.addTrustedRelayer(POLYGON_CHAIN_ID, owner.address);
+        // 1个源链代币 = 1 ETH，金额更易读
+        await crossChainBridge.setExchangeRate(POLYGON_CHAIN_ID, 10000);
+      });
+
+      it("Should record the surplus over the ticket price for the payer", async function () {
+        const surplus = ticketPrice / 2n;
+        const paymentId = await recordPayment(ticketPrice + surplus);
+
+        const tx = eventTicketing.processCrossChainPayment(paymentId);
+        await expect(tx)
+          .to.emit(crossChainBridge, "OverpaymentRecorded")
+          .withArgs(paymentId, buyer.address, surplus);
+        await expect(tx).to.changeEtherBalances([crossChainBridge, eventTicketing], [-ticketPrice, ticketPrice]);
+        expect(await crossChainBridge.overpayments(paymentId)).to.equal(surplus);
+        const [escrowed] = await eventTicketing.getEventEscrow(0);
+        expect(escrowed).to.equal(ticketPrice);
+
+        // 金额正好时不记录多付
+        const exactPaymentId = await recordPayment(ticketPrice);
+        await expect(eventTicketing.processCrossChainPayment(exactPaymentId))
+          .to.not.emit(crossChainBridge, "OverpaymentRecorded");
+        expect(await crossChainBridge.overpayments(exactPaymentId)).to.equal(0);
+      });
+
+      it("Should never refund more than the surplus in source tokens", async function () {
+        // 1个源链代币 = 0.0003 ETH，门票只用掉一个源链单位的一部分
+        await crossChainBridge.setExchangeRate(POLYGON_CHAIN_ID, 3);
+        const amount = (ticketPrice * 10000n) / 3n + 7n;
+        const paymentId = await recordPayment(amount);
+
+        await eventTicketing.processCrossChainPayment(paymentId);
+
+        const converted = await crossChainBridge.convertAmount(POLYGON_CHAIN_ID, ethers.ZeroAddress, amount);
+        const used = amount - (await crossChainBridge.overpayments(paymentId));
+        expect((used * converted) / amount).to.be.gte(ticketPrice);
+        expect(((used - 1n) * converted) / amount).to.be.lt(ticketPrice);
+      });
+
+      it("Should sell from the quoted tier at its price", async function () {
+        const vipPrice = ticketPrice * 3n;
+        // 票档由模块实现，需要先注册模块
+        await deployTicketingModules(eventTicketing);
+        const ticketing = await getTicketingContract(await eventTicketing.getAddress(), organizer);
+        await ticketing.addTicketTier(0, "VIP", vipPrice, 10, await time.latest(), eventDate, false);
+
+        const paymentId = await recordPayment(vipPrice + ticketPrice, 1);
+        await expect(eventTicketing.processCrossChainPayment(paymentId))
+          .to.emit(crossChainBridge, "OverpaymentRecorded")
+          .withArgs(paymentId, buyer.address, ticketPrice);
+        expect((await ticketing.eventTiers(0, 1)).sold).to.equal(1);
+
+        const underpaid = await recordPayment(vipPrice - 1n, 1);
+        await expect(eventTicketing.processCrossChainPayment(underpaid))
+          .to.be.revertedWith("Insufficient payment amount");
+      });
+    });
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployTicketingModules, getTicketingContract } = require("../../scripts/ticketing-modules");
+
+const APP_ID = "app_staging_0123456789";
+
+/**
+ * Deploys the ticketing platform with all modules, a loyalty program and a
+ * verified organizer.
+ */
+async function deployTicketing() {
+  const [owner, organizer, buyer1, buyer2, buyer3, ...others] = await ethers.getSigners();
+
+  const MockWorldID = await ethers.getContractFactory("MockWorldID");
+  const mockWorldID = await MockWorldID.deploy();
+
+  const WorldIDVerifier = await ethers.getContractFactory("WorldIDVerifier");
+  const worldIDVerifier = await WorldIDVerifier.deploy(await mockWorldID.getAddress(), APP_ID);
+
+  const EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
+  const ticketNFT = await EventTicketNFT.deploy();
+
+  const CrossChainBridge = await ethers.getContractFactory("CrossChainBridge");
+  const crossChainBridge = await CrossChainBridge.deploy();
+
+  const EventTicketing = await ethers.getContractFactory("EventTicketing");
+  const core = await EventTicketing.deploy(
+    await ticketNFT.getAddress(),
+    await worldIDVerifier.getAddress(),
+    await crossChainBridge.getAddress()
+  );
+  const modules = await deployTicketingModules(core);
+  const eventTicketing = await getTicketingContract(await core.getAddress(), owner);
+  const ticketingAddress = await core.getAddress();
+
+  await ticketNFT.grantRole(await ticketNFT.MINTER_ROLE(), ticketingAddress);
+  await ticketNFT.setWorldIDVerifier(await worldIDVerifier.getAddress());
+  await crossChainBridge.setPaymentProcessor(ticketingAddress, true);
+
+  const LoyaltyProgram = await ethers.getContractFactory("LoyaltyProgram");
+  const loyaltyProgram = await LoyaltyProgram.deploy();
+  await loyaltyProgram.setTicketingContract(ticketingAddress);
+  await eventTicketing.updateLoyaltyProgram(await loyaltyProgram.getAddress());
+
+  await eventTicketing.verifyOrganizer(organizer.address);
+
+  return {
+    owner,
+    organizer,
+    buyer1,
+    buyer2,
+    buyer3,
+    others,
+    mockWorldID,
+    worldIDVerifier,
+    ticketNFT,
+    crossChainBridge,
+    eventTicketing,
+    modules,
+    loyaltyProgram
+  };
+}
+
+/**
+ * Loads a snapshot of the deployed platform.
+ */
+async function deployTicketingFixture() {
+  return loadFixture(deployTicketing);
+}
+
+module.exports = {
+  deployTicketingFixture
+};
@@ -1,15 +1,16 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployTicketingFixture } = require("./helpers/ticketing-fixture");
+const { TICKETING_MODULES } = require("../scripts/ticketing-modules");
 
 describe("EventTicketing System", function () {
   // Contract instances
-  let EventTicketNFT;
-  let WorldIDVerifier;
-  let EventTicketing;
   let ticketNFT;
   let worldIDVerifier;
   let eventTicketing;
+  let modules;
+  let loyaltyProgram;
   
   // Users
   let owner;
@@ -33,57 +34,42 @@ describe("EventTicketing System", function () {
   let resaleDeadline;
   
   // World ID constants
-  const appId = "app_staging_0123456789";
   const actionId = "purchase-ticket";
   
   beforeEach(async function () {
+    // Deploy the platform with its modules
+    ({
+      owner,
+      organizer,
+      buyer1,
+      buyer2,
+      others: addr,
+      mockWorldID,
+      worldIDVerifier,
+      ticketNFT,
+      eventTicketing,
+      modules,
+      loyaltyProgram
+    } = await deployTicketingFixture());
+    
     // Get current block timestamp
     currentTimestamp = (await ethers.provider.getBlock("latest")).timestamp;
     eventDate = currentTimestamp + 86400 * 30; // 30 days in the future
     resaleDeadline = currentTimestamp + 86400 * 29; // 29 days in the future (1 day before event)
     
-    // Get signers
-    [owner, organizer, buyer1, buyer2, ...addr] = await ethers.getSigners();
-    
-    // Deploy mock World ID contract
-    const MockWorldID = await ethers.getContractFactory("MockWorldID");
-    mockWorldID = await MockWorldID.deploy();
-    await mockWorldID.waitForDeployment();
-    
-    // Deploy NFT contract
-    EventTicketNFT = await ethers.getContractFactory("EventTicketNFT");
-    ticketNFT = await EventTicketNFT.deploy();
-    await ticketNFT.waitForDeployment();
-    
-    // Deploy World ID verifier
-    WorldIDVerifier = await ethers.getContractFactory("WorldIDVerifier");
-    worldIDVerifier = await WorldIDVerifier.deploy(mockWorldID.getAddress(), appId);
-    await worldIDVerifier.waitForDeployment();
-    
     // Register the action ID
     await worldIDVerifier.registerAction(actionId);
-    
-    // Deploy main contract
-    EventTicketing = await ethers.getContractFactory("EventTicketing");
-    eventTicketing = await EventTicketing.deploy(
-      await ticketNFT.getAddress(),
-      await worldIDVerifier.getAddress()
-    );
-    await eventTicketing.waitForDeployment();
-    
-    // Grant MINTER_ROLE and URI_SETTER_ROLE to the main contract
-    const MINTER_ROLE = await ticketNFT.MINTER_ROLE();
-    const URI_SETTER_ROLE = await ticketNFT.URI_SETTER_ROLE();
-    await ticketNFT.grantRole(MINTER_ROLE, await eventTicketing.getAddress());
-    await ticketNFT.grantRole(URI_SETTER_ROLE, await eventTicketing.getAddress());
   });
 
-  // Helper function to simulate World ID verification
-  async function verifyWithWorldID(user) {
+  // Helper function to simulate World ID verification, by default for ticket purchases
+  async function verifyWithWorldID(
+    user,
+    action = actionId,
+    nullifierHash = ethers.toBigInt("0x2345678901234567890123456789012345678901234567890123456789012345")
+  ) {
     // Generate mock verification parameters
     const signal = user.address;
     const root = ethers.toBigInt("0x1234567890123456789012345678901234567890123456789012345678901234");
-    const nullifierHash = ethers.toBigInt("0x2345678901234567890123456789012345678901234567890123456789012345");
     const proof = Array(8).fill(ethers.toBigInt("0x1111111111111111111111111111111111111111111111111111111111111111"));
     
     // Verify the user with World ID
@@ -91,7 +77,7 @@ describe("EventTicketing System", function () {
       signal,
       root,
       nullifierHash,
-      actionId,
+      action,
       proof
     );
   }
@@ -119,6 +105,57 @@ describe("EventTicketing System", function () {
     });
   });
   
+  describe("Modules", function () {
+    // EIP-170 limit on deployed bytecode, enforced by World Chain
+    const MAX_CONTRACT_SIZE = 24576;
+    
+    it("Should keep every ticketing contract under the EIP-170 size limit", async function () {
+      const addresses = { EventTicketing: await eventTicketing.getAddress(), ...modules };
+      
+      for (const [name, address] of Object.entries(addresses)) {
+        const code = await ethers.provider.getCode(address);
+        expect((code.length - 2) / 2, name).to.be.at.most(MAX_CONTRACT_SIZE);
+      }
+    });
+    
+    it("Should route every module selector to its module", async function () {
+      for (const name of TICKETING_MODULES) {
+        const module = await ethers.getContractAt(name, modules[name]);
+        for (const selector of await module.moduleSelectors()) {
+          expect(await eventTicketing.modules(selector), `${name} ${selector}`).to.equal(modules[name]);
+        }
+      }
+    });
+    
+    it("Should run module functions against EventTicketing's storage", async function () {
+      await eventTicketing.setGiftClaimPeriod(7 * 86400);
+      expect(await eventTicketing.giftClaimPeriod()).to.equal(7 * 86400);
+      
+      // Access control is kept in force under delegatecall
+      await expect(
+        eventTicketing.connect(buyer1).setGiftClaimPeriod(86400)
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+    });
+    
+    it("Should reject calls to functions no module implements", async function () {
+      await expect(
+        buyer1.sendTransaction({ to: await eventTicketing.getAddress(), data: "0x12345678" })
+      ).to.be.revertedWith("Function does not exist");
+    });
+    
+    it("Should only let the owner register modules", async function () {
+      const Module = await ethers.getContractFactory("TicketGiftModule");
+      const module = await Module.deploy();
+      
+      await expect(
+        eventTicketing.connect(buyer1).setModule(await module.getAddress())
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+      await expect(
+        eventTicketing.setModule(await module.getAddress())
+      ).to.emit(eventTicketing, "ModuleSet");
+    });
+  });
+  
   describe("Organizer Management", function () {
     it("Should allow owner to verify organizers", async function () {
       // Verify organizer
@@ -133,6 +170,30 @@ describe("EventTicketing System", function () {
         await expect(eventTicketing.connect(buyer1).verifyOrganizer(addr[0].address))
           .to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
     });
+    
+    it("Should accept organizers verified with World ID", async function () {
+      // Deploy the World ID organizer verifier
+      const WorldIDOrganizerVerifier = await ethers.getContractFactory("WorldIDOrganizerVerifier");
+      const organizerVerifier = await WorldIDOrganizerVerifier.deploy(await mockWorldID.getAddress(), 1, 1);
+      
+      await expect(eventTicketing.updateOrganizerVerifier(await organizerVerifier.getAddress()))
+        .to.emit(eventTicketing, "OrganizerVerifierUpdated")
+        .withArgs(await organizerVerifier.getAddress());
+      expect(await eventTicketing.isVerifiedOrganizer(addr[0].address)).to.be.false;
+      
+      // Verify the organizer
+      await organizerVerifier.manualVerify(addr[0].address);
+      expect(await eventTicketing.isVerifiedOrganizer(addr[0].address)).to.be.true;
+      
+      // An organizer is only verified once
+      await expect(organizerVerifier.verifyOrganizer(addr[0].address, 0, 0, Array(8).fill(0n)))
+        .to.be.revertedWithCustomError(organizerVerifier, "AlreadyVerified");
+    });
+    
+    it("Should prevent non-owners from changing the organizer verifier", async function () {
+      await expect(eventTicketing.connect(buyer1).updateOrganizerVerifier(addr[0].address))
+        .to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+    });
   });
   
   describe("Platform Settings", function () {
@@ -188,13 +249,10 @@ describe("EventTicketing System", function () {
           eventDate,
           totalTickets,
           ticketPrice,
-          true, // Allow resale
-          resaleDeadline,
-          "ipfs://eventURI",
           false // World ID not required
         )
       ).to.emit(eventTicketing, "EventCreated")
-       .withArgs(0, eventName, totalTickets, ticketPrice, organizer.address, eventDate, false);
+       .withArgs(0, eventName, eventDescription, eventDate, totalTickets, ticketPrice, organizer.address, false);
       
       // Check event details
       const eventDetails = await eventTicketing.getEventDetails(0);
@@ -211,19 +269,29 @@ describe("EventTicketing System", function () {
           eventDate,
           totalTickets,
           ticketPrice,
-          true,
-          resaleDeadline,
-          "ipfs://eventURI",
           true // World ID required
         )
       ).to.emit(eventTicketing, "EventCreated")
-       .withArgs(0, "World ID Required Event", totalTickets, ticketPrice, organizer.address, eventDate, true);
+       .withArgs(0, "World ID Required Event", "Verification required", eventDate, totalTickets, ticketPrice, organizer.address, true);
       
       // Check event details
       const eventDetails = await eventTicketing.getEventDetails(0);
       expect(eventDetails.worldIdRequired).to.be.true;
     });
     
+    it("Should prevent unverified organizers from creating events", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).createEvent(
+          eventName,
+          eventDescription,
+          eventDate,
+          totalTickets,
+          ticketPrice,
+          false
+        )
+      ).to.be.revertedWith("Organizer not verified");
+    });
+    
     it("Should validate event creation parameters", async function () {
       // Test with event date in the past
       await expect(
@@ -233,9 +301,6 @@ describe("EventTicketing System", function () {
           currentTimestamp - 1000, // Past date
           totalTickets,
           ticketPrice,
-          true,
-          resaleDeadline,
-          "ipfs://eventURI",
           false
         )
       ).to.be.revertedWith("Event date must be in the future");
@@ -248,27 +313,9 @@ describe("EventTicketing System", function () {
           eventDate,
           0, // Zero tickets
           ticketPrice,
-          true,
-          resaleDeadline,
-          "ipfs://eventURI",
           false
         )
       ).to.be.revertedWith("Total tickets must be greater than zero");
-      
-      // Test with zero price
-      await expect(
-        eventTicketing.connect(organizer).createEvent(
-          eventName,
-          eventDescription,
-          eventDate,
-          totalTickets,
-          0, // Zero price
-          true,
-          resaleDeadline,
-          "ipfs://eventURI",
-          false
-        )
-      ).to.be.revertedWith("Ticket price must be greater than zero");
     });
   });
   
@@ -291,9 +338,6 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         true // Require World ID
       );
       
@@ -301,7 +345,7 @@ describe("EventTicketing System", function () {
       await verifyWithWorldID(buyer1);
       
       // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(0, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(0, 0, ticketPrice, { value: ticketPrice });
       
       // Check ticket was minted
       expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
@@ -315,15 +359,12 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         true // Require World ID
       );
       
       // Try to buy ticket without verification
       await expect(
-        eventTicketing.connect(buyer1).buyTicket(0, { value: ticketPrice })
+        eventTicketing.connect(buyer1).buyTicket(0, 0, ticketPrice, { value: ticketPrice })
       ).to.be.revertedWith("World ID verification required");
     });
   });
@@ -340,22 +381,19 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         false // No World ID required
       );
       eventId = 0;
     });
     
     it("Should allow users to buy tickets", async function () {
-      // Initial platform balance
-      const initialPlatformBalance = await ethers.provider.getBalance(owner.address);
-      const initialOrganizerBalance = await ethers.provider.getBalance(organizer.address);
+      // Initial contract balance
+      const contractAddress = await eventTicketing.getAddress();
+      const initialContractBalance = await ethers.provider.getBalance(contractAddress);
       
       // Buy ticket
       await expect(
-        eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice })
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
       ).to.emit(eventTicketing, "TicketMinted")
        .withArgs(0, eventId, buyer1.address, ticketPrice);
        
@@ -371,29 +409,16 @@ describe("EventTicketing System", function () {
       // Check loyalty points
       expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(1);
       
-      // Check fee distribution - updated for ethers v6
-      const platformFee = (ticketPrice * 200n) / 10000n; // 2% fee
-      const organizerAmount = ticketPrice - platformFee;
-      
-      // Platform admin should receive fee (allowing for gas costs)
-      const finalPlatformBalance = await ethers.provider.getBalance(owner.address);
-      const balanceDiff = finalPlatformBalance - initialPlatformBalance;
-      // Use a less precise comparison due to gas costs
-      expect(balanceDiff).to.be.closeTo(
-        platformFee, ethers.parseEther("0.01")
-      );
-      
-      // Organizer should receive rest
-      const finalOrganizerBalance = await ethers.provider.getBalance(organizer.address);
-      const organizerBalanceDiff = finalOrganizerBalance - initialOrganizerBalance;
-      expect(organizerBalanceDiff).to.be.closeTo(
-        organizerAmount, ethers.parseEther("0.01")
-      );
+      // The payment is held in escrow until after the event
+      const finalContractBalance = await ethers.provider.getBalance(contractAddress);
+      expect(finalContractBalance - initialContractBalance).to.equal(ticketPrice);
+      const escrow = await eventTicketing.getEventEscrow(eventId);
+      expect(escrow.escrowed).to.equal(ticketPrice);
     });
     
     it("Should prevent buying tickets with incorrect payment", async function () {
       await expect(
-        eventTicketing.connect(buyer1).buyTicket(eventId, { value: ethers.parseEther("0.05") })
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ethers.parseEther("0.05") })
       ).to.be.revertedWith("Incorrect payment");
     });
     
@@ -405,30 +430,27 @@ describe("EventTicketing System", function () {
         eventDate,
         1, // Only 1 ticket
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://limitedEventURI",
         false
       );
       const limitedEventId = 1;
       
       // Buy the only ticket
-      await eventTicketing.connect(buyer1).buyTicket(limitedEventId, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(limitedEventId, 0, ticketPrice, { value: ticketPrice });
       
       // Try to buy another ticket
       await expect(
-        eventTicketing.connect(buyer2).buyTicket(limitedEventId, { value: ticketPrice })
+        eventTicketing.connect(buyer2).buyTicket(limitedEventId, 0, ticketPrice, { value: ticketPrice })
       ).to.be.revertedWith("No more tickets available");
     });
   });
   
-  describe("Ticket Resale", function () {
+  describe("Ticket Tiers", function () {
     let eventId;
-    let tokenId;
-    const resalePrice = ethers.parseEther("0.15"); // 0.15 ETH
+    let saleStart;
+    const vipPrice = ethers.parseEther("0.5"); // 0.5 ETH
     
     beforeEach(async function () {
-      // Setup: verify organizer, create event, buy ticket
+      // Verify organizer and create event
       await eventTicketing.verifyOrganizer(organizer.address);
       await eventTicketing.connect(organizer).createEvent(
         eventName,
@@ -436,231 +458,2298 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true, // Allow resale
-        resaleDeadline,
-        "ipfs://eventURI",
         false
       );
       eventId = 0;
-      
-      // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
-      tokenId = 0;
+      saleStart = await time.latest();
     });
     
-    it("Should allow ticket owners to list tickets for resale", async function () {
-      // Approve the event ticketing contract to transfer the NFT
-      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+    it("Should create a General Admission tier with every event", async function () {
+      const tiers = await eventTicketing.getEventTiers(eventId);
       
-      await expect(
-        eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice)
-      ).to.emit(eventTicketing, "TicketListedForResale")
-       .withArgs(tokenId, resalePrice);
-       
-      // Check ticket is listed
-      const resaleInfo = await eventTicketing.resaleTickets(tokenId);
-      expect(resaleInfo.isListed).to.be.true;
-      expect(resaleInfo.price).to.equal(resalePrice);
+      expect(tiers.length).to.equal(1);
+      expect(tiers[0].name).to.equal("General Admission");
+      expect(tiers[0].price).to.equal(ticketPrice);
+      expect(tiers[0].supply).to.equal(totalTickets);
+      expect(tiers[0].saleEnd).to.equal(eventDate);
     });
     
-    it("Should prevent listing tickets for resale at too high a price", async function () {
-      // Approve the event ticketing contract to transfer the NFT
-      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+    it("Should allow organizers to add tiers with their own price and supply", async function () {
+      await expect(
+        eventTicketing.connect(organizer).addTicketTier(eventId, "VIP", vipPrice, 10, saleStart, eventDate, false)
+      ).to.emit(eventTicketing, "TicketTierAdded")
+       .withArgs(eventId, 1, "VIP", vipPrice, 10, saleStart, eventDate, false);
       
-      // Try to list at a very high markup
-      const tooHighPrice = ethers.parseEther("1.0");
+      // The tier adds to the event's capacity
+      const eventDetails = await eventTicketing.getEventDetails(eventId);
+      expect(eventDetails.totalTickets).to.equal(totalTickets + 10);
       
+      // Buy a VIP ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 1, vipPrice, { value: vipPrice });
+      
+      const ticketInfo = await ticketNFT.getTicketInfo(0);
+      expect(ticketInfo.tierId).to.equal(1);
+      expect(ticketInfo.purchasePrice).to.equal(vipPrice);
+      expect((await eventTicketing.getEventTiers(eventId))[1].sold).to.equal(1);
+    });
+    
+    it("Should validate tier parameters", async function () {
       await expect(
-        eventTicketing.connect(buyer1).listTicketForResale(tokenId, tooHighPrice)
-      ).to.be.revertedWith("Resale price too high");
+        eventTicketing.connect(organizer).addTicketTier(eventId, "VIP", vipPrice, 0, saleStart, eventDate, false)
+      ).to.be.revertedWith("Total tickets must be greater than zero");
+      await expect(
+        eventTicketing.connect(organizer).addTicketTier(eventId, "VIP", vipPrice, 10, eventDate, eventDate, false)
+      ).to.be.revertedWith("Invalid sale window");
+      await expect(
+        eventTicketing.connect(organizer).addTicketTier(eventId, "VIP", vipPrice, 10, saleStart, eventDate + 1, false)
+      ).to.be.revertedWith("Sale ends after event date");
+      await expect(
+        eventTicketing.connect(buyer1).addTicketTier(eventId, "VIP", vipPrice, 10, saleStart, eventDate, false)
+      ).to.be.revertedWith("Not the event organizer");
     });
     
-    it("Should allow users to buy resale tickets", async function () {
-      // List ticket for resale
-      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
-      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
-      
-      // Track balances before purchase
-      const initialPlatformBalance = await ethers.provider.getBalance(owner.address);
-      const initialSellerBalance = await ethers.provider.getBalance(buyer1.address);
+    it("Should only sell a tier during its sale window", async function () {
+      const earlyBirdPrice = ticketPrice / 2n;
+      const earlyBirdStart = saleStart + 86400;
+      const earlyBirdEnd = saleStart + 2 * 86400;
+      await eventTicketing.connect(organizer).addTicketTier(eventId, "Early Bird", earlyBirdPrice, 10, earlyBirdStart, earlyBirdEnd, false);
       
-      // Buy resale ticket
       await expect(
-        eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: resalePrice })
-      ).to.emit(eventTicketing, "TicketResold")
-       .withArgs(tokenId, buyer1.address, buyer2.address, resalePrice);
-       
-      // Check new owner
-      expect(await ticketNFT.ownerOf(tokenId)).to.equal(buyer2.address);
-      
-      // Check ticket is no longer for sale
-      const resaleInfo = await eventTicketing.resaleTickets(tokenId);
-      expect(resaleInfo.isListed).to.be.false;
+        eventTicketing.connect(buyer1).buyTicket(eventId, 1, earlyBirdPrice, { value: earlyBirdPrice })
+      ).to.be.revertedWith("Tier sale not started");
       
-      // Check fee distribution - updated for ethers v6
-      const platformFee = (resalePrice * 200n) / 10000n; // 2% fee
-      const sellerAmount = resalePrice - platformFee;
+      await time.increaseTo(earlyBirdStart);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 1, earlyBirdPrice, { value: earlyBirdPrice });
       
-      // Platform admin should receive fee
-      const finalPlatformBalance = await ethers.provider.getBalance(owner.address);
-      expect(finalPlatformBalance - initialPlatformBalance).to.be.closeTo(
-        platformFee, ethers.parseEther("0.01")
-      );
+      await time.increaseTo(earlyBirdEnd);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 1, earlyBirdPrice, { value: earlyBirdPrice })
+      ).to.be.revertedWith("Tier sale ended");
+    });
+    
+    it("Should prevent buying more tickets than a tier holds", async function () {
+      await eventTicketing.connect(organizer).addTicketTier(eventId, "VIP", vipPrice, 1, saleStart, eventDate, false);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 1, vipPrice, { value: vipPrice });
       
-      // Seller should receive the rest
-      const finalSellerBalance = await ethers.provider.getBalance(buyer1.address);
-      expect(finalSellerBalance - initialSellerBalance).to.be.closeTo(
-        sellerAmount, ethers.parseEther("0.01")
-      );
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 1, vipPrice, { value: vipPrice })
+      ).to.be.revertedWith("No more tickets available");
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 2, vipPrice, { value: vipPrice })
+      ).to.be.revertedWith("Tier does not exist");
     });
     
-    it("Should allow owners to cancel resale listings", async function () {
-      // List ticket for resale
-      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
-      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+    it("Should require World ID verification for verified tiers", async function () {
+      await eventTicketing.connect(organizer).addTicketTier(eventId, "Verified", vipPrice, 10, saleStart, eventDate, true);
       
-      // Cancel listing
-      await eventTicketing.connect(buyer1).cancelResaleListing(tokenId);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 1, vipPrice, { value: vipPrice })
+      ).to.be.revertedWith("World ID verification required");
       
-      // Check ticket is no longer for sale
-      const resaleInfo = await eventTicketing.resaleTickets(tokenId);
-      expect(resaleInfo.isListed).to.be.false;
+      // Verify the user
+      await verifyWithWorldID(buyer1);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 1, vipPrice, { value: vipPrice });
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
     });
     
-    it("Should prevent buying your own resale ticket", async function () {
-      // List ticket for resale
-      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
-      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+    it("Should allow organizers to add supply to a tier", async function () {
+      await expect(
+        eventTicketing.connect(organizer).increaseTierSupply(eventId, 0, 5)
+      ).to.emit(eventTicketing, "TierSupplyIncreased")
+       .withArgs(eventId, 0, totalTickets + 5);
       
-      // Try to buy own ticket
       await expect(
-        eventTicketing.connect(buyer1).buyResaleTicket(tokenId, { value: resalePrice })
-      ).to.be.revertedWith("Cannot buy your own ticket");
+        eventTicketing.connect(organizer).increaseTierSupply(eventId, 0, 0)
+      ).to.be.revertedWith("Supply must be greater than zero");
+      await expect(
+        eventTicketing.connect(organizer).increaseTierSupply(eventId, 1, 5)
+      ).to.be.revertedWith("Tier does not exist");
     });
   });
   
-  describe("Event and Ticket Management", function () {
+  describe("Batch Ticket Purchase", function () {
     let eventId;
-    let tokenId;
+    let recipients;
     
     beforeEach(async function () {
-      // Setup: verify organizer, create event, buy ticket
+      // Verify organizer and create an event with 5 tickets
       await eventTicketing.verifyOrganizer(organizer.address);
       await eventTicketing.connect(organizer).createEvent(
         eventName,
         eventDescription,
         eventDate,
-        totalTickets,
+        5,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         false
       );
       eventId = 0;
+      recipients = [buyer1.address, buyer2.address, addr[0].address];
+    });
+    
+    it("Should mint one ticket per recipient in a single transaction", async function () {
+      const total = ticketPrice * 3n;
       
-      // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
-      tokenId = 0;
+      const tx = eventTicketing.connect(buyer1).buyTickets(eventId, 0, recipients, 0, { value: total });
+      await expect(tx).to.changeEtherBalance(buyer1, -total);
+      await expect(tx)
+        .to.emit(eventTicketing, "TicketMinted")
+        .withArgs(2, eventId, addr[0].address, ticketPrice);
+      
+      // Check ticket ownership
+      for (let i = 0; i < recipients.length; i++) {
+        expect(await ticketNFT.ownerOf(i)).to.equal(recipients[i]);
+      }
+      expect((await eventTicketing.getEventDetails(eventId)).ticketsSold).to.equal(3);
+      expect((await eventTicketing.getEventEscrow(eventId)).escrowed).to.equal(total);
+      
+      // The buyer earns the loyalty points for the whole batch
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(3);
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer2.address)).to.equal(0);
     });
     
-    it("Should allow organizers to mark tickets as used", async function () {
-      // Mark ticket as used
+    it("Should prevent buying a batch with incorrect payment", async function () {
       await expect(
-        eventTicketing.connect(organizer).useTicket(tokenId)
-      ).to.emit(ticketNFT, "TicketUsed")
-       .withArgs(tokenId, eventId);
-       
-      // Check ticket is marked as used
-      expect(await ticketNFT.isTicketUsed(tokenId)).to.be.true;
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, recipients, 0, { value: ticketPrice })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+    
+    it("Should validate batch recipients", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, [], 0, { value: 0 })
+      ).to.be.revertedWith("Quantity must be greater than zero");
       
-      // Check attendance record
-      expect(await eventTicketing.hasAttended(eventId, buyer1.address)).to.be.true;
+      const maxBatch = Number(await eventTicketing.MAX_BATCH_SIZE());
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(maxBatch + 1).fill(buyer1.address), 0, { value: 0 })
+      ).to.be.revertedWith("Batch too large");
       
-      // Check loyalty points (1 for purchase + 2 for attendance)
-      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(3);
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, [buyer2.address, ethers.ZeroAddress], 0, { value: ticketPrice * 2n })
+      ).to.be.revertedWith("Invalid recipient");
     });
     
-    it("Should prevent non-organizers from marking tickets as used", async function () {
+    it("Should prevent buying more tickets than available in a batch", async function () {
       await expect(
-        eventTicketing.connect(buyer2).useTicket(tokenId)
-      ).to.be.revertedWith("Not the event organizer");
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(6).fill(buyer1.address), 0, { value: ticketPrice * 6n })
+      ).to.be.revertedWith("No more tickets available");
     });
     
-    it("Should prevent using a ticket twice", async function () {
-      // Use ticket first time
-      await eventTicketing.connect(organizer).useTicket(tokenId);
+    it("Should count the whole batch towards the buyer's wallet limit", async function () {
+      await eventTicketing.connect(organizer).setMaxTicketsPerWallet(eventId, 2);
       
-      // Try to use it again
       await expect(
-        eventTicketing.connect(organizer).useTicket(tokenId)
-      ).to.be.revertedWith("Ticket already used");
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, recipients, 0, { value: ticketPrice * 3n })
+      ).to.be.revertedWith("Wallet ticket limit reached");
     });
   });
   
-  describe("Event Cancellation and Refunds", function () {
+  describe("ERC-20 Ticket Pricing", function () {
     let eventId;
-    let tokenId;
-  
+    let usdc;
+    let contractAddress;
+    const tokenPrice = ethers.parseUnits("25", 6); // 25 USDC
+    const platformFee = (tokenPrice * 200n) / 10000n; // 2% fee
+    
     beforeEach(async function () {
-      // Setup: verify organizer, create event, buy ticket
+      contractAddress = await eventTicketing.getAddress();
+      
+      // Deploy a payment token and fund the buyer
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(buyer1.address, tokenPrice * 10n);
+      await eventTicketing.setPaymentTokenAllowed(await usdc.getAddress(), true);
+      
+      // Verify organizer and create an event priced in the token
       await eventTicketing.verifyOrganizer(organizer.address);
       await eventTicketing.connect(organizer).createEvent(
         eventName,
         eventDescription,
         eventDate,
         totalTickets,
-        ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
+        tokenPrice,
         false
       );
       eventId = 0;
+      await eventTicketing.connect(organizer).setEventPaymentToken(eventId, await usdc.getAddress());
+    });
+    
+    // Helper function to sign an EIP-2612 permit for the ticketing contract
+    async function signPermit(signer, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await signer.signTypedData(
+        { name: "USD Coin", version: "1", chainId, verifyingContract: await usdc.getAddress() },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { owner: signer.address, spender: contractAddress, value, nonce: await usdc.nonces(signer.address), deadline }
+      );
+      return ethers.Signature.from(signature);
+    }
+    
+    it("Should only accept payment tokens on the platform allowlist", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const otherToken = await MockERC20.deploy("Other", "OTH", 18);
       
-      // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
-      tokenId = 0;
-      
-      // Fund contract for refunds
-      // Make sure contract address is correct - using getAddress() for ethers v6
-      const contractAddress = await eventTicketing.getAddress();
-      await owner.sendTransaction({
-        to: contractAddress,
-        value: ethers.parseEther("1.0")
-      });
+      await expect(
+        eventTicketing.connect(organizer).setEventPaymentToken(eventId, await otherToken.getAddress())
+      ).to.be.revertedWith("Token not allowed");
+      await expect(
+        eventTicketing.connect(buyer1).setPaymentTokenAllowed(await otherToken.getAddress(), true)
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+      await expect(
+        eventTicketing.setPaymentTokenAllowed(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid token address");
     });
     
-    it("Should allow organizers to cancel events", async function () {
+    it("Should allow users to buy tickets with the event's token", async function () {
+      await usdc.connect(buyer1).approve(contractAddress, tokenPrice);
+      
       await expect(
-        eventTicketing.connect(organizer).cancelEvent(eventId)
-      ).to.emit(eventTicketing, "EventCancelled")
-       .withArgs(eventId);
-       
-      // Check event is cancelled
-      const eventDetails = await eventTicketing.getEventDetails(eventId);
-      expect(eventDetails.isActive).to.be.false;
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, tokenPrice)
+      ).to.changeTokenBalances(usdc, [buyer1, eventTicketing], [-tokenPrice, tokenPrice]);
+      
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
+      expect((await eventTicketing.getEventEscrow(eventId)).escrowed).to.equal(tokenPrice);
+      
+      // The payment token is fixed once tickets are sold
+      await expect(
+        eventTicketing.connect(organizer).setEventPaymentToken(eventId, ethers.ZeroAddress)
+      ).to.be.revertedWith("Tickets already sold");
     });
     
-    it("Should prevent non-organizers from cancelling events", async function () {
+    it("Should prevent paying token-priced tickets with ETH or without an allowance", async function () {
       await expect(
-        eventTicketing.connect(buyer1).cancelEvent(eventId)
-      ).to.be.revertedWith("Not the event organizer");
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, tokenPrice, { value: 1 })
+      ).to.be.revertedWith("Event is priced in ERC-20");
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, tokenPrice)
+      ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
     });
     
-    it("Should allow ticket holders to claim refunds for cancelled events", async function () {
-      // Cancel the event
-      await eventTicketing.connect(organizer).cancelEvent(eventId);
+    it("Should allow users to approve and buy in one transaction with a permit", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(buyer1, tokenPrice, deadline);
       
-      // Track balance before refund
-      const initialBalance = await ethers.provider.getBalance(buyer1.address);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithPermit(eventId, 0, deadline, v, r, s)
+      ).to.changeTokenBalance(usdc, buyer1, -tokenPrice);
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
+    });
+    
+    it("Should still buy with the allowance when a permit was front-run", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(buyer1, tokenPrice, deadline);
+      await usdc.permit(buyer1.address, contractAddress, tokenPrice, deadline, v, r, s);
       
-      // Claim refund
       await expect(
-        eventTicketing.connect(buyer1).claimRefund(tokenId)
-      ).to.emit(eventTicketing, "RefundIssued")
-       .withArgs(tokenId, buyer1.address, ticketPrice);
-       
+        eventTicketing.connect(buyer1).buyTicketWithPermit(eventId, 0, deadline, v, r, s)
+      ).to.changeTokenBalance(usdc, buyer1, -tokenPrice);
+    });
+    
+    it("Should prevent permit purchases for ETH-priced events", async function () {
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithPermit(1, 0, 0, 0, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("Event is priced in native token");
+    });
+    
+    it("Should pay the organizer and platform in the event's token", async function () {
+      await usdc.connect(buyer1).approve(contractAddress, tokenPrice);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, tokenPrice);
+      
+      // Fast forward time to the end of the dispute window
+      await time.increaseTo(eventDate + Number(await eventTicketing.disputeWindow()));
+      
+      await expect(
+        eventTicketing.connect(organizer).withdrawEventFunds(eventId)
+      ).to.changeTokenBalances(usdc, [organizer, owner, eventTicketing], [tokenPrice - platformFee, platformFee, -tokenPrice]);
+    });
+    
+    it("Should refund cancelled events in the event's token", async function () {
+      await usdc.connect(buyer1).approve(contractAddress, tokenPrice);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, tokenPrice);
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      
+      await expect(
+        eventTicketing.connect(buyer1).claimRefund(0)
+      ).to.changeTokenBalance(usdc, buyer1, tokenPrice);
+    });
+  });
+  
+  describe("Waitlist", function () {
+    let eventId;
+    const deposit = ticketPrice / 4n;
+    
+    beforeEach(async function () {
+      // Setup: verify organizer, create an event with a single ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        1, // Only 1 ticket
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+    });
+    
+    it("Should only open the waitlist once the tier is sold out", async function () {
+      await expect(
+        eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, 0)
+      ).to.be.revertedWith("Tickets still available");
+      
+      // Sell out the event
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, deposit, { value: deposit })
+      ).to.emit(eventTicketing, "WaitlistJoined")
+       .withArgs(eventId, 0, buyer2.address, deposit);
+      await expect(
+        eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, 0)
+      ).to.be.revertedWith("Already on waitlist");
+      await expect(
+        eventTicketing.connect(addr[0]).joinWaitlist(eventId, 0, ticketPrice + 1n, { value: ticketPrice + 1n })
+      ).to.be.revertedWith("Deposit exceeds ticket price");
+    });
+    
+    it("Should offer released seats in line and reserve them for the claim window", async function () {
+      // Sell out the event
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, 0);
+      await eventTicketing.connect(addr[0]).joinWaitlist(eventId, 0, 0);
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, addr[0].address)).position).to.equal(2);
+      
+      await expect(
+        eventTicketing.connect(organizer).increaseTierSupply(eventId, 0, 1)
+      ).to.emit(eventTicketing, "WaitlistSeatOffered");
+      
+      const offer = await eventTicketing.getWaitlistPosition(eventId, 0, buyer2.address);
+      expect(offer.position).to.equal(0);
+      expect(offer.offerExpiry).to.equal((await time.latest()) + Number(await eventTicketing.WAITLIST_CLAIM_WINDOW()));
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, addr[0].address)).position).to.equal(1);
+      
+      // The offered seat is not for sale to anyone else
+      await expect(
+        eventTicketing.connect(addr[1]).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("No more tickets available");
+    });
+    
+    it("Should credit the deposit towards the ticket when the seat is claimed", async function () {
+      // Sell out the event
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, deposit, { value: deposit });
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, buyer2.address)).deposit).to.equal(deposit);
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimWaitlistSeat(eventId, 0, { value: ticketPrice - deposit })
+      ).to.be.revertedWith("No seat offered");
+      
+      await eventTicketing.connect(organizer).increaseTierSupply(eventId, 0, 1);
+      const tx = eventTicketing.connect(buyer2).claimWaitlistSeat(eventId, 0, { value: ticketPrice - deposit });
+      await expect(tx).to.changeEtherBalance(buyer2, -(ticketPrice - deposit));
+      await expect(tx)
+        .to.emit(eventTicketing, "WaitlistSeatClaimed")
+        .withArgs(eventId, 0, buyer2.address, 1);
+      
+      expect(await ticketNFT.ownerOf(1)).to.equal(buyer2.address);
+      expect((await eventTicketing.getEventEscrow(eventId)).escrowed).to.equal(ticketPrice * 2n);
+    });
+    
+    it("Should pass expired offers on and return the deposit", async function () {
+      // Sell out the event
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, deposit, { value: deposit });
+      await eventTicketing.connect(addr[0]).joinWaitlist(eventId, 0, 0);
+      await eventTicketing.connect(organizer).increaseTierSupply(eventId, 0, 1);
+      
+      await expect(
+        eventTicketing.expireWaitlistOffer(eventId, 0, buyer2.address)
+      ).to.be.revertedWith("Offer not expired");
+      
+      // Fast forward time past the claim window
+      await time.increase(Number(await eventTicketing.WAITLIST_CLAIM_WINDOW()));
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimWaitlistSeat(eventId, 0, { value: ticketPrice - deposit })
+      ).to.be.revertedWith("Offer expired");
+      await expect(
+        eventTicketing.expireWaitlistOffer(eventId, 0, buyer2.address)
+      ).to.changeEtherBalance(buyer2, deposit);
+      
+      // The seat is offered to the next in line
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, addr[0].address)).offerExpiry).to.not.equal(0);
+    });
+    
+    it("Should return the deposit when leaving the waitlist", async function () {
+      // Sell out the event
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, deposit, { value: deposit });
+      
+      const tx = eventTicketing.connect(buyer2).leaveWaitlist(eventId, 0);
+      await expect(tx).to.changeEtherBalance(buyer2, deposit);
+      await expect(tx)
+        .to.emit(eventTicketing, "WaitlistLeft")
+        .withArgs(eventId, 0, buyer2.address);
+      
+      await expect(
+        eventTicketing.connect(buyer2).leaveWaitlist(eventId, 0)
+      ).to.be.revertedWith("Not on waitlist");
+    });
+    
+    it("Should offer seats to entries prioritized with loyalty points first", async function () {
+      // Earn a loyalty point on another event
+      await loyaltyProgram.setLoyaltySettings(365 * 86400, 100, 1);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      await eventTicketing.connect(addr[0]).buyTicket(1, 0, ticketPrice, { value: ticketPrice });
+      
+      // Sell out the event
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await eventTicketing.connect(buyer2).joinWaitlist(eventId, 0, 0);
+      await eventTicketing.connect(addr[0]).joinWaitlist(eventId, 0, 0);
+      
+      await expect(
+        eventTicketing.connect(addr[0]).prioritizeWaitlistEntry(eventId, 0)
+      ).to.emit(eventTicketing, "WaitlistPrioritized")
+       .withArgs(eventId, 0, addr[0].address, 1);
+      expect(await eventTicketing.getUserLoyaltyPoints(addr[0].address)).to.equal(0);
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, addr[0].address)).position).to.equal(1);
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, buyer2.address)).position).to.equal(2);
+      
+      await eventTicketing.connect(organizer).increaseTierSupply(eventId, 0, 1);
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, addr[0].address)).offerExpiry).to.not.equal(0);
+      expect((await eventTicketing.getWaitlistPosition(eventId, 0, buyer2.address)).position).to.equal(1);
+    });
+  });
+  
+  describe("Discount Vouchers", function () {
+    let eventId;
+    const discountedPrice = ticketPrice - (ticketPrice * 2000n) / 10000n; // 20% off
+    const VOUCHER_TYPES = {
+      Voucher: [
+        { name: "eventId", type: "uint256" },
+        { name: "code", type: "bytes32" },
+        { name: "isPercentage", type: "bool" },
+        { name: "discount", type: "uint256" },
+        { name: "maxUses", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "recipient", type: "address" }
+      ]
+    };
+    
+    beforeEach(async function () {
+      // Verify organizer and create event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+    });
+    
+    // Helper function to build a single-use 20% voucher
+    async function makeVoucher(overrides = {}) {
+      return {
+        eventId,
+        code: ethers.encodeBytes32String("EARLY20"),
+        isPercentage: true,
+        discount: 2000,
+        maxUses: 1,
+        expiry: (await time.latest()) + 86400,
+        recipient: ethers.ZeroAddress,
+        ...overrides
+      };
+    }
+    
+    // Helper function to sign a voucher for the ticketing contract
+    async function signVoucher(signer, voucher) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "EventTicketing",
+        version: "1",
+        chainId,
+        verifyingContract: await eventTicketing.getAddress()
+      };
+      return signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+    }
+    
+    it("Should sell tickets at the voucher's percentage discount", async function () {
+      const voucher = await makeVoucher();
+      
+      const tx = eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, await signVoucher(organizer, voucher), { value: discountedPrice });
+      await expect(tx).to.changeEtherBalance(buyer1, -discountedPrice);
+      await expect(tx)
+        .to.emit(eventTicketing, "VoucherRedeemed")
+        .withArgs(eventId, voucher.code, buyer1.address, ticketPrice - discountedPrice);
+    });
+    
+    it("Should cap fixed discounts at the ticket price", async function () {
+      const voucher = await makeVoucher({ isPercentage: false, discount: ticketPrice * 2n });
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, await signVoucher(organizer, voucher))
+      ).to.emit(eventTicketing, "VoucherRedeemed")
+       .withArgs(eventId, voucher.code, buyer1.address, ticketPrice);
+    });
+    
+    it("Should only accept vouchers signed by the organizer", async function () {
+      const voucher = await makeVoucher();
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, await signVoucher(owner, voucher), { value: ticketPrice })
+      ).to.be.revertedWith("Invalid voucher signature");
+      
+      // Try to raise the discount of a signed voucher
+      const signature = await signVoucher(organizer, voucher);
+      const tampered = { ...voucher, discount: 10000 };
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, tampered, signature)
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+    
+    it("Should enforce the voucher's event, uses, expiry and recipient", async function () {
+      const voucher = await makeVoucher({ recipient: buyer1.address });
+      const signature = await signVoucher(organizer, voucher);
+      
+      await expect(
+        eventTicketing.connect(buyer2).buyTicketWithVoucher(eventId, 0, voucher, signature, { value: discountedPrice })
+      ).to.be.revertedWith("Voucher not for this buyer");
+      await eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, signature, { value: discountedPrice });
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, signature, { value: discountedPrice })
+      ).to.be.revertedWith("Voucher fully redeemed");
+      
+      const otherEvent = await makeVoucher({ eventId: 1 });
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, otherEvent, await signVoucher(organizer, otherEvent))
+      ).to.be.revertedWith("Voucher not for this event");
+      
+      // Fast forward time to the voucher's expiry
+      const expiring = await makeVoucher({ code: ethers.encodeBytes32String("LATE") });
+      await time.increaseTo(expiring.expiry);
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, expiring, await signVoucher(organizer, expiring), { value: discountedPrice })
+      ).to.be.revertedWith("Voucher expired");
+    });
+    
+    it("Should accept ERC-1271 signatures from contract wallet organizers", async function () {
+      // Deploy a contract wallet owned by the organizer and let it create an event
+      const MockSmartWallet = await ethers.getContractFactory("MockSmartWallet");
+      const wallet = await MockSmartWallet.deploy(organizer.address);
+      const walletAddress = await wallet.getAddress();
+      await eventTicketing.verifyOrganizer(walletAddress);
+      await wallet.connect(organizer).execute(
+        await eventTicketing.getAddress(),
+        eventTicketing.interface.encodeFunctionData("createEvent", ["Wallet Event", "", eventDate, 10, ticketPrice, false])
+      );
+      eventId = 1;
+      expect((await eventTicketing.getEventDetails(eventId)).organizer).to.equal(walletAddress);
+      
+      const voucher = await makeVoucher();
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, await signVoucher(buyer2, voucher), { value: discountedPrice })
+      ).to.be.revertedWith("Invalid voucher signature");
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithVoucher(eventId, 0, voucher, await signVoucher(organizer, voucher), { value: discountedPrice })
+      ).to.emit(eventTicketing, "VoucherRedeemed");
+    });
+  });
+  
+  describe("Free Events and RSVPs", function () {
+    let eventId;
+    
+    beforeEach(async function () {
+      // Verify organizer and create a free event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        0, // Free
+        false
+      );
+      eventId = 0;
+    });
+    
+    it("Should issue free tickets without payment or escrow", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0);
+      
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
+      expect((await ticketNFT.getTicketInfo(0)).purchasePrice).to.equal(0);
+      expect((await eventTicketing.getEventEscrow(eventId)).escrowed).to.equal(0);
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0, { value: 1 })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+    
+    it("Should let each verified human claim one free ticket", async function () {
+      await expect(
+        eventTicketing.connect(organizer).setRsvpSettings(eventId, true, false)
+      ).to.emit(eventTicketing, "RsvpSettingsUpdated")
+       .withArgs(eventId, true, false);
+      
+      // The event registers its own World ID action
+      const eventActionId = await eventTicketing.eventWorldIdAction(eventId);
+      expect(await worldIDVerifier.registeredActions(eventActionId)).to.be.true;
+      
+      // Verifying for ticket purchases does not count
+      await verifyWithWorldID(buyer1);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0)
+      ).to.be.revertedWith("Event World ID verification required");
+      
+      await verifyWithWorldID(buyer1, eventActionId, 7n);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0);
+      expect(await eventTicketing.rsvpClaimed(eventId, 7n)).to.be.true;
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0)
+      ).to.be.revertedWith("Free ticket already claimed");
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, [buyer1.address, buyer2.address], 0)
+      ).to.be.revertedWith("Free ticket already claimed");
+      
+      // The nullifier binds one wallet per human, so a second wallet can neither
+      // reuse it nor claim without it
+      await expect(
+        verifyWithWorldID(buyer2, eventActionId, 7n)
+      ).to.be.revertedWith("Nullifier already used");
+      await expect(
+        eventTicketing.connect(buyer2).buyTicket(eventId, 0, 0)
+      ).to.be.revertedWith("Event World ID verification required");
+    });
+    
+    it("Should turn claims into requests when the organizer approves RSVPs", async function () {
+      await eventTicketing.connect(organizer).setRsvpSettings(eventId, false, true);
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0)
+      ).to.be.revertedWith("Approval required");
+      
+      await expect(
+        eventTicketing.connect(buyer1).requestRsvp(eventId, 0)
+      ).to.emit(eventTicketing, "RsvpRequested")
+       .withArgs(eventId, 0, buyer1.address);
+      await expect(
+        eventTicketing.connect(buyer1).requestRsvp(eventId, 0)
+      ).to.be.revertedWith("Already requested");
+      
+      await expect(
+        eventTicketing.connect(buyer2).approveRsvp(eventId, buyer1.address)
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        eventTicketing.connect(organizer).approveRsvp(eventId, buyer1.address)
+      ).to.emit(eventTicketing, "RsvpApproved")
+       .withArgs(eventId, buyer1.address, 0);
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
+      
+      await expect(
+        eventTicketing.connect(organizer).approveRsvp(eventId, buyer1.address)
+      ).to.be.revertedWith("No pending request");
+    });
+    
+    it("Should allow organizers to reject RSVP requests", async function () {
+      await eventTicketing.connect(organizer).setRsvpSettings(eventId, false, true);
+      await eventTicketing.connect(buyer1).requestRsvp(eventId, 0);
+      
+      await expect(
+        eventTicketing.connect(organizer).rejectRsvp(eventId, buyer1.address)
+      ).to.emit(eventTicketing, "RsvpRejected")
+       .withArgs(eventId, buyer1.address);
+      await expect(
+        eventTicketing.connect(organizer).approveRsvp(eventId, buyer1.address)
+      ).to.be.revertedWith("No pending request");
+    });
+    
+    it("Should only take RSVP requests for free tiers that need approval", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).requestRsvp(eventId, 0)
+      ).to.be.revertedWith("Approval not required");
+      
+      await eventTicketing.connect(organizer).setRsvpSettings(eventId, false, true);
+      await eventTicketing.connect(organizer).addTicketTier(eventId, "Paid", ticketPrice, 10, await time.latest(), eventDate, false);
+      
+      await expect(
+        eventTicketing.connect(buyer1).requestRsvp(eventId, 1)
+      ).to.be.revertedWith("Tier is not free");
+      await expect(
+        eventTicketing.connect(buyer1).requestRsvp(eventId, 2)
+      ).to.be.revertedWith("Tier does not exist");
+    });
+  });
+  
+  describe("Purchase Limits", function () {
+    let eventId;
+    
+    beforeEach(async function () {
+      // Verify organizer and create event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+    });
+    
+    it("Should cap the tickets each wallet can buy", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).setMaxTicketsPerWallet(eventId, 2)
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        eventTicketing.connect(organizer).setMaxTicketsPerWallet(eventId, 2)
+      ).to.emit(eventTicketing, "MaxTicketsPerWalletUpdated")
+       .withArgs(eventId, 2);
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("Wallet ticket limit reached");
+      
+      // Other wallets can still buy
+      await eventTicketing.connect(buyer2).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+    });
+    
+    it("Should cap the tickets each verified human can buy", async function () {
+      const eventActionId = await eventTicketing.eventWorldIdAction(eventId);
+      await expect(
+        eventTicketing.connect(organizer).setMaxTicketsPerHuman(eventId, 1)
+      ).to.emit(eventTicketing, "MaxTicketsPerHumanUpdated")
+       .withArgs(eventId, 1, eventActionId);
+      expect(await worldIDVerifier.registeredActions(eventActionId)).to.be.true;
+      
+      // Verifying for ticket purchases does not count
+      await verifyWithWorldID(buyer1);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("Event World ID verification required");
+      
+      await verifyWithWorldID(buyer1, eventActionId, 7n);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("Human ticket limit reached");
+      
+      // Each human is bound to one wallet per event
+      await expect(
+        verifyWithWorldID(buyer2, eventActionId, 7n)
+      ).to.be.revertedWith("Nullifier already used");
+    });
+  });
+  
+  describe("Loyalty Program", function () {
+    let eventId;
+    const Tier = { None: 0, Bronze: 1, Silver: 2, Gold: 3 };
+    
+    beforeEach(async function () {
+      // Verify organizer and create event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+    });
+    
+    // Helper function to earn loyalty points by buying a batch of tickets
+    async function earnPoints(user, points) {
+      const recipients = Array(points).fill(user.address);
+      await eventTicketing.connect(user).buyTickets(eventId, 0, recipients, 0, { value: ticketPrice * BigInt(points) });
+    }
+    
+    it("Should award a point per ticket bought", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.emit(loyaltyProgram, "PointsEarned")
+       .withArgs(buyer1.address, 1, 1);
+      
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(1);
+    });
+    
+    it("Should place users in tiers by the points they earned", async function () {
+      await earnPoints(buyer1, 4);
+      expect(await loyaltyProgram.tierOf(buyer1.address)).to.equal(Tier.None);
+      
+      await earnPoints(buyer1, 1);
+      expect(await loyaltyProgram.tierOf(buyer1.address)).to.equal(Tier.Bronze);
+    });
+    
+    it("Should expire points after a period of inactivity", async function () {
+      await earnPoints(buyer1, 5);
+      
+      // Fast forward time by the decay period
+      await time.increase(Number(await loyaltyProgram.decayPeriod()));
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(0);
+      expect(await loyaltyProgram.tierOf(buyer1.address)).to.equal(Tier.None);
+      
+      // Buy a ticket for a later event
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        (await time.latest()) + 86400 * 30,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(1, 0, ticketPrice, { value: ticketPrice })
+      ).to.emit(loyaltyProgram, "PointsExpired")
+       .withArgs(buyer1.address, 5);
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(1);
+    });
+    
+    it("Should only let the ticketing contract change points", async function () {
+      await expect(
+        loyaltyProgram.awardPoints(buyer1.address, 100)
+      ).to.be.revertedWith("Not the ticketing contract");
+      await expect(
+        loyaltyProgram.spendPoints(buyer1.address, 1)
+      ).to.be.revertedWith("Not the ticketing contract");
+    });
+    
+    it("Should discount tickets by the points redeemed", async function () {
+      await earnPoints(buyer1, 3);
+      const discountedPrice = ticketPrice - (ticketPrice * 300n) / 10000n; // 1% per point
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithPoints(eventId, 0, 3, { value: discountedPrice })
+      ).to.changeEtherBalance(buyer1, -discountedPrice);
+      
+      // Three points spent, one earned for the purchase
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(1);
+    });
+    
+    it("Should prevent redeeming more points than held or than the price allows", async function () {
+      await earnPoints(buyer1, 3);
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithPoints(eventId, 0, 4, { value: ticketPrice })
+      ).to.be.revertedWith("Insufficient loyalty points");
+      
+      await loyaltyProgram.setLoyaltySettings(365 * 86400, 5000, 10);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithPoints(eventId, 0, 3, { value: 0 })
+      ).to.be.revertedWith("Too many points redeemed");
+    });
+    
+    it("Should apply the organizer's perks for the buyer's tier", async function () {
+      await expect(
+        eventTicketing.connect(organizer).setLoyaltyPerks(eventId, Tier.Bronze, 1000, true)
+      ).to.emit(eventTicketing, "LoyaltyPerksUpdated")
+       .withArgs(eventId, Tier.Bronze, 1000, true);
+      await earnPoints(buyer1, 5);
+      
+      const discountedPrice = ticketPrice - (ticketPrice * 1000n) / 10000n; // 10% Bronze discount
+      await expect(
+        eventTicketing.connect(buyer1).buyTicketWithPoints(eventId, 0, 0, { value: discountedPrice })
+      ).to.changeEtherBalance(buyer1, -discountedPrice);
+      
+      // Perks are validated
+      await expect(
+        eventTicketing.connect(organizer).setLoyaltyPerks(eventId, Tier.None, 1000, false)
+      ).to.be.revertedWith("Invalid loyalty tier");
+      await expect(
+        eventTicketing.connect(organizer).setLoyaltyPerks(eventId, Tier.Gold, 10001, false)
+      ).to.be.revertedWith("Invalid discount");
+      await expect(
+        eventTicketing.connect(buyer1).setLoyaltyPerks(eventId, Tier.Gold, 1000, false)
+      ).to.be.revertedWith("Not the event organizer");
+    });
+  });
+  
+  describe("Dynamic Pricing", function () {
+    const Mode = { Fixed: 0, EarlyBird: 1, LinearRamp: 2, DemandSteps: 3 };
+    const stepIncrease = ethers.parseEther("0.01"); // 0.01 ETH per demand step
+    
+    beforeEach(async function () {
+      // Verify organizer
+      await eventTicketing.verifyOrganizer(organizer.address);
+    });
+    
+    // Helper function to build a pricing strategy
+    function pricing(overrides) {
+      return {
+        mode: Mode.Fixed,
+        earlyBirdPrice: 0,
+        earlyBirdEnd: 0,
+        endPrice: 0,
+        stepInterval: 0,
+        stepSize: 0,
+        stepIncrease: 0,
+        ...overrides
+      };
+    }
+    
+    // Helper function to create a 10-ticket event with a pricing strategy
+    async function createPricedEvent(strategy) {
+      const params = {
+        name: eventName,
+        description: eventDescription,
+        eventDate,
+        totalTickets: 10,
+        ticketPrice,
+        worldIdRequired: false
+      };
+      const eventId = await eventTicketing.connect(organizer).createEventWithPricing.staticCall(params, strategy);
+      await expect(eventTicketing.connect(organizer).createEventWithPricing(params, strategy))
+        .to.emit(eventTicketing, "PricingStrategySet")
+        .withArgs(eventId, 0, strategy.mode);
+      return eventId;
+    }
+    
+    it("Should sell at the early-bird price until the window closes", async function () {
+      const earlyBirdPrice = ticketPrice / 2n;
+      const earlyBirdEnd = (await time.latest()) + 86400 * 7;
+      const eventId = await createPricedEvent(pricing({ mode: Mode.EarlyBird, earlyBirdPrice, earlyBirdEnd }));
+      
+      const quote = await eventTicketing.getTicketPrice(eventId, 0);
+      expect(quote.price).to.equal(earlyBirdPrice);
+      expect(quote.nextPrice).to.equal(ticketPrice);
+      expect(quote.nextPriceAt).to.equal(earlyBirdEnd);
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, 0, { value: earlyBirdPrice })
+      ).to.changeEtherBalance(buyer1, -earlyBirdPrice);
+      
+      // Fast forward time to the end of the early-bird window
+      await time.increaseTo(earlyBirdEnd);
+      expect((await eventTicketing.getTicketPrice(eventId, 0)).price).to.equal(ticketPrice);
+    });
+    
+    it("Should raise the price in steps over the sale window", async function () {
+      const endPrice = ticketPrice * 3n;
+      const eventId = await createPricedEvent(pricing({ mode: Mode.LinearRamp, endPrice, stepInterval: 86400 * 10 }));
+      const { saleStart } = await eventTicketing.eventTiers(eventId, 0);
+      
+      expect((await eventTicketing.getTicketPrice(eventId, 0)).price).to.equal(ticketPrice);
+      
+      // Fast forward time by one step
+      await time.increaseTo(saleStart + BigInt(86400 * 10));
+      
+      const quote = await eventTicketing.getTicketPrice(eventId, 0);
+      expect(quote.price).to.equal(ticketPrice * 2n);
+      expect(quote.nextPrice).to.equal(endPrice);
+      expect(quote.nextPriceAt).to.equal(saleStart + BigInt(86400 * 20));
+    });
+    
+    it("Should raise the price as the tier sells, within a batch too", async function () {
+      const eventId = await createPricedEvent(pricing({ mode: Mode.DemandSteps, stepSize: 2000, stepIncrease }));
+      
+      expect((await eventTicketing.getTicketPrice(eventId, 0)).ticketsUntilNextPrice).to.equal(2);
+      
+      // The third ticket crosses the first 20% step
+      const total = ticketPrice * 3n + stepIncrease;
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(3).fill(buyer1.address), 0, { value: total })
+      ).to.changeEtherBalance(buyer1, -total);
+      
+      const quote = await eventTicketing.getTicketPrice(eventId, 0);
+      expect(quote.price).to.equal(ticketPrice + stepIncrease);
+      expect(quote.nextPrice).to.equal(ticketPrice + stepIncrease * 2n);
+      expect(quote.ticketsUntilNextPrice).to.equal(1);
+    });
+    
+    it("Should refund whatever a purchase sends above the price", async function () {
+      const eventId = await createPricedEvent(pricing({ mode: Mode.DemandSteps, stepSize: 2000, stepIncrease }));
+      
+      const maxPrice = ticketPrice + stepIncrease;
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, maxPrice, { value: maxPrice })
+      ).to.changeEtherBalance(buyer1, -ticketPrice);
+      
+      // The batch crosses the first step on its second ticket
+      const total = ticketPrice * 2n + stepIncrease;
+      const maxTotalPrice = total + stepIncrease;
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(2).fill(buyer1.address), maxTotalPrice, { value: maxTotalPrice })
+      ).to.changeEtherBalance(buyer1, -total);
+    });
+    
+    it("Should prevent purchases priced above the buyer's maximum", async function () {
+      const eventId = await createPricedEvent(pricing({ mode: Mode.DemandSteps, stepSize: 2000, stepIncrease }));
+      await eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(2).fill(buyer1.address), 0, { value: ticketPrice * 2n });
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("Price exceeds max price");
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(2).fill(buyer1.address), ticketPrice * 2n, { value: ticketPrice * 2n })
+      ).to.be.revertedWith("Price exceeds max price");
+      
+      // Without a maximum the batch must be paid exactly
+      await expect(
+        eventTicketing.connect(buyer1).buyTickets(eventId, 0, Array(2).fill(buyer1.address), 0, { value: ticketPrice * 3n })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+    
+    it("Should validate pricing strategies", async function () {
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      const eventId = 0;
+      const { saleEnd } = await eventTicketing.eventTiers(eventId, 0);
+      
+      await expect(
+        eventTicketing.connect(buyer1).setTierPricing(eventId, 0, pricing({ mode: Mode.DemandSteps, stepSize: 2000, stepIncrease: 1 }))
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(eventId, 0, pricing({ mode: Mode.EarlyBird, earlyBirdPrice: ticketPrice, earlyBirdEnd: saleEnd - 1n }))
+      ).to.be.revertedWith("Early-bird price must be lower");
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(eventId, 0, pricing({ mode: Mode.EarlyBird, earlyBirdPrice: 1, earlyBirdEnd: saleEnd }))
+      ).to.be.revertedWith("Invalid early-bird window");
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(eventId, 0, pricing({ mode: Mode.LinearRamp, endPrice: ticketPrice, stepInterval: 86400 }))
+      ).to.be.revertedWith("End price must be higher");
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(eventId, 0, pricing({ mode: Mode.LinearRamp, endPrice: ticketPrice * 2n, stepInterval: 0 }))
+      ).to.be.revertedWith("Invalid step interval");
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(eventId, 0, pricing({ mode: Mode.DemandSteps, stepSize: 10001, stepIncrease: 1 }))
+      ).to.be.revertedWith("Invalid step size");
+      
+      // Pricing is fixed once the tier has sales
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(eventId, 0, pricing({ mode: Mode.DemandSteps, stepSize: 2000, stepIncrease: 1 }))
+      ).to.be.revertedWith("Tier already has sales");
+    });
+    
+    it("Should keep free tiers at a fixed price", async function () {
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        0, // Free
+        false
+      );
+      
+      await expect(
+        eventTicketing.connect(organizer).setTierPricing(0, 0, pricing({ mode: Mode.DemandSteps, stepSize: 2000, stepIncrease: 1 }))
+      ).to.be.revertedWith("Free tiers have fixed pricing");
+    });
+  });
+  
+  describe("Refund Policies", function () {
+    let eventId;
+    const Reason = { Cancellation: 0, Postponement: 1, Return: 2 };
+    const policy = [
+      { cutoff: 86400 * 14, percentage: 10000 }, // Full refund until 14 days before
+      { cutoff: 86400 * 2, percentage: 5000 } // Half until 2 days before
+    ];
+    
+    beforeEach(async function () {
+      // Verify organizer and create event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Set the refund policy
+      await expect(eventTicketing.connect(organizer).setRefundPolicy(eventId, policy))
+        .to.emit(eventTicketing, "RefundPolicyUpdated");
+    });
+    
+    it("Should allow organizers to set a valid refund policy", async function () {
+      const rules = await eventTicketing.getRefundPolicy(eventId);
+      expect(rules.map((rule) => [rule.cutoff, rule.percentage])).to.deep.equal([
+        [BigInt(86400 * 14), 10000n],
+        [BigInt(86400 * 2), 5000n]
+      ]);
+      
+      await expect(
+        eventTicketing.connect(buyer1).setRefundPolicy(eventId, policy)
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        eventTicketing.connect(organizer).setRefundPolicy(eventId, [...policy].reverse())
+      ).to.be.revertedWith("Cutoffs must be descending");
+      await expect(
+        eventTicketing.connect(organizer).setRefundPolicy(eventId, [{ cutoff: 86400, percentage: 10001 }])
+      ).to.be.revertedWith("Invalid refund percentage");
+    });
+    
+    it("Should refund returned tickets and free the seat", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      const tx = eventTicketing.connect(buyer1).returnTicket(0);
+      await expect(tx).to.changeEtherBalance(buyer1, ticketPrice);
+      await expect(tx)
+        .to.emit(eventTicketing, "RefundIssued")
+        .withArgs(0, buyer1.address, ticketPrice, Reason.Return, 10000);
+      
+      // The ticket is burned and the seat is back on sale
+      await expect(ticketNFT.ownerOf(0)).to.be.revertedWithCustomError(ticketNFT, "ERC721NonexistentToken");
+      expect((await eventTicketing.eventTiers(eventId, 0)).sold).to.equal(0);
+    });
+    
+    it("Should refund less closer to the event and nothing past the last cutoff", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      // Fast forward time to 10 days before the event
+      await time.increaseTo(eventDate - 86400 * 10);
+      expect(await eventTicketing.getRefundPercentage(eventId)).to.equal(5000);
+      await expect(
+        eventTicketing.connect(buyer1).returnTicket(0)
+      ).to.changeEtherBalance(buyer1, ticketPrice / 2n);
+      
+      // Fast forward time to 1 day before the event
+      await time.increaseTo(eventDate - 86400);
+      await expect(
+        eventTicketing.connect(buyer1).returnTicket(1)
+      ).to.be.revertedWith("Ticket not refundable");
+    });
+    
+    it("Should keep the platform fee on returns when the owner sets it", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).setRefundPlatformFeeOnReturn(false)
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+      await expect(
+        eventTicketing.setRefundPlatformFeeOnReturn(false)
+      ).to.emit(eventTicketing, "RefundFeePolicyUpdated")
+       .withArgs(false);
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      const platformFee = (ticketPrice * 200n) / 10000n; // 2% fee
+      
+      await expect(
+        eventTicketing.connect(buyer1).returnTicket(0)
+      ).to.changeEtherBalance(buyer1, ticketPrice - platformFee);
+    });
+    
+    it("Should only let the holder return a ticket", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer2).returnTicket(0)
+      ).to.be.revertedWith("Not ticket owner");
+    });
+    
+    it("Should take back the loyalty points a returned purchase earned", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer1).returnTicket(0)
+      ).to.emit(loyaltyProgram, "PointsRevoked")
+       .withArgs(buyer1.address, 1, 1);
+      expect((await loyaltyProgram.getAccount(buyer1.address)).earned).to.equal(1);
+      
+      // Only the ticketing contract can revoke points
+      await expect(
+        loyaltyProgram.revokePoints(buyer1.address, 1)
+      ).to.be.revertedWith("Not the ticketing contract");
+    });
+    
+    it("Should only take back the loyalty points the buyer still holds", async function () {
+      const discountedPrice = ticketPrice - ticketPrice / 100n; // 1 point redeemed
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicketWithPoints(eventId, 0, 1, { value: discountedPrice });
+      await eventTicketing.connect(buyer1).buyTicketWithPoints(eventId, 0, 1, { value: discountedPrice });
+      
+      // Each purchase with points spent the point held and earned a new one
+      await expect(
+        eventTicketing.connect(buyer1).returnTicket(0)
+      ).to.emit(loyaltyProgram, "PointsRevoked")
+       .withArgs(buyer1.address, 1, 0);
+      await expect(
+        eventTicketing.connect(buyer1).returnTicket(1)
+      ).to.emit(loyaltyProgram, "PointsRevoked")
+       .withArgs(buyer1.address, 0, 0);
+    });
+    
+    it("Should free the batch buyer's wallet limit when a gifted ticket is returned", async function () {
+      await eventTicketing.connect(organizer).setMaxTicketsPerWallet(eventId, 1);
+      await eventTicketing.connect(buyer1).buyTickets(eventId, 0, [buyer2.address], 0, { value: ticketPrice });
+      expect(await eventTicketing.ticketBuyers(0)).to.equal(buyer1.address);
+      
+      await eventTicketing.connect(buyer2).returnTicket(0);
+      
+      expect(await eventTicketing.walletPurchases(eventId, buyer1.address)).to.equal(0);
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(0);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+    });
+    
+    it("Should free the wallet and human purchase limits", async function () {
+      const eventActionId = await eventTicketing.eventWorldIdAction(eventId);
+      await eventTicketing.connect(organizer).setMaxTicketsPerWallet(eventId, 1);
+      await eventTicketing.connect(organizer).setMaxTicketsPerHuman(eventId, 1);
+      await verifyWithWorldID(buyer1, eventActionId, 7n);
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      expect(await eventTicketing.humanPurchases(eventId, 7n)).to.equal(1);
+      
+      await eventTicketing.connect(buyer1).returnTicket(0);
+      expect(await eventTicketing.walletPurchases(eventId, buyer1.address)).to.equal(0);
+      expect(await eventTicketing.humanPurchases(eventId, 7n)).to.equal(0);
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+    });
+    
+    it("Should free the purchase limits on postponement refunds too", async function () {
+      await eventTicketing.connect(organizer).setMaxTicketsPerWallet(eventId, 1);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(organizer).postponeEvent(eventId, eventDate + 86400 * 7);
+      
+      await expect(
+        eventTicketing.connect(buyer1).claimPostponementRefund(0)
+      ).to.emit(loyaltyProgram, "PointsRevoked")
+       .withArgs(buyer1.address, 1, 0);
+      expect(await eventTicketing.walletPurchases(eventId, buyer1.address)).to.equal(0);
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+    });
+    
+    it("Should only release the free ticket claim when the free ticket is returned", async function () {
+      const eventActionId = await eventTicketing.eventWorldIdAction(eventId);
+      await eventTicketing.connect(organizer).addTicketTier(eventId, "Free", 0, 10, await time.latest(), eventDate, false);
+      await eventTicketing.connect(organizer).setRsvpSettings(eventId, true, false);
+      await verifyWithWorldID(buyer1, eventActionId, 7n);
+      
+      // Returning a paid ticket keeps the free ticket claimed
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 1, 0);
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).returnTicket(1);
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 1, 0)
+      ).to.be.revertedWith("Free ticket already claimed");
+      
+      // Returning the free ticket lets the buyer claim it again
+      await eventTicketing.connect(buyer1).returnTicket(0);
+      expect(await eventTicketing.rsvpClaimed(eventId, 7n)).to.be.false;
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 1, 0);
+    });
+  });
+  
+  describe("Gift Tickets", function () {
+    let eventId;
+    const secret = ethers.id("gift secret");
+    const claimHash = ethers.keccak256(secret);
+    
+    beforeEach(async function () {
+      // Verify organizer and create event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+    });
+    
+    it("Should hold a gifted ticket until it is claimed", async function () {
+      const expiry = (await time.latest()) + 1 + Number(await eventTicketing.giftClaimPeriod());
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice })
+      ).to.emit(eventTicketing, "GiftPurchased")
+       .withArgs(claimHash, 0, buyer1.address, expiry);
+      
+      expect(await ticketNFT.ownerOf(0)).to.equal(await eventTicketing.getAddress());
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(1);
+    });
+    
+    it("Should transfer the ticket to whoever presents the secret", async function () {
+      await eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimGift(secret)
+      ).to.emit(eventTicketing, "GiftClaimed")
+       .withArgs(claimHash, 0, buyer2.address);
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer2.address);
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimGift(secret)
+      ).to.be.revertedWith("Gift not found");
+      await expect(
+        eventTicketing.connect(buyer2).claimGift(ethers.id("wrong secret"))
+      ).to.be.revertedWith("Gift not found");
+    });
+    
+    it("Should let the buyer reclaim an unclaimed gift after the claim period", async function () {
+      await eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer1).reclaimGift(claimHash)
+      ).to.be.revertedWith("Gift can still be claimed");
+      
+      // Fast forward time past the claim period
+      await time.increase(Number(await eventTicketing.giftClaimPeriod()));
+      await expect(
+        eventTicketing.connect(buyer2).reclaimGift(claimHash)
+      ).to.be.revertedWith("Not the gift buyer");
+      await expect(
+        eventTicketing.connect(buyer1).reclaimGift(claimHash)
+      ).to.emit(eventTicketing, "GiftReclaimed")
+       .withArgs(claimHash, 0, buyer1.address);
+      
+      expect(await ticketNFT.ownerOf(0)).to.equal(buyer1.address);
+      await expect(
+        eventTicketing.connect(buyer2).claimGift(secret)
+      ).to.be.revertedWith("Gift not found");
+    });
+    
+    it("Should let the buyer reclaim and refund a gift for a cancelled event", async function () {
+      await eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice });
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimGift(secret)
+      ).to.be.revertedWith("Event is not active");
+      await eventTicketing.connect(buyer1).reclaimGift(claimHash);
+      await expect(
+        eventTicketing.connect(buyer1).claimRefund(0)
+      ).to.changeEtherBalance(buyer1, ticketPrice);
+    });
+    
+    it("Should validate gifts and the claim period", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, ethers.ZeroHash, 0, { value: ticketPrice })
+      ).to.be.revertedWith("Invalid claim hash");
+      await eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice });
+      await expect(
+        eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice })
+      ).to.be.revertedWith("Gift already exists");
+      
+      await expect(
+        eventTicketing.connect(buyer1).setGiftClaimPeriod(86400 * 7)
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+      await expect(
+        eventTicketing.setGiftClaimPeriod(3600)
+      ).to.be.revertedWith("Invalid claim period");
+      await eventTicketing.setGiftClaimPeriod(86400 * 7);
+      expect(await eventTicketing.giftClaimPeriod()).to.equal(86400 * 7);
+    });
+  });
+  
+  describe("Transfer Policies", function () {
+    let eventId;
+    let tokenId;
+    const Policy = { Free: 0, ResaleOnly: 1, VerifiedOnly: 2, Soulbound: 3 };
+    const secret = ethers.id("gift secret");
+    const claimHash = ethers.keccak256(secret);
+    
+    beforeEach(async function () {
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Buy ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+    });
+    
+    it("Should let tickets move freely by default", async function () {
+      expect(await ticketNFT.eventTransferPolicies(eventId)).to.equal(Policy.Free);
+      
+      await ticketNFT.connect(buyer1).transferFrom(buyer1.address, buyer2.address, tokenId);
+      expect(await ticketNFT.ownerOf(tokenId)).to.equal(buyer2.address);
+    });
+    
+    it("Should only let the event organizer set the policy through the ticketing contract", async function () {
+      await expect(
+        eventTicketing.connect(organizer).setTransferPolicy(eventId, Policy.Soulbound)
+      ).to.emit(ticketNFT, "TransferPolicyUpdated")
+       .withArgs(eventId, Policy.Soulbound);
+      
+      await expect(
+        eventTicketing.connect(buyer1).setTransferPolicy(eventId, Policy.Free)
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        ticketNFT.connect(organizer).setEventTransferPolicy(eventId, Policy.Free)
+      ).to.be.revertedWithCustomError(ticketNFT, "AccessControlUnauthorizedAccount");
+    });
+    
+    it("Should restrict World ID gated events to verified holders", async function () {
+      await eventTicketing.connect(organizer).createEvent(
+        "Verified Event",
+        "Verification required",
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        true // Require World ID
+      );
+      expect(await ticketNFT.eventTransferPolicies(1)).to.equal(Policy.VerifiedOnly);
+      
+      await verifyWithWorldID(buyer1);
+      await eventTicketing.connect(buyer1).buyTicket(1, 0, ticketPrice, { value: ticketPrice });
+      
+      await expect(
+        ticketNFT.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 1)
+      ).to.be.revertedWith("Recipient not World ID verified");
+      
+      await verifyWithWorldID(buyer2, actionId, 2n);
+      await ticketNFT.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 1);
+      expect(await ticketNFT.ownerOf(1)).to.equal(buyer2.address);
+    });
+    
+    it("Should only move resale-only tickets through the resale market", async function () {
+      await eventTicketing.connect(organizer).setTransferPolicy(eventId, Policy.ResaleOnly);
+      
+      await expect(
+        ticketNFT.connect(buyer1).transferFrom(buyer1.address, buyer2.address, tokenId)
+      ).to.be.revertedWith("Ticket only transferable through resale");
+      
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, ticketPrice);
+      await eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: ticketPrice });
+      expect(await ticketNFT.ownerOf(tokenId)).to.equal(buyer2.address);
+    });
+    
+    it("Should release gifted resale-only tickets, which then stay put", async function () {
+      await eventTicketing.connect(organizer).setTransferPolicy(eventId, Policy.ResaleOnly);
+      await eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice });
+      
+      await eventTicketing.connect(buyer2).claimGift(secret);
+      await expect(
+        ticketNFT.connect(buyer2).transferFrom(buyer2.address, buyer1.address, 1)
+      ).to.be.revertedWith("Ticket only transferable through resale");
+    });
+    
+    it("Should only release verified-only gifts to verified recipients", async function () {
+      await eventTicketing.connect(organizer).setTransferPolicy(eventId, Policy.VerifiedOnly);
+      await eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimGift(secret)
+      ).to.be.revertedWith("Recipient not World ID verified");
+      
+      await verifyWithWorldID(buyer2);
+      await eventTicketing.connect(buyer2).claimGift(secret);
+      expect(await ticketNFT.ownerOf(1)).to.equal(buyer2.address);
+    });
+    
+    it("Should keep soulbound tickets with their holder", async function () {
+      await eventTicketing.connect(organizer).setTransferPolicy(eventId, Policy.Soulbound);
+      
+      await expect(
+        ticketNFT.connect(buyer1).transferFrom(buyer1.address, buyer2.address, tokenId)
+      ).to.be.revertedWith("Ticket is soulbound");
+      
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await expect(
+        eventTicketing.connect(buyer1).listTicketForResale(tokenId, ticketPrice)
+      ).to.be.revertedWith("Ticket is soulbound");
+      await expect(
+        eventTicketing.connect(buyer1).buyGiftTicket(eventId, 0, claimHash, 0, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket is soulbound");
+    });
+    
+    it("Should still mint and burn soulbound tickets", async function () {
+      await eventTicketing.connect(organizer).setTransferPolicy(eventId, Policy.Soulbound);
+      await eventTicketing.connect(organizer).setRefundPolicy(eventId, [{ cutoff: 0, percentage: 10000 }]);
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).returnTicket(1);
+      expect(await ticketNFT.balanceOf(buyer1.address)).to.equal(1);
+    });
+  });
+  
+  describe("Ticket Metadata", function () {
+    let eventId;
+    let tokenId;
+    let metadataRenderer;
+    
+    // Decode the base64 JSON served by tokenURI
+    async function metadata(id = tokenId) {
+      const uri = await ticketNFT.tokenURI(id);
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+      return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+    }
+    
+    function trait(json, traitType) {
+      return json.attributes.find((attribute) => attribute.trait_type === traitType).value;
+    }
+    
+    function image(json) {
+      const prefix = "data:image/svg+xml;base64,";
+      expect(json.image.startsWith(prefix)).to.be.true;
+      return Buffer.from(json.image.slice(prefix.length), "base64").toString();
+    }
+    
+    beforeEach(async function () {
+      // Deploy the renderer and point the ticket NFT at it
+      const TicketMetadataRenderer = await ethers.getContractFactory("TicketMetadataRenderer");
+      metadataRenderer = await TicketMetadataRenderer.deploy(
+        await eventTicketing.getAddress(),
+        await ticketNFT.getAddress()
+      );
+      await expect(
+        ticketNFT.setMetadataRenderer(await metadataRenderer.getAddress())
+      ).to.emit(ticketNFT, "BatchMetadataUpdate")
+       .withArgs(0, ethers.MaxUint256);
+      
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+    });
+    
+    it("Should describe the ticket from the event state", async function () {
+      const json = await metadata();
+      expect(json.name).to.equal("Test Concert #0");
+      expect(json.description).to.equal(eventDescription);
+      expect(trait(json, "Event")).to.equal(eventName);
+      expect(trait(json, "Tier")).to.equal("General Admission");
+      expect(trait(json, "Ticket Number")).to.equal(0);
+      expect(trait(json, "Event Date")).to.equal(eventDate);
+      expect(trait(json, "Status")).to.equal("Valid");
+      
+      // The SVG ticket shows the event date
+      const svg = image(json);
+      const date = new Date(eventDate * 1000).toISOString();
+      expect(svg.startsWith("<svg")).to.be.true;
+      expect(svg).to.contain(`${date.slice(0, 10)} ${date.slice(11, 16)} UTC`);
+      expect(svg).to.contain("Token 0 - Valid");
+    });
+    
+    it("Should follow check-ins and cancellations", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(organizer).useTicket(tokenId);
+      expect(trait(await metadata(), "Status")).to.equal("Used");
+      
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      expect(trait(await metadata(1), "Status")).to.equal("Cancelled");
+    });
+    
+    it("Should escape organizer-provided text", async function () {
+      await eventTicketing.connect(organizer).createEvent(
+        'Rock "n" <Roll> & \\ Co',
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      await eventTicketing.connect(buyer1).buyTicket(1, 0, ticketPrice, { value: ticketPrice });
+      
+      const json = await metadata(1);
+      expect(trait(json, "Event")).to.equal('Rock "n" <Roll> & \\ Co');
+      expect(image(json)).to.contain("Rock &quot;n&quot; &lt;Roll&gt; &amp; \\ Co");
+    });
+    
+    it("Should only let the admin change the renderer", async function () {
+      await expect(
+        ticketNFT.connect(buyer1).setMetadataRenderer(buyer1.address)
+      ).to.be.revertedWithCustomError(ticketNFT, "AccessControlUnauthorizedAccount");
+      
+      await ticketNFT.setMetadataRenderer(ethers.ZeroAddress);
+      expect(await ticketNFT.tokenURI(tokenId)).to.equal("");
+    });
+  });
+  
+  describe("Ticket Enumeration", function () {
+    const ids = (page) => page.tokenIds.map(Number);
+    
+    beforeEach(async function () {
+      // Verify organizer and create two events
+      await eventTicketing.verifyOrganizer(organizer.address);
+      for (let i = 0; i < 2; i++) {
+        await eventTicketing.connect(organizer).createEvent(
+          eventName,
+          eventDescription,
+          eventDate,
+          totalTickets,
+          ticketPrice,
+          false
+        );
+      }
+      
+      // Tickets 0, 1 and 3 are for event 0, ticket 2 for event 1
+      await eventTicketing.connect(buyer1).buyTicket(0, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer2).buyTicket(0, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(1, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(0, 0, ticketPrice, { value: ticketPrice });
+    });
+    
+    it("Should list the tickets held by an owner, page by page", async function () {
+      let page = await ticketNFT.getTicketsByOwner(buyer1.address, 0, 2);
+      expect(ids(page)).to.deep.equal([0, 2]);
+      expect(page.total).to.equal(3);
+      
+      page = await ticketNFT.getTicketsByOwner(buyer1.address, 2, 2);
+      expect(ids(page)).to.deep.equal([3]);
+      
+      page = await ticketNFT.getTicketsByOwner(buyer1.address, 5, 2);
+      expect(ids(page)).to.deep.equal([]);
+      expect(page.total).to.equal(3);
+      
+      // Transfers move the ticket to the new owner's list
+      await ticketNFT.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 0);
+      expect(ids(await ticketNFT.getTicketsByOwner(buyer1.address, 0, 10))).to.have.members([2, 3]);
+      expect(ids(await ticketNFT.getTicketsByOwner(buyer2.address, 0, 10))).to.have.members([0, 1]);
+    });
+    
+    it("Should list the tickets of an event and the unused ones", async function () {
+      const page = await ticketNFT.getTicketsByEvent(0, 1, 10);
+      expect(ids(page)).to.deep.equal([1, 3]);
+      expect(page.total).to.equal(3);
+      expect(ids(await ticketNFT.getTicketsByEvent(1, 0, 10))).to.deep.equal([2]);
+      
+      await eventTicketing.connect(organizer).useTicket(1);
+      const unused = await ticketNFT.getUnusedTicketsByEvent(0, 0, 10);
+      expect(ids(unused)).to.have.members([0, 3]);
+      expect(unused.total).to.equal(2);
+      expect((await ticketNFT.getTicketsByEvent(0, 0, 10)).total).to.equal(3);
+    });
+    
+    it("Should drop returned tickets from every list", async function () {
+      await eventTicketing.connect(organizer).setRefundPolicy(0, [{ cutoff: 0, percentage: 10000 }]);
+      await eventTicketing.connect(buyer1).returnTicket(0);
+      
+      expect(ids(await ticketNFT.getTicketsByEvent(0, 0, 10))).to.have.members([1, 3]);
+      expect(ids(await ticketNFT.getUnusedTicketsByEvent(0, 0, 10))).to.have.members([1, 3]);
+      expect(ids(await ticketNFT.getTicketsByOwner(buyer1.address, 0, 10))).to.have.members([2, 3]);
+    });
+    
+    it("Should index cross-chain tickets by event too", async function () {
+      const CrossChainTicketNFT = await ethers.getContractFactory("CrossChainTicketNFT");
+      const crossChainNFT = await CrossChainTicketNFT.deploy(
+        "Cross-Chain Ticket",
+        "XTIX",
+        ethers.ZeroAddress,
+        "celo",
+        ethers.id("secret")
+      );
+      
+      await crossChainNFT.mintTicket(buyer1.address, 7, 0, 0, "");
+      await crossChainNFT.mintTicket(buyer2.address, 8, 0, 0, "");
+      await crossChainNFT.mintTicket(buyer1.address, 7, 1, 0, "");
+      await crossChainNFT.useTicket(1);
+      
+      expect((await crossChainNFT.getEventTickets(7)).map(Number)).to.deep.equal([1, 3]);
+      expect(ids(await crossChainNFT.getUnusedTicketsByEvent(7, 0, 10))).to.deep.equal([3]);
+    });
+  });
+  
+  describe("Ticket Resale", function () {
+    let eventId;
+    let tokenId;
+    const resalePrice = ethers.parseEther("0.15"); // 0.15 ETH
+    
+    beforeEach(async function () {
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Buy ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+    });
+    
+    it("Should allow ticket owners to list tickets for resale", async function () {
+      // Approve the event ticketing contract to transfer the NFT
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      
+      await expect(
+        eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice)
+      ).to.emit(eventTicketing, "TicketListedForResale")
+       .withArgs(tokenId, resalePrice);
+       
+      // Check ticket is listed
+      const resaleInfo = await eventTicketing.resaleTickets(tokenId);
+      expect(resaleInfo.isListed).to.be.true;
+      expect(resaleInfo.price).to.equal(resalePrice);
+    });
+    
+    it("Should prevent listing tickets for resale at too high a price", async function () {
+      // Approve the event ticketing contract to transfer the NFT
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      
+      // Try to list at a very high markup
+      const tooHighPrice = ethers.parseEther("1.0");
+      
+      await expect(
+        eventTicketing.connect(buyer1).listTicketForResale(tokenId, tooHighPrice)
+      ).to.be.revertedWith("Resale price too high");
+    });
+    
+    it("Should allow users to buy resale tickets", async function () {
+      // List ticket for resale
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      
+      // Track balances before purchase
+      const initialPlatformBalance = await ethers.provider.getBalance(owner.address);
+      const initialSellerBalance = await ethers.provider.getBalance(buyer1.address);
+      
+      // Buy resale ticket
+      await expect(
+        eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: resalePrice })
+      ).to.emit(eventTicketing, "TicketResold")
+       .withArgs(tokenId, buyer1.address, buyer2.address, resalePrice);
+       
+      // Check new owner
+      expect(await ticketNFT.ownerOf(tokenId)).to.equal(buyer2.address);
+      
+      // Check ticket is no longer for sale
+      const resaleInfo = await eventTicketing.resaleTickets(tokenId);
+      expect(resaleInfo.isListed).to.be.false;
+      
+      // Check fee distribution - updated for ethers v6
+      const platformFee = (resalePrice * 200n) / 10000n; // 2% fee
+      const markup = resalePrice - ticketPrice; // Held back until after the event
+      const sellerAmount = resalePrice - platformFee - markup;
+      
+      // Platform admin should receive fee
+      const finalPlatformBalance = await ethers.provider.getBalance(owner.address);
+      expect(finalPlatformBalance - initialPlatformBalance).to.be.closeTo(
+        platformFee, ethers.parseEther("0.01")
+      );
+      
+      // Seller should receive the rest
+      const finalSellerBalance = await ethers.provider.getBalance(buyer1.address);
+      expect(finalSellerBalance - initialSellerBalance).to.be.closeTo(
+        sellerAmount, ethers.parseEther("0.01")
+      );
+      
+      // The markup stays in escrow for the seller
+      expect(await eventTicketing.resaleHoldbacks(eventId, buyer1.address)).to.equal(markup);
+    });
+    
+    it("Should allow owners to cancel resale listings", async function () {
+      // List ticket for resale
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      
+      // Cancel listing
+      await eventTicketing.connect(buyer1).cancelResaleListing(tokenId);
+      
+      // Check ticket is no longer for sale
+      const resaleInfo = await eventTicketing.resaleTickets(tokenId);
+      expect(resaleInfo.isListed).to.be.false;
+    });
+    
+    it("Should prevent buying your own resale ticket", async function () {
+      // List ticket for resale
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      
+      // Try to buy own ticket
+      await expect(
+        eventTicketing.connect(buyer1).buyResaleTicket(tokenId, { value: resalePrice })
+      ).to.be.revertedWith("Cannot buy your own ticket");
+    });
+    
+    it("Should open resale until the event with the platform markup cap by default", async function () {
+      const terms = await eventTicketing.resaleTerms(eventId);
+      expect(terms.allowResale).to.be.true;
+      expect(terms.resaleDeadline).to.equal(eventDate);
+      expect(terms.maxPriceIncrease).to.equal(await eventTicketing.maxResalePriceIncrease());
+      expect(terms.royaltyPercentage).to.equal(0);
+    });
+    
+    it("Should allow organizers to set resale terms within the platform limits", async function () {
+      await expect(
+        eventTicketing.connect(organizer).setResaleTerms(eventId, true, eventDate - 3600, 1000, 500)
+      ).to.emit(eventTicketing, "ResaleTermsUpdated")
+       .withArgs(eventId, true, eventDate - 3600, 1000, 500);
+      
+      // Deadline, markup and royalty are capped
+      await expect(
+        eventTicketing.connect(organizer).setResaleTerms(eventId, true, eventDate + 1, 1000, 0)
+      ).to.be.revertedWith("Deadline after event date");
+      await expect(
+        eventTicketing.connect(organizer).setResaleTerms(eventId, true, eventDate, 6000, 0)
+      ).to.be.revertedWith("Increase too high");
+      await expect(
+        eventTicketing.connect(organizer).setResaleTerms(eventId, true, eventDate, 1000, 9900)
+      ).to.be.revertedWith("Royalty too high");
+      
+      // Only the organizer can change them
+      await expect(
+        eventTicketing.connect(buyer1).setResaleTerms(eventId, false, eventDate, 0, 0)
+      ).to.be.revertedWith("Not the event organizer");
+    });
+    
+    it("Should prevent listing tickets when the organizer closed resale", async function () {
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(organizer).setResaleTerms(eventId, false, eventDate, 1000, 0);
+      
+      await expect(
+        eventTicketing.connect(buyer1).listTicketForResale(tokenId, ticketPrice)
+      ).to.be.revertedWith("Resale not allowed");
+    });
+    
+    it("Should prevent listing tickets without approving the contract", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).listTicketForResale(tokenId, ticketPrice)
+      ).to.be.revertedWith("Contract not approved");
+    });
+    
+    it("Should only let the seller cancel a listing", async function () {
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      
+      await expect(
+        eventTicketing.connect(buyer2).cancelResaleListing(tokenId)
+      ).to.be.revertedWith("Not the seller");
+    });
+    
+    it("Should pay the organizer royalty on resales", async function () {
+      await eventTicketing.connect(organizer).setResaleTerms(eventId, true, eventDate, 1000, 500);
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, ticketPrice);
+      
+      const platformFee = (ticketPrice * 200n) / 10000n; // 2% fee
+      const royalty = (ticketPrice * 500n) / 10000n; // 5% royalty
+      
+      await expect(
+        eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: ticketPrice })
+      ).to.changeEtherBalances(
+        [owner, organizer, buyer1, buyer2],
+        [platformFee, royalty, ticketPrice - platformFee - royalty, -ticketPrice]
+      );
+      expect((await ticketNFT.getTicketInfo(tokenId)).purchasePrice).to.equal(ticketPrice);
+    });
+    
+    it("Should release the held back markup after the dispute window", async function () {
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      await eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: resalePrice });
+      const markup = resalePrice - ticketPrice;
+      
+      await expect(
+        eventTicketing.connect(buyer1).withdrawResaleProceeds(eventId)
+      ).to.be.revertedWith("Dispute window not over");
+      
+      // Fast forward time to the end of the dispute window
+      await time.increaseTo(eventDate + Number(await eventTicketing.disputeWindow()));
+      
+      await expect(
+        eventTicketing.connect(buyer1).withdrawResaleProceeds(eventId)
+      ).to.emit(eventTicketing, "ResaleProceedsWithdrawn")
+       .withArgs(eventId, buyer1.address, markup);
+      await expect(
+        eventTicketing.connect(buyer1).withdrawResaleProceeds(eventId)
+      ).to.be.revertedWith("Nothing to withdraw");
+    });
+    
+    it("Should prevent buying a listed ticket that has changed hands", async function () {
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      await ticketNFT.connect(buyer1).transferFrom(buyer1.address, addr[0].address, tokenId);
+      
+      await expect(
+        eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: resalePrice })
+      ).to.be.revertedWith("Listing no longer valid");
+    });
+    
+    it("Should prevent buying resale tickets with incorrect payment", async function () {
+      await ticketNFT.connect(buyer1).approve(await eventTicketing.getAddress(), tokenId);
+      await eventTicketing.connect(buyer1).listTicketForResale(tokenId, resalePrice);
+      
+      await expect(
+        eventTicketing.connect(buyer2).buyResaleTicket(tokenId, { value: resalePrice - 1n })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+  });
+  
+  describe("Event and Ticket Management", function () {
+    let eventId;
+    let tokenId;
+    
+    beforeEach(async function () {
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Buy ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+    });
+    
+    it("Should allow organizers to mark tickets as used", async function () {
+      // Mark ticket as used
+      await expect(
+        eventTicketing.connect(organizer).useTicket(tokenId)
+      ).to.emit(ticketNFT, "TicketUsed")
+       .withArgs(tokenId, eventId);
+       
+      // Check ticket is marked as used
+      expect(await ticketNFT.isTicketUsed(tokenId)).to.be.true;
+      
+      // Check attendance record
+      expect(await eventTicketing.hasAttended(eventId, buyer1.address)).to.be.true;
+      
+      // Check loyalty points (1 for purchase + 2 for attendance)
+      expect(await eventTicketing.getUserLoyaltyPoints(buyer1.address)).to.equal(3);
+    });
+    
+    it("Should prevent non-organizers from marking tickets as used", async function () {
+      await expect(
+        eventTicketing.connect(buyer2).useTicket(tokenId)
+      ).to.be.revertedWith("Not the event organizer");
+    });
+    
+    it("Should prevent using a ticket twice", async function () {
+      // Use ticket first time
+      await eventTicketing.connect(organizer).useTicket(tokenId);
+      
+      // Try to use it again
+      await expect(
+        eventTicketing.connect(organizer).useTicket(tokenId)
+      ).to.be.revertedWith("Ticket already used");
+    });
+  });
+  
+  describe("Attendance Badges", function () {
+    let eventId;
+    let tokenId;
+    let attendanceBadge;
+    
+    beforeEach(async function () {
+      // Deploy the badge contract and let the ticketing contract mint badges
+      const AttendanceBadge = await ethers.getContractFactory("AttendanceBadge");
+      attendanceBadge = await AttendanceBadge.deploy();
+      await attendanceBadge.grantRole(await attendanceBadge.MINTER_ROLE(), await eventTicketing.getAddress());
+      await expect(eventTicketing.updateAttendanceBadge(await attendanceBadge.getAddress()))
+        .to.emit(eventTicketing, "AttendanceBadgeUpdated")
+        .withArgs(await attendanceBadge.getAddress());
+      
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Buy ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+    });
+    
+    it("Should mint a soulbound badge when a ticket is used", async function () {
+      await expect(
+        eventTicketing.connect(organizer).useTicket(tokenId)
+      ).to.emit(attendanceBadge, "BadgeMinted")
+       .withArgs(0, eventId, buyer1.address);
+      
+      expect(await attendanceBadge.hasBadge(eventId, buyer1.address)).to.be.true;
+      expect(await attendanceBadge.getBadges(buyer1.address)).to.deep.equal([0n]);
+      expect(await attendanceBadge.locked(0)).to.be.true;
+      
+      await expect(
+        attendanceBadge.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 0)
+      ).to.be.revertedWith("Badges are soulbound");
+    });
+    
+    it("Should mint one badge per attendee and event", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await eventTicketing.connect(organizer).useTicket(tokenId);
+      await expect(
+        eventTicketing.connect(organizer).useTicket(1)
+      ).to.not.emit(attendanceBadge, "BadgeMinted");
+      expect(await attendanceBadge.balanceOf(buyer1.address)).to.equal(1);
+    });
+    
+    it("Should serve the organizer's badge metadata", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).setBadgeURI(eventId, "ipfs://badge")
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        eventTicketing.connect(organizer).setBadgeURI(eventId, "ipfs://badge")
+      ).to.emit(attendanceBadge, "EventBadgeURIUpdated")
+       .withArgs(eventId, "ipfs://badge");
+      
+      await eventTicketing.connect(organizer).useTicket(tokenId);
+      expect(await attendanceBadge.tokenURI(0)).to.equal("ipfs://badge");
+    });
+    
+    it("Should only let minters issue badges directly", async function () {
+      await expect(
+        attendanceBadge.connect(buyer2).mintBadge(buyer2.address, eventId)
+      ).to.be.revertedWithCustomError(attendanceBadge, "AccessControlUnauthorizedAccount");
+      await attendanceBadge.mintBadge(buyer2.address, eventId);
+    });
+  });
+  
+  describe("Event Lifecycle", function () {
+    let eventId;
+    let postponedDate;
+    
+    beforeEach(async function () {
+      // Verify organizer and create event
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      postponedDate = eventDate + 7 * 86400; // One week later
+    });
+    
+    it("Should allow organizers to update event details", async function () {
+      await expect(
+        eventTicketing.connect(organizer).updateEventDetails(eventId, "Renamed", "New description")
+      ).to.emit(eventTicketing, "EventUpdated")
+       .withArgs(eventId, "Renamed", "New description");
+      
+      // Check event details
+      const eventDetails = await eventTicketing.getEventDetails(eventId);
+      expect(eventDetails.name).to.equal("Renamed");
+      expect(eventDetails.description).to.equal("New description");
+    });
+    
+    it("Should only allow the organizer to update an active event", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).updateEventDetails(eventId, "Renamed", "")
+      ).to.be.revertedWith("Not the event organizer");
+      
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      await expect(
+        eventTicketing.connect(organizer).updateEventDetails(eventId, "Renamed", "")
+      ).to.be.revertedWith("Event is not active");
+    });
+    
+    it("Should move sale windows and the resale deadline with a postponed event", async function () {
+      await expect(
+        eventTicketing.connect(organizer).postponeEvent(eventId, postponedDate)
+      ).to.emit(eventTicketing, "EventPostponed");
+      
+      expect((await eventTicketing.getEventDetails(eventId)).eventDate).to.equal(postponedDate);
+      expect((await eventTicketing.getEventTiers(eventId))[0].saleEnd).to.equal(postponedDate);
+      expect((await eventTicketing.resaleTerms(eventId)).resaleDeadline).to.equal(postponedDate);
+      
+      // Ticket holders get a refund window
+      const postponement = await eventTicketing.postponements(eventId);
+      expect(postponement.refundDeadline).to.equal(
+        (await time.latest()) + Number(await eventTicketing.postponementRefundWindow())
+      );
+    });
+    
+    it("Should only postpone events to a later date", async function () {
+      await expect(
+        eventTicketing.connect(organizer).postponeEvent(eventId, eventDate)
+      ).to.be.revertedWith("New date must be later");
+      
+      // Fast forward time to the event
+      await time.increaseTo(eventDate);
+      
+      await expect(
+        eventTicketing.connect(organizer).postponeEvent(eventId, postponedDate)
+      ).to.be.revertedWith("Event has already occurred");
+    });
+    
+    it("Should refund tickets bought before a postponement during the refund window", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(organizer).postponeEvent(eventId, postponedDate);
+      await eventTicketing.connect(buyer2).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      
+      await expect(
+        eventTicketing.connect(buyer2).claimPostponementRefund(1)
+      ).to.be.revertedWith("Ticket sold after postponement");
+      await expect(
+        eventTicketing.connect(buyer1).claimPostponementRefund(0)
+      ).to.changeEtherBalance(buyer1, ticketPrice);
+      
+      // The refunded seat goes back on sale
+      expect((await eventTicketing.getEventTiers(eventId))[0].sold).to.equal(1);
+    });
+    
+    it("Should prevent postponement refunds after the refund window", async function () {
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(organizer).postponeEvent(eventId, postponedDate);
+      
+      // Fast forward time to the end of the refund window
+      await time.increaseTo((await eventTicketing.postponements(eventId)).refundDeadline);
+      
+      await expect(
+        eventTicketing.connect(buyer1).claimPostponementRefund(0)
+      ).to.be.revertedWith("Refund window closed");
+    });
+    
+    it("Should allow owner to set the postponement refund window", async function () {
+      await expect(
+        eventTicketing.setPostponementRefundWindow(31 * 86400)
+      ).to.be.revertedWith("Refund window too long");
+      await expect(
+        eventTicketing.connect(organizer).setPostponementRefundWindow(86400)
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+    });
+    
+    it("Should allow organizers to end sales of every tier", async function () {
+      await eventTicketing.connect(organizer).addTicketTier(eventId, "VIP", ticketPrice * 2n, 10, await time.latest(), eventDate, false);
+      
+      await expect(
+        eventTicketing.connect(buyer1).endSales(eventId)
+      ).to.be.revertedWith("Not the event organizer");
+      await expect(
+        eventTicketing.connect(organizer).endSales(eventId)
+      ).to.emit(eventTicketing, "SalesEnded")
+       .withArgs(eventId);
+      
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("Tier sale ended");
+      await expect(
+        eventTicketing.connect(buyer1).buyTicket(eventId, 1, ticketPrice * 2n, { value: ticketPrice * 2n })
+      ).to.be.revertedWith("Tier sale ended");
+    });
+  });
+  
+  describe("Event Cancellation and Refunds", function () {
+    let eventId;
+    let tokenId;
+  
+    beforeEach(async function () {
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Buy ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+      
+      // Fund contract for refunds
+      // Make sure contract address is correct - using getAddress() for ethers v6
+      const contractAddress = await eventTicketing.getAddress();
+      await owner.sendTransaction({
+        to: contractAddress,
+        value: ethers.parseEther("1.0")
+      });
+    });
+    
+    it("Should allow organizers to cancel events", async function () {
+      await expect(
+        eventTicketing.connect(organizer).cancelEvent(eventId)
+      ).to.emit(eventTicketing, "EventCancelled")
+       .withArgs(eventId);
+       
+      // Check event is cancelled
+      const eventDetails = await eventTicketing.getEventDetails(eventId);
+      expect(eventDetails.isActive).to.be.false;
+    });
+    
+    it("Should prevent non-organizers from cancelling events", async function () {
+      await expect(
+        eventTicketing.connect(buyer1).cancelEvent(eventId)
+      ).to.be.revertedWith("Not the event organizer");
+    });
+    
+    it("Should allow ticket holders to claim refunds for cancelled events", async function () {
+      // Cancel the event
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      
+      // Track balance before refund
+      const initialBalance = await ethers.provider.getBalance(buyer1.address);
+      
+      // Claim refund
+      await expect(
+        eventTicketing.connect(buyer1).claimRefund(tokenId)
+      ).to.emit(eventTicketing, "RefundIssued")
+       .withArgs(tokenId, buyer1.address, ticketPrice, 0, 10000);
+       
       // Check balance after refund
       const finalBalance = await ethers.provider.getBalance(buyer1.address);
       expect(finalBalance - initialBalance).to.be.closeTo(
@@ -691,6 +2780,162 @@ describe("EventTicketing System", function () {
     });
   });
   
+  describe("Event Escrow", function () {
+    let eventId;
+    let tokenId;
+    const platformFee = (ticketPrice * 200n) / 10000n; // 2% fee
+    
+    beforeEach(async function () {
+      // Setup: verify organizer, create event, buy ticket
+      await eventTicketing.verifyOrganizer(organizer.address);
+      await eventTicketing.connect(organizer).createEvent(
+        eventName,
+        eventDescription,
+        eventDate,
+        totalTickets,
+        ticketPrice,
+        false
+      );
+      eventId = 0;
+      
+      // Buy ticket
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      tokenId = 0;
+    });
+    
+    it("Should hold revenue until the dispute window has passed", async function () {
+      // Fast forward time to the event
+      await time.increaseTo(eventDate);
+      await expect(
+        eventTicketing.connect(organizer).withdrawEventFunds(eventId)
+      ).to.be.revertedWith("Dispute window not over");
+      
+      // Fast forward time to the end of the dispute window
+      await time.increaseTo(eventDate + Number(await eventTicketing.disputeWindow()));
+      expect((await eventTicketing.getEventEscrow(eventId)).withdrawable).to.equal(ticketPrice - platformFee);
+      
+      const tx = eventTicketing.connect(organizer).withdrawEventFunds(eventId);
+      await expect(tx).to.changeEtherBalances([organizer, owner], [ticketPrice - platformFee, platformFee]);
+      await expect(tx)
+        .to.emit(eventTicketing, "EventFundsWithdrawn")
+        .withArgs(eventId, organizer.address, ticketPrice - platformFee, platformFee);
+      
+      await expect(
+        eventTicketing.connect(organizer).withdrawEventFunds(eventId)
+      ).to.be.revertedWith("Nothing to withdraw");
+    });
+    
+    it("Should allow the owner to cancel events during the dispute window", async function () {
+      // Fast forward time to after the event
+      await time.increaseTo(eventDate + 1);
+      
+      await expect(
+        eventTicketing.connect(organizer).cancelEvent(eventId)
+      ).to.be.revertedWith("Event has already occurred");
+      await expect(
+        eventTicketing.connect(owner).cancelEvent(eventId)
+      ).to.emit(eventTicketing, "EventCancelled")
+       .withArgs(eventId);
+    });
+    
+    it("Should close refunds after the claim period", async function () {
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      const refundDeadline = Number(await eventTicketing.refundDeadlines(eventId));
+      expect(refundDeadline).to.equal((await time.latest()) + Number(await eventTicketing.refundClaimPeriod()));
+      
+      // Fast forward time to the end of the claim period
+      await time.increaseTo(refundDeadline);
+      
+      await expect(
+        eventTicketing.connect(buyer1).claimRefund(tokenId)
+      ).to.be.revertedWith("Refund window closed");
+    });
+    
+    it("Should release unclaimed refunds to the organizer and platform after the claim period", async function () {
+      // A second ticket is never refunded
+      await eventTicketing.connect(buyer2).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      const refundDeadline = Number(await eventTicketing.refundDeadlines(eventId));
+      
+      await expect(
+        eventTicketing.connect(buyer1).claimRefund(tokenId)
+      ).to.changeEtherBalance(buyer1, ticketPrice);
+      await expect(
+        eventTicketing.connect(organizer).withdrawEventFunds(eventId)
+      ).to.be.revertedWith("Refund window not over");
+      expect((await eventTicketing.getEventEscrow(eventId)).withdrawable).to.equal(0);
+      
+      // Fast forward time to the end of the claim period
+      await time.increaseTo(refundDeadline);
+      expect((await eventTicketing.getEventEscrow(eventId)).withdrawable).to.equal(ticketPrice - platformFee);
+      
+      await expect(
+        eventTicketing.connect(organizer).withdrawEventFunds(eventId)
+      ).to.changeEtherBalances([organizer, owner], [ticketPrice - platformFee, platformFee]);
+      expect((await eventTicketing.getEventEscrow(eventId)).escrowed).to.equal(0);
+      expect(await ethers.provider.getBalance(await eventTicketing.getAddress())).to.equal(0);
+    });
+    
+    it("Should refund resale markups from the sellers' holdbacks", async function () {
+      const resalePrice = ethers.parseEther("0.15");
+      const markup = resalePrice - ticketPrice;
+      
+      // Both tickets are resold at a markup
+      await eventTicketing.connect(buyer2).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
+      for (const [seller, buyer, id] of [[buyer1, addr[0], 0], [buyer2, addr[1], 1]]) {
+        await ticketNFT.connect(seller).approve(await eventTicketing.getAddress(), id);
+        await eventTicketing.connect(seller).listTicketForResale(id, resalePrice);
+        await eventTicketing.connect(buyer).buyResaleTicket(id, { value: resalePrice });
+      }
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      const refundDeadline = Number(await eventTicketing.refundDeadlines(eventId));
+      
+      // Only the first ticket is refunded, at its full resale price
+      await expect(
+        eventTicketing.connect(addr[0]).claimRefund(tokenId)
+      ).to.changeEtherBalance(addr[0], resalePrice);
+      const escrow = await eventTicketing.eventEscrows(eventId);
+      expect(escrow.holdbacksRefunded).to.equal(markup);
+      expect(escrow.feesRefunded).to.equal(platformFee);
+      
+      await expect(
+        eventTicketing.connect(buyer1).withdrawResaleProceeds(eventId)
+      ).to.be.revertedWith("Refund window not over");
+      
+      // Fast forward time to the end of the claim period
+      await time.increaseTo(refundDeadline);
+      
+      // Both sellers share the one markup left
+      await expect(
+        eventTicketing.connect(buyer1).withdrawResaleProceeds(eventId)
+      ).to.emit(eventTicketing, "ResaleProceedsWithdrawn")
+       .withArgs(eventId, buyer1.address, markup / 2n);
+      await expect(
+        eventTicketing.connect(buyer2).withdrawResaleProceeds(eventId)
+      ).to.changeEtherBalance(buyer2, markup / 2n);
+      
+      // The organizer keeps the unclaimed ticket's revenue, the platform its fee
+      await expect(
+        eventTicketing.connect(organizer).withdrawEventFunds(eventId)
+      ).to.emit(eventTicketing, "EventFundsWithdrawn")
+       .withArgs(eventId, organizer.address, ticketPrice - platformFee, platformFee);
+      expect(await ethers.provider.getBalance(await eventTicketing.getAddress())).to.equal(0);
+    });
+    
+    it("Should allow owner to set the refund claim period", async function () {
+      await expect(
+        eventTicketing.connect(organizer).setRefundClaimPeriod(60 * 86400)
+      ).to.be.revertedWithCustomError(eventTicketing, "OwnableUnauthorizedAccount");
+      await expect(
+        eventTicketing.setRefundClaimPeriod(86400)
+      ).to.be.revertedWith("Claim period too short");
+      
+      await eventTicketing.setRefundClaimPeriod(60 * 86400);
+      await eventTicketing.connect(organizer).cancelEvent(eventId);
+      expect(await eventTicketing.refundDeadlines(eventId)).to.equal((await time.latest()) + 60 * 86400);
+    });
+  });
+  
   describe("Utility Functions", function () {
     let eventId;
     let tokenId;
@@ -704,15 +2949,12 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         false
       );
       eventId = 0;
       
       // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
       tokenId = 0;
     });
     
@@ -735,9 +2977,6 @@ describe("EventTicketing System", function () {
       expect(eventDetails.ticketsSold).to.equal(1);
       expect(eventDetails.ticketPrice).to.equal(ticketPrice);
       expect(eventDetails.organizer).to.equal(organizer.address);
-      expect(eventDetails.isResellAllowed).to.be.true;
-      expect(eventDetails.resaleDeadline).to.equal(resaleDeadline);
-      expect(eventDetails.eventURI).to.equal("ipfs://eventURI");
       expect(eventDetails.isActive).to.be.true;
       expect(eventDetails.worldIdRequired).to.be.false;
     });
@@ -757,15 +2996,15 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         false
       );
       eventId = 0;
       
+      // Close resale one day before the event
+      await eventTicketing.connect(organizer).setResaleTerms(eventId, true, resaleDeadline, 5000, 0);
+      
       // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
       tokenId = 0;
     });
     
@@ -774,7 +3013,7 @@ describe("EventTicketing System", function () {
       await time.increaseTo(eventDate + 1);
       
       await expect(
-        eventTicketing.connect(buyer2).buyTicket(eventId, { value: ticketPrice })
+        eventTicketing.connect(buyer2).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice })
       ).to.be.revertedWith("Event has already occurred");
     });
     
@@ -828,15 +3067,12 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         false
       );
       eventId = 0;
       
       // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
       tokenId = 0;
     });
     
@@ -876,15 +3112,12 @@ describe("EventTicketing System", function () {
         eventDate,
         totalTickets,
         ticketPrice,
-        true,
-        resaleDeadline,
-        "ipfs://eventURI",
         false
       );
       eventId = 0;
       
       // Buy ticket
-      await eventTicketing.connect(buyer1).buyTicket(eventId, { value: ticketPrice });
+      await eventTicketing.connect(buyer1).buyTicket(eventId, 0, ticketPrice, { value: ticketPrice });
       tokenId = 0;
     });
     
@@ -0,0 +1,119 @@
+import { NextRequest, NextResponse } from "next/server";
+import {
+  createPublicClient,
+  http,
+  isAddress,
+  parseAbi,
+  zeroAddress,
+} from "viem";
+import { worldchain } from "@/lib/chains";
+
+// Minimal ABI to find the badge contract wired into the EventTicketing contract
+const eventTicketingABI = parseAbi([
+  "function attendanceBadge() view returns (address)",
+]);
+
+// Minimal ABI to list a user's attendance badges and their metadata
+const attendanceBadgeABI = parseAbi([
+  "function getBadges(address attendee) view returns (uint256[])",
+  "function badgeEvent(uint256 tokenId) view returns (uint256)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+]);
+
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
+
+// Resolves IPFS URIs through a public gateway
+function resolveURI(uri: string): string {
+  return uri.startsWith("ipfs://")
+    ? `https://ipfs.io/ipfs/${uri.slice("ipfs://".length)}`
+    : uri;
+}
+
+// Loads badge metadata, tolerating events that have not set any
+async function fetchMetadata(uri: string) {
+  if (!uri) {
+    return {};
+  }
+  try {
+    const res = await fetch(resolveURI(uri));
+    return await res.json();
+  } catch (error) {
+    console.error(`Error loading badge metadata from ${uri}:`, error);
+    return {};
+  }
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    const user = request.nextUrl.searchParams.get("user");
+    if (!user || !isAddress(user)) {
+      return NextResponse.json(
+        { error: "Invalid user address" },
+        { status: 400 }
+      );
+    }
+
+    const contractAddress = process.env.NEXT_PUBLIC_EVENT_TICKETING_ADDRESS;
+
+    if (!contractAddress) {
+      throw new Error(
+        "EVENT_TICKETING_ADDRESS not set in environment variables"
+      );
+    }
+
+    const badgeAddress = await client.readContract({
+      address: contractAddress as `0x${string}`,
+      abi: eventTicketingABI,
+      functionName: "attendanceBadge",
+    });
+    if (badgeAddress === zeroAddress) {
+      return NextResponse.json({ badges: [] });
+    }
+
+    const tokenIds = await client.readContract({
+      address: badgeAddress,
+      abi: attendanceBadgeABI,
+      functionName: "getBadges",
+      args: [user],
+    });
+
+    const badges = await Promise.all(
+      tokenIds.map(async (tokenId) => {
+        const [eventId, uri] = await Promise.all([
+          client.readContract({
+            address: badgeAddress,
+            abi: attendanceBadgeABI,
+            functionName: "badgeEvent",
+            args: [tokenId],
+          }),
+          client.readContract({
+            address: badgeAddress,
+            abi: attendanceBadgeABI,
+            functionName: "tokenURI",
+            args: [tokenId],
+          }),
+        ]);
+        const metadata = await fetchMetadata(uri);
+
+        return {
+          tokenId: tokenId.toString(),
+          eventId: eventId.toString(),
+          name: metadata.name ?? `Event #${eventId}`,
+          description: metadata.description ?? "",
+          image: metadata.image ? resolveURI(metadata.image) : null,
+        };
+      })
+    );
+
+    return NextResponse.json({ badges });
+  } catch (error) {
+    console.error(error);
+    return NextResponse.json(
+      { error: (error as Error).message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,9 +1,30 @@
 import { NextResponse } from "next/server";
 import { ethers } from "ethers";
 
-// Minimal ABI to query the EventCreated event from the EventTicketing contract
+// Minimal ABI to query the event lifecycle logs and ticket tiers from the EventTicketing contract
 const eventTicketingABI = [
   "event EventCreated(uint256 indexed eventId, string name, string description, uint256 eventDate, uint256 totalTickets, uint256 ticketPrice, address indexed organizer, bool worldIdRequired)",
+  "event EventUpdated(uint256 indexed eventId, string name, string description)",
+  "event EventPostponed(uint256 indexed eventId, uint256 oldDate, uint256 newDate, uint256 refundDeadline)",
+  "event TicketTierAdded(uint256 indexed eventId, uint256 indexed tierId, string name, uint256 price, uint256 supply, uint256 saleStart, uint256 saleEnd, bool worldIdRequired)",
+  "event TierSupplyIncreased(uint256 indexed eventId, uint256 indexed tierId, uint256 newSupply)",
+  "event SalesEnded(uint256 indexed eventId)",
+  "event EventCancelled(uint256 indexed eventId)",
+  "function getEventTiers(uint256 eventId) view returns (tuple(string name, uint256 price, uint256 supply, uint256 sold, uint256 saleStart, uint256 saleEnd, bool worldIdRequired)[])",
+  "function eventPaymentToken(uint256 eventId) view returns (address)",
+  "function waitlists(uint256 eventId, uint256 tierId) view returns (uint256 next, uint256 reservedSeats, uint256 priorityNext)",
+  "function rsvpSettings(uint256 eventId) view returns (bool oneTicketPerHuman, bool requiresApproval)",
+  "function maxTicketsPerWallet(uint256 eventId) view returns (uint256)",
+  "function maxTicketsPerHuman(uint256 eventId) view returns (uint256)",
+  "function eventWorldIdAction(uint256 eventId) view returns (string)",
+  "function getRefundPolicy(uint256 eventId) view returns (tuple(uint256 cutoff, uint256 percentage)[])",
+  "function getTicketPrice(uint256 eventId, uint256 tierId) view returns (uint256 price, uint256 nextPrice, uint256 nextPriceAt, uint256 ticketsUntilNextPrice)",
+];
+
+// Minimal ABI to describe the ERC-20 token an event is priced in
+const erc20ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
 ];
 
 export async function GET() {
@@ -31,22 +52,165 @@ export async function GET() {
 
     const eventsRaw = await contract.queryFilter(filter);
 
-    const events = eventsRaw.map((event) => {
+    // Query every lifecycle update and replay them in chain order
+    const updates = (
+      await Promise.all(
+        [
+          "EventUpdated",
+          "EventPostponed",
+          "TicketTierAdded",
+          "TierSupplyIncreased",
+          "SalesEnded",
+          "EventCancelled",
+        ].map((name) => contract.queryFilter(contract.filters[name]()))
+      )
+    )
+      .flat()
+      .filter(
+        (log: ethers.Log | ethers.EventLog): log is ethers.EventLog =>
+          "args" in log
+      )
+      .sort(
+        (a: ethers.EventLog, b: ethers.EventLog) =>
+          a.blockNumber - b.blockNumber || a.index - b.index
+      );
+
+    const events = await Promise.all(eventsRaw.map(async (event) => {
       const args = event.args;
 
       const organizerAddress = args[6];
 
-      return {
-        id: args[0].toString(),
+      const tierSupplies: bigint[] = [];
+      const state = {
         name: args[1],
         description: args[2],
+        eventDate: args[3],
+        postponed: false,
+        refundDeadline: BigInt(0),
+        salesEnded: false,
+        isActive: true,
+      };
+      for (const update of updates) {
+        if (update.args.eventId !== args[0]) continue;
+        switch (update.eventName) {
+          case "EventUpdated":
+            state.name = update.args.name;
+            state.description = update.args.description;
+            break;
+          case "EventPostponed":
+            state.eventDate = update.args.newDate;
+            state.refundDeadline = update.args.refundDeadline;
+            state.postponed = true;
+            break;
+          case "TicketTierAdded":
+            tierSupplies[Number(update.args.tierId)] = update.args.supply;
+            break;
+          case "TierSupplyIncreased":
+            tierSupplies[Number(update.args.tierId)] = update.args.newSupply;
+            break;
+          case "SalesEnded":
+            state.salesEnded = true;
+            break;
+          case "EventCancelled":
+            state.isActive = false;
+            break;
+        }
+      }
+
+      // Events priced in ERC-20 report prices in that token's units
+      const tokenAddress = await contract.eventPaymentToken(args[0]);
+      let paymentToken = null;
+      let decimals = 18;
+      if (tokenAddress !== ethers.ZeroAddress) {
+        const token = new ethers.Contract(tokenAddress, erc20ABI, provider);
+        const [symbol, tokenDecimals] = await Promise.all([
+          token.symbol(),
+          token.decimals(),
+        ]);
+        decimals = Number(tokenDecimals);
+        paymentToken = { address: tokenAddress, symbol, decimals };
+      }
+
+      const tiersRaw = await contract.getEventTiers(args[0]);
+      // Seats held for waitlist offers are not available to the public
+      const waitlistsRaw = await Promise.all(
+        tiersRaw.map((_: ethers.Result, index: number) =>
+          contract.waitlists(args[0], index)
+        )
+      );
+      // Tiers with a pricing strategy sell at their current price, not the base price
+      const pricesRaw = await Promise.all(
+        tiersRaw.map((_: ethers.Result, index: number) =>
+          contract.getTicketPrice(args[0], index)
+        )
+      );
+      const tiers = tiersRaw.map((tier: ethers.Result, index: number) => ({
+        id: index,
+        name: tier.name,
+        price: ethers.formatUnits(pricesRaw[index].price, decimals),
+        priceWei: pricesRaw[index].price.toString(),
+        nextPrice:
+          pricesRaw[index].nextPrice > 0
+            ? ethers.formatUnits(pricesRaw[index].nextPrice, decimals)
+            : null,
+        nextPriceAt: pricesRaw[index].nextPriceAt.toString(),
+        ticketsUntilNextPrice: Number(pricesRaw[index].ticketsUntilNextPrice),
+        supply: tier.supply.toString(),
+        remaining: (
+          tier.supply -
+          tier.sold -
+          waitlistsRaw[index].reservedSeats
+        ).toString(),
+        saleStart: tier.saleStart.toString(),
+        saleEnd: tier.saleEnd.toString(),
+        worldIdRequired: tier.worldIdRequired,
+      }));
+
+      const rsvp = await contract.rsvpSettings(args[0]);
+      const refundPolicy = (await contract.getRefundPolicy(args[0])).map(
+        (rule: ethers.Result) => ({
+          cutoff: Number(rule.cutoff),
+          percentage: Number(rule.percentage),
+        })
+      );
+      const [maxTicketsPerWallet, maxTicketsPerHuman, worldIdAction] =
+        await Promise.all([
+          contract.maxTicketsPerWallet(args[0]),
+          contract.maxTicketsPerHuman(args[0]),
+          contract.eventWorldIdAction(args[0]),
+        ]);
+
+      const totalTickets = tierSupplies.reduce(
+        (total, supply) => total + supply,
+        BigInt(0)
+      );
+
+      return {
+        id: args[0].toString(),
+        name: state.name,
+        description: state.description,
         // date: new Date(parseInt(args[3].toString(), 10)).toDateString(),
-        totalTickets: args[4].toString(),
-        ticketPrice: ethers.formatEther(args[5]),
+        eventDate: state.eventDate.toString(),
+        totalTickets: totalTickets.toString(),
+        ticketPrice: ethers.formatUnits(args[5], decimals),
         organizer: organizerAddress || ethers.ZeroAddress,
         worldIdRequired: args[7],
+        isActive: state.isActive,
+        postponed: state.postponed,
+        refundDeadline: state.refundDeadline.toString(),
+        salesEnded: state.salesEnded,
+        paymentToken,
+        rsvp: {
+          oneTicketPerHuman: rsvp.oneTicketPerHuman,
+          requiresApproval: rsvp.requiresApproval,
+        },
+        maxTicketsPerWallet: Number(maxTicketsPerWallet),
+        maxTicketsPerHuman: Number(maxTicketsPerHuman),
+        worldIdAction,
+        refundPolicy,
+        tiers,
       };
-    });
+    }));
 
     return NextResponse.json({ events });
   } catch (error) {
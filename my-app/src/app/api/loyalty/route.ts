@@ -0,0 +1,101 @@
+import { NextRequest, NextResponse } from "next/server";
+import {
+  createPublicClient,
+  http,
+  isAddress,
+  parseAbi,
+  zeroAddress,
+} from "viem";
+import { worldchain } from "@/lib/chains";
+
+// Minimal ABI to find the loyalty program wired into the EventTicketing contract
+const eventTicketingABI = parseAbi([
+  "function loyaltyProgram() view returns (address)",
+]);
+
+// Minimal ABI to query a user's loyalty account and point history
+const loyaltyProgramABI = parseAbi([
+  "event PointsEarned(address indexed user, uint256 points, uint256 balance)",
+  "event PointsRedeemed(address indexed user, uint256 points, uint256 balance)",
+  "event PointsExpired(address indexed user, uint256 points)",
+  "function getAccount(address user) view returns (uint256 balance, uint256 earned, uint8 tier, uint256 expiresAt)",
+]);
+
+// Matches LoyaltyProgram.Tier
+const TIER_NAMES = ["None", "Bronze", "Silver", "Gold"];
+
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
+
+export async function GET(request: NextRequest) {
+  try {
+    const user = request.nextUrl.searchParams.get("user");
+    if (!user || !isAddress(user)) {
+      return NextResponse.json(
+        { error: "Invalid user address" },
+        { status: 400 }
+      );
+    }
+
+    const contractAddress = process.env.NEXT_PUBLIC_EVENT_TICKETING_ADDRESS;
+
+    if (!contractAddress) {
+      throw new Error(
+        "EVENT_TICKETING_ADDRESS not set in environment variables"
+      );
+    }
+
+    const loyaltyAddress = await client.readContract({
+      address: contractAddress as `0x${string}`,
+      abi: eventTicketingABI,
+      functionName: "loyaltyProgram",
+    });
+    if (loyaltyAddress === zeroAddress) {
+      return NextResponse.json({ loyalty: null });
+    }
+
+    const [balance, earned, tier, expiresAt] = await client.readContract({
+      address: loyaltyAddress,
+      abi: loyaltyProgramABI,
+      functionName: "getAccount",
+      args: [user],
+    });
+
+    // Query every point change of the user, newest first
+    const logs = await client.getContractEvents({
+      address: loyaltyAddress,
+      abi: loyaltyProgramABI,
+      args: { user },
+      fromBlock: "earliest",
+    });
+    const history = logs
+      .sort(
+        (a, b) =>
+          Number(b.blockNumber - a.blockNumber) || b.logIndex - a.logIndex
+      )
+      .map((log) => ({
+        type: log.eventName.replace("Points", "").toLowerCase(),
+        points: log.args.points?.toString(),
+        blockNumber: Number(log.blockNumber),
+        transactionHash: log.transactionHash,
+      }));
+
+    return NextResponse.json({
+      loyalty: {
+        balance: balance.toString(),
+        earned: earned.toString(),
+        tier: TIER_NAMES[tier],
+        expiresAt: expiresAt.toString(),
+        history,
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    return NextResponse.json(
+      { error: (error as Error).message },
+      { status: 500 }
+    );
+  }
+}
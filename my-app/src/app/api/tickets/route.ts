@@ -0,0 +1,145 @@
+import { NextRequest, NextResponse } from "next/server";
+import { createPublicClient, http, isAddress, parseAbi } from "viem";
+import { worldchain } from "@/lib/chains";
+
+// Minimal ABI to find the ticket NFT and read event and tier details
+const eventTicketingABI = parseAbi([
+  "function ticketNFT() view returns (address)",
+  "function getEventDetails(uint256 eventId) view returns (string name, string description, uint256 eventDate, uint256 totalTickets, uint256 ticketsSold, uint256 ticketPrice, address organizer, bool isActive, bool worldIdRequired)",
+  "function eventTiers(uint256 eventId, uint256 tierId) view returns (string name, uint256 price, uint256 supply, uint256 sold, uint256 saleStart, uint256 saleEnd, bool worldIdRequired)",
+]);
+
+// Minimal ABI to page through a holder's tickets and their metadata
+const eventTicketNFTABI = parseAbi([
+  "function getTicketsByOwner(address owner, uint256 offset, uint256 limit) view returns (uint256[] tokenIds, uint256 total)",
+  "function getTicketInfo(uint256 tokenId) view returns ((uint256 eventId, uint256 tierId, uint256 ticketIndex, uint256 purchasePrice, bool isUsed, address originalPurchaser))",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+]);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
+
+// Loads ticket metadata (on-chain data: URIs or custom HTTP/IPFS URIs)
+async function fetchMetadata(uri: string) {
+  if (!uri) {
+    return {};
+  }
+  try {
+    const res = await fetch(
+      uri.startsWith("ipfs://")
+        ? `https://ipfs.io/ipfs/${uri.slice("ipfs://".length)}`
+        : uri
+    );
+    return await res.json();
+  } catch (error) {
+    console.error(`Error loading ticket metadata from ${uri}:`, error);
+    return {};
+  }
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = request.nextUrl;
+    const owner = searchParams.get("owner");
+    if (!owner || !isAddress(owner)) {
+      return NextResponse.json(
+        { error: "Invalid owner address" },
+        { status: 400 }
+      );
+    }
+
+    const offset = Math.max(Number(searchParams.get("offset")) || 0, 0);
+    const limit = Math.min(
+      Math.max(Number(searchParams.get("limit")) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const contractAddress = process.env
+      .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`;
+
+    if (!contractAddress) {
+      throw new Error(
+        "EVENT_TICKETING_ADDRESS not set in environment variables"
+      );
+    }
+
+    const ticketNFTAddress = await client.readContract({
+      address: contractAddress,
+      abi: eventTicketingABI,
+      functionName: "ticketNFT",
+    });
+
+    const [tokenIds, total] = await client.readContract({
+      address: ticketNFTAddress,
+      abi: eventTicketNFTABI,
+      functionName: "getTicketsByOwner",
+      args: [owner, BigInt(offset), BigInt(limit)],
+    });
+
+    const tickets = await Promise.all(
+      tokenIds.map(async (tokenId) => {
+        const [info, uri] = await Promise.all([
+          client.readContract({
+            address: ticketNFTAddress,
+            abi: eventTicketNFTABI,
+            functionName: "getTicketInfo",
+            args: [tokenId],
+          }),
+          client.readContract({
+            address: ticketNFTAddress,
+            abi: eventTicketNFTABI,
+            functionName: "tokenURI",
+            args: [tokenId],
+          }),
+        ]);
+        const [eventDetails, tier, metadata] = await Promise.all([
+          client.readContract({
+            address: contractAddress,
+            abi: eventTicketingABI,
+            functionName: "getEventDetails",
+            args: [info.eventId],
+          }),
+          client.readContract({
+            address: contractAddress,
+            abi: eventTicketingABI,
+            functionName: "eventTiers",
+            args: [info.eventId, info.tierId],
+          }),
+          fetchMetadata(uri),
+        ]);
+
+        return {
+          tokenId: tokenId.toString(),
+          eventId: info.eventId.toString(),
+          eventName: eventDetails[0],
+          eventDate: Number(eventDetails[2]),
+          eventActive: eventDetails[7],
+          tierId: info.tierId.toString(),
+          tierName: tier[0],
+          ticketIndex: info.ticketIndex.toString(),
+          purchasePrice: info.purchasePrice.toString(),
+          isUsed: info.isUsed,
+          image: metadata.image ?? null,
+        };
+      })
+    );
+
+    return NextResponse.json({
+      tickets,
+      total: Number(total),
+      offset,
+      limit,
+    });
+  } catch (error) {
+    console.error(error);
+    return NextResponse.json(
+      { error: (error as Error).message },
+      { status: 500 }
+    );
+  }
+}
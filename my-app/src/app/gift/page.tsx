@@ -0,0 +1,115 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSession } from "next-auth/react";
+import { MiniKit } from "@worldcoin/minikit-js";
+import { createPublicClient, http, keccak256 } from "viem";
+import { Button } from "@/components/ui/button";
+import { WalletAuthButton } from "@/components/wallet-auth-button";
+import { worldchain } from "@/lib/chains";
+import claimGiftAbi from "@/abi/claimGift.json";
+import giftsAbi from "@/abi/gifts.json";
+
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
+
+interface Gift {
+  tokenId: bigint;
+  expiry: number;
+}
+
+export default function Page() {
+  const { data: session } = useSession();
+  const [secret, setSecret] = useState<`0x${string}` | null>(null);
+  const [gift, setGift] = useState<Gift | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [claimed, setClaimed] = useState(false);
+
+  // The claim secret is only ever shared through the gift link
+  useEffect(() => {
+    const value = new URLSearchParams(window.location.search).get("secret");
+    if (value && /^0x[0-9a-fA-F]{64}$/.test(value)) {
+      setSecret(value as `0x${string}`);
+    } else {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!secret) {
+      return;
+    }
+
+    client
+      .readContract({
+        address: process.env
+          .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`,
+        abi: giftsAbi,
+        functionName: "gifts",
+        args: [keccak256(secret)],
+      })
+      .then((result) => {
+        const [tokenId, buyer, expiry] = result as [bigint, string, bigint];
+        // Claimed and reclaimed gifts are deleted
+        if (buyer !== "0x0000000000000000000000000000000000000000") {
+          setGift({ tokenId, expiry: Number(expiry) });
+        }
+      })
+      .catch((error) => console.error("Error loading gift:", error))
+      .finally(() => setLoading(false));
+  }, [secret]);
+
+  const handleClaim = async () => {
+    if (!MiniKit.isInstalled() || !secret) {
+      console.log("MiniKit is not installed");
+      return;
+    }
+
+    try {
+      const { finalPayload } = await MiniKit.commandsAsync.sendTransaction({
+        transaction: [
+          {
+            address: process.env.NEXT_PUBLIC_EVENT_TICKETING_ADDRESS!,
+            abi: claimGiftAbi,
+            functionName: "claimGift",
+            args: [secret],
+          },
+        ],
+      });
+      console.log("Transaction sent:", finalPayload);
+      if (finalPayload.status === "success") {
+        setClaimed(true);
+      }
+    } catch (error) {
+      console.error("Transaction error:", error);
+    }
+  };
+
+  return (
+    <div className="flex p-6 items-center w-full justify-center flex-col gap-4 h-[100dvh] bg-white text-black">
+      <div className="text-3xl font-bold">Ticket Gift</div>
+      {!session?.user ? (
+        <>
+          <div>Sign in to claim the ticket into your wallet</div>
+          <WalletAuthButton />
+        </>
+      ) : loading ? (
+        <div>Loading gift...</div>
+      ) : claimed ? (
+        <div>Ticket #{gift?.tokenId.toString()} is now in your wallet</div>
+      ) : gift ? (
+        <>
+          <div>Someone bought you ticket #{gift.tokenId.toString()}</div>
+          <div className="text-sm text-muted-foreground">
+            Claim before {new Date(gift.expiry * 1000).toLocaleString()}
+          </div>
+          <Button onClick={handleClaim}>Claim Ticket</Button>
+        </>
+      ) : (
+        <div>This gift link is invalid or has already been claimed</div>
+      )}
+    </div>
+  );
+}
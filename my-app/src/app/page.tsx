@@ -3,6 +3,7 @@
 import { WalletAuthButton } from "@/components/wallet-auth-button";
 import { useSession } from "next-auth/react";
 import { ProfileTab } from "@/components/ProfileTab";
+import { TicketsTab } from "@/components/TicketsTab";
 import { useState, useEffect } from "react";
 import { Event } from "@/components/Event";
 
@@ -16,7 +17,9 @@ interface Event {
 export default function Page() {
   const { data: session } = useSession();
   const [events, setEvents] = useState<Event[]>([]);
-  const [activeTab, setActiveTab] = useState<"events" | "profile">("events");
+  const [activeTab, setActiveTab] = useState<
+    "events" | "tickets" | "profile"
+  >("events");
 
   useEffect(() => {
     async function fetchEvents() {
@@ -62,6 +65,7 @@ export default function Page() {
               ))}
             </div>
           )}
+          {activeTab === "tickets" && <TicketsTab user={session.user} />}
           {activeTab === "profile" && (
             <ProfileTab user={session.user} organizedEvents={organizedEvents} />
           )}
@@ -72,6 +76,12 @@ export default function Page() {
             >
               Events
             </button>
+            <button
+              onClick={() => setActiveTab("tickets")}
+              className={activeTab === "tickets" ? "font-bold" : ""}
+            >
+              Tickets
+            </button>
             <button
               onClick={() => setActiveTab("profile")}
               className={activeTab === "profile" ? "font-bold" : ""}
@@ -13,21 +13,127 @@ import {
   DialogFooter,
 } from "@/components/ui/dialog";
 import { Button } from "./ui/button";
-import { MiniKit } from "@worldcoin/minikit-js";
+import { MiniKit, VerificationLevel } from "@worldcoin/minikit-js";
+import { useSession } from "next-auth/react";
+import { useEffect, useState } from "react";
 import buyTicketAbi from "@/abi/buyTicket.json";
+import buyTicketsAbi from "@/abi/buyTickets.json";
+import buyGiftTicketAbi from "@/abi/buyGiftTicket.json";
+import approveAbi from "@/abi/approve.json";
+import joinWaitlistAbi from "@/abi/joinWaitlist.json";
+import claimWaitlistSeatAbi from "@/abi/claimWaitlistSeat.json";
+import getWaitlistPositionAbi from "@/abi/getWaitlistPosition.json";
+import getTicketPriceAbi from "@/abi/getTicketPrice.json";
+import requestRsvpAbi from "@/abi/requestRsvp.json";
+import rsvpRequestsAbi from "@/abi/rsvpRequests.json";
+import verifyAndRegisterAbi from "@/abi/verifyAndRegister.json";
+import getActionNullifierAbi from "@/abi/getActionNullifier.json";
+import {
+  createPublicClient,
+  decodeAbiParameters,
+  http,
+  isAddress,
+  keccak256,
+  parseAbiParameters,
+  toHex,
+} from "viem";
+import { worldchain } from "@/lib/chains";
+
+// Matches EventTicketing.MAX_BATCH_SIZE
+const MAX_BATCH_SIZE = 20;
+
+// Matches EventTicketing.RsvpStatus
+const RSVP_STATUS_LABELS = ["", "Request Pending", "Approved", "Request Declined"];
+
+// Extra percentage a single ticket may cost if its price rises before the
+// purchase confirms; the contract refunds whatever is not needed
+const PRICE_SLIPPAGE_PERCENT = 5;
+
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
 
 function truncatedAddress(address: string): string {
   return `${address.slice(0, 7)}...${address.slice(-5)}`;
 }
 
+function refundPolicySummary(rules: RefundRule[]): string {
+  if (rules.length === 0) {
+    return "No refunds";
+  }
+  return `Refunds: ${rules
+    .map(
+      (rule) =>
+        `${rule.percentage / 100}% until ${Math.round(
+          rule.cutoff / 86400
+        )} days before`
+    )
+    .join(", ")}`;
+}
+
+interface TicketTier {
+  id: number;
+  name: string;
+  price: string;
+  priceWei: string;
+  nextPrice: string | null;
+  nextPriceAt: string;
+  ticketsUntilNextPrice: number;
+  supply: string;
+  remaining: string;
+  saleStart: string;
+  saleEnd: string;
+  worldIdRequired: boolean;
+}
+
+interface PaymentToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+interface RsvpSettings {
+  oneTicketPerHuman: boolean;
+  requiresApproval: boolean;
+}
+
+interface RefundRule {
+  cutoff: number;
+  percentage: number;
+}
+
 interface Event {
   id: number;
   name: string;
   description: string;
   organizer: string;
   date: string;
+  eventDate: string;
   totalTickets: number;
   ticketPrice: any;
+  paymentToken: PaymentToken | null;
+  isActive: boolean;
+  postponed: boolean;
+  salesEnded: boolean;
+  rsvp: RsvpSettings;
+  maxTicketsPerWallet: number;
+  maxTicketsPerHuman: number;
+  worldIdAction: string;
+  refundPolicy: RefundRule[];
+  tiers: TicketTier[];
+}
+
+interface WaitlistPosition {
+  position: number;
+  offerExpiry: number;
+  deposit: bigint;
+}
+
+interface ContractCall {
+  abi: readonly unknown[];
+  functionName: string;
+  args: readonly unknown[];
 }
 
 interface EventProps {
@@ -35,31 +141,314 @@ interface EventProps {
 }
 
 export function Event({ event }: EventProps) {
-  const handleBuyTicket = async () => {
+  const { data: session } = useSession();
+  const [quantities, setQuantities] = useState<Record<number, number>>({});
+  const [recipients, setRecipients] = useState<Record<number, string[]>>({});
+  const [waitlist, setWaitlist] = useState<Record<number, WaitlistPosition>>(
+    {}
+  );
+  const [rsvpStatus, setRsvpStatus] = useState(0);
+  const [humanVerified, setHumanVerified] = useState(false);
+  const [giftLink, setGiftLink] = useState<string | null>(null);
+
+  const quantityFor = (tier: TicketTier) => quantities[tier.id] ?? 1;
+
+  const setQuantity = (tier: TicketTier, quantity: number) => {
+    const limits = [Number(tier.remaining), MAX_BATCH_SIZE];
+    if (event.maxTicketsPerWallet > 0) limits.push(event.maxTicketsPerWallet);
+    if (event.maxTicketsPerHuman > 0) limits.push(event.maxTicketsPerHuman);
+    // Batches are paid at the displayed price, so they stop at the next price step
+    if (tier.ticketsUntilNextPrice > 0) limits.push(tier.ticketsUntilNextPrice);
+    const max = Math.min(...limits);
+    setQuantities({
+      ...quantities,
+      [tier.id]: Math.max(1, Math.min(quantity, max)),
+    });
+  };
+
+  // Recipients of the tickets after the buyer's own in a batch; blank entries
+  // go to the buyer
+  const recipientsFor = (tier: TicketTier) =>
+    Array.from(
+      { length: quantityFor(tier) - 1 },
+      (_, index) => recipients[tier.id]?.[index] ?? ""
+    );
+
+  const setRecipient = (tier: TicketTier, index: number, address: string) => {
+    const updated = recipientsFor(tier);
+    updated[index] = address;
+    setRecipients({ ...recipients, [tier.id]: updated });
+  };
+
+  const recipientsValid = (tier: TicketTier) =>
+    recipientsFor(tier).every(
+      (address) => address.trim() === "" || isAddress(address.trim())
+    );
+
+  // Load the user's place on each tier's waitlist
+  useEffect(() => {
+    const address = session?.user?.address;
+    if (!address) {
+      return;
+    }
+
+    Promise.all(
+      event.tiers.map((tier) =>
+        client.readContract({
+          address: process.env
+            .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`,
+          abi: getWaitlistPositionAbi,
+          functionName: "getWaitlistPosition",
+          args: [event.id, tier.id, address],
+        })
+      )
+    )
+      .then((results) => {
+        const positions: Record<number, WaitlistPosition> = {};
+        results.forEach((result, index) => {
+          const [position, offerExpiry, deposit] = result as [
+            bigint,
+            bigint,
+            bigint
+          ];
+          positions[event.tiers[index].id] = {
+            position: Number(position),
+            offerExpiry: Number(offerExpiry),
+            deposit,
+          };
+        });
+        setWaitlist(positions);
+      })
+      .catch((error) =>
+        console.error("Error loading waitlist positions:", error)
+      );
+  }, [session?.user?.address, event.id, event.tiers]);
+
+  // Load the user's RSVP request for events that need organizer approval
+  useEffect(() => {
+    const address = session?.user?.address;
+    if (!address || !event.rsvp.requiresApproval) {
+      return;
+    }
+
+    client
+      .readContract({
+        address: process.env
+          .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`,
+        abi: rsvpRequestsAbi,
+        functionName: "rsvpRequests",
+        args: [event.id, address],
+      })
+      .then((result) => {
+        const [status] = result as [number, bigint];
+        setRsvpStatus(status);
+      })
+      .catch((error) => console.error("Error loading RSVP request:", error));
+  }, [session?.user?.address, event.id, event.rsvp.requiresApproval]);
+
+  // Per-human limits and one-per-human RSVPs need a World ID proof for the
+  // event's own action
+  const perHuman = event.maxTicketsPerHuman > 0 || event.rsvp.oneTicketPerHuman;
+
+  useEffect(() => {
+    const address = session?.user?.address;
+    if (!address || !perHuman) {
+      return;
+    }
+
+    client
+      .readContract({
+        address: process.env
+          .NEXT_PUBLIC_WORLD_ID_VERIFIER_ADDRESS as `0x${string}`,
+        abi: getActionNullifierAbi,
+        functionName: "getActionNullifier",
+        args: [event.worldIdAction, address],
+      })
+      .then((nullifierHash) => setHumanVerified(nullifierHash !== BigInt(0)))
+      .catch((error) =>
+        console.error("Error loading World ID verification:", error)
+      );
+  }, [session?.user?.address, perHuman, event.worldIdAction]);
+
+  // Sends a call to the ticketing contract that pays `amount`, approving the
+  // ERC-20 payment token first when the event is not priced in ETH
+  const sendPayment = async (
+    call: ContractCall,
+    amount: bigint
+  ): Promise<boolean> => {
+    if (!MiniKit.isInstalled()) {
+      console.log("MiniKit is not installed");
+      return false;
+    }
+    const ticketing = process.env.NEXT_PUBLIC_EVENT_TICKETING_ADDRESS!;
+    try {
+      const res = await MiniKit.commandsAsync.sendTransaction({
+        transaction: event.paymentToken
+          ? [
+              {
+                address: event.paymentToken.address,
+                abi: approveAbi,
+                functionName: "approve",
+                args: [ticketing, amount.toString()],
+              },
+              { address: ticketing, ...call },
+            ]
+          : [
+              {
+                address: ticketing,
+                ...call,
+                value: "0x" + amount.toString(16),
+              },
+            ],
+      });
+      console.log("Transaction sent:", res);
+      return res.finalPayload.status === "success";
+    } catch (error) {
+      console.error("Transaction error:", error);
+      return false;
+    }
+  };
+
+  const maxPriceFor = (tier: TicketTier) =>
+    (BigInt(tier.priceWei) * BigInt(100 + PRICE_SLIPPAGE_PERCENT)) /
+    BigInt(100);
+
+  const handleBuyTicket = async (tier: TicketTier) => {
+    const quantity = quantityFor(tier);
+    const maxPrice = maxPriceFor(tier);
+    // Demand-based steps can raise the price within a batch; the contract refunds any excess
+    const total = maxPrice * BigInt(quantity);
+    await sendPayment(
+      quantity === 1
+        ? {
+            abi: buyTicketAbi,
+            functionName: "buyTicket",
+            args: [event.id, tier.id, maxPrice.toString()],
+          }
+        : {
+            abi: buyTicketsAbi,
+            functionName: "buyTickets",
+            args: [
+              event.id,
+              tier.id,
+              [
+                session?.user?.address,
+                ...recipientsFor(tier).map(
+                  (address) => address.trim() || session?.user?.address
+                ),
+              ],
+              total.toString(),
+            ],
+          },
+      total
+    );
+  };
+
+  // The ticket is held by the contract until claimed with the secret in the link
+  const handleBuyGift = async (tier: TicketTier) => {
+    const secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    const maxPrice = maxPriceFor(tier);
+    const sent = await sendPayment(
+      {
+        abi: buyGiftTicketAbi,
+        functionName: "buyGiftTicket",
+        args: [event.id, tier.id, keccak256(secret), maxPrice.toString()],
+      },
+      maxPrice
+    );
+    if (sent) {
+      setGiftLink(`${window.location.origin}/gift?secret=${secret}`);
+    }
+  };
+
+  const handleVerifyHuman = async () => {
     if (!MiniKit.isInstalled()) {
       console.log("MiniKit is not installed");
       return;
     }
+
     try {
+      // Prove personhood for this event, bound to the buyer's wallet
+      const { finalPayload: proofPayload } =
+        await MiniKit.commandsAsync.verify({
+          action: event.worldIdAction,
+          signal: session?.user?.address,
+          verification_level: VerificationLevel.Orb,
+        });
+
+      if (proofPayload.status === "error") {
+        console.error("Error verifying for event", proofPayload);
+        return;
+      }
+
       const res = await MiniKit.commandsAsync.sendTransaction({
         transaction: [
           {
-            address: process.env.NEXT_PUBLIC_EVENT_TICKETING_ADDRESS!,
-            abi: buyTicketAbi,
-            functionName: "buyTicket",
-            args: [event.id],
-            value:
-              "0x" +
-              BigInt(Math.floor(Number(event.ticketPrice) * 1e18)).toString(16),
+            address: process.env.NEXT_PUBLIC_WORLD_ID_VERIFIER_ADDRESS!,
+            abi: verifyAndRegisterAbi,
+            functionName: "verifyAndRegister",
+            args: [
+              session?.user?.address,
+              BigInt(proofPayload.merkle_root).toString(),
+              BigInt(proofPayload.nullifier_hash).toString(),
+              event.worldIdAction,
+              decodeAbiParameters(
+                parseAbiParameters("uint256[8]"),
+                proofPayload.proof as `0x${string}`
+              )[0].map((value) => value.toString()),
+            ],
           },
         ],
       });
-      console.log("Transaction sent:", res);
+      console.log("Verification sent:", res);
     } catch (error) {
-      console.error("Transaction error:", error);
+      console.error("Event verification error:", error);
     }
   };
 
+  const handleRequestRsvp = async (tier: TicketTier) => {
+    await sendPayment(
+      {
+        abi: requestRsvpAbi,
+        functionName: "requestRsvp",
+        args: [event.id, tier.id],
+      },
+      BigInt(0)
+    );
+  };
+
+  const handleJoinWaitlist = async (tier: TicketTier) => {
+    await sendPayment(
+      {
+        abi: joinWaitlistAbi,
+        functionName: "joinWaitlist",
+        args: [event.id, tier.id, 0],
+      },
+      BigInt(0)
+    );
+  };
+
+  // The seat costs the tier's current price, which may have moved since the
+  // page loaded, less the deposit paid when joining the waitlist
+  const handleClaimWaitlistSeat = async (tier: TicketTier) => {
+    const [price] = (await client.readContract({
+      address: process.env
+        .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`,
+      abi: getTicketPriceAbi,
+      functionName: "getTicketPrice",
+      args: [event.id, tier.id],
+    })) as [bigint, bigint, bigint, bigint];
+    const deposit = waitlist[tier.id]?.deposit ?? BigInt(0);
+    await sendPayment(
+      {
+        abi: claimWaitlistSeatAbi,
+        functionName: "claimWaitlistSeat",
+        args: [event.id, tier.id],
+      },
+      price > deposit ? price - deposit : BigInt(0)
+    );
+  };
+
   return (
     <Dialog key={event.id}>
       <DialogTrigger asChild>
@@ -70,6 +459,13 @@ export function Event({ event }: EventProps) {
               <div>{event.description}</div>
               <div>Organized by: {truncatedAddress(event.organizer)}</div>
               <div> Total Tickets: {event.totalTickets} </div>
+              {!event.isActive && <div>Cancelled</div>}
+              {event.isActive && event.postponed && (
+                <div>
+                  Postponed to{" "}
+                  {new Date(Number(event.eventDate) * 1000).toDateString()}
+                </div>
+              )}
             </CardDescription>
           </CardHeader>
         </Card>
@@ -78,13 +474,177 @@ export function Event({ event }: EventProps) {
         <DialogTitle>{event.name}</DialogTitle>
         <DialogDescription>
           Organized by: {truncatedAddress(event.organizer)}
+          <br />
+          {refundPolicySummary(event.refundPolicy)}
           {/* <br /> */}
           {/* Date: {event.date} */}
         </DialogDescription>
-        <DialogFooter>
-          <Button onClick={handleBuyTicket}>
-            Buy Ticket with {event.ticketPrice} ETH
-          </Button>
+        <DialogFooter className="flex flex-col gap-2">
+          {event.tiers.map((tier) => {
+            const now = Date.now() / 1000;
+            const onSale =
+              event.isActive &&
+              now >= Number(tier.saleStart) &&
+              now < Number(tier.saleEnd);
+            const soldOut = Number(tier.remaining) === 0;
+            const spot = waitlist[tier.id];
+            const waiting = spot !== undefined && spot.position > 0;
+            const offered = spot !== undefined && spot.offerExpiry > now;
+            // Free tickets are claimed one at a time when RSVPs are limited
+            const free = tier.priceWei === "0";
+            const singleClaim =
+              free &&
+              (event.rsvp.oneTicketPerHuman || event.rsvp.requiresApproval);
+            const needsHumanProof =
+              event.maxTicketsPerHuman > 0 ||
+              (free && event.rsvp.oneTicketPerHuman);
+
+            return (
+              <div
+                key={tier.id}
+                className="flex items-center justify-between gap-4"
+              >
+                <div>
+                  <div className="font-semibold">{tier.name}</div>
+                  <div className="text-sm text-muted-foreground">
+                    {tier.remaining} / {tier.supply} left
+                    {tier.worldIdRequired && " · World ID required"}
+                  </div>
+                  {onSale && tier.nextPrice !== null && (
+                    <div className="text-sm">
+                      {Number(tier.nextPriceAt) > 0
+                        ? `Price goes up to ${tier.nextPrice} in ${Math.ceil(
+                            (Number(tier.nextPriceAt) - now) / 3600
+                          )}h`
+                        : `Price goes up to ${tier.nextPrice} after ${tier.ticketsUntilNextPrice} more tickets`}
+                    </div>
+                  )}
+                  {waiting && (
+                    <div className="text-sm">
+                      Waitlist position: #{spot.position}
+                    </div>
+                  )}
+                  {offered && (
+                    <div className="text-sm">
+                      Seat offered until{" "}
+                      {new Date(spot.offerExpiry * 1000).toLocaleString()}
+                    </div>
+                  )}
+                  {onSale &&
+                    !soldOut &&
+                    !singleClaim &&
+                    recipientsFor(tier).map((address, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        placeholder={`Ticket ${index + 2} recipient (blank for you)`}
+                        value={address}
+                        onChange={(e) =>
+                          setRecipient(tier, index, e.target.value)
+                        }
+                        className="input mt-1 w-full text-sm"
+                      />
+                    ))}
+                </div>
+                <div className="flex items-center gap-2">
+                  {onSale && !soldOut && !singleClaim && (
+                    <div className="flex items-center gap-1">
+                      <Button
+                        variant="outline"
+                        size="icon"
+                        onClick={() => setQuantity(tier, quantityFor(tier) - 1)}
+                      >
+                        -
+                      </Button>
+                      <span className="w-6 text-center">
+                        {quantityFor(tier)}
+                      </span>
+                      <Button
+                        variant="outline"
+                        size="icon"
+                        onClick={() => setQuantity(tier, quantityFor(tier) + 1)}
+                      >
+                        +
+                      </Button>
+                    </div>
+                  )}
+                  {offered ? (
+                    <Button onClick={() => handleClaimWaitlistSeat(tier)}>
+                      {`Claim seat for ${tier.price} ${
+                        event.paymentToken?.symbol ?? "ETH"
+                      }`}
+                    </Button>
+                  ) : onSale && soldOut ? (
+                    <Button
+                      onClick={() => handleJoinWaitlist(tier)}
+                      disabled={waiting}
+                    >
+                      {waiting ? "On Waitlist" : "Join Waitlist"}
+                    </Button>
+                  ) : onSale &&
+                    !soldOut &&
+                    needsHumanProof &&
+                    !humanVerified ? (
+                    <Button onClick={handleVerifyHuman}>
+                      Verify with World ID
+                    </Button>
+                  ) : free && event.rsvp.requiresApproval ? (
+                    <Button
+                      onClick={() => handleRequestRsvp(tier)}
+                      disabled={!onSale || soldOut || rsvpStatus !== 0}
+                    >
+                      {rsvpStatus !== 0
+                        ? RSVP_STATUS_LABELS[rsvpStatus]
+                        : soldOut
+                        ? "Sold Out"
+                        : onSale
+                        ? "Request to Join"
+                        : "Not on sale"}
+                    </Button>
+                  ) : (
+                    <Button
+                      onClick={() => handleBuyTicket(tier)}
+                      disabled={!onSale || soldOut || !recipientsValid(tier)}
+                    >
+                      {soldOut
+                        ? "Sold Out"
+                        : onSale && free
+                        ? "Claim"
+                        : onSale
+                        ? `Buy with ${(
+                            Number(tier.price) * quantityFor(tier)
+                          ).toString()} ${event.paymentToken?.symbol ?? "ETH"}`
+                        : "Not on sale"}
+                    </Button>
+                  )}
+                  {onSale &&
+                    !soldOut &&
+                    !free &&
+                    !offered &&
+                    (event.maxTicketsPerHuman === 0 || humanVerified) && (
+                      <Button
+                        variant="outline"
+                        onClick={() => handleBuyGift(tier)}
+                      >
+                        Gift
+                      </Button>
+                    )}
+                </div>
+              </div>
+            );
+          })}
+          {giftLink && (
+            <div className="flex flex-col gap-2 text-sm">
+              <div>Share this link so the recipient can claim their ticket:</div>
+              <div className="break-all font-mono">{giftLink}</div>
+              <Button
+                variant="outline"
+                onClick={() => navigator.clipboard.writeText(giftLink)}
+              >
+                Copy Link
+              </Button>
+            </div>
+          )}
         </DialogFooter>
       </DialogContent>
     </Dialog>
@@ -2,8 +2,9 @@
 
 import { useEffect, useState } from "react";
 import { signOut } from "next-auth/react";
-import { CircleUser, LogOut } from "lucide-react";
+import { Award, CircleUser, LogOut, Ticket } from "lucide-react";
 import { Event } from "@/components/Event";
+import { OwnedTicket, TICKETS_PAGE_SIZE } from "@/components/TicketsTab";
 import {
   Dialog,
   DialogContent,
@@ -15,13 +16,49 @@ import {
   MiniAppSendTransactionPayload,
   MiniKit,
   ResponseEvent,
+  VerificationLevel,
 } from "@worldcoin/minikit-js";
 import { useWaitForTransactionReceipt } from "@worldcoin/minikit-react";
 import { Button } from "@/components/ui/button";
 import createEventAbi from "@/abi/createEvent.json";
-import { createPublicClient, http } from "viem";
+import verifyOrganizerAbi from "@/abi/verifyOrganizer.json";
+import isVerifiedOrganizerAbi from "@/abi/isVerifiedOrganizer.json";
+import {
+  createPublicClient,
+  decodeAbiParameters,
+  http,
+  parseAbiParameters,
+} from "viem";
 import { worldchain } from "@/lib/chains";
 
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
+
+interface LoyaltyActivity {
+  type: "earned" | "redeemed" | "expired";
+  points: string;
+  blockNumber: number;
+  transactionHash: string;
+}
+
+interface Loyalty {
+  balance: string;
+  earned: string;
+  tier: string;
+  expiresAt: string;
+  history: LoyaltyActivity[];
+}
+
+interface Badge {
+  tokenId: string;
+  eventId: string;
+  name: string;
+  description: string;
+  image: string | null;
+}
+
 interface ProfileTabProps {
   user: any;
   organizedEvents: any[];
@@ -37,14 +74,15 @@ export function ProfileTab({ user, organizedEvents }: ProfileTabProps) {
   const [ticketPrice, setTicketPrice] = useState("");
   const [worldIdRequired, setWorldIdRequired] = useState(false);
   const [txStatus, setTxStatus] = useState("");
+  const [isVerifiedOrganizer, setIsVerifiedOrganizer] = useState(false);
+  const [verifyStatus, setVerifyStatus] = useState("");
+  const [loyalty, setLoyalty] = useState<Loyalty | null>(null);
+  const [badges, setBadges] = useState<Badge[]>([]);
+  const [tickets, setTickets] = useState<OwnedTicket[]>([]);
+  const [ticketsTotal, setTicketsTotal] = useState(0);
 
   const [transactionId, setTransactionId] = useState<string>("");
 
-  const client = createPublicClient({
-    chain: worldchain,
-    transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
-  });
-
   const { isLoading: isConfirming, isSuccess: isConfirmed } =
     useWaitForTransactionReceipt({
       client: client,
@@ -78,6 +116,134 @@ export function ProfileTab({ user, organizedEvents }: ProfileTabProps) {
     };
   }, []);
 
+  // Only verified organizers can create events; re-check after each confirmed transaction
+  useEffect(() => {
+    if (!user?.address) {
+      return;
+    }
+
+    client
+      .readContract({
+        address: process.env
+          .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`,
+        abi: isVerifiedOrganizerAbi,
+        functionName: "isVerifiedOrganizer",
+        args: [user.address],
+      })
+      .then((verified) => setIsVerifiedOrganizer(verified as boolean))
+      .catch((error) =>
+        console.error("Error checking organizer verification:", error)
+      );
+  }, [user?.address, isConfirmed]);
+
+  // Load the user's loyalty points, tier and history
+  useEffect(() => {
+    if (!user?.address) {
+      return;
+    }
+
+    fetch(`/api/loyalty?user=${user.address}`)
+      .then((res) => res.json())
+      .then((data) => setLoyalty(data.loyalty ?? null))
+      .catch((error) => console.error("Error loading loyalty points:", error));
+  }, [user?.address, isConfirmed]);
+
+  // Load the attendance badges minted when the user's tickets were checked in
+  useEffect(() => {
+    if (!user?.address) {
+      return;
+    }
+
+    fetch(`/api/badges?user=${user.address}`)
+      .then((res) => res.json())
+      .then((data) => setBadges(data.badges || []))
+      .catch((error) => console.error("Error loading badges:", error));
+  }, [user?.address]);
+
+  // Load a page of the tickets held by the user, from the NFT contract's owner index
+  const loadTickets = (offset: number) => {
+    fetch(
+      `/api/tickets?owner=${user.address}&offset=${offset}&limit=${TICKETS_PAGE_SIZE}`
+    )
+      .then((res) => res.json())
+      .then((data) => {
+        const page: OwnedTicket[] = data.tickets || [];
+        setTickets((previous) =>
+          offset === 0 ? page : [...previous, ...page]
+        );
+        setTicketsTotal(data.total ?? 0);
+      })
+      .catch((error) => console.error("Error loading tickets:", error));
+  };
+
+  useEffect(() => {
+    if (!user?.address) {
+      return;
+    }
+
+    loadTickets(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.address, isConfirmed]);
+
+  const handleVerifyOrganizer = async () => {
+    if (!MiniKit.isInstalled()) {
+      console.log("MiniKit is not installed");
+      return;
+    }
+
+    try {
+      // Prove personhood with World ID, bound to the organizer's wallet
+      const { finalPayload: proofPayload } =
+        await MiniKit.commandsAsync.verify({
+          action:
+            process.env.NEXT_PUBLIC_WLD_ORGANIZER_ACTION_ID ||
+            "verify-organizer",
+          signal: user.address,
+          verification_level: VerificationLevel.Orb,
+        });
+
+      if (proofPayload.status === "error") {
+        console.error("Error verifying organizer", proofPayload);
+        setVerifyStatus("Verification failed: Please try again");
+        return;
+      }
+
+      // Submit the proof to the on-chain organizer verifier
+      const { finalPayload } = await MiniKit.commandsAsync.sendTransaction({
+        transaction: [
+          {
+            address: process.env.NEXT_PUBLIC_ORGANIZER_VERIFIER_ADDRESS!,
+            abi: verifyOrganizerAbi,
+            functionName: "verifyOrganizer",
+            args: [
+              user.address,
+              BigInt(proofPayload.merkle_root).toString(),
+              BigInt(proofPayload.nullifier_hash).toString(),
+              decodeAbiParameters(
+                parseAbiParameters("uint256[8]"),
+                proofPayload.proof as `0x${string}`
+              )[0].map((value) => value.toString()),
+            ],
+          },
+        ],
+      });
+
+      if (finalPayload.status === "error") {
+        console.error("Error sending verification", finalPayload);
+        setVerifyStatus("Verification failed: Please try again");
+        return;
+      }
+
+      setVerifyStatus(
+        "Verification submitted. Transaction ID: " +
+          finalPayload.transaction_id
+      );
+    } catch (error) {
+      console.error("Organizer verification error:", error);
+      setVerifyStatus("Verification failed: Please try again");
+    }
+  };
+
   const handleCreateEvent = async () => {
     if (!MiniKit.isInstalled()) {
       console.log("MiniKit is not installed");
@@ -110,7 +276,6 @@ export function ProfileTab({ user, organizedEvents }: ProfileTabProps) {
                 numericTotalTickets,
                 numericTicketPrice,
                 worldIdRequired,
-                user.address,
               ],
             },
           ],
@@ -137,9 +302,124 @@ export function ProfileTab({ user, organizedEvents }: ProfileTabProps) {
       </div>
       <CircleUser size={120} strokeWidth={1.0} />
       <span>{user.name}</span>
-      <Button variant="default" className="mt-4" onClick={() => setOpen(true)}>
-        Create Event
-      </Button>
+      {isVerifiedOrganizer ? (
+        <Button variant="default" className="mt-4" onClick={() => setOpen(true)}>
+          Create Event
+        </Button>
+      ) : (
+        <Button
+          variant="default"
+          className="mt-4"
+          onClick={handleVerifyOrganizer}
+        >
+          Verify as Organizer
+        </Button>
+      )}
+      {verifyStatus && <p className="text-sm">{verifyStatus}</p>}
+      {loyalty && (
+        <div className="mt-8 w-full flex flex-col gap-2">
+          <h2 className="text-xl font-bold mb-4">Loyalty</h2>
+          <div>
+            {loyalty.balance} points · {loyalty.tier} tier
+          </div>
+          {loyalty.expiresAt !== "0" && (
+            <div className="text-sm text-muted-foreground">
+              Points expire{" "}
+              {new Date(Number(loyalty.expiresAt) * 1000).toDateString()}{" "}
+              without activity
+            </div>
+          )}
+          {loyalty.history.length > 0 ? (
+            loyalty.history.map((activity) => (
+              <div
+                key={`${activity.transactionHash}-${activity.type}`}
+                className="flex justify-between text-sm"
+              >
+                <span className="capitalize">{activity.type}</span>
+                <span>
+                  {activity.type === "earned" ? "+" : "-"}
+                  {activity.points}
+                </span>
+              </div>
+            ))
+          ) : (
+            <p className="text-sm">No loyalty activity yet</p>
+          )}
+        </div>
+      )}
+      <div className="mt-8 w-full flex flex-col gap-4">
+        <h2 className="text-xl font-bold mb-4">Tickets</h2>
+        {tickets.length > 0 ? (
+          <>
+            {tickets.map((ticket) => (
+              <div key={ticket.tokenId} className="flex items-center gap-4">
+                {ticket.image ? (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img
+                    src={ticket.image}
+                    alt={ticket.eventName}
+                    className="h-20 w-14 rounded object-cover"
+                  />
+                ) : (
+                  <Ticket size={56} strokeWidth={1.0} />
+                )}
+                <div className="flex flex-col">
+                  <span className="font-bold">{ticket.eventName}</span>
+                  <span className="text-sm">
+                    {ticket.tierName} · #{ticket.ticketIndex}
+                  </span>
+                  <span className="text-sm text-muted-foreground">
+                    {new Date(ticket.eventDate * 1000).toDateString()}
+                    {!ticket.eventActive
+                      ? " · Cancelled"
+                      : ticket.isUsed
+                      ? " · Used"
+                      : ""}
+                  </span>
+                </div>
+              </div>
+            ))}
+            {tickets.length < ticketsTotal && (
+              <Button
+                variant="ghost"
+                onClick={() => loadTickets(tickets.length)}
+              >
+                Show more tickets
+              </Button>
+            )}
+          </>
+        ) : (
+          <p>No tickets yet</p>
+        )}
+      </div>
+      <div className="mt-8 w-full flex flex-col gap-4">
+        <h2 className="text-xl font-bold mb-4">Badges</h2>
+        {badges.length > 0 ? (
+          <div className="grid grid-cols-3 gap-4">
+            {badges.map((badge) => (
+              <div
+                key={badge.tokenId}
+                className="flex flex-col items-center gap-1 text-center"
+                title={badge.description}
+              >
+                {badge.image ? (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img
+                    src={badge.image}
+                    alt={badge.name}
+                    className="h-20 w-20 rounded-full object-cover"
+                  />
+                ) : (
+                  <Award size={80} strokeWidth={1.0} />
+                )}
+                <span className="text-sm">{badge.name}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p>No badges yet, check in at an event to earn one</p>
+        )}
+      </div>
       <div className="mt-8 w-full flex flex-col gap-4">
         <h2 className="text-xl font-bold mb-4">My Events</h2>
         {organizedEvents.length > 0 ? (
@@ -0,0 +1,205 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { Ticket } from "lucide-react";
+import { createPublicClient, http } from "viem";
+import {
+  Dialog,
+  DialogTrigger,
+  DialogContent,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { worldchain } from "@/lib/chains";
+import generateQRCodeDataAbi from "@/abi/generateQRCodeData.json";
+
+const client = createPublicClient({
+  chain: worldchain,
+  transport: http("https://worldchain-mainnet.g.alchemy.com/public"),
+});
+
+// Door scanners reject QR codes older than this (verifyQRCode maxAgeSeconds),
+// so screenshots stop working shortly after they are taken
+const QR_REFRESH_SECONDS = 30;
+
+export const TICKETS_PAGE_SIZE = 20;
+
+export interface OwnedTicket {
+  tokenId: string;
+  eventId: string;
+  eventName: string;
+  eventDate: number;
+  eventActive: boolean;
+  tierName: string;
+  ticketIndex: string;
+  isUsed: boolean;
+  image: string | null;
+}
+
+function ticketStatus(ticket: OwnedTicket) {
+  if (!ticket.eventActive) {
+    return "Cancelled";
+  }
+  return ticket.isUsed ? "Used" : "Valid";
+}
+
+function TicketQRCode({ tokenId }: { tokenId: string }) {
+  const [qrImage, setQrImage] = useState<string | null>(null);
+  const [secondsLeft, setSecondsLeft] = useState(QR_REFRESH_SECONDS);
+
+  // Re-generate the QR payload from the latest block so its timestamp stays fresh
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const qrData = await client.readContract({
+          address: process.env
+            .NEXT_PUBLIC_EVENT_TICKETING_ADDRESS as `0x${string}`,
+          abi: generateQRCodeDataAbi,
+          functionName: "generateQRCodeData",
+          args: [BigInt(tokenId)],
+        });
+        const image = await QRCode.toDataURL(qrData as string, {
+          margin: 1,
+          width: 256,
+        });
+        if (!cancelled) {
+          setQrImage(image);
+          setSecondsLeft(QR_REFRESH_SECONDS);
+        }
+      } catch (error) {
+        console.error("Error generating ticket QR code:", error);
+      }
+    };
+
+    refresh();
+    const refreshInterval = setInterval(refresh, QR_REFRESH_SECONDS * 1000);
+    const countdown = setInterval(
+      () => setSecondsLeft((seconds) => Math.max(seconds - 1, 0)),
+      1000
+    );
+
+    return () => {
+      cancelled = true;
+      clearInterval(refreshInterval);
+      clearInterval(countdown);
+    };
+  }, [tokenId]);
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      {qrImage ? (
+        // eslint-disable-next-line @next/next/no-img-element
+        <img src={qrImage} alt="Ticket QR code" className="h-64 w-64" />
+      ) : (
+        <div className="h-64 w-64 flex items-center justify-center">
+          Generating QR code...
+        </div>
+      )}
+      <span className="text-sm text-muted-foreground">
+        Refreshes in {secondsLeft}s
+      </span>
+    </div>
+  );
+}
+
+interface TicketsTabProps {
+  user: { address?: string };
+}
+
+export function TicketsTab({ user }: TicketsTabProps) {
+  const [tickets, setTickets] = useState<OwnedTicket[]>([]);
+  const [ticketsTotal, setTicketsTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  // Load a page of the tickets held by the user
+  const loadTickets = (offset: number) => {
+    fetch(
+      `/api/tickets?owner=${user.address}&offset=${offset}&limit=${TICKETS_PAGE_SIZE}`
+    )
+      .then((res) => res.json())
+      .then((data) => {
+        const page: OwnedTicket[] = data.tickets || [];
+        setTickets((previous) =>
+          offset === 0 ? page : [...previous, ...page]
+        );
+        setTicketsTotal(data.total ?? 0);
+      })
+      .catch((error) => console.error("Error loading tickets:", error))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    if (!user?.address) {
+      return;
+    }
+
+    loadTickets(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.address]);
+
+  if (loading) {
+    return <p>Loading tickets...</p>;
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <h2 className="text-xl font-bold">My Tickets</h2>
+      {tickets.length > 0 ? (
+        tickets.map((ticket) => (
+          <div
+            key={ticket.tokenId}
+            className="flex items-center gap-4 rounded-lg border p-4"
+          >
+            {ticket.image ? (
+              // eslint-disable-next-line @next/next/no-img-element
+              <img
+                src={ticket.image}
+                alt={ticket.eventName}
+                className="h-24 w-16 rounded object-cover"
+              />
+            ) : (
+              <Ticket size={64} strokeWidth={1.0} />
+            )}
+            <div className="flex flex-1 flex-col">
+              <span className="font-bold">{ticket.eventName}</span>
+              <span className="text-sm">
+                {ticket.tierName} · #{ticket.ticketIndex}
+              </span>
+              <span className="text-sm text-muted-foreground">
+                {new Date(ticket.eventDate * 1000).toLocaleString()}
+              </span>
+              <span className="text-sm">{ticketStatus(ticket)}</span>
+            </div>
+            {ticket.eventActive && !ticket.isUsed && (
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button>Show QR</Button>
+                </DialogTrigger>
+                <DialogContent>
+                  <DialogTitle>{ticket.eventName}</DialogTitle>
+                  <DialogDescription>
+                    Show this code at the door. It changes every{" "}
+                    {QR_REFRESH_SECONDS} seconds, so screenshots will not be
+                    accepted.
+                  </DialogDescription>
+                  <TicketQRCode tokenId={ticket.tokenId} />
+                </DialogContent>
+              </Dialog>
+            )}
+          </div>
+        ))
+      ) : (
+        <p>No tickets yet, buy one from the Events tab</p>
+      )}
+      {tickets.length < ticketsTotal && (
+        <Button variant="ghost" onClick={() => loadTickets(tickets.length)}>
+          Show more tickets
+        </Button>
+      )}
+    </div>
+  );
+}